@@ -1,5 +1,5 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19
+pragma solidity ^0.8.19;
 
 /**
  * @title YieldFarmingStrategy - Advanced DeFi Yield Optimization Contract
@@ -18,7 +18,7 @@ pragma solidity ^0.8.19
  * @author wearedood (Base Builder Rewards 2025)
  * @notice This contract is part of a comprehensive DeFi toolkit
  * @custom:security-contact security@wearedood.com
- */;
+ */
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
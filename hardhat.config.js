@@ -0,0 +1,22 @@
+/**
+ * Hardhat Configuration
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Compiles contracts/ to artifacts/, where the local-node tests read them,
+ * and runs the local node they deploy to (`npm run node`, chain id 31337,
+ * with Hardhat's default development accounts).
+ */
+
+module.exports = {
+  solidity: {
+    version: '0.8.19',
+    settings: {
+      optimizer: { enabled: true, runs: 200 }
+    }
+  },
+  paths: {
+    sources: './contracts',
+    artifacts: './artifacts',
+    cache: './cache'
+  }
+};
@@ -5,91 +5,799 @@
  * Main entry point for the Builder Score optimization tools
  */
 
-const { ethers } = require('ethers');
-const axios = require('axios');
 require('dotenv').config();
+const { calculateScore } = require('./src/score-calculator');
+const GitHubClient = require('./src/github-client');
+const { RateLimitError } = require('./src/github-client');
+const ContractScanner = require('./src/contract-scanner');
+const OnchainProfiler = require('./src/onchain-profile');
+const { classifyBytecode } = require('./src/contract-classifier');
+const { classifyRepository } = require('./src/repository-classifier');
+const { mapSettled } = require('./src/concurrency');
+const { analyzeContributions, qualitySettings, pullRequestKey, pushCommits } = require('./src/quality-analyzer');
+const { createCache, memoize } = require('./src/cache');
+const { loadConfig } = require('./src/config-loader');
+const { createHistoryStore } = require('./src/history-store');
+const { analyzeStreaks, localDate } = require('./src/streak-engine');
+const { ContestWindow } = require('./src/contest-window');
+const { planActions, formatAction } = require('./src/action-planner');
+const {
+  createIdentityStore,
+  createChallenge,
+  verifySignature,
+  verifyProof,
+  isAddress,
+  LinkError
+} = require('./src/identity-linker');
+const { createNameResolver, isName } = require('./src/name-resolver');
+const { buildReport } = require('./src/report-exporter');
+const { createScoreWatcher } = require('./src/score-watcher');
+const { createNotifier, notificationsFor } = require('./src/notifier');
+const { createFixtureStore, createFixtureHttp, createRpcProvider } = require('./src/fixtures');
+const { createLogger } = require('./src/logger');
+const { formatRunSummary } = require('./src/presenter');
 
 class BuilderScoreTracker {
-  constructor() {
-    this.baseRpcUrl = 'https://mainnet.base.org';
-    this.provider = new ethers.JsonRpcProvider(this.baseRpcUrl);
-    this.githubApiUrl = 'https://api.github.com';
+  /**
+   * @param {Object|string} [config] - Config object or file path, defaults to test/config/base-network.config.js
+   * @param {Object} [options]
+   * @param {string} [options.network] - Network profile (base, base-sepolia, local), see config-loader
+   * @param {Object} [options.logger] - Structured logger, defaults to one built from config.logging
+   * @param {Object} [options.cache] - Cache instance, defaults to one built from config.cache
+   * @param {Object} [options.history] - HistoryStore for snapshots, defaults to one built from config.history
+   * @param {Object} [options.identities] - IdentityStore for GitHub-to-address links, defaults to one built from config.identity
+   * @param {Object} [options.notifier] - Notifier for score notifications, defaults to one built from config.notifications
+   * @param {Object} [options.notificationStream] - Stream the stdout notification channel writes to,
+   *   defaults to process.stdout
+   * @param {Function} [options.now=Date.now] - Clock for "today", the contest window and streaks
+   * @throws {ConfigError} When the config fails validation
+   */
+  constructor(config, {
+    network,
+    logger,
+    cache,
+    history,
+    identities,
+    notifier,
+    notificationStream,
+    now = Date.now
+  } = {}) {
+    // A config the CLI already loaded with --network comes back unchanged
+    this.config = loadConfig(config, { network });
+    const { baseNetwork, github, performance } = this.config;
+
+    this.now = now;
+    this.logger = logger || createLogger(this.config.logging);
+    this.cache = cache || createCache(this.config.cache);
+    this.history = history || createHistoryStore(this.config.history, { now });
+    this.identities = identities || createIdentityStore(this.config.identity, { now });
+    this.notifier = notifier || createNotifier(this.config.notifications, {
+      timezone: this.config.contest.timezone,
+      now,
+      logger: this.logger,
+      channelOptions: notificationStream ? { stream: notificationStream } : undefined
+    });
+    this.contestWindow = new ContestWindow(this.config.contest, { now });
+    this.baseRpcUrl = baseNetwork.rpcUrl;
+    // GitHub and RPC responses are recorded or replayed when config.fixtures.mode says so
+    this.fixtures = createFixtureStore(this.config.fixtures);
+    // The chain is fixed by the profile; verifyNetwork() checks the endpoint agrees
+    this.provider = createRpcProvider(this.baseRpcUrl, baseNetwork.chainId, this.fixtures);
+    this.githubApiUrl = github.apiUrl;
+    this.github = new GitHubClient({
+      apiUrl: this.githubApiUrl,
+      token: process.env.GITHUB_TOKEN,
+      retryAttempts: github.retryAttempts,
+      timeout: github.timeout,
+      rateLimit: github.rateLimit,
+      http: createFixtureHttp(this.fixtures),
+      cache: this.cache
+    });
+    this.contractScanner = new ContractScanner({
+      provider: this.provider,
+      batchSize: performance.batchSize,
+      lookbackBlocks: baseNetwork.contractScan.lookbackBlocks
+    });
+    this.onchainProfiler = new OnchainProfiler({ provider: this.provider });
+    this.names = createNameResolver(this.config.names, {
+      provider: this.provider,
+      chainId: baseNetwork.chainId,
+      cache: this.cache,
+      ttl: this.config.cache.ttlOverrides.names,
+      connect: url => createRpcProvider(url, 1, this.fixtures)
+    });
   }
 
-  async trackGitHubActivity(username) {
+  /**
+   * Check that the RPC endpoint serves the chain of the configured profile
+   * @returns {Promise<?number>} Chain ID, or null when the endpoint is unreachable
+   * @throws {Error} When the endpoint reports a different chain ID
+   */
+  async verifyNetwork() {
+    const { chainId, name, rpcUrl } = this.config.baseNetwork;
+    let actual;
     try {
-      console.log(`🔍 Tracking GitHub activity for: ${username}`);
-      const response = await axios.get(`${this.githubApiUrl}/users/${username}/events`);
-      const events = response.data;
-      
-      const today = new Date().toISOString().split('T')[0];
-      const todayEvents = events.filter(event => event.created_at.startsWith(today));
-      
-      console.log(`📊 Today's GitHub activity: ${todayEvents.length} events`);
-      return { totalEvents: events.length, todayEvents: todayEvents.length };
+      actual = Number(await this.provider.send('eth_chainId', []));
     } catch (error) {
-      console.error('❌ Error tracking GitHub activity:', error.message);
+      this.logger.warn('Chain ID check skipped, network unreachable', { rpcUrl, error });
       return null;
     }
+
+    if (actual !== chainId) {
+      throw new Error(`${rpcUrl} serves chain ID ${actual}, but the ${name} network expects ${chainId}`);
+    }
+    this.logger.debug('Chain ID verified', { rpcUrl, chainId });
+    return actual;
+  }
+
+  /**
+   * Collect a user's public GitHub events across all pages, each tagged with
+   * the category of its repository. "Today" is the current day in contest.timezone.
+   * @param {string} username - GitHub username
+   * @param {Object} [range] - Range that will be scored, see selectEvents; only
+   *   events in it are rated for quality
+   * @param {Date} [range.since] - Inclusive start
+   * @param {Date} [range.until] - Exclusive end
+   * @returns {Promise<?Object>} { totalEvents, todayEvents, events }, or null on failure
+   */
+  async trackGitHubActivity(username, range = {}) {
+    const started = Date.now();
+    try {
+      const events = await this.github.getUserEvents(username);
+      await this.classifyEvents(username, events);
+      await this.analyzeQuality(username, this.eventsInRange(events, range));
+
+      const github = this.summarizeGitHubActivity(events);
+      this.logger.info('GitHub activity fetched', {
+        username,
+        totalEvents: events.length,
+        todayEvents: github.todayEvents.length,
+        durationMs: Date.now() - started
+      });
+      await this.snapshot('github', () => this.history.recordGitHubActivity(username, github));
+      return github;
+    } catch (error) {
+      this.logger.error('GitHub activity fetch failed', { username, error, durationMs: Date.now() - started });
+      return null;
+    }
+  }
+
+  /**
+   * Fetch only the events created since an earlier trackGitHubActivity result
+   * and merge them in, for polling
+   * @param {string} username - GitHub username
+   * @param {Object} github - Earlier result of trackGitHubActivity or updateGitHubActivity
+   * @returns {Promise<?Object>} { totalEvents, todayEvents, events, newEvents }, or null on failure
+   */
+  async updateGitHubActivity(username, github) {
+    const started = Date.now();
+    try {
+      const lastSeenId = github.events.length > 0 ? github.events[0].id : null;
+      const newEvents = await this.github.getUserEventsSince(username, lastSeenId);
+      await this.classifyEvents(username, newEvents);
+      await this.analyzeQuality(username, this.eventsInRange(newEvents));
+
+      const updated = { ...this.summarizeGitHubActivity([...newEvents, ...github.events]), newEvents };
+      this.logger.debug('GitHub activity polled', { username, newEvents: newEvents.length, durationMs: Date.now() - started });
+      if (newEvents.length > 0) {
+        await this.snapshot('github', () => this.history.recordGitHubActivity(username, updated));
+      }
+      return updated;
+    } catch (error) {
+      this.logger.error('GitHub activity poll failed', { username, error, durationMs: Date.now() - started });
+      return null;
+    }
+  }
+
+  /**
+   * Count events and pick today's, in contest.timezone
+   * @param {Object[]} events - GitHub events, newest first
+   * @returns {Object} { totalEvents, todayEvents, events }
+   */
+  summarizeGitHubActivity(events) {
+    return { totalEvents: events.length, todayEvents: this.eventsInRange(events), events };
+  }
+
+  /**
+   * Set `classification` on each event from its repository's name, topics
+   * and description (see repository-classifier). Each repository is fetched
+   * once; when that fails its name alone decides the category.
+   * @param {string} username - GitHub username, for the log record
+   * @param {Object[]} events - GitHub events, modified in place
+   */
+  async classifyEvents(username, events) {
+    const { github, performance } = this.config;
+    const names = [...new Set(events.filter(event => event.repo && event.repo.name).map(event => event.repo.name))];
+    const settled = await mapSettled(names, name => this.github.getRepository(name), {
+      concurrency: performance.concurrency,
+      requestDelay: performance.requestDelay
+    });
+
+    const classifications = new Map();
+    const unavailable = [];
+    names.forEach((name, i) => {
+      const { status, value } = settled[i];
+      if (status === 'rejected') unavailable.push(name);
+      classifications.set(name, classifyRepository(status === 'fulfilled' ? value : { name }, github.repositoryTypes));
+    });
+    if (unavailable.length > 0) {
+      this.logger.warn('Repository details unavailable, categorized by name only', { username, repositories: unavailable });
+    }
+
+    events.forEach(event => {
+      event.classification = event.repo && classifications.has(event.repo.name)
+        ? classifications.get(event.repo.name)
+        : classifyRepository({ name: '' }, github.repositoryTypes);
+    });
+  }
+
+  /**
+   * Set `quality` on pushes and pull requests from their commit and pull
+   * request details (see quality-analyzer). Details are fetched newest
+   * event first until `builderScore.quality.maxRequests` or the GitHub rate
+   * limit is spent, never waiting for it to reset; events left without
+   * details are scored in full.
+   * @param {string} username - GitHub username, for the log record
+   * @param {Object[]} events - GitHub events, modified in place
+   */
+  async analyzeQuality(username, events) {
+    const settings = qualitySettings(this.config.builderScore.quality);
+    // One request per commit or pull request, in event order (newest first)
+    const requests = new Map();
+    events.forEach(event => {
+      if (!event.repo) return;
+      const repo = event.repo.name;
+      if (event.type === 'PushEvent') {
+        pushCommits(event, settings).forEach(commit => {
+          requests.set(`commit:${commit.sha}`, { kind: 'commit', repo, id: commit.sha });
+        });
+      } else if (event.type === 'PullRequestEvent' && pullRequestKey(event)) {
+        const key = pullRequestKey(event);
+        requests.set(key, { kind: 'pullRequest', repo, id: key.split('#')[1] });
+      }
+    });
+    const wanted = [...requests.values()].slice(0, settings.maxRequests);
+
+    const { performance } = this.config;
+    const settled = await mapSettled(wanted, ({ kind, repo, id }) => (kind === 'commit'
+      ? this.github.getCommit(repo, id, { wait: false })
+      : this.github.getPullRequest(repo, id, { wait: false })), {
+      concurrency: performance.concurrency,
+      requestDelay: performance.requestDelay
+    });
+
+    const details = { commits: new Map(), pullRequests: new Map() };
+    let failed = 0;
+    let rateLimited = 0;
+    wanted.forEach(({ kind, repo, id }, i) => {
+      const { status, value, reason } = settled[i];
+      if (status === 'rejected' && reason instanceof RateLimitError) rateLimited += 1;
+      else if (status === 'rejected') failed += 1;
+      else if (kind === 'commit') details.commits.set(id, value);
+      else details.pullRequests.set(`${repo}#${id}`, value);
+    });
+    if (failed > 0 || rateLimited > 0 || wanted.length < requests.size) {
+      this.logger.warn('Some contributions were not analyzed for quality', {
+        username,
+        failed,
+        rateLimited,
+        skipped: requests.size - wanted.length
+      });
+    }
+
+    analyzeContributions(events, details, settings);
   }
 
   async checkBaseNetwork() {
+    const started = Date.now();
     try {
-      const blockNumber = await this.provider.getBlockNumber();
-      console.log(`🔗 Base network block number: ${blockNumber}`);
+      const blockNumber = await memoize(this.cache, `rpc:${this.baseRpcUrl}:blockNumber`,
+        () => this.provider.getBlockNumber(),
+        { ttl: this.config.cache.ttlOverrides.blockNumber });
+      this.logger.info('Base network reachable', { rpcUrl: this.baseRpcUrl, blockNumber, durationMs: Date.now() - started });
       return blockNumber;
     } catch (error) {
-      console.error('❌ Error connecting to Base network:', error.message);
+      this.logger.error('Base network unreachable', { rpcUrl: this.baseRpcUrl, error, durationMs: Date.now() - started });
       return null;
     }
   }
 
-  displayOptimizationTips() {
-    console.log('
-🎯 Builder Score Optimization Tips:');
-    console.log('1. 📝 Create meaningful commits daily');
-    console.log('2. 🔄 Submit pull requests to crypto repositories');
-    console.log('3. 📚 Add comprehensive documentation');
-    console.log('4. 🌟 Star and fork relevant Base ecosystem projects');
+  /**
+   * Calculate the Builder Score for a GitHub user and optional Base address
+   * @param {string} username - GitHub username
+   * @param {Object} [options]
+   * @param {string} [options.address] - Base address or name whose deployments count towards the score,
+   *   defaults to the address linked to the username
+   * @param {Date} [options.since] - Score events from this time instead of today only
+   * @param {Date} [options.until] - Score events before this time
+   * @param {boolean} [options.save] - Save the score to the history and send its notifications. Defaults to
+   *   true only for today's score: trends, personal bests and thresholds compare daily scores, not ranges.
+   * @returns {Promise<Object>} { totalScore, breakdown: { github, base, thresholds }, streak, onchain, actions, failures }
+   */
+  async calculateBuilderScore(username, { address: givenAddress, since, until, save = !since && !until } = {}) {
+    const started = Date.now();
+    const address = givenAddress
+      ? await this.resolveAddress(givenAddress)
+      : (await this.resolveIdentity({ username })).address;
+    const [github, blockNumber, profile] = await Promise.all([
+      this.trackGitHubActivity(username, { since, until }),
+      this.checkBaseNetwork(),
+      address ? this.getOnchainProfile(address) : null
+    ]);
+    const score = await this.scoreActivity(username, { github, blockNumber, profile, address, since, until });
+
+    this.logger.info('Builder score calculated', {
+      username,
+      address,
+      totalScore: score.totalScore,
+      failures: score.failures,
+      durationMs: Date.now() - started
+    });
+    if (save) {
+      await this.snapshot('score', () => this.history.recordScore(username, score, { address }));
+      await this.notify(username, score);
+    }
+    return score;
+  }
+
+  /**
+   * Score activity that has already been collected. calculateBuilderScore
+   * collects it in one pass; the watch mode keeps it up to date incrementally.
+   * @param {string} username - GitHub username
+   * @param {Object} activity
+   * @param {?Object} activity.github - Result of trackGitHubActivity, null when unavailable
+   * @param {?number} activity.blockNumber - Latest Base block, null when unreachable
+   * @param {?Object} [activity.profile] - Result of getOnchainProfile
+   * @param {string} [activity.address] - Base address, when one was given
+   * @param {Date} [activity.since] - Score events from this time instead of today only
+   * @param {Date} [activity.until] - Score events before this time
+   * @returns {Promise<Object>} { totalScore, breakdown: { github, base, thresholds }, streak, onchain, actions, failures }
+   */
+  async scoreActivity(username, { github, blockNumber, profile = null, address, since, until }) {
+    const { contracts = null, ...onchain } = profile || {};
+    const streak = github ? await this.trackStreaks(username, github) : null;
+
+    const score = calculateScore({
+      events: github ? this.selectEvents(github, { since, until }) : [],
+      blockNumber,
+      contracts,
+      streak
+    }, this.config.builderScore, { timezone: this.config.contest.timezone, contestWindow: this.contestWindow });
+    score.streak = streak;
+    score.onchain = profile ? { ...onchain, contractTypes: contracts.contractTypes } : null;
+    score.actions = this.planActions({ events: github ? github.events : [], contracts, streak });
+
+    // Sources that could not be reached, so callers can tell a zero from an outage
+    score.failures = [
+      !github && 'github',
+      blockNumber === null && 'network',
+      address && !contracts && 'contracts'
+    ].filter(Boolean);
+    return score;
+  }
+
+  /**
+   * Send the notifications a score calls for (thresholds met, streak at risk,
+   * milestones), see notifier. A failure is logged, never thrown.
+   * @param {string} username - GitHub username
+   * @param {Object} score - Result of calculateBuilderScore or scoreActivity
+   * @returns {Promise<Object[]>} Notifications delivered
+   */
+  async notify(username, score) {
+    const { notifications = {} } = this.config;
+    try {
+      return await this.notifier.dispatch(notificationsFor(username, score, {
+        milestones: notifications.milestones,
+        now: this.now()
+      }));
+    } catch (error) {
+      this.logger.warn('Notifications not dispatched', { username, file: this.notifier.file, error });
+      return [];
+    }
+  }
+
+  /**
+   * Work out contribution streaks in contest.timezone. Event sets saved in the
+   * history store extend the fetched events past the GitHub events API window
+   * (90 days or 300 events).
+   * @param {string} username - GitHub username
+   * @param {Object} github - Result of trackGitHubActivity
+   * @returns {Promise<Object>} Streak analysis, see streak-engine.analyzeStreaks
+   */
+  async trackStreaks(username, github) {
+    const events = new Map();
+    const add = event => events.set(event.id || `${event.type}:${event.created_at}`, event);
+    try {
+      const snapshots = await this.history.read({ kind: 'github', username });
+      snapshots.forEach(snapshot => snapshot.events.forEach(add));
+    } catch (error) {
+      this.logger.warn('Event history unavailable, streaks use fetched events only', { username, error });
+    }
+    (github.events || github.todayEvents).forEach(add);
+
+    const { contest, builderScore } = this.config;
+    const streak = analyzeStreaks([...events.values()], {
+      timezone: contest.timezone,
+      now: this.now(),
+      atRiskHours: builderScore.streaks ? builderScore.streaks.atRiskHours : undefined
+    });
+    if (streak.atRisk) {
+      this.logger.warn('Streak at risk', {
+        username,
+        currentStreak: streak.currentStreak,
+        hoursLeft: streak.hoursLeft,
+        urgent: streak.urgent
+      });
+    }
+    return streak;
+  }
+
+  /**
+   * Save a history snapshot without letting a storage failure fail the caller
+   * @param {string} kind - Snapshot kind, for the log record
+   * @param {Function} write - async () => void
+   */
+  async snapshot(kind, write) {
+    try {
+      await write();
+    } catch (error) {
+      this.logger.warn('History snapshot not saved', { kind, file: this.history.file, error });
+    }
+  }
+
+  /**
+   * Pick the events to score: today's by default, or those within a date range
+   * @param {Object} github - Result of trackGitHubActivity
+   * @param {Object} [range]
+   * @param {Date} [range.since] - Inclusive start
+   * @param {Date} [range.until] - Exclusive end
+   * @returns {Object[]} Selected events
+   */
+  selectEvents(github, { since, until } = {}) {
+    if (!since && !until) return github.todayEvents;
+    return this.eventsInRange(github.events, { since, until });
+  }
+
+  /**
+   * Events within a date range, or today's in contest.timezone without one
+   * @param {Object[]} events - GitHub events
+   * @param {Object} [range] - { since, until }, see selectEvents
+   * @returns {Object[]} Events in range
+   */
+  eventsInRange(events, { since, until } = {}) {
+    if (!since && !until) {
+      const { timezone } = this.config.contest;
+      const today = localDate(this.now(), timezone);
+      return events.filter(event => localDate(event.created_at, timezone) === today);
+    }
+    return events.filter(event => {
+      const created = new Date(event.created_at);
+      return (!since || created >= since) && (!until || created < until);
+    });
   }
 
+  /**
+   * Time left in the contest window, see ContestWindow#countdown
+   * @returns {Object} { status, remaining, remainingMs, finalSprint, ... }
+   */
+  getCountdown() {
+    return this.contestWindow.countdown();
+  }
+
+  /**
+   * Rank the next actions for a builder, see action-planner.planActions
+   * @param {Object} activity - { events, contracts, streak }
+   * @returns {Object[]} Actions, best first
+   */
+  planActions(activity) {
+    return planActions(activity, this.config.builderScore, {
+      timezone: this.config.contest.timezone,
+      now: this.now(),
+      contestWindow: this.contestWindow
+    });
+  }
+
+  /**
+   * Tips for the actions planned with a score
+   * @param {Object} score - Result of calculateBuilderScore
+   * @returns {string[]} One line per action, best first
+   */
+  getOptimizationTips(score) {
+    return (score.actions || []).map(formatAction);
+  }
+
+  /**
+   * Release the provider so the process can exit
+   */
+  close() {
+    this.names.close();
+    this.provider.destroy();
+  }
+
+  /**
+   * Score a builder and collect the report data, see report-exporter.buildReport
+   * @param {string} username - GitHub username
+   * @param {Object} [options] - address, since and until as for calculateBuilderScore
+   * @param {string} [options.interval='day'] - History grouping: 'day' or 'week'
+   * @returns {Promise<Object>} Report, ready for report-exporter.renderReport
+   */
+  async generateReport(username, { address, since, until, interval = 'day' } = {}) {
+    const score = await this.calculateBuilderScore(username, { address, since, until });
+    let history = [];
+    try {
+      history = await this.history.timeSeries(username, { interval });
+    } catch (error) {
+      this.logger.warn('Score history unavailable, report has no trend', { username, file: this.history.file, error });
+    }
+    return buildReport({ username, score, countdown: this.getCountdown(), history, generatedAt: this.now() });
+  }
+
+  /**
+   * Watcher that keeps a builder's score up to date from new blocks and
+   * GitHub events, see score-watcher. Call start() to begin watching.
+   * @param {string} username - GitHub username
+   * @param {Object} [options]
+   * @param {string} [options.address] - Base address or name
+   * @param {string} [options.file] - Cursor file, defaults to one per username in watch.dir
+   * @returns {ScoreWatcher} Watcher
+   */
+  createWatcher(username, { address, file } = {}) {
+    return createScoreWatcher(this, { username, address, file });
+  }
+
+  /**
+   * Score GITHUB_USERNAME (and BASE_ADDRESS when set) for `npm start`
+   * @returns {Promise<Object>} { username, score, countdown, tips }, see presenter.formatRunSummary
+   */
   async run() {
-    console.log('🏆 Base Summer League 2024 - Builder Rewards Tracker');
-    console.log('=' .repeat(50));
-    
-    await this.checkBaseNetwork();
     const username = process.env.GITHUB_USERNAME || 'wearedood';
-    await this.trackGitHubActivity(username);
-    this.displayOptimizationTips();
-    
-    console.log('
-✅ Tracking complete! Keep building! 🚀');
+    const score = await this.calculateBuilderScore(username, { address: process.env.BASE_ADDRESS });
+    return { username, score, countdown: this.getCountdown(), tips: this.getOptimizationTips(score) };
+  }
+
+  /**
+   * Discover contracts deployed by an address by scanning Base blocks
+   * @param {string} input - Deployer address or name
+   * @param {Object} [options] - Block range or resume cursor, see ContractScanner#scan
+   * @returns {Promise<?Object>} { totalContracts, recentContracts, contractTypes, contracts, transactions, cursor, complete },
+   *   or null on failure
+   * @throws {NameResolutionError} When a name does not resolve
+   */
+  async checkBaseContracts(input, options = {}) {
+    const address = await this.resolveAddress(input);
+    const started = Date.now();
+    try {
+      const result = this.summarizeContracts(await this.scanContracts(address, options));
+      const { cursor, complete } = result;
+
+      this.logger.info('Base contracts scanned', {
+        address,
+        totalContracts: result.totalContracts,
+        complete,
+        nextBlock: cursor ? cursor.nextBlock : undefined,
+        durationMs: Date.now() - started
+      });
+      await this.snapshot('contracts', () => this.history.recordContracts(address, result));
+      return result;
+    } catch (error) {
+      this.logger.error('Base contract scan failed', {
+        address,
+        error,
+        nextBlock: error.cursor ? error.cursor.nextBlock : undefined,
+        durationMs: Date.now() - started
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Classify the contracts of a scan and pick out the ones deployed in the last 7 days
+   * @param {Object} scan - Result of ContractScanner#scan
+   * @returns {Object} { totalContracts, recentContracts, contractTypes, contracts, transactions, cursor, complete }
+   */
+  summarizeContracts(scan) {
+    const contracts = scan.contracts.map(contract => ({
+      ...contract,
+      classification: this.classifyContract(contract)
+    }));
+    const weekAgo = new Date(this.now() - 7 * 24 * 60 * 60 * 1000);
+
+    return {
+      totalContracts: contracts.length,
+      recentContracts: contracts.filter(c => new Date(c.created_at) > weekAgo),
+      contractTypes: this.analyzeContractTypes(contracts),
+      contracts,
+      transactions: scan.transactions || [],
+      cursor: scan.cursor,
+      complete: scan.complete
+    };
+  }
+
+  /**
+   * Profile an address's Base activity from a contract scan, see OnchainProfiler#profile
+   * @param {string} input - Builder address or name
+   * @param {Object} [options] - Block range or resume cursor, see ContractScanner#scan
+   * @returns {Promise<?Object>} Profile with the address's `primaryName` and the checkBaseContracts
+   *   result under `contracts`, or null on failure
+   * @throws {NameResolutionError} When a name does not resolve
+   */
+  async getOnchainProfile(input, options = {}) {
+    const address = await this.resolveAddress(input);
+    const contracts = await this.checkBaseContracts(address, options);
+    if (!contracts) return null;
+
+    const started = Date.now();
+    try {
+      const [profile, primaryName] = await Promise.all([
+        this.onchainProfiler.profile(address, contracts),
+        this.lookupName(address)
+      ]);
+      this.logger.info('On-chain profile built', {
+        address,
+        transactionCount: profile.transactionCount,
+        uniqueContracts: profile.uniqueContracts,
+        verifiedDeployments: profile.verifiedDeployments.length,
+        durationMs: Date.now() - started
+      });
+      return { ...profile, primaryName, complete: contracts.complete, contracts };
+    } catch (error) {
+      this.logger.error('On-chain profile failed', { address, error, durationMs: Date.now() - started });
+      return null;
+    }
   }
 
-    // Enhanced Base network integration
-  async checkBaseContracts(address) {
+  /**
+   * Start linking a GitHub username to a Base address. The returned
+   * challenge must be signed by the address and the signature published
+   * by the GitHub account, then passed to completeIdentityLink.
+   * @param {string} username - GitHub username
+   * @param {string} input - Base address or name
+   * @returns {Promise<Object>} Challenge with the message and typed data to sign, see identity-linker.createChallenge
+   * @throws {LinkError} When the address is invalid
+   * @throws {NameResolutionError} When a name does not resolve
+   */
+  async startIdentityLink(username, input) {
+    const { baseNetwork, identity = {} } = this.config;
+    const address = await this.resolveAddress(input);
+    const challenge = createChallenge(username, address, {
+      now: this.now(),
+      chainId: baseNetwork.chainId,
+      ttlMinutes: identity.challengeTtlMinutes
+    });
+    await this.identities.saveChallenge(challenge);
+    return challenge;
+  }
+
+  /**
+   * Verify a signed challenge and its GitHub proof, then store the link
+   * @param {string} username - GitHub username with a pending challenge
+   * @param {Object} proof
+   * @param {string} proof.signature - Signature of the challenge by its address
+   * @param {string} proof.proofUrl - Gist or repository file containing the signature
+   * @param {string} [proof.scheme='eip191'] - 'eip191' or 'eip712'
+   * @returns {Promise<Object>} Stored link { username, address, scheme, signature, proof, verifiedAt }
+   * @throws {LinkError} When there is no pending challenge or a check fails
+   */
+  async completeIdentityLink(username, { signature, proofUrl, scheme = 'eip191' }) {
+    const challenge = await this.identities.getChallenge(username);
+    if (!challenge) throw new LinkError(`No pending link challenge for ${username}`);
+
+    verifySignature(challenge, signature, scheme);
+    await verifyProof(proofUrl, { username: challenge.username, signature, github: this.github });
+
+    const link = await this.identities.addLink({
+      username: challenge.username,
+      address: challenge.address,
+      scheme,
+      signature,
+      proof: proofUrl
+    });
+    this.logger.info('Identity linked', { username: link.username, address: link.address, scheme });
+    return link;
+  }
+
+  /**
+   * Fill in the missing side of a builder's identity from the stored links
+   * @param {Object} identity - { username, address }, either may be missing; the address may be a name
+   * @returns {Promise<Object>} { username, address, linked }; unknown sides stay undefined
+   * @throws {NameResolutionError} When a name does not resolve
+   */
+  async resolveIdentity({ username, address: givenAddress }) {
+    const address = givenAddress ? await this.resolveAddress(givenAddress) : givenAddress;
+    if (username && address) return { username, address, linked: false };
+    const key = username || address;
+    if (!key || (!username && !isAddress(address))) return { username, address, linked: false };
+
     try {
-      console.log(`🔍 Checking Base contracts for address: ${address}`);
-      const response = await axios.get(`${this.baseRpcUrl}/api/v1/accounts/${address}/contracts`);
-      const contracts = response.data;
-      
-      console.log(`📊 Found ${contracts.length} deployed contracts`);
-      return {
-        totalContracts: contracts.length,
-        recentContracts: contracts.filter(c => {
-          const deployDate = new Date(c.created_at);
-          const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-          return deployDate > weekAgo;
-        }),
-        contractTypes: this.analyzeContractTypes(contracts)
-      };
+      const link = await this.identities.resolve(key);
+      if (link) return { username: link.username, address: link.address, linked: true };
     } catch (error) {
-      console.error('❌ Error checking Base contracts:', error.message);
+      this.logger.warn('Identity links unavailable', { identity: key, file: this.identities.file, error });
+    }
+    return { username, address, linked: false };
+  }
+
+  /**
+   * Accept a Basename or ENS name wherever an address is expected
+   * @param {string} input - 0x address or name
+   * @returns {Promise<string>} Resolved address; anything that is not a name comes back unchanged
+   * @throws {NameResolutionError} When a name does not resolve
+   */
+  async resolveAddress(input) {
+    if (!isName(input)) return input;
+    const address = await this.names.resolveAddress(input);
+    this.logger.debug('Name resolved', { name: input, address });
+    return address;
+  }
+
+  /**
+   * Primary Basename or ENS name of an address, for display
+   * @param {string} address - 0x address
+   * @returns {Promise<?string>} Name, or null when there is none or the lookup failed
+   */
+  async lookupName(address) {
+    if (!isAddress(address)) return null;
+    try {
+      return await this.names.lookupAddress(address);
+    } catch (error) {
+      this.logger.warn('Name lookup failed', { address, error });
       return null;
     }
   }
 
-    analyzeContractTypes(contracts) {
+  /**
+   * Run a contract scan, caching complete scans of the same range.
+   * Resumed scans (with a cursor) always go to the provider; scans without
+   * a range continue from the previous one, see scanRecentContracts.
+   */
+  async scanContracts(address, options) {
+    if (options.cursor) return this.contractScanner.scan(address, options);
+    if (options.fromBlock === undefined && options.toBlock === undefined) return this.scanRecentContracts(address);
+
+    const key = `rpc:${this.baseRpcUrl}:scan:${address.toLowerCase()}:${options.fromBlock ?? ''}:${options.toBlock ?? ''}`;
+    const cached = await this.cache.get(key);
+    if (cached) return cached;
+
+    const scan = await this.contractScanner.scan(address, options);
+    if (scan.complete) await this.cache.set(key, scan);
+    return scan;
+  }
+
+  /**
+   * Scan the last `contractScan.lookbackBlocks` blocks of an address. The
+   * cursor of the previous default scan is kept in the cache for
+   * `cache.ttlOverrides.scanCursor` seconds, so repeated scores, the API
+   * server, the leaderboard and the watcher only fetch new blocks. What it
+   * found before the window is dropped, so the result is the same however
+   * often the address was scanned.
+   */
+  async scanRecentContracts(address) {
+    const key = `rpc:${this.baseRpcUrl}:scanCursor:${address.toLowerCase()}`;
+    const ttl = this.config.cache.ttlOverrides.scanCursor;
+    const save = cursor => this.cache.set(key, cursor, { ttl });
+
+    const [saved, latest] = await Promise.all([this.cache.get(key), this.provider.getBlockNumber()]);
+    const windowStart = Math.max(latest - this.contractScanner.lookbackBlocks, 0);
+    const inWindow = entry => entry.blockNumber >= windowStart;
+    const cursor = saved && {
+      ...saved,
+      fromBlock: windowStart,
+      nextBlock: Math.max(saved.nextBlock, windowStart),
+      toBlock: latest,
+      contracts: saved.contracts.filter(inWindow),
+      transactions: (saved.transactions || []).filter(inWindow)
+    };
+    try {
+      const scan = await this.contractScanner.scan(address, cursor ? { cursor } : { toBlock: latest });
+      await save(scan.cursor);
+      return scan;
+    } catch (error) {
+      if (error.cursor) await save(error.cursor);
+      throw error;
+    }
+  }
+
+  analyzeContractTypes(contracts) {
     const types = {};
     contracts.forEach(contract => {
       const type = this.detectContractType(contract);
@@ -98,18 +806,34 @@ class BuilderScoreTracker {
     return types;
   }
 
+  /**
+   * Classify a contract from the function selectors in its runtime bytecode
+   * @param {Object} contract - Contract with a hex `bytecode` field
+   * @returns {Object} { type, confidence, matchedSelectors, interfaces, category, scoreMultiplier, proxy }
+   */
+  classifyContract(contract) {
+    return classifyBytecode(contract.bytecode, this.config.contractTypes);
+  }
+
   detectContractType(contract) {
-    const code = contract.bytecode || '';
-    if (code.includes('transfer') && code.includes('balanceOf')) return 'ERC20';
-    if (code.includes('tokenURI') && code.includes('ownerOf')) return 'ERC721';
-    if (code.includes('swap') && code.includes('liquidity')) return 'DeFi';
-    return 'Other';
+    return this.classifyContract(contract).type;
   }
 }
 
 if (require.main === module) {
   const tracker = new BuilderScoreTracker();
-  tracker.run().catch(console.error);
+  tracker.verifyNetwork()
+    .then(() => tracker.run())
+    .then(summary => {
+      console.log(formatRunSummary(summary));
+      // An unreached source must fail CI here too, see EXIT_CODES in src/cli.js
+      if (summary.score.failures.length > 0) process.exitCode = 1;
+    })
+    .catch(error => {
+      tracker.logger.error('Tracking failed', { error });
+      process.exitCode = 1;
+    })
+    .finally(() => tracker.close());
 }
 
 module.exports = BuilderScoreTracker;
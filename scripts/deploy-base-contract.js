@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Base Summer League 2024 - Contract Deployment
+ * Deploys a compiled contract artifact (abi + bytecode) to a Base network
+ *
+ * Usage: deploy-base-contract <artifact.json> [constructor args...]
+ *          [--network <profile>] [--config <path>] [--rpc-url <url>]
+ * Reads the deployer key from DEPLOYER_PRIVATE_KEY. The network comes from
+ * the config like the CLI's: --network or BASE_NETWORK picks the profile,
+ * BASE_RPC_URL overrides its endpoint and --rpc-url overrides both.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+const { loadConfig, ConfigError } = require('../src/config-loader');
+const { EXIT_CODES } = require('../src/cli');
+
+const USAGE = 'Usage: deploy-base-contract <artifact.json> [constructor args...] ' +
+  '[--network <profile>] [--config <path>] [--rpc-url <url>]';
+
+async function deploy(argv) {
+  let provider;
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({
+        args: argv,
+        options: {
+          'rpc-url': { type: 'string' },
+          network: { type: 'string' },
+          config: { type: 'string' }
+        },
+        allowPositionals: true
+      });
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      console.error(USAGE);
+      return EXIT_CODES.USAGE;
+    }
+    const { values, positionals } = parsed;
+    const [artifactPath, ...constructorArgs] = positionals;
+
+    if (!artifactPath) {
+      console.error(USAGE);
+      return EXIT_CODES.USAGE;
+    }
+    if (!process.env.DEPLOYER_PRIVATE_KEY) {
+      console.error('❌ DEPLOYER_PRIVATE_KEY is not set');
+      return EXIT_CODES.USAGE;
+    }
+
+    const { baseNetwork } = loadConfig(values.config, { network: values.network });
+    const artifact = JSON.parse(fs.readFileSync(path.resolve(artifactPath), 'utf8'));
+    provider = new ethers.JsonRpcProvider(values['rpc-url'] || baseNetwork.rpcUrl);
+    const wallet = new ethers.Wallet(process.env.DEPLOYER_PRIVATE_KEY, provider);
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, wallet);
+
+    console.log(`🚀 Deploying ${artifact.contractName || path.basename(artifactPath)} to ${baseNetwork.name} from ${wallet.address}`);
+    const contract = await factory.deploy(...constructorArgs);
+    await contract.waitForDeployment();
+
+    console.log(`✅ Deployed at ${await contract.getAddress()}`);
+    if (baseNetwork.explorerUrl) {
+      console.log(`🔗 ${baseNetwork.explorerUrl}/tx/${contract.deploymentTransaction().hash}`);
+    }
+    return EXIT_CODES.OK;
+  } catch (error) {
+    console.error('❌ Deployment failed:', error.message);
+    return error instanceof ConfigError ? EXIT_CODES.USAGE : EXIT_CODES.FAILURE;
+  } finally {
+    if (provider) provider.destroy();
+  }
+}
+
+deploy(process.argv.slice(2))
+  .then(exitCode => {
+    process.exitCode = exitCode;
+  })
+  .catch(error => {
+    console.error('❌ Deployment failed:', error.message);
+    process.exitCode = EXIT_CODES.FAILURE;
+  });
@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+/**
+ * Base Summer League 2024 - Builder Score CLI
+ * Run `npm run track-score -- --help` for available commands
+ */
+
+require('dotenv').config();
+const { main } = require('../src/cli');
+
+main(process.argv.slice(2)).then(exitCode => {
+  process.exitCode = exitCode;
+});
@@ -0,0 +1,208 @@
+/**
+ * Action Planner
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Turns a builder's recent activity into a ranked list of next actions.
+ * Each action is priced from `builderScore.weights` and the bonuses that
+ * would apply to it right now (weekend, streak, final sprint). Each action's
+ * effort comes from `builderScore.effortHours`. Actions are ranked by expected
+ * points per hour. Thresholds the builder has not met decide how many of
+ * an action to plan for.
+ */
+
+const { commitCount } = require('./score-calculator');
+const { localDate, isWeekend } = require('./streak-engine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_EFFORT_HOURS = {
+  commit: 0.5,
+  documentation: 1,
+  pullRequest: 3,
+  issue: 0.5,
+  codeReview: 1,
+  contract: 4
+};
+
+/**
+ * Actions the planner can suggest.
+ * `weights` are summed for the points one action earns. `github` actions take
+ * the GitHub bonuses. `priority` is the finalSprint.priorityActivities entry
+ * it counts as. `threshold` is the builderScore.thresholds entry it works
+ * towards.
+ */
+const ACTIONS = [
+  {
+    id: 'commit',
+    title: 'Push a meaningful commit',
+    weights: ['githubCommits'],
+    github: true,
+    threshold: 'dailyCommits'
+  },
+  {
+    id: 'documentation',
+    title: 'Push a documentation or README update',
+    weights: ['githubCommits'],
+    github: true,
+    priority: 'documentation_update',
+    threshold: 'dailyCommits'
+  },
+  {
+    id: 'pullRequest',
+    title: 'Open a pull request to another Base ecosystem repository',
+    weights: ['githubCommits', 'pullRequests'],
+    github: true,
+    priority: 'community_contribution',
+    threshold: 'weeklyPullRequests'
+  },
+  {
+    id: 'issue',
+    title: 'Open a well-scoped issue',
+    weights: ['githubCommits', 'issueCreation'],
+    github: true,
+    priority: 'community_contribution'
+  },
+  {
+    id: 'codeReview',
+    title: 'Review an open pull request',
+    weights: ['githubCommits', 'codeReviews'],
+    github: true,
+    priority: 'community_contribution'
+  },
+  {
+    id: 'contract',
+    title: 'Deploy a contract to Base',
+    weights: ['baseContracts'],
+    github: false,
+    priority: 'smart_contract_deployment',
+    threshold: 'monthlyContracts'
+  }
+];
+
+/**
+ * Count activity towards each threshold: commits today, pull requests in
+ * the last 7 days and deployments in the last 30 days.
+ * @returns {Object} Threshold name to actual count
+ */
+function countActivity({ events = [], contracts = null }, { timezone, now, contestWindow }) {
+  const counted = time => !contestWindow || contestWindow.contains(time);
+  const today = localDate(now, timezone);
+  const since = days => now - days * DAY_MS;
+
+  const dated = events.filter(event => event.created_at && counted(event.created_at));
+  const deployed = (contracts ? contracts.recentContracts : [])
+    .filter(contract => contract.created_at && counted(contract.created_at));
+
+  return {
+    dailyCommits: dated
+      .filter(event => localDate(event.created_at, timezone) === today)
+      .reduce((sum, event) => sum + commitCount(event), 0),
+    weeklyPullRequests: dated
+      .filter(event => event.type === 'PullRequestEvent' && Date.parse(event.created_at) > since(7))
+      .length,
+    monthlyContracts: deployed.filter(contract => Date.parse(contract.created_at) > since(30)).length
+  };
+}
+
+/**
+ * Rank the next actions for a builder by expected score gain per hour.
+ *
+ * Nothing is planned once the contest has ended or before it starts, and
+ * actions that would take longer than the time left are dropped.
+ *
+ * @param {Object} activity - What the builder has done so far
+ * @param {Object[]} [activity.events] - GitHub events with created_at
+ * @param {?Object} [activity.contracts] - Result of checkBaseContracts
+ * @param {?Object} [activity.streak] - Result of analyzeStreaks
+ * @param {Object} builderScore - `builderScore` section of the config
+ * @param {Object} [options]
+ * @param {string} [options.timezone='UTC'] - `contest.timezone`
+ * @param {number} [options.now=Date.now()] - Current time
+ * @param {?ContestWindow} [options.contestWindow] - Contest window for the time left and the final sprint
+ * @returns {Object[]} Actions, best first: { id, title, quantity, points, hours, pointsPerHour, threshold, reasons }
+ */
+function planActions(activity, builderScore, { timezone = 'UTC', now = Date.now(), contestWindow = null } = {}) {
+  const { weights, bonuses, thresholds } = builderScore;
+  const effortHours = { ...DEFAULT_EFFORT_HOURS, ...builderScore.effortHours };
+  const { streak = null } = activity;
+
+  let hoursLeft = Infinity;
+  if (contestWindow) {
+    if (!contestWindow.contains(now)) return [];
+    hoursLeft = (contestWindow.end - now) / HOUR_MS;
+  }
+
+  const actual = countActivity(activity, { timezone, now, contestWindow });
+  const weekend = isWeekend(now, timezone);
+  const sprint = contestWindow !== null && contestWindow.inFinalSprint(now);
+  // One more active day: today's activity extends the streak if it is not already counted
+  const minDays = builderScore.streaks ? builderScore.streaks.minDays : 2;
+  const streakAfter = streak ? (streak.activeToday ? streak.currentStreak : streak.currentStreak + 1) : 1;
+
+  return ACTIONS.map(action => {
+    const reasons = [];
+    let multiplier = 1;
+    if (action.github && weekend) {
+      multiplier *= bonuses.weekendActivity;
+      reasons.push('weekend bonus');
+    }
+    if (action.github && streakAfter >= minDays) {
+      multiplier *= bonuses.consecutiveDays;
+      reasons.push(streak && !streak.activeToday
+        ? `extends your ${streak.currentStreak}-day streak`
+        : `${streakAfter}-day streak bonus`);
+    }
+    if (sprint && action.priority && contestWindow.priorityActivities.includes(action.priority)) {
+      multiplier *= contestWindow.sprintMultiplier;
+      reasons.push('final-sprint priority');
+    }
+
+    let threshold = null;
+    let quantity = 1;
+    if (action.threshold && thresholds[action.threshold] !== undefined) {
+      const required = thresholds[action.threshold];
+      const count = actual[action.threshold];
+      threshold = { name: action.threshold, actual: count, required, met: count >= required };
+      if (!threshold.met) {
+        quantity = Math.ceil(required - count);
+        reasons.push(`${count} of ${required} ${action.threshold}`);
+      }
+    }
+
+    const perUnit = action.weights.reduce((sum, key) => sum + (weights[key] || 0), 0) * multiplier;
+    const hours = effortHours[action.id];
+    return {
+      id: action.id,
+      title: action.title,
+      quantity,
+      points: Math.round(perUnit * quantity),
+      hours: hours * quantity,
+      pointsPerHour: Math.round((perUnit / hours) * 10) / 10,
+      threshold,
+      reasons
+    };
+  })
+    .filter(action => action.points > 0 && action.hours <= hoursLeft)
+    .sort((a, b) => b.pointsPerHour - a.pointsPerHour ||
+      Number(Boolean(b.threshold && !b.threshold.met)) - Number(Boolean(a.threshold && !a.threshold.met)));
+}
+
+/**
+ * One-line tip for a planned action.
+ * @param {Object} action - Entry from planActions
+ * @returns {string} e.g. "Push a meaningful commit x2: +24 points in ~1h (24/h; 1 of 3 dailyCommits)"
+ */
+function formatAction(action) {
+  const count = action.quantity > 1 ? ` x${action.quantity}` : '';
+  const why = [`${action.pointsPerHour}/h`, ...action.reasons].join('; ');
+  return `${action.title}${count}: +${action.points} points in ~${action.hours}h (${why})`;
+}
+
+module.exports = {
+  planActions,
+  formatAction,
+  countActivity,
+  ACTIONS,
+  DEFAULT_EFFORT_HOURS
+};
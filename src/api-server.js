@@ -0,0 +1,248 @@
+/**
+ * Builder Score HTTP API
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Serves the routes declared in `config.endpoints` as JSON on top of
+ * BuilderScoreTracker, applying the `security` block: CORS origins,
+ * optional API key and per-client rate limiting.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { rankBuilders } = require('./leaderboard');
+const { NameResolutionError } = require('./name-resolver');
+
+/**
+ * Fixed-window request counter keyed by client.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.windowMs - Window length in milliseconds
+   * @param {number} options.maxRequests - Requests allowed per client per window
+   * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+   */
+  constructor({ windowMs, maxRequests, now = Date.now }) {
+    this.windowMs = windowMs;
+    this.maxRequests = maxRequests;
+    this.now = now;
+    this.clients = new Map();
+  }
+
+  /**
+   * Count a request for a client.
+   * @param {string} client - Client key (remote address)
+   * @returns {{ allowed: boolean, remaining: number, reset: number }} Reset is a ms timestamp
+   */
+  hit(client) {
+    const now = this.now();
+    let window = this.clients.get(client);
+    if (!window || window.reset <= now) {
+      window = { count: 0, reset: now + this.windowMs };
+      this.clients.set(client, window);
+    }
+    window.count += 1;
+
+    // Drop expired windows so idle clients don't accumulate
+    if (this.clients.size > 1000) {
+      this.clients.forEach((value, key) => {
+        if (value.reset <= now) this.clients.delete(key);
+      });
+    }
+
+    return {
+      allowed: window.count <= this.maxRequests,
+      remaining: Math.max(this.maxRequests - window.count, 0),
+      reset: window.reset
+    };
+  }
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Hashing first gives timingSafeEqual equal lengths and hides the key's length
+function keysMatch(given, expected) {
+  if (!given) return false;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function requireParam(query, name) {
+  const value = query.get(name);
+  if (!value) throw new HttpError(400, `Missing required query parameter: ${name}`);
+  return value;
+}
+
+// Names are resolved here so one that does not resolve is the client's mistake (400)
+async function addressParam(tracker, query, name) {
+  const value = requireParam(query, name);
+  try {
+    return await tracker.resolveAddress(value);
+  } catch (error) {
+    if (error instanceof NameResolutionError) throw new HttpError(400, error.message);
+    throw error;
+  }
+}
+
+function optionalDate(query, name) {
+  const value = query.get(name);
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new HttpError(400, `Invalid date for ${name}: ${value}`);
+  return date;
+}
+
+function optionalInteger(query, name) {
+  const value = query.get(name);
+  if (!value) return undefined;
+  if (!/^\d+$/.test(value)) throw new HttpError(400, `Invalid integer for ${name}: ${value}`);
+  return Number(value);
+}
+
+/**
+ * Route handlers keyed by the `config.endpoints` name they serve.
+ * Each receives the tracker, query parameters and shared server state.
+ */
+const HANDLERS = {
+  async builderScore(tracker, query, state) {
+    const username = requireParam(query, 'username');
+    const score = await tracker.calculateBuilderScore(username, {
+      address: query.get('address') ? await addressParam(tracker, query, 'address') : undefined,
+      since: optionalDate(query, 'since'),
+      until: optionalDate(query, 'until'),
+      // Clients read scores; only the CLI writes the history and notifies
+      save: false
+    });
+    state.scores.set(username, { username, totalScore: score.totalScore, calculatedAt: new Date().toISOString() });
+    return { username, ...score };
+  },
+
+  async githubActivity(tracker, query) {
+    const username = requireParam(query, 'username');
+    const range = { since: optionalDate(query, 'since'), until: optionalDate(query, 'until') };
+    const github = await tracker.trackGitHubActivity(username, range);
+    if (!github) throw new HttpError(502, `Failed to fetch GitHub activity for ${username}`);
+
+    const events = tracker.selectEvents(github, range);
+    return { username, totalEvents: github.totalEvents, events };
+  },
+
+  async baseContracts(tracker, query) {
+    const address = await addressParam(tracker, query, 'address');
+    const contracts = await tracker.checkBaseContracts(address, {
+      fromBlock: optionalInteger(query, 'fromBlock'),
+      toBlock: optionalInteger(query, 'toBlock')
+    });
+    if (!contracts) throw new HttpError(502, `Failed to scan contracts for ${address}`);
+    return { address, ...contracts };
+  },
+
+  // Ranks every builder this server has scored since it started
+  async leaderboard(tracker, query, state) {
+    const entries = rankBuilders([...state.scores.values()]);
+    return { builders: entries.length, leaderboard: entries };
+  }
+};
+
+/**
+ * Create the API server. Call `listen()` on the result to start it.
+ * @param {Object} tracker - BuilderScoreTracker instance
+ * @param {Object} config - Network config with `endpoints` and `security` sections
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Key required when security.apiKeyRequired, defaults to API_KEY
+ * @param {Function} [options.now=Date.now] - Clock for rate limiting, injectable for tests
+ * @returns {http.Server} Unstarted server
+ */
+function createApiServer(tracker, config, { apiKey = process.env.API_KEY, now = Date.now } = {}) {
+  const { endpoints, security } = config;
+  if (security.apiKeyRequired && !apiKey) {
+    throw new Error('security.apiKeyRequired is set but no API key was provided (API_KEY)');
+  }
+
+  const routes = new Map(Object.entries(endpoints).map(([name, route]) => [route, HANDLERS[name]]));
+  const limiter = security.rateLimiting ? new RateLimiter({ ...security.rateLimit, now }) : null;
+  const state = { scores: new Map() };
+
+  function corsHeaders(origin) {
+    if (!security.corsEnabled || !origin || !security.allowedOrigins.includes(origin)) return {};
+    return {
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, X-API-Key, Authorization',
+      Vary: 'Origin'
+    };
+  }
+
+  function requestApiKey(req) {
+    const header = req.headers['x-api-key'];
+    if (header) return header;
+    const auth = req.headers.authorization || '';
+    return auth.startsWith('Bearer ') ? auth.slice(7) : null;
+  }
+
+  async function handle(req, res) {
+    const origin = req.headers.origin;
+    const headers = corsHeaders(origin);
+
+    if (origin && security.corsEnabled && !headers['Access-Control-Allow-Origin']) {
+      throw new HttpError(403, `Origin not allowed: ${origin}`);
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, headers);
+      res.end();
+      return;
+    }
+
+    // Counted per remote address and before the key check: keys are client
+    // input, so keying on them would hand out a fresh window per made-up key
+    if (limiter) {
+      const { allowed, remaining, reset } = limiter.hit(req.socket.remoteAddress);
+      headers['X-RateLimit-Limit'] = String(limiter.maxRequests);
+      headers['X-RateLimit-Remaining'] = String(remaining);
+      headers['X-RateLimit-Reset'] = String(Math.ceil(reset / 1000));
+      if (!allowed) {
+        headers['Retry-After'] = String(Math.ceil((reset - now()) / 1000));
+        sendJson(res, 429, { error: 'Too many requests' }, headers);
+        return;
+      }
+    }
+
+    if (security.apiKeyRequired && !keysMatch(requestApiKey(req), apiKey)) {
+      throw new HttpError(401, 'Missing or invalid API key');
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const handler = routes.get(url.pathname);
+    if (!handler) throw new HttpError(404, `Not found: ${url.pathname}`);
+    if (req.method !== 'GET') throw new HttpError(405, `Method not allowed: ${req.method}`);
+
+    const body = await handler(tracker, url.searchParams, state);
+    sendJson(res, 200, body, headers);
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      const status = error.status || 500;
+      sendJson(res, status, { error: status === 500 ? 'Internal server error' : error.message },
+        corsHeaders(req.headers.origin));
+      if (status === 500) tracker.logger.error('API request failed', { method: req.method, path: req.url, error });
+    });
+  });
+}
+
+module.exports = {
+  createApiServer,
+  RateLimiter,
+  HttpError,
+  HANDLERS
+};
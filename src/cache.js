@@ -0,0 +1,253 @@
+/**
+ * Cache Layer
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * TTL caches with LRU eviction implementing the `cache` config section.
+ * Both backends share one async interface so they can be swapped freely.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {*} value - Cached value (must be JSON-serializable for the file backend)
+ * @property {number} expiresAt - Millisecond timestamp after which the entry is stale
+ * @property {Object} [meta] - Extra data kept with the value, e.g. { etag }
+ */
+
+/**
+ * In-memory cache. A Map keeps insertion order, so re-inserting on read
+ * makes its first key the least recently used.
+ */
+class MemoryCache {
+  /**
+   * @param {Object} options
+   * @param {number} [options.ttl=300] - Default time-to-live in seconds
+   * @param {number} [options.maxSize=1000] - Entries kept before evicting
+   * @param {string} [options.strategy='lru'] - 'lru' or 'fifo' eviction
+   * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+   */
+  constructor({ ttl = 300, maxSize = 1000, strategy = 'lru', now = Date.now } = {}) {
+    if (!['lru', 'fifo'].includes(strategy)) throw new Error(`Unknown cache strategy: ${strategy}`);
+    this.ttl = ttl;
+    this.maxSize = maxSize;
+    this.strategy = strategy;
+    this.now = now;
+    this.entries = new Map();
+  }
+
+  /**
+   * Read an entry whether or not it has expired, for conditional revalidation.
+   * @param {string} key - Cache key
+   * @returns {Promise<?CacheEntry>} Entry or null
+   */
+  async peek(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (this.strategy === 'lru') {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Read a fresh value.
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Value, or undefined when missing or expired
+   */
+  async get(key) {
+    const entry = await this.peek(key);
+    return entry && entry.expiresAt > this.now() ? entry.value : undefined;
+  }
+
+  /**
+   * Store a value.
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - Time-to-live in seconds, defaults to the cache ttl
+   * @param {Object} [options.meta] - Extra data kept with the value
+   */
+  async set(key, value, { ttl = this.ttl, meta } = {}) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: this.now() + ttl * 1000, meta });
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * On-disk cache that survives restarts: one JSON file per key, named by
+ * the key's SHA-256. File mtimes track last use for LRU eviction. The
+ * directory is only scanned when the files written since the last scan
+ * may take it past maxSize, and each eviction frees a tenth of maxSize.
+ */
+class FileCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory holding cache files
+   * @param {number} [options.ttl=300] - Default time-to-live in seconds
+   * @param {number} [options.maxSize=1000] - Files kept before evicting
+   * @param {string} [options.strategy='lru'] - 'lru' or 'fifo' eviction
+   * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+   */
+  constructor({ dir, ttl = 300, maxSize = 1000, strategy = 'lru', now = Date.now }) {
+    if (!['lru', 'fifo'].includes(strategy)) throw new Error(`Unknown cache strategy: ${strategy}`);
+    this.dir = dir;
+    this.ttl = ttl;
+    this.maxSize = maxSize;
+    this.strategy = strategy;
+    this.now = now;
+    // Files in the directory as of the last scan plus those written since; null until the first scan
+    this.count = null;
+    this.evicting = null;
+  }
+
+  fileFor(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  async peek(key) {
+    const file = this.fileFor(key);
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+      throw error;
+    }
+    if (entry.key !== key) return null;
+
+    if (this.strategy === 'lru') {
+      const time = new Date(this.now());
+      await fs.utimes(file, time, time).catch(() => {});
+    }
+    return { value: entry.value, expiresAt: entry.expiresAt, meta: entry.meta };
+  }
+
+  async get(key) {
+    const entry = await this.peek(key);
+    return entry && entry.expiresAt > this.now() ? entry.value : undefined;
+  }
+
+  async set(key, value, { ttl = this.ttl, meta } = {}) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const file = this.fileFor(key);
+    const temp = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    const entry = { key, value, expiresAt: this.now() + ttl * 1000, meta };
+
+    // Write then rename so readers never see a partial file. The random part
+    // keeps concurrent sets of one key from renaming each other's temp file
+    await fs.writeFile(temp, JSON.stringify(entry));
+    await fs.rename(temp, file);
+    const time = new Date(this.now());
+    await fs.utimes(file, time, time);
+    if (this.count === null || ++this.count > this.maxSize) await this.evict();
+  }
+
+  /**
+   * Count the cache files and, beyond maxSize, remove the least recently
+   * used (fifo: oldest) until a tenth of maxSize is free. Concurrent calls
+   * share one scan.
+   * @returns {Promise<void>}
+   */
+  evict() {
+    if (!this.evicting) {
+      this.evicting = this.scan().finally(() => {
+        this.evicting = null;
+      });
+    }
+    return this.evicting;
+  }
+
+  async scan() {
+    const names = (await fs.readdir(this.dir)).filter(name => name.endsWith('.json'));
+    if (names.length <= this.maxSize) {
+      this.count = names.length;
+      return;
+    }
+
+    const files = (await Promise.all(names.map(async name => {
+      const file = path.join(this.dir, name);
+      try {
+        const stat = await fs.stat(file);
+        return { file, used: this.strategy === 'lru' ? stat.mtimeMs : stat.birthtimeMs };
+      } catch (error) {
+        // Removed since the readdir, e.g. by another process evicting the same directory
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }))).filter(Boolean);
+    files.sort((a, b) => a.used - b.used);
+    const keep = this.maxSize - Math.floor(this.maxSize / 10);
+    const removed = files.slice(0, Math.max(files.length - keep, 0));
+    await Promise.all(removed.map(({ file }) => fs.rm(file, { force: true })));
+    this.count = files.length - removed.length;
+  }
+
+  async delete(key) {
+    await fs.rm(this.fileFor(key), { force: true });
+  }
+
+  async clear() {
+    await fs.rm(this.dir, { recursive: true, force: true });
+    this.count = 0;
+  }
+}
+
+/**
+ * Build the cache backend described by the `cache` config section.
+ * @param {Object} cacheConfig - `cache` section of the config
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock, injectable for tests
+ * @returns {MemoryCache|FileCache} Cache instance
+ */
+function createCache(cacheConfig, { now } = {}) {
+  const { backend = 'memory', dir, ttl, maxSize, strategy } = cacheConfig;
+  switch (backend) {
+    case 'memory':
+      return new MemoryCache({ ttl, maxSize, strategy, now });
+    case 'file':
+      return new FileCache({ dir: path.resolve(dir), ttl, maxSize, strategy, now });
+    default:
+      throw new Error(`Unknown cache backend: ${backend}`);
+  }
+}
+
+/**
+ * Return a fresh cached value or compute and store it.
+ * Null and undefined results are treated as failures and never cached.
+ * @param {Object} cache - Cache instance
+ * @param {string} key - Cache key
+ * @param {Function} compute - async () => value
+ * @param {Object} [options] - set() options, e.g. { ttl }
+ * @returns {Promise<*>} Cached or computed value
+ */
+async function memoize(cache, key, compute, options) {
+  const cached = await cache.get(key);
+  if (cached !== undefined) return cached;
+
+  const value = await compute();
+  if (value !== null && value !== undefined) await cache.set(key, value, options);
+  return value;
+}
+
+module.exports = {
+  MemoryCache,
+  FileCache,
+  createCache,
+  memoize
+};
@@ -0,0 +1,684 @@
+/**
+ * Builder Score CLI
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Subcommands over BuilderScoreTracker with table/JSON output and
+ * exit codes suitable for gating CI jobs.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { createApiServer } = require('./api-server');
+const { loadConfig } = require('./config-loader');
+const { createLogger } = require('./logger');
+const { UNCATEGORIZED } = require('./repository-classifier');
+const { summarizeQuality } = require('./quality-analyzer');
+const { SCHEMES } = require('./identity-linker');
+const { renderReport, REPORT_FORMATS } = require('./report-exporter');
+const { loadRoster, loadPreviousRun, saveRun, buildLeaderboard } = require('./leaderboard');
+const { simulateRewards } = require('./reward-simulator');
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  BELOW_MIN_SCORE: 3,
+  PARTIAL_FAILURE: 4
+};
+
+const USAGE = `Usage: track-builder-score <command> [arguments] [options]
+
+Commands:
+  score <username>       Calculate the Builder Score
+  github <username>      Summarize GitHub activity
+  streak <username>      Current and longest contribution streaks
+  contracts <address>    List contracts deployed by an address
+  onchain <address>      Transactions, gas, interactions and verified deployments of an address
+  network                Check Base network connectivity
+  tips <username>        Next actions ranked by expected points per hour
+  countdown              Time left in the contest and final-sprint status
+  report <username>      Network, activity, score and tips in one run
+  export <username>      Score report as Markdown, HTML, JSON or CSV (--type, --output)
+  leaderboard <roster>   Score and rank every builder in a roster JSON file
+  history <username>     Score trend, week-over-week change and personal bests
+  link <username> <address>
+                         Start linking a GitHub account to a Base address
+  verify-link <username> Verify the signed link challenge (--signature, --proof)
+  whois <identity>       GitHub account or address linked to a username or address
+  watch <username>       Follow the score live from new blocks and GitHub events until interrupted
+  simulate <scenario>    Project YieldFarmingStrategy rewards and APR from a scenario JSON file
+  serve                  Serve the HTTP API until interrupted
+
+Options:
+  --since <date>         Start of the date range (ISO-8601, inclusive)
+  --until <date>         End of the date range (ISO-8601, inclusive for plain dates)
+  --address <address>    Base address whose deployments count towards the score
+  --from-block <n>       First block to scan for contracts
+  --to-block <n>         Last block to scan for contracts
+  --min-score <n>        Exit with code ${EXIT_CODES.BELOW_MIN_SCORE} when the score is below n
+  --format <format>      Output format: table (default) or json
+  --config <path>        Config file, defaults to test/config/base-network.config.js
+  --network <profile>    Network profile: base, base-sepolia or local (or BASE_NETWORK)
+  --port <n>             Port for serve, defaults to server.port in the config
+  --state <path>         Previous leaderboard run (defaults to <roster>.last.json) or watch cursor
+                         (defaults to <watch.dir>/<username>.json)
+  --interval <interval>  History grouping: day (default) or week
+  --signature <hex>      Signature of the link challenge
+  --proof <url>          Gist or repository file URL containing the signature
+  --scheme <scheme>      Link signature scheme: eip191 (default) or eip712
+  --type <type>          Export format: markdown (default), html, json or csv
+  --output <path>        Write the export to a file instead of stdout
+  --record               Save every GitHub and RPC response to fixtures.dir
+  --offline              Answer from the responses in fixtures.dir, without network access
+  -h, --help             Show this help
+
+Exit codes:
+  ${EXIT_CODES.OK}  success
+  ${EXIT_CODES.FAILURE}  a network or API call failed
+  ${EXIT_CODES.USAGE}  invalid command or option
+  ${EXIT_CODES.BELOW_MIN_SCORE}  score below --min-score
+  ${EXIT_CODES.PARTIAL_FAILURE}  some score sources or leaderboard builders could not be reached`;
+
+const OPTIONS = {
+  since: { type: 'string' },
+  until: { type: 'string' },
+  address: { type: 'string' },
+  'from-block': { type: 'string' },
+  'to-block': { type: 'string' },
+  'min-score': { type: 'string' },
+  format: { type: 'string', default: 'table' },
+  config: { type: 'string' },
+  network: { type: 'string' },
+  port: { type: 'string' },
+  state: { type: 'string' },
+  interval: { type: 'string', default: 'day' },
+  signature: { type: 'string' },
+  proof: { type: 'string' },
+  scheme: { type: 'string', default: 'eip191' },
+  type: { type: 'string', default: 'markdown' },
+  output: { type: 'string' },
+  record: { type: 'boolean' },
+  offline: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+/**
+ * Parse a --since/--until value. A plain --until date covers that whole day.
+ * @param {string} value - ISO-8601 date or date-time
+ * @param {string} name - Option name for error messages
+ * @param {boolean} [endOfDay=false] - Move plain dates to the start of the next day
+ * @returns {Date} Parsed date
+ */
+function parseDate(value, name, endOfDay = false) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new UsageError(`Invalid --${name} date: ${value}`);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+}
+
+function parseInteger(value, name) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value)) throw new UsageError(`Invalid --${name}: ${value}`);
+  return Number(value);
+}
+
+/**
+ * Flatten nested data into [key, value] rows using dotted keys.
+ * @param {Object} data - Data to flatten
+ * @param {string} [prefix] - Key prefix for recursion
+ * @returns {Array<[string, string]>} Rows
+ */
+function flatten(data, prefix = '') {
+  return Object.entries(data).flatMap(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (Array.isArray(value)) {
+      const primitive = value.every(item => item === null || typeof item !== 'object');
+      if (!primitive) return [[name, `[${value.length} items]`]];
+      return value.map((item, i) => [`${name}.${i + 1}`, String(item)]);
+    }
+    if (value && typeof value === 'object') return flatten(value, name);
+    return [[name, String(value)]];
+  });
+}
+
+/**
+ * Render data as a two-column key/value table.
+ * @param {Object} data - Data to render
+ * @returns {string} Table text
+ */
+function formatTable(data) {
+  const rows = flatten(data);
+  const width = Math.max(...rows.map(([key]) => key.length), 0);
+  return rows.map(([key, value]) => `${key.padEnd(width)}  ${value}`).join('\n');
+}
+
+/**
+ * Render rows as an aligned table with a header line.
+ * @param {Object[]} rows - Row objects
+ * @param {Array<[string, Function]>} columns - [heading, row => cell] pairs
+ * @returns {string} Table text
+ */
+function formatColumns(rows, columns) {
+  const cells = [
+    columns.map(([heading]) => heading),
+    ...rows.map(row => columns.map(([, cell]) => String(cell(row))))
+  ];
+  const widths = columns.map((_, i) => Math.max(...cells.map(line => line[i].length)));
+  return cells
+    .map(line => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd())
+    .join('\n');
+}
+
+function formatOutput(data, format) {
+  return format === 'json' ? JSON.stringify(data, null, 2) : formatTable(data);
+}
+
+const signed = value => (value > 0 ? `+${value}` : String(value));
+
+const LEADERBOARD_COLUMNS = [
+  ['Rank', entry => entry.rank ?? '-'],
+  ['Move', entry => (entry.delta ? signed(entry.delta.rank) : 'new')],
+  ['Builder', entry => {
+    const name = entry.name || entry.primaryName;
+    return name ? `${name} (${entry.username})` : entry.username;
+  }],
+  ['Score', entry => entry.totalScore ?? '-'],
+  ['Change', entry => (entry.delta ? signed(entry.delta.score) : '')],
+  ['Status', entry => entry.error ? `failed: ${entry.error}` : 'ok']
+];
+
+const HISTORY_COLUMNS = [
+  ['Period', entry => entry.period],
+  ['Score', entry => entry.totalScore],
+  ['Best', entry => entry.best],
+  ['Change', entry => (entry.delta === null ? '' : signed(entry.delta))],
+  ['Runs', entry => entry.runs]
+];
+
+const SIMULATION_COLUMNS = [
+  ['User', entry => entry.user],
+  ['Pool', entry => entry.pid],
+  ['Staked', entry => entry.staked],
+  ['Claimed', entry => entry.claimed],
+  ['Pending', entry => entry.pending],
+  ['Unpaid', entry => entry.unpaid],
+  ['Projected', entry => entry.projected],
+  ['Shortfall', entry => entry.shortfall],
+  ['APR', entry => (entry.apr === null ? '-' : `${entry.apr}%`)]
+];
+
+const formatBest = best => (best ? `${best.value} (${best.recordedAt.slice(0, 10)})` : '-');
+
+const WATCH_EVENTS = ['scoreChanged', 'contractDeployed', 'githubActivity', 'streakAtRisk', 'thresholdMet'];
+
+/**
+ * One line for a watcher event, see score-watcher.
+ * @param {string} name - Event name
+ * @param {Object} payload - Event payload
+ * @returns {string} Line text
+ */
+function formatWatchEvent(name, payload) {
+  switch (name) {
+    case 'scoreChanged':
+      return payload.previous === null
+        ? `Score ${payload.current}`
+        : `Score ${payload.previous} -> ${payload.current} (${signed(payload.delta)}, ${payload.reason})`;
+    case 'contractDeployed': {
+      const { contract } = payload;
+      const type = contract.classification ? ` ${contract.classification.type}` : '';
+      return `Contract deployed:${type} ${contract.address} in block ${contract.blockNumber}`;
+    }
+    case 'githubActivity':
+      return `GitHub: ${payload.events.map(event => `${event.type} ${event.repo ? event.repo.name : ''}`.trim()).join(', ')}`;
+    case 'streakAtRisk':
+      return `Streak at risk: ${payload.streak.warning}`;
+    default:
+      return `Threshold met: ${payload.name} (${payload.actual}/${payload.required})`;
+  }
+}
+
+function countBy(events, key) {
+  return events.reduce((counts, event) => {
+    const value = key(event);
+    counts[value] = (counts[value] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+// Commands that never touch the chain skip the chain ID check
+const OFFLINE_COMMANDS = new Set(['countdown', 'github', 'streak', 'history', 'link', 'verify-link', 'whois', 'simulate']);
+
+function requireArgument(value, name) {
+  if (!value) throw new UsageError(`Missing <${name}> argument`);
+  return value;
+}
+
+const COMMANDS = {
+  async score(tracker, [username], options) {
+    requireArgument(username, 'username');
+    const score = await tracker.calculateBuilderScore(username, {
+      address: options.address,
+      since: options.since,
+      until: options.until,
+      save: options.save
+    });
+    const result = { username, ...score };
+
+    // An unreachable source scores zero, which must not pass for a low score
+    const { failures = [] } = score;
+    if (failures.length > 0) {
+      const nothingScored = failures.includes('github') && failures.includes('network');
+      return { result, exitCode: nothingScored ? EXIT_CODES.FAILURE : EXIT_CODES.PARTIAL_FAILURE };
+    }
+    if (options.minScore !== undefined && score.totalScore < options.minScore) {
+      return { result, exitCode: EXIT_CODES.BELOW_MIN_SCORE };
+    }
+    return { result };
+  },
+
+  async github(tracker, [username], options) {
+    requireArgument(username, 'username');
+    const github = await tracker.trackGitHubActivity(username, { since: options.since, until: options.until });
+    if (!github) return { exitCode: EXIT_CODES.FAILURE };
+
+    const events = tracker.selectEvents(github, options);
+    const { flaggedEvents, ...quality } = summarizeQuality(events);
+    const summary = {
+      username,
+      totalEvents: github.totalEvents,
+      selectedEvents: events.length,
+      byType: countBy(events, event => event.type),
+      byCategory: countBy(events, event => (event.classification ? event.classification.category : UNCATEGORIZED)),
+      quality
+    };
+    return { result: options.format === 'json' ? { ...summary, flaggedEvents, events } : summary };
+  },
+
+  async streak(tracker, [username]) {
+    requireArgument(username, 'username');
+    const github = await tracker.trackGitHubActivity(username);
+    if (!github) return { exitCode: EXIT_CODES.FAILURE };
+
+    const streak = await tracker.trackStreaks(username, github);
+    return { result: { username, ...streak } };
+  },
+
+  async contracts(tracker, [input], options) {
+    const address = await tracker.resolveAddress(requireArgument(input, 'address'));
+    const contracts = await tracker.checkBaseContracts(address, {
+      fromBlock: options.fromBlock,
+      toBlock: options.toBlock
+    });
+    if (!contracts) return { exitCode: EXIT_CODES.FAILURE };
+
+    return {
+      result: {
+        address,
+        totalContracts: contracts.totalContracts,
+        recentContracts: contracts.recentContracts.length,
+        complete: contracts.complete,
+        contractTypes: contracts.contractTypes,
+        contracts: contracts.recentContracts.map(c => `${c.address} (${c.classification.type})`)
+      }
+    };
+  },
+
+  async onchain(tracker, [address], options) {
+    requireArgument(address, 'address');
+    const profile = await tracker.getOnchainProfile(address, {
+      fromBlock: options.fromBlock,
+      toBlock: options.toBlock
+    });
+    if (!profile) return { exitCode: EXIT_CODES.FAILURE };
+
+    const { contracts, ...summary } = profile;
+    return { result: { ...summary, contractTypes: contracts.contractTypes } };
+  },
+
+  async network(tracker) {
+    const blockNumber = await tracker.checkBaseNetwork();
+    if (blockNumber === null) return { exitCode: EXIT_CODES.FAILURE };
+    return { result: { rpcUrl: tracker.baseRpcUrl, blockNumber } };
+  },
+
+  async tips(tracker, [username], options) {
+    requireArgument(username, 'username');
+    const score = await tracker.calculateBuilderScore(username, { address: options.address, save: false });
+    return { result: { username, tips: tracker.getOptimizationTips(score) } };
+  },
+
+  async countdown(tracker) {
+    return { result: tracker.getCountdown() };
+  },
+
+  async report(tracker, args, options) {
+    const [username] = args;
+    requireArgument(username, 'username');
+    const network = await COMMANDS.network(tracker, args, options);
+    const score = await COMMANDS.score(tracker, args, { ...options, save: false });
+
+    return {
+      result: {
+        network: network.result || null,
+        contest: tracker.getCountdown(),
+        ...score.result,
+        tips: tracker.getOptimizationTips(score.result)
+      },
+      exitCode: network.exitCode || score.exitCode
+    };
+  },
+
+  async export(tracker, [username], options) {
+    requireArgument(username, 'username');
+    const report = await tracker.generateReport(username, {
+      address: options.address,
+      since: options.since,
+      until: options.until,
+      interval: options.interval
+    });
+    const document = renderReport(report, options.type);
+    if (!options.output) return { document };
+
+    await fs.promises.writeFile(options.output, document);
+    return { result: { username, type: options.type, output: options.output, totalScore: report.totalScore } };
+  },
+
+  async leaderboard(tracker, [rosterPath], options) {
+    requireArgument(rosterPath, 'roster');
+    const statePath = options.state || rosterPath.replace(/(\.json)?$/, '.last.json');
+    const roster = loadRoster(rosterPath);
+
+    const leaderboard = await buildLeaderboard(tracker, roster, {
+      previous: loadPreviousRun(statePath),
+      scoreOptions: { since: options.since, until: options.until }
+    });
+    saveRun(statePath, leaderboard);
+
+    let exitCode = EXIT_CODES.OK;
+    if (leaderboard.failures === roster.length && roster.length > 0) exitCode = EXIT_CODES.FAILURE;
+    else if (leaderboard.failures > 0) exitCode = EXIT_CODES.PARTIAL_FAILURE;
+
+    return {
+      result: leaderboard,
+      table: formatColumns(leaderboard.entries, LEADERBOARD_COLUMNS),
+      exitCode
+    };
+  },
+
+  async history(tracker, [username], options) {
+    requireArgument(username, 'username');
+    const [series, weekOverWeek, personalBests] = await Promise.all([
+      tracker.history.timeSeries(username, {
+        interval: options.interval,
+        since: options.since,
+        until: options.until
+      }),
+      tracker.history.weekOverWeek(username),
+      tracker.history.personalBests(username)
+    ]);
+
+    const { delta, percent } = weekOverWeek;
+    const summary = formatTable({
+      username,
+      thisWeek: weekOverWeek.totalScore ?? '-',
+      lastWeek: weekOverWeek.previousScore ?? '-',
+      weekOverWeek: delta === null ? '-' : `${signed(delta)}${percent === null ? '' : ` (${signed(percent)}%)`}`,
+      bestScore: formatBest(personalBests.totalScore),
+      bestGitHub: formatBest(personalBests.github),
+      bestBase: formatBest(personalBests.base)
+    });
+
+    return {
+      result: { username, interval: options.interval, weekOverWeek, personalBests, series },
+      table: series.length > 0
+        ? `${summary}\n\n${formatColumns(series, HISTORY_COLUMNS)}`
+        : `${summary}\n\nNo scores recorded for ${username} yet`
+    };
+  },
+
+  async link(tracker, [username, address]) {
+    requireArgument(username, 'username');
+    requireArgument(address, 'address');
+    const challenge = await tracker.startIdentityLink(username, address);
+    const { message, typedData, expiresAt } = challenge;
+
+    return {
+      result: { username, address: challenge.address, expiresAt, message, typedData },
+      table: [
+        `Sign this message with ${challenge.address} (or the typed data with --format json and --scheme eip712):`,
+        '',
+        message,
+        '',
+        `Publish the signature in a gist or a file in one of ${username}'s repositories, then run`,
+        `  verify-link ${username} --signature <hex> --proof <url>`,
+        `before ${expiresAt}.`
+      ].join('\n')
+    };
+  },
+
+  async 'verify-link'(tracker, [username], options) {
+    requireArgument(username, 'username');
+    if (!options.signature) throw new UsageError('Missing --signature option');
+    if (!options.proof) throw new UsageError('Missing --proof option');
+
+    const link = await tracker.completeIdentityLink(username, {
+      signature: options.signature,
+      proofUrl: options.proof,
+      scheme: options.scheme
+    });
+    return { result: link };
+  },
+
+  async simulate(tracker, [scenarioPath]) {
+    requireArgument(scenarioPath, 'scenario');
+    const scenario = JSON.parse(await fs.promises.readFile(scenarioPath, 'utf8'));
+    let simulation;
+    try {
+      simulation = simulateRewards(scenario);
+    } catch (error) {
+      if (error.block !== undefined) error.message = `Block ${error.block}: ${error.message}`;
+      throw error;
+    }
+    return {
+      result: simulation,
+      table: `Block ${simulation.endBlock}, ${simulation.rewardPerBlock} rewards per block\n\n${formatColumns(simulation.users, SIMULATION_COLUMNS)}`
+    };
+  },
+
+  async whois(tracker, [identity]) {
+    requireArgument(identity, 'identity');
+    const link = await tracker.identities.resolve(await tracker.resolveAddress(identity));
+    if (!link) throw new Error(`No verified link for ${identity}`);
+    return { result: link };
+  },
+
+  // Prints events as they happen; resolves once the watcher has saved its cursor after SIGINT/SIGTERM
+  async watch(tracker, [username], options, { stdout }) {
+    requireArgument(username, 'username');
+    const watcher = tracker.createWatcher(username, { address: options.address, file: options.state });
+    WATCH_EVENTS.forEach(name => watcher.on(name, payload => {
+      // One JSON object per line, without the full score and contract bytecode
+      stdout.write(`${options.format === 'json'
+        ? JSON.stringify({ event: name, ...payload }, (key, value) => (['score', 'bytecode'].includes(key) ? undefined : value))
+        : formatWatchEvent(name, payload)}\n`);
+    }));
+    await watcher.start();
+
+    await new Promise(resolve => {
+      const shutdown = () => {
+        process.off('SIGINT', shutdown);
+        process.off('SIGTERM', shutdown);
+        watcher.stop().then(resolve, resolve);
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+    });
+    return {};
+  },
+
+  // Resolves once the server has shut down after SIGINT/SIGTERM
+  async serve(tracker, args, options) {
+    const { server: defaults } = tracker.config;
+    const server = createApiServer(tracker, tracker.config);
+    const port = options.port ?? defaults.port;
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, defaults.host, resolve);
+    });
+    tracker.logger.info('API listening', { url: `http://${defaults.host}:${server.address().port}` });
+
+    await new Promise(resolve => {
+      const shutdown = () => {
+        process.off('SIGINT', shutdown);
+        process.off('SIGTERM', shutdown);
+        server.close(resolve);
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+    });
+    return {};
+  }
+};
+
+/**
+ * Parse argv into a command, positional arguments and typed options.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{ command: string, args: string[], options: Object }}
+ */
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...args] = positionals;
+  if (!['table', 'json'].includes(values.format)) {
+    throw new UsageError(`Unknown --format: ${values.format}`);
+  }
+  if (!['day', 'week'].includes(values.interval)) {
+    throw new UsageError(`Unknown --interval: ${values.interval}`);
+  }
+  if (!SCHEMES.includes(values.scheme)) {
+    throw new UsageError(`Unknown --scheme: ${values.scheme}`);
+  }
+  if (!REPORT_FORMATS.includes(values.type)) {
+    throw new UsageError(`Unknown --type: ${values.type}`);
+  }
+  if (values.record && values.offline) {
+    throw new UsageError('--record and --offline cannot be combined');
+  }
+
+  return {
+    command,
+    args,
+    options: {
+      help: values.help,
+      format: values.format,
+      config: values.config,
+      network: values.network,
+      address: values.address,
+      since: values.since && parseDate(values.since, 'since'),
+      until: values.until && parseDate(values.until, 'until', true),
+      fromBlock: parseInteger(values['from-block'], 'from-block'),
+      toBlock: parseInteger(values['to-block'], 'to-block'),
+      minScore: parseInteger(values['min-score'], 'min-score'),
+      port: parseInteger(values.port, 'port'),
+      state: values.state,
+      interval: values.interval,
+      signature: values.signature,
+      proof: values.proof,
+      scheme: values.scheme,
+      type: values.type,
+      output: values.output,
+      record: values.record,
+      offline: values.offline
+    }
+  };
+}
+
+/**
+ * Run the CLI.
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} [io]
+ * @param {Object} [io.stdout=process.stdout] - Destination for results
+ * @param {Object} [io.stderr=process.stderr] - Destination for progress and errors
+ * @param {Function} [io.createTracker] - Tracker factory, injectable for tests
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, {
+  stdout = process.stdout,
+  stderr = process.stderr,
+  createTracker = (config, options) => new (require('../index'))(config, options)
+} = {}) {
+  const writeError = (...parts) => stderr.write(`${parts.join(' ')}\n`);
+
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (error) {
+    writeError(error.message);
+    writeError(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  const { command, args, options } = parsed;
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.OK;
+  }
+  if (!COMMANDS[command]) {
+    writeError(command ? `Unknown command: ${command}` : 'Missing command');
+    writeError(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  let tracker;
+  try {
+    // Log records and notifications go to stderr so stdout stays machine-readable
+    const config = loadConfig(options.config, { network: options.network });
+    if (options.record || options.offline) {
+      config.fixtures = { ...config.fixtures, mode: options.offline ? 'replay' : 'record' };
+    }
+    tracker = createTracker(config, {
+      logger: createLogger(config.logging, { stream: stderr }),
+      notificationStream: stderr
+    });
+    if (!OFFLINE_COMMANDS.has(command)) await tracker.verifyNetwork();
+    const { result, table, document, exitCode = EXIT_CODES.OK } = await COMMANDS[command](tracker, args, options, { stdout });
+    // Finished documents (export) print as they are, whatever the --format
+    if (document) {
+      stdout.write(document);
+      return exitCode;
+    }
+    // Commands may supply their own table layout instead of the key/value one
+    const output = table && options.format === 'table' ? table : result && formatOutput(result, options.format);
+    if (output) stdout.write(`${output}\n`);
+    return exitCode;
+  } catch (error) {
+    writeError(error.message);
+    if (error instanceof UsageError) {
+      writeError(USAGE);
+      return EXIT_CODES.USAGE;
+    }
+    return EXIT_CODES.FAILURE;
+  } finally {
+    if (tracker) tracker.close();
+  }
+}
+
+module.exports = {
+  main,
+  parseCommandLine,
+  formatTable,
+  formatColumns,
+  formatOutput,
+  COMMANDS,
+  EXIT_CODES,
+  UsageError
+};
@@ -0,0 +1,63 @@
+/**
+ * Concurrency Helpers
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Bounded-parallelism mapping driven by the `performance` config section.
+ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Map items through an async function with bounded parallelism.
+ *
+ * Items are processed in batches of `batchSize`; inside a batch at most
+ * `concurrency` calls run at once, and each worker waits `requestDelay`
+ * between the calls it starts. A rejected call does not stop the others:
+ * every item settles to { status, value | reason } like Promise.allSettled.
+ *
+ * @param {Array} items - Items to process
+ * @param {Function} fn - async (item, index) => result
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=5] - Maximum calls in flight
+ * @param {number} [options.batchSize=100] - Items per batch
+ * @param {number} [options.requestDelay=0] - Milliseconds between calls on one worker
+ * @param {Function} [options.sleep] - Delay function, injectable for tests
+ * @returns {Promise<Object[]>} Settled results in input order
+ */
+async function mapSettled(items, fn, {
+  concurrency = 5,
+  batchSize = 100,
+  requestDelay = 0,
+  sleep: delay = sleep
+} = {}) {
+  const results = new Array(items.length);
+
+  for (let start = 0; start < items.length; start += batchSize) {
+    const end = Math.min(start + batchSize, items.length);
+    let next = start;
+
+    const worker = async () => {
+      let first = true;
+      while (next < end) {
+        const index = next++;
+        if (!first && requestDelay > 0) await delay(requestDelay);
+        first = false;
+        try {
+          results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+        } catch (reason) {
+          results[index] = { status: 'rejected', reason };
+        }
+      }
+    };
+
+    const workers = Math.min(concurrency, end - start);
+    await Promise.all(Array.from({ length: workers }, worker));
+  }
+
+  return results;
+}
+
+module.exports = {
+  mapSettled,
+  sleep
+};
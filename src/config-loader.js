@@ -0,0 +1,509 @@
+/**
+ * Config Loader
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Loads the tracker config from an object or a file, applies a named
+ * network profile and environment overrides, then validates the result
+ * against SCHEMA so mistakes surface at startup with the offending path.
+ */
+
+const path = require('path');
+const { PRIORITY_ACTIVITIES } = require('./contest-window');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'test', 'config', 'base-network.config.js');
+
+/**
+ * Networks selectable with baseNetwork.profile, BASE_NETWORK or --network.
+ * A profile named in the config only fills in the baseNetwork fields the
+ * config leaves out; one picked with --network or BASE_NETWORK replaces
+ * them. BASE_RPC_URL and BASE_CHAIN_ID override either.
+ */
+const NETWORK_PROFILES = {
+  base: {
+    chainId: 8453,
+    name: 'Base',
+    rpcUrl: 'https://mainnet.base.org',
+    explorerUrl: 'https://basescan.org'
+  },
+  'base-sepolia': {
+    chainId: 84532,
+    name: 'Base Sepolia',
+    rpcUrl: 'https://sepolia.base.org',
+    explorerUrl: 'https://sepolia.basescan.org'
+  },
+  local: {
+    chainId: 31337,
+    name: 'Local',
+    rpcUrl: 'http://127.0.0.1:8545',
+    explorerUrl: null
+  }
+};
+
+// Environment variable -> config path. Values are coerced to the schema type.
+const ENV_OVERRIDES = {
+  BASE_RPC_URL: 'baseNetwork.rpcUrl',
+  BASE_CHAIN_ID: 'baseNetwork.chainId',
+  GITHUB_API_URL: 'github.apiUrl',
+  LOG_LEVEL: 'logging.level',
+  LOG_FORMAT: 'logging.format',
+  CACHE_BACKEND: 'cache.backend',
+  SERVER_PORT: 'server.port',
+  NAME_REGISTRY: 'names.registry',
+  ENS_RPC_URL: 'names.ensRpcUrl',
+  FIXTURES_MODE: 'fixtures.mode'
+};
+
+// Sections that configs written before them leave out. A section that is
+// there keeps its values; only the ones it leaves out are filled in.
+const SECTION_DEFAULTS = {
+  'baseNetwork.contractScan': { lookbackBlocks: 1800 },
+  'cache.ttlOverrides': { blockNumber: 2, names: 3600, scanCursor: 86400 }
+};
+
+const nonNegative = { type: 'number', min: 0 };
+const positiveInteger = { type: 'integer', min: 1 };
+const multiplier = { type: 'number', min: 0 };
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    baseNetwork: {
+      type: 'object',
+      required: ['chainId', 'rpcUrl'],
+      properties: {
+        profile: { type: 'string', enum: Object.keys(NETWORK_PROFILES) },
+        chainId: positiveInteger,
+        name: { type: 'string' },
+        rpcUrl: { type: 'url' },
+        explorerUrl: { type: 'url', nullable: true },
+        contractScan: {
+          type: 'object',
+          properties: { lookbackBlocks: positiveInteger }
+        }
+      }
+    },
+    builderScore: {
+      type: 'object',
+      required: ['weights', 'thresholds', 'bonuses'],
+      properties: {
+        weights: { type: 'object', values: nonNegative },
+        thresholds: { type: 'object', values: nonNegative },
+        bonuses: { type: 'object', values: multiplier },
+        streaks: {
+          type: 'object',
+          properties: { minDays: positiveInteger, atRiskHours: nonNegative }
+        },
+        effortHours: { type: 'object', values: { type: 'number', min: 0.1 } },
+        quality: {
+          type: 'object',
+          properties: {
+            minLines: { type: 'integer', min: 0 },
+            maxCommitsPerPush: positiveInteger,
+            maxRequests: { type: 'integer', min: 0 },
+            discounts: { type: 'object', values: { type: 'number', min: 0, max: 1 } }
+          }
+        }
+      }
+    },
+    github: {
+      type: 'object',
+      required: ['apiUrl'],
+      properties: {
+        apiUrl: { type: 'url' },
+        rateLimit: positiveInteger,
+        retryAttempts: { type: 'integer', min: 0 },
+        timeout: positiveInteger,
+        repositoryTypes: {
+          type: 'object',
+          values: {
+            type: 'object',
+            required: ['keywords'],
+            properties: {
+              keywords: { type: 'array', items: { type: 'string' } },
+              scoreMultiplier: multiplier
+            }
+          }
+        }
+      }
+    },
+    contest: {
+      type: 'object',
+      required: ['startDate', 'endDate'],
+      properties: {
+        startDate: { type: 'date' },
+        endDate: { type: 'date' },
+        timezone: { type: 'timezone' },
+        finalSprint: {
+          type: 'object',
+          properties: {
+            durationHours: { type: 'number', min: 0 },
+            multiplier,
+            priorityActivities: { type: 'array', items: { type: 'string', enum: Object.keys(PRIORITY_ACTIVITIES) } }
+          }
+        }
+      }
+    },
+    contractTypes: {
+      type: 'object',
+      values: {
+        type: 'object',
+        required: ['scoreMultiplier'],
+        properties: {
+          keywords: { type: 'array', items: { type: 'string' } },
+          scoreMultiplier: multiplier
+        }
+      }
+    },
+    server: {
+      type: 'object',
+      properties: {
+        host: { type: 'string' },
+        port: { type: 'integer', min: 0, max: 65535 }
+      }
+    },
+    endpoints: { type: 'object', values: { type: 'string', pattern: /^\//, patternHint: 'a path starting with /' } },
+    cache: {
+      type: 'object',
+      properties: {
+        ttl: nonNegative,
+        maxSize: positiveInteger,
+        strategy: { type: 'string', enum: ['lru', 'fifo'] },
+        backend: { type: 'string', enum: ['memory', 'file'] },
+        dir: { type: 'string' },
+        ttlOverrides: { type: 'object', values: nonNegative }
+      }
+    },
+    logging: {
+      type: 'object',
+      properties: {
+        level: { type: 'string', enum: ['error', 'warn', 'info', 'debug'] },
+        format: { type: 'string', enum: ['json', 'pretty'] },
+        destinations: { type: 'array', items: { type: 'string', enum: ['console', 'file'] } },
+        file: { type: 'string' },
+        maxFileSize: { type: 'size' },
+        maxFiles: positiveInteger
+      }
+    },
+    history: {
+      type: 'object',
+      properties: { file: { type: 'string' } }
+    },
+    names: {
+      type: 'object',
+      properties: {
+        registry: { type: 'string', nullable: true, pattern: /^0x[0-9a-fA-F]{40}$/, patternHint: 'a 0x address' },
+        reverseNamespace: { type: 'string', nullable: true },
+        ensRpcUrl: { type: 'url', nullable: true }
+      }
+    },
+    identity: {
+      type: 'object',
+      properties: {
+        file: { type: 'string' },
+        challengeTtlMinutes: positiveInteger
+      }
+    },
+    notifications: {
+      type: 'object',
+      properties: {
+        channels: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+              type: { type: 'string', enum: ['webhook', 'slack', 'stdout', 'desktop'] },
+              url: { type: 'url' },
+              headers: { type: 'object', values: { type: 'string' } }
+            }
+          }
+        },
+        milestones: { type: 'array', items: nonNegative },
+        quietHours: {
+          type: 'object',
+          nullable: true,
+          required: ['start', 'end'],
+          properties: {
+            start: { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/, patternHint: 'a time such as "22:00"' },
+            end: { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/, patternHint: 'a time such as "08:00"' }
+          }
+        },
+        file: { type: 'string' },
+        retentionDays: positiveInteger,
+        templates: {
+          type: 'object',
+          values: { type: 'object', properties: { title: { type: 'string' }, text: { type: 'string' } } }
+        }
+      }
+    },
+    fixtures: {
+      type: 'object',
+      properties: {
+        mode: { type: 'string', enum: ['off', 'record', 'replay'] },
+        dir: { type: 'string' }
+      }
+    },
+    watch: {
+      type: 'object',
+      properties: {
+        pollInterval: positiveInteger,
+        dir: { type: 'string' }
+      }
+    },
+    performance: {
+      type: 'object',
+      properties: {
+        batchSize: positiveInteger,
+        concurrency: positiveInteger,
+        requestDelay: { type: 'integer', min: 0 },
+        maxRetries: { type: 'integer', min: 0 }
+      }
+    },
+    security: {
+      type: 'object',
+      properties: {
+        rateLimiting: { type: 'boolean' },
+        rateLimit: {
+          type: 'object',
+          properties: { windowMs: positiveInteger, maxRequests: positiveInteger }
+        },
+        apiKeyRequired: { type: 'boolean' },
+        corsEnabled: { type: 'boolean' },
+        allowedOrigins: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  },
+  required: ['baseNetwork', 'builderScore', 'github', 'contest', 'contractTypes', 'cache', 'logging', 'performance']
+};
+
+/**
+ * Raised when a config fails validation. `errors` lists every problem.
+ */
+class ConfigError extends Error {
+  constructor(errors, source) {
+    super(`Invalid config${source ? ` in ${source}` : ''}:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// Set on loadConfig results so loading one again returns it unchanged
+const LOADED = Symbol('loadedConfig');
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value === 'string' ? `"${value}"` : `${typeof value} ${value}`;
+}
+
+// Deep copy of plain objects and arrays so loading never mutates a required module
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+// github.repositoryTypes entries were keyword arrays before they had a
+// scoreMultiplier; those still load, with the neutral multiplier
+function upgradeRepositoryTypes(config) {
+  const types = isPlainObject(config.github) ? config.github.repositoryTypes : null;
+  if (!isPlainObject(types)) return;
+  Object.entries(types).forEach(([category, type]) => {
+    if (Array.isArray(type)) types[category] = { keywords: type, scoreMultiplier: 1 };
+  });
+}
+
+function applySectionDefaults(config) {
+  Object.entries(SECTION_DEFAULTS).forEach(([dottedPath, defaults]) => {
+    const keys = dottedPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), config);
+    // A missing parent section or a section of the wrong type is left for validation to report
+    if (!isPlainObject(parent) || (parent[last] !== undefined && !isPlainObject(parent[last]))) return;
+    parent[last] = { ...defaults, ...parent[last] };
+  });
+}
+
+function schemaAt(dottedPath) {
+  return dottedPath.split('.').reduce((schema, key) => schema && schema.properties && schema.properties[key], SCHEMA);
+}
+
+function setPath(target, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+}
+
+function coerce(value, schema) {
+  if (!schema) return value;
+  if ((schema.type === 'integer' || schema.type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (schema.type === 'boolean' && /^(true|false)$/.test(value)) return value === 'true';
+  return value;
+}
+
+function checkType(value, schema) {
+  switch (schema.type) {
+    case 'object':
+      return isPlainObject(value) ? null : 'expected an object';
+    case 'array':
+      return Array.isArray(value) ? null : 'expected an array';
+    case 'string':
+      return typeof value === 'string' ? null : 'expected a string';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'expected true or false';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'expected a number';
+    case 'integer':
+      return Number.isInteger(value) ? null : 'expected an integer';
+    case 'url':
+      if (typeof value !== 'string') return 'expected a URL';
+      try {
+        const { protocol } = new URL(value);
+        return ['http:', 'https:', 'ws:', 'wss:'].includes(protocol) ? null : 'expected an http(s) or ws(s) URL';
+      } catch (error) {
+        return 'expected a URL';
+      }
+    case 'date':
+      return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? null : 'expected an ISO-8601 date';
+    case 'timezone':
+      if (typeof value !== 'string') return 'expected an IANA timezone';
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return null;
+      } catch (error) {
+        return 'expected an IANA timezone such as "UTC" or "America/New_York"';
+      }
+    case 'size':
+      return typeof value === 'number' || /^\s*\d+(\.\d+)?\s*(B|KB|MB|GB)?\s*$/i.test(String(value))
+        ? null
+        : 'expected a size such as "10MB"';
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+}
+
+/**
+ * Validate a value against a schema node.
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} at - Dotted path for messages
+ * @param {string[]} errors - Collected messages
+ */
+function validateNode(value, schema, at, errors) {
+  if (value === null && schema.nullable) return;
+
+  const typeError = checkType(value, schema);
+  if (typeError) {
+    errors.push(`${at}: ${typeError}, got ${describeValue(value)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: expected one of ${schema.enum.join(', ')}, got ${describeValue(value)}`);
+  }
+  if (schema.min !== undefined && value < schema.min) errors.push(`${at}: must be at least ${schema.min}, got ${value}`);
+  if (schema.max !== undefined && value > schema.max) errors.push(`${at}: must be at most ${schema.max}, got ${value}`);
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push(`${at}: expected ${schema.patternHint}, got ${describeValue(value)}`);
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => validateNode(item, schema.items, `${at}[${i}]`, errors));
+  }
+  if (schema.type === 'object') {
+    const prefix = at ? `${at}.` : '';
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${prefix}${key}: is required`);
+    });
+    Object.entries(value).forEach(([key, item]) => {
+      if (item === undefined) return;
+      const child = schema.properties ? schema.properties[key] : schema.values;
+      if (child) validateNode(item, child, `${prefix}${key}`, errors);
+    });
+  }
+}
+
+/**
+ * Validate a config against SCHEMA. Unknown keys are allowed.
+ * @param {Object} config - Config to check
+ * @returns {string[]} Error messages, empty when valid
+ */
+function validateConfig(config) {
+  const errors = [];
+  validateNode(config, SCHEMA, '', errors);
+
+  const { contest } = config || {};
+  if (contest && Date.parse(contest.endDate) <= Date.parse(contest.startDate)) {
+    errors.push('contest.endDate: must be after contest.startDate');
+  }
+  return errors;
+}
+
+/**
+ * Load and validate the tracker config. A config this function already
+ * returned is returned as it is: its profile and overrides were applied
+ * when it was loaded, and applying them again could change the network.
+ * @param {Object|string} [source] - Config object or path to a config module, defaults to
+ *   test/config/base-network.config.js
+ * @param {Object} [options]
+ * @param {string} [options.network] - Network profile, overrides BASE_NETWORK and baseNetwork.profile
+ * @param {Object} [options.env=process.env] - Environment for overrides
+ * @returns {Object} Validated config with the profile and overrides applied
+ * @throws {ConfigError} When the config is invalid
+ */
+function loadConfig(source = DEFAULT_CONFIG_PATH, { network, env = process.env } = {}) {
+  if (isPlainObject(source) && source[LOADED]) return source;
+
+  const file = typeof source === 'string' ? path.resolve(source) : null;
+  const config = clone(file ? require(file) : source);
+  if (!isPlainObject(config)) throw new ConfigError(['config: expected an object'], file);
+  if (!isPlainObject(config.baseNetwork)) config.baseNetwork = {};
+  upgradeRepositoryTypes(config);
+  applySectionDefaults(config);
+
+  const selected = network || env.BASE_NETWORK;
+  const profileName = selected || config.baseNetwork.profile;
+  if (profileName) {
+    const profile = NETWORK_PROFILES[profileName];
+    if (!profile) {
+      throw new ConfigError([
+        `baseNetwork.profile: unknown network "${profileName}", expected one of ${Object.keys(NETWORK_PROFILES).join(', ')}`
+      ], file);
+    }
+    config.baseNetwork = selected
+      ? { ...config.baseNetwork, ...profile, profile: profileName }
+      : { ...profile, ...config.baseNetwork, profile: profileName };
+  }
+
+  const overridden = {};
+  Object.entries(ENV_OVERRIDES).forEach(([name, dottedPath]) => {
+    if (env[name] === undefined || env[name] === '') return;
+    setPath(config, dottedPath, coerce(env[name], schemaAt(dottedPath)));
+    overridden[dottedPath] = name;
+  });
+
+  const errors = validateConfig(config).map(message => {
+    const dottedPath = message.slice(0, message.indexOf(':'));
+    return overridden[dottedPath] ? `${message} (from ${overridden[dottedPath]})` : message;
+  });
+  if (errors.length > 0) throw new ConfigError(errors, file);
+  Object.defineProperty(config, LOADED, { value: true });
+  return config;
+}
+
+module.exports = {
+  loadConfig,
+  validateConfig,
+  ConfigError,
+  NETWORK_PROFILES,
+  ENV_OVERRIDES,
+  DEFAULT_CONFIG_PATH
+};
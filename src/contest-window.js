@@ -0,0 +1,164 @@
+/**
+ * Contest Window
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Date math for the `contest` config section: whether activity falls inside
+ * the contest, whether it falls in the final sprint, and how long is left.
+ * Every calculation takes its time from an injectable clock.
+ */
+
+const { isMajorContribution } = require('./score-calculator');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const DOCS_PATTERN = /\b(docs?|readme|documentation|changelog)\b/i;
+
+function commitMessages(event) {
+  const payload = event.payload || {};
+  const messages = (payload.commits || []).map(commit => commit.message || '');
+  if (payload.pull_request) messages.push(payload.pull_request.title || '');
+  return messages;
+}
+
+/**
+ * GitHub events that count as each `finalSprint.priorityActivities` entry.
+ * smart_contract_deployment matches Base deployments, not GitHub events.
+ */
+const PRIORITY_ACTIVITIES = {
+  smart_contract_deployment: () => false,
+  major_pull_request: event => event.type === 'PullRequestEvent' && isMajorContribution(event),
+  documentation_update: event => ['PushEvent', 'PullRequestEvent'].includes(event.type) &&
+    commitMessages(event).some(message => DOCS_PATTERN.test(message)),
+  community_contribution: event => {
+    if (['IssuesEvent', 'IssueCommentEvent', 'PullRequestReviewEvent', 'PullRequestReviewCommentEvent'].includes(event.type)) {
+      return true;
+    }
+    // Pull requests to someone else's repository
+    const owner = event.repo && event.repo.name ? event.repo.name.split('/')[0] : null;
+    return event.type === 'PullRequestEvent' && Boolean(event.actor) && owner !== event.actor.login;
+  }
+};
+
+/**
+ * Whether a GitHub event is one of the configured priority activities.
+ * @param {Object} event - GitHub event
+ * @param {string[]} priorityActivities - `contest.finalSprint.priorityActivities`
+ * @returns {boolean} True when any listed activity matches
+ */
+function isPriorityActivity(event, priorityActivities) {
+  return priorityActivities.some(name => PRIORITY_ACTIVITIES[name] && PRIORITY_ACTIVITIES[name](event));
+}
+
+/**
+ * Render a duration as "2 days 3 hours 5 minutes", dropping zero units.
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Human-readable duration
+ */
+function formatDuration(ms) {
+  const total = Math.max(Math.floor(ms / MINUTE_MS), 0);
+  const units = [
+    ['day', Math.floor(total / (24 * 60))],
+    ['hour', Math.floor(total / 60) % 24],
+    ['minute', total % 60]
+  ].filter(([, value]) => value > 0);
+  if (units.length === 0) return 'less than a minute';
+  return units.map(([unit, value]) => `${value} ${unit}${value === 1 ? '' : 's'}`).join(' ');
+}
+
+class ContestWindow {
+  /**
+   * @param {Object} contest - `contest` section of the config
+   * @param {Object} [options]
+   * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+   */
+  constructor(contest, { now = Date.now } = {}) {
+    const { startDate, endDate, finalSprint = {} } = contest;
+    this.start = Date.parse(startDate);
+    this.end = Date.parse(endDate);
+    this.sprintMs = (finalSprint.durationHours ?? 24) * HOUR_MS;
+    this.sprintMultiplier = finalSprint.multiplier ?? 1;
+    this.priorityActivities = finalSprint.priorityActivities || [];
+    this.now = now;
+  }
+
+  get sprintStart() {
+    return this.end - this.sprintMs;
+  }
+
+  /**
+   * Whether a time is inside the contest (start and end inclusive).
+   * @param {string|number|Date} time - Timestamp
+   * @returns {boolean} True inside the window
+   */
+  contains(time) {
+    const t = new Date(time).getTime();
+    return t >= this.start && t <= this.end;
+  }
+
+  /**
+   * Whether a time falls in the final sprint at the end of the contest.
+   * @param {string|number|Date} time - Timestamp
+   * @returns {boolean} True inside the sprint
+   */
+  inFinalSprint(time) {
+    const t = new Date(time).getTime();
+    return t >= this.sprintStart && t <= this.end;
+  }
+
+  /**
+   * Final-sprint multiplier earned by a GitHub event.
+   * @param {Object} event - GitHub event with created_at
+   * @returns {number} finalSprint.multiplier for priority activities in the sprint, otherwise 1
+   */
+  eventMultiplier(event) {
+    if (!event.created_at || !this.inFinalSprint(event.created_at)) return 1;
+    return isPriorityActivity(event, this.priorityActivities) ? this.sprintMultiplier : 1;
+  }
+
+  /**
+   * Final-sprint multiplier earned by a Base deployment.
+   * @param {Object} contract - Deployed contract with created_at
+   * @returns {number} finalSprint.multiplier when deployments are a priority activity, otherwise 1
+   */
+  deploymentMultiplier(contract) {
+    if (!contract.created_at || !this.inFinalSprint(contract.created_at)) return 1;
+    return this.priorityActivities.includes('smart_contract_deployment') ? this.sprintMultiplier : 1;
+  }
+
+  /**
+   * Time left in the contest from the clock's current time.
+   * @returns {Object} { status, now, startDate, endDate, remainingMs, remaining, finalSprint, sprintStartsAt }
+   *   status is 'upcoming', 'active' or 'ended'; remaining counts to the start while upcoming
+   */
+  countdown() {
+    const now = this.now();
+    let status = 'active';
+    let remainingMs = this.end - now;
+    if (now < this.start) {
+      status = 'upcoming';
+      remainingMs = this.start - now;
+    } else if (now > this.end) {
+      status = 'ended';
+      remainingMs = 0;
+    }
+
+    return {
+      status,
+      now: new Date(now).toISOString(),
+      startDate: new Date(this.start).toISOString(),
+      endDate: new Date(this.end).toISOString(),
+      remainingMs,
+      remaining: status === 'ended' ? 'contest ended' : formatDuration(remainingMs),
+      finalSprint: status === 'active' && now >= this.sprintStart,
+      sprintStartsAt: new Date(this.sprintStart).toISOString()
+    };
+  }
+}
+
+module.exports = {
+  ContestWindow,
+  PRIORITY_ACTIVITIES,
+  isPriorityActivity,
+  formatDuration
+};
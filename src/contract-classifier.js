@@ -0,0 +1,259 @@
+/**
+ * Contract Classifier
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Classifies deployed contracts from their runtime bytecode by extracting
+ * the 4-byte function selectors the dispatcher compares against and
+ * matching them to known interface signatures.
+ */
+
+const { ethers } = require('ethers');
+
+const PUSH1 = 0x60;
+const PUSH3 = 0x62;
+const PUSH4 = 0x63;
+const PUSH32 = 0x7f;
+
+// EIP-1967 storage slots, pushed as PUSH32 constants by compliant proxies
+const EIP1967_SLOTS = {
+  implementation: '360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+  beacon: 'a3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50',
+  admin: 'b53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103'
+};
+
+// EIP-1167 minimal proxy runtime: prefix, 20-byte implementation, suffix
+const EIP1167_PATTERN = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i;
+
+// Minimum share of an interface's selectors that must be present to report it
+const MIN_CONFIDENCE = 0.75;
+
+/**
+ * Known interfaces, most specific first. `category` links each interface
+ * to a `contractTypes` entry in the config.
+ */
+const INTERFACES = [
+  {
+    name: 'ERC4626',
+    category: 'defi',
+    signatures: [
+      'asset()', 'totalAssets()', 'convertToShares(uint256)', 'convertToAssets(uint256)',
+      'maxDeposit(address)', 'previewDeposit(uint256)', 'deposit(uint256,address)',
+      'mint(uint256,address)', 'withdraw(uint256,address,address)', 'redeem(uint256,address,address)'
+    ]
+  },
+  {
+    name: 'UniswapV3Pool',
+    category: 'defi',
+    signatures: [
+      'slot0()', 'liquidity()', 'fee()', 'tickSpacing()', 'token0()', 'token1()',
+      'swap(address,bool,int256,uint160,bytes)', 'mint(address,int24,int24,uint128,bytes)',
+      'burn(int24,int24,uint128)', 'observe(uint32[])'
+    ]
+  },
+  {
+    name: 'UniswapV2Pool',
+    category: 'defi',
+    signatures: [
+      'getReserves()', 'token0()', 'token1()', 'swap(uint256,uint256,address,bytes)',
+      'mint(address)', 'burn(address)', 'sync()', 'skim(address)'
+    ]
+  },
+  {
+    name: 'Governor',
+    category: 'dao',
+    signatures: [
+      'propose(address[],uint256[],bytes[],string)', 'castVote(uint256,uint8)',
+      'state(uint256)', 'proposalSnapshot(uint256)', 'proposalDeadline(uint256)',
+      'quorum(uint256)', 'execute(address[],uint256[],bytes[],bytes32)',
+      'hashProposal(address[],uint256[],bytes[],bytes32)', 'votingDelay()', 'votingPeriod()'
+    ]
+  },
+  {
+    name: 'ERC1155',
+    category: 'nft',
+    signatures: [
+      'balanceOf(address,uint256)', 'balanceOfBatch(address[],uint256[])',
+      'setApprovalForAll(address,bool)', 'isApprovedForAll(address,address)',
+      'safeTransferFrom(address,address,uint256,uint256,bytes)',
+      'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)'
+    ]
+  },
+  {
+    name: 'ERC721',
+    category: 'nft',
+    signatures: [
+      'balanceOf(address)', 'ownerOf(uint256)', 'safeTransferFrom(address,address,uint256)',
+      'safeTransferFrom(address,address,uint256,bytes)', 'transferFrom(address,address,uint256)',
+      'approve(address,uint256)', 'setApprovalForAll(address,bool)', 'getApproved(uint256)',
+      'isApprovedForAll(address,address)'
+    ]
+  },
+  {
+    name: 'ERC20',
+    category: null,
+    signatures: [
+      'totalSupply()', 'balanceOf(address)', 'transfer(address,uint256)',
+      'transferFrom(address,address,uint256)', 'approve(address,uint256)', 'allowance(address,address)'
+    ]
+  },
+  {
+    name: 'Proxy',
+    category: 'infrastructure',
+    signatures: ['upgradeTo(address)', 'upgradeToAndCall(address,bytes)', 'implementation()', 'admin()']
+  }
+];
+
+// Extra functions worth naming for keyword categorization
+const EXTRA_SIGNATURES = [
+  'tokenURI(uint256)', 'uri(uint256)', 'name()', 'symbol()', 'decimals()',
+  'addLiquidity(address,address,uint256,uint256,uint256,uint256,address,uint256)',
+  'removeLiquidity(address,address,uint256,uint256,uint256,address,uint256)',
+  'swapExactTokensForTokens(uint256,uint256,address[],address,uint256)',
+  'createPair(address,address)', 'getPair(address,address)', 'createPool(address,address,uint24)',
+  'delegate(address)', 'delegates(address)', 'getVotes(address)', 'proposalThreshold()',
+  'latestRoundData()', 'latestAnswer()', 'getPrice(address)',
+  'bridgeETHTo(address,uint32,bytes)', 'bridgeERC20To(address,address,address,uint256,uint32,bytes)',
+  'depositTransaction(address,uint256,uint64,bool,bytes)', 'register(address)', 'setResolver(bytes32,address)',
+  'stake(uint256)', 'harvest(uint256)', 'pendingReward(uint256,address)', 'borrow(address,uint256,uint256,uint16,address)'
+];
+
+const selectorOf = signature => ethers.id(signature).slice(0, 10);
+
+// Selector -> signature for every function we can name
+const KNOWN_SELECTORS = {};
+INTERFACES.forEach(iface => {
+  iface.selectors = iface.signatures.map(signature => {
+    const selector = selectorOf(signature);
+    KNOWN_SELECTORS[selector] = signature;
+    return selector;
+  });
+});
+EXTRA_SIGNATURES.forEach(signature => {
+  KNOWN_SELECTORS[selectorOf(signature)] = signature;
+});
+
+/**
+ * Walk runtime bytecode and collect candidate function selectors.
+ *
+ * Solidity dispatchers push each selector with PUSH4; selectors with a
+ * leading zero byte are pushed with PUSH3, so those are padded back to
+ * four bytes. PUSH data is skipped so it is never read as opcodes.
+ *
+ * @param {string} bytecode - Hex runtime bytecode
+ * @returns {{ selectors: Set<string>, constants: Set<string> }} Selectors and PUSH32 constants
+ */
+function extractSelectors(bytecode) {
+  const selectors = new Set();
+  const constants = new Set();
+  if (!bytecode || !/^0x[0-9a-fA-F]*$/.test(bytecode)) return { selectors, constants };
+
+  const code = ethers.getBytes(bytecode);
+  for (let pc = 0; pc < code.length; pc++) {
+    const op = code[pc];
+    if (op < PUSH1 || op > PUSH32) continue;
+
+    const size = op - PUSH1 + 1;
+    const data = ethers.hexlify(code.slice(pc + 1, pc + 1 + size)).slice(2);
+    if (op === PUSH4 && data.length === 8) selectors.add(`0x${data}`);
+    if (op === PUSH3 && data.length === 6) selectors.add(`0x00${data}`);
+    if (op === PUSH32) constants.add(data);
+    pc += size;
+  }
+  return { selectors, constants };
+}
+
+/**
+ * Detect EIP-1967 and EIP-1167 proxies.
+ * @param {string} bytecode - Hex runtime bytecode
+ * @param {Set<string>} constants - PUSH32 constants from the bytecode
+ * @returns {?Object} { standard, implementation? } or null
+ */
+function detectProxy(bytecode, constants) {
+  const minimal = (bytecode || '').match(EIP1167_PATTERN);
+  if (minimal) return { standard: 'EIP-1167', implementation: ethers.getAddress(`0x${minimal[1]}`) };
+
+  const slots = Object.keys(EIP1967_SLOTS).filter(slot => constants.has(EIP1967_SLOTS[slot]));
+  if (slots.length) return { standard: 'EIP-1967', slots };
+  return null;
+}
+
+/**
+ * Pick a `contractTypes` category by matching config keywords against the
+ * names of the recognised functions.
+ * @param {string[]} signatures - Recognised function signatures
+ * @param {Object} contractTypes - `contractTypes` section of the config
+ * @returns {?string} Best-matching category name
+ */
+function matchKeywordCategory(signatures, contractTypes) {
+  let best = null;
+  let bestHits = 0;
+  Object.entries(contractTypes).forEach(([category, { keywords }]) => {
+    const hits = keywords.filter(keyword => signatures.some(signature =>
+      signature.toLowerCase().includes(keyword.toLowerCase()))).length;
+    if (hits > bestHits) {
+      best = category;
+      bestHits = hits;
+    }
+  });
+  return best;
+}
+
+/**
+ * Classify a contract from its runtime bytecode.
+ * @param {string} bytecode - Hex runtime bytecode
+ * @param {Object} [contractTypes={}] - `contractTypes` section of the config
+ * @returns {Object} { type, confidence, matchedSelectors, interfaces, category, scoreMultiplier, proxy }
+ */
+function classifyBytecode(bytecode, contractTypes = {}) {
+  const { selectors, constants } = extractSelectors(bytecode);
+  const proxy = detectProxy(bytecode, constants);
+
+  const interfaces = INTERFACES.map(iface => {
+    const matched = iface.selectors.filter(selector => selectors.has(selector));
+    return { name: iface.name, category: iface.category, confidence: matched.length / iface.selectors.length, matched };
+  }).filter(result => result.confidence >= MIN_CONFIDENCE);
+
+  // INTERFACES is ordered most specific first, so ties keep the specific one
+  const best = interfaces.reduce((top, result) =>
+    (!top || result.confidence > top.confidence ? result : top), null);
+
+  let type = 'Other';
+  let confidence = 0;
+  let category = null;
+  // UUPS implementations reference the EIP-1967 slot too, so a matched
+  // interface wins over the proxy pattern
+  if (best) {
+    type = best.name;
+    confidence = best.confidence;
+    category = best.category;
+  } else if (proxy) {
+    type = 'Proxy';
+    confidence = 1;
+    category = 'infrastructure';
+  }
+
+  const recognised = [...selectors].filter(selector => KNOWN_SELECTORS[selector]);
+  if (!category) {
+    category = matchKeywordCategory(recognised.map(selector => KNOWN_SELECTORS[selector]), contractTypes);
+  }
+
+  return {
+    type,
+    confidence,
+    matchedSelectors: recognised.map(selector => ({ selector, signature: KNOWN_SELECTORS[selector] })),
+    interfaces: interfaces.map(({ name, confidence: score, matched }) => ({ name, confidence: score, matched })),
+    category,
+    scoreMultiplier: category && contractTypes[category] ? contractTypes[category].scoreMultiplier : 1,
+    proxy
+  };
+}
+
+module.exports = {
+  classifyBytecode,
+  extractSelectors,
+  detectProxy,
+  matchKeywordCategory,
+  selectorOf,
+  INTERFACES,
+  KNOWN_SELECTORS
+};
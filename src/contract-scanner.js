@@ -0,0 +1,185 @@
+/**
+ * Contract Scanner
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Discovers contracts deployed by an address by scanning blocks through an
+ * ethers provider for contract-creation transactions sent from it. The
+ * same pass records every transaction the address sent, with its gas cost,
+ * for the on-chain profile.
+ */
+
+/**
+ * @typedef {Object} DeployedContract
+ * @property {string} address - Created contract address
+ * @property {string} transactionHash - Deployment transaction hash
+ * @property {number} blockNumber - Block the contract was created in
+ * @property {string} created_at - ISO-8601 block timestamp
+ * @property {string} bytecode - Runtime bytecode at the time of the scan
+ */
+
+/**
+ * @typedef {Object} SentTransaction
+ * @property {string} hash - Transaction hash
+ * @property {?string} to - Recipient, null for contract creations
+ * @property {number} blockNumber - Block the transaction was included in
+ * @property {string} created_at - ISO-8601 block timestamp
+ * @property {boolean} success - Whether the transaction succeeded
+ * @property {string} gasUsed - Gas used, as a decimal string
+ * @property {string} fee - gasUsed x effective gas price in wei, as a decimal string
+ */
+
+/**
+ * @typedef {Object} ScanCursor
+ * @property {string} address - Deployer address the cursor belongs to
+ * @property {number} fromBlock - First block of the scanned range
+ * @property {number} nextBlock - First block not yet scanned
+ * @property {number} toBlock - Last block of the requested range
+ * @property {DeployedContract[]} contracts - Contracts found so far
+ * @property {SentTransaction[]} transactions - Transactions sent by the address so far
+ */
+
+class ContractScanner {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - ethers provider
+   * @param {number} [options.batchSize=100] - Blocks fetched in parallel per batch
+   * @param {number} [options.lookbackBlocks=1800] - Default range when fromBlock is omitted (~1 hour of
+   *   Base blocks); longer scans take an explicit fromBlock since every block is one RPC call
+   */
+  constructor({ provider, batchSize = 100, lookbackBlocks = 1800 }) {
+    this.provider = provider;
+    this.batchSize = batchSize;
+    this.lookbackBlocks = lookbackBlocks;
+  }
+
+  /**
+   * Resolve a creation transaction into a DeployedContract.
+   * @param {Object} tx - Transaction with no `to`
+   * @param {Object} block - Block containing the transaction
+   * @param {?Object} receipt - Receipt of the transaction
+   * @returns {Promise<?DeployedContract>} Null if the deployment reverted
+   */
+  async resolveDeployment(tx, block, receipt) {
+    if (!receipt || !receipt.contractAddress || receipt.status === 0) return null;
+
+    const bytecode = await this.provider.getCode(receipt.contractAddress);
+    return {
+      address: receipt.contractAddress,
+      transactionHash: tx.hash,
+      blockNumber: block.number,
+      created_at: new Date(block.timestamp * 1000).toISOString(),
+      bytecode
+    };
+  }
+
+  /**
+   * Record a transaction sent by the scanned address.
+   * @param {Object} tx - Transaction
+   * @param {Object} block - Block containing the transaction
+   * @param {?Object} receipt - Receipt of the transaction
+   * @returns {SentTransaction} Transaction summary; amounts are strings so cursors stay JSON-safe
+   */
+  describeTransaction(tx, block, receipt) {
+    const gasUsed = receipt ? BigInt(receipt.gasUsed ?? 0) : 0n;
+    const gasPrice = BigInt((receipt && receipt.gasPrice) ?? tx.gasPrice ?? 0);
+    return {
+      hash: tx.hash,
+      to: tx.to ? tx.to.toLowerCase() : null,
+      blockNumber: block.number,
+      created_at: new Date(block.timestamp * 1000).toISOString(),
+      success: Boolean(receipt) && receipt.status !== 0,
+      gasUsed: gasUsed.toString(),
+      fee: (gasUsed * gasPrice).toString()
+    };
+  }
+
+  /**
+   * Find the transactions, and the contracts among them, sent by `address` in one block.
+   * @param {number} blockNumber - Block to inspect
+   * @param {string} address - Lowercased deployer address
+   * @returns {Promise<{ contracts: DeployedContract[], transactions: SentTransaction[] }>}
+   */
+  async scanBlock(blockNumber, address) {
+    const block = await this.provider.getBlock(blockNumber, true);
+    if (!block) return { contracts: [], transactions: [] };
+
+    const sent = block.prefetchedTransactions.filter(tx => tx.from.toLowerCase() === address);
+    const results = await Promise.all(sent.map(async tx => {
+      const receipt = await this.provider.getTransactionReceipt(tx.hash);
+      return {
+        transaction: this.describeTransaction(tx, block, receipt),
+        contract: tx.to ? null : await this.resolveDeployment(tx, block, receipt)
+      };
+    }));
+    return {
+      contracts: results.map(result => result.contract).filter(Boolean),
+      transactions: results.map(result => result.transaction)
+    };
+  }
+
+  /**
+   * Scan a block range for contracts deployed by an address.
+   *
+   * Pass the returned `cursor` back in to continue an interrupted or
+   * partial scan; if a batch fails, the thrown error carries the cursor
+   * for the last completed batch.
+   *
+   * @param {string} address - Deployer address
+   * @param {Object} [options]
+   * @param {number} [options.fromBlock] - First block, defaults to latest - lookbackBlocks
+   * @param {number} [options.toBlock] - Last block, defaults to the latest block
+   * @param {ScanCursor} [options.cursor] - Cursor from a previous scan to resume
+   * @param {number} [options.maxBlocks] - Stop after this many blocks, leaving the cursor open
+   * @returns {Promise<{ contracts: DeployedContract[], transactions: SentTransaction[], cursor: ScanCursor, complete: boolean }>}
+   */
+  async scan(address, { fromBlock, toBlock, cursor, maxBlocks = Infinity } = {}) {
+    const deployer = address.toLowerCase();
+    if (cursor && cursor.address !== deployer) {
+      throw new Error(`Scan cursor belongs to ${cursor.address}, not ${deployer}`);
+    }
+
+    let state = cursor
+      ? { ...cursor, contracts: [...cursor.contracts], transactions: [...(cursor.transactions || [])] }
+      : null;
+    if (!state) {
+      const latest = toBlock ?? await this.provider.getBlockNumber();
+      const start = fromBlock ?? Math.max(latest - this.lookbackBlocks, 0);
+      state = {
+        address: deployer,
+        fromBlock: start,
+        nextBlock: start,
+        toBlock: latest,
+        contracts: [],
+        transactions: []
+      };
+    }
+
+    const stopBlock = Math.min(state.toBlock, state.nextBlock + maxBlocks - 1);
+    while (state.nextBlock <= stopBlock) {
+      const batchEnd = Math.min(state.nextBlock + this.batchSize - 1, stopBlock);
+      const blockNumbers = [];
+      for (let n = state.nextBlock; n <= batchEnd; n++) blockNumbers.push(n);
+
+      try {
+        const found = await Promise.all(blockNumbers.map(n => this.scanBlock(n, deployer)));
+        found.forEach(({ contracts, transactions }) => {
+          state.contracts.push(...contracts);
+          state.transactions.push(...transactions);
+        });
+      } catch (error) {
+        error.cursor = state;
+        throw error;
+      }
+      state.nextBlock = batchEnd + 1;
+    }
+
+    return {
+      contracts: state.contracts,
+      transactions: state.transactions,
+      cursor: state,
+      complete: state.nextBlock > state.toBlock
+    };
+  }
+}
+
+module.exports = ContractScanner;
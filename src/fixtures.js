@@ -0,0 +1,215 @@
+/**
+ * Record/Replay Fixtures
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Captures GitHub API and JSON-RPC responses to fixture files and serves
+ * them back without network access, for `--offline` runs and tests. The
+ * `fixtures` config section picks the mode:
+ *   off    - talk to the network as usual
+ *   record - talk to the network and save every response
+ *   replay - answer from saved responses only; a request without one fails
+ *
+ * Each response is one JSON file named after a hash of its request: the
+ * path and query for HTTP (not the host, so recordings work behind any
+ * GITHUB_API_URL), the chain ID, method and params for JSON-RPC. Request
+ * headers, the GitHub token included, are never saved.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { ethers } = require('ethers');
+
+const MODES = ['off', 'record', 'replay'];
+
+class FixtureMissingError extends Error {}
+
+// JSON with sorted object keys, so equal requests hash equally
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+class FixtureStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory holding the fixture files
+   * @param {string} [options.mode='off'] - 'off', 'record' or 'replay'
+   */
+  constructor({ dir, mode = 'off' }) {
+    if (!MODES.includes(mode)) throw new Error(`Unknown fixtures mode: ${mode}`);
+    this.dir = dir;
+    this.mode = mode;
+  }
+
+  fileFor(kind, request) {
+    const hash = crypto.createHash('sha256').update(stableStringify(request)).digest('hex').slice(0, 16);
+    return path.join(this.dir, kind, `${hash}.json`);
+  }
+
+  /**
+   * Saved response for a request.
+   * @param {string} kind - 'http' or 'rpc'
+   * @param {Object} request - Request identity
+   * @returns {Promise<Object>} Response
+   * @throws {FixtureMissingError} When the request was never recorded
+   */
+  async read(kind, request) {
+    try {
+      const { response } = JSON.parse(await fs.promises.readFile(this.fileFor(kind, request), 'utf8'));
+      return response;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw new FixtureMissingError(`No ${kind} fixture for ${stableStringify(request)} in ${this.dir}; record one with --record`);
+    }
+  }
+
+  /**
+   * Save the response to a request, replacing an earlier recording.
+   * @param {string} kind - 'http' or 'rpc'
+   * @param {Object} request - Request identity, saved alongside for reading the fixture
+   * @param {Object} response - Response
+   */
+  async write(kind, request, response) {
+    const file = this.fileFor(kind, request);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, `${JSON.stringify({ request, response }, null, 2)}\n`);
+  }
+}
+
+/**
+ * Identity of a GET request: its path and sorted query.
+ * @param {string} url - Absolute URL
+ * @param {Object} [params] - Query parameters
+ * @returns {Object} { method, url }
+ */
+function httpRequest(url, params) {
+  const parsed = new URL(url);
+  Object.entries(params || {}).forEach(([key, value]) => parsed.searchParams.set(key, value));
+  parsed.searchParams.sort();
+  return { method: 'GET', url: `${parsed.pathname}${parsed.search}` };
+}
+
+// The parts of a response the GitHub client reads
+function savedResponse({ status, headers = {}, data }) {
+  const kept = Object.fromEntries(Object.entries(headers)
+    .filter(([name]) => ['link', 'etag'].includes(name.toLowerCase()) || name.toLowerCase().startsWith('x-ratelimit-')));
+  return { status, headers: kept, data };
+}
+
+/**
+ * Wrap an HTTP client exposing get(url, config) so it records to or
+ * replays from a fixture store. Replayed error statuses are thrown the
+ * way axios throws them.
+ * @param {FixtureStore} store - Fixture store
+ * @param {Object} [http=axios] - HTTP client
+ * @returns {Object} HTTP client exposing get(url, config)
+ */
+function createFixtureHttp(store, http = axios) {
+  if (store.mode === 'off') return http;
+
+  return {
+    async get(url, config = {}) {
+      const request = httpRequest(url, config.params);
+      if (store.mode === 'replay') {
+        const response = await store.read('http', request);
+        const accept = config.validateStatus || (status => status >= 200 && status < 300);
+        if (accept(response.status)) return response;
+        const error = new Error(`Request failed with status code ${response.status}`);
+        error.response = response;
+        throw error;
+      }
+
+      // A revalidated response would be recorded as a 304 without a body
+      const headers = { ...config.headers };
+      delete headers['If-None-Match'];
+      try {
+        const response = await http.get(url, { ...config, headers });
+        await store.write('http', request, savedResponse(response));
+        return response;
+      } catch (error) {
+        if (error.response) await store.write('http', request, savedResponse(error.response));
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * JSON-RPC provider that records to or replays from a fixture store.
+ * Requests in a batch are saved one by one, so replay does not depend on
+ * how ethers batched them.
+ */
+class FixtureJsonRpcProvider extends ethers.JsonRpcProvider {
+  /**
+   * @param {string} url - RPC URL
+   * @param {number} chainId - Chain ID
+   * @param {FixtureStore} store - Fixture store in 'record' or 'replay' mode
+   */
+  constructor(url, chainId, store) {
+    super(url, chainId, { staticNetwork: true });
+    this.fixtures = store;
+    this.fixtureChainId = chainId;
+  }
+
+  async _send(payload) {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    const requestOf = ({ method, params }) => ({ chainId: this.fixtureChainId, method, params });
+
+    if (this.fixtures.mode === 'replay') {
+      return Promise.all(payloads.map(async item => ({
+        jsonrpc: '2.0',
+        id: item.id,
+        ...(await this.fixtures.read('rpc', requestOf(item)))
+      })));
+    }
+
+    const results = await super._send(payload);
+    await Promise.all(results.map(result => {
+      const item = payloads.find(candidate => candidate.id === result.id);
+      if (!item) return null;
+      return this.fixtures.write('rpc', requestOf(item), 'error' in result ? { error: result.error } : { result: result.result });
+    }));
+    return results;
+  }
+}
+
+/**
+ * Provider for an RPC URL, recording or replaying when the store is not off.
+ * @param {string} url - RPC URL
+ * @param {number} chainId - Chain ID
+ * @param {FixtureStore} store - Fixture store
+ * @returns {Object} ethers provider
+ */
+function createRpcProvider(url, chainId, store) {
+  return store.mode === 'off'
+    ? new ethers.JsonRpcProvider(url, chainId, { staticNetwork: true })
+    : new FixtureJsonRpcProvider(url, chainId, store);
+}
+
+/**
+ * Build a fixture store from the `fixtures` config section.
+ * @param {Object} [fixturesConfig] - { mode, dir }
+ * @returns {FixtureStore} Store
+ */
+function createFixtureStore({ mode = 'off', dir = 'test/fixtures' } = {}) {
+  return new FixtureStore({ dir, mode });
+}
+
+module.exports = {
+  FixtureStore,
+  FixtureMissingError,
+  FixtureJsonRpcProvider,
+  createFixtureHttp,
+  createFixtureStore,
+  createRpcProvider,
+  httpRequest,
+  MODES
+};
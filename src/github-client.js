@@ -0,0 +1,362 @@
+/**
+ * GitHub API Client
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Authenticated, paginated access to the GitHub REST API with retries
+ * and rate-limit back-off driven by the `github` config section.
+ */
+
+const axios = require('axios');
+
+const EVENTS_PER_PAGE = 100;
+const RATE_LIMIT_WINDOW = 60 * 60 * 1000;
+
+// Network error codes worth retrying; anything else fails immediately
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED'];
+
+/**
+ * @typedef {Object} GitHubEvent
+ * @property {string} id - Event ID
+ * @property {string} type - Event type, e.g. PushEvent or PullRequestEvent
+ * @property {string} created_at - ISO-8601 creation time
+ * @property {{ id: number, login: string }} actor - User who triggered the event
+ * @property {{ id: number, name: string }} repo - Repository the event belongs to
+ * @property {Object} payload - Type-specific payload
+ */
+
+/**
+ * Parse a GitHub `Link` header into a map of rel to URL.
+ * @param {string} [header] - Link header value
+ * @returns {Object<string, string>} e.g. { next: 'https://...', last: 'https://...' }
+ */
+function parseLinkHeader(header) {
+  const links = {};
+  if (!header) return links;
+  header.split(',').forEach(part => {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+    if (match) links[match[2]] = match[1];
+  });
+  return links;
+}
+
+/**
+ * API path of a repository.
+ * @param {string} fullName - "owner/name"
+ * @returns {string} "/repos/owner/name"
+ */
+function repoPath(fullName) {
+  const [owner, repo] = (fullName || '').split('/');
+  if (!owner || !repo) throw new Error(`Invalid repository name: ${fullName}`);
+  return `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Raised instead of waiting for the rate-limit reset when a request was
+ * made with `wait: false`. `reset` is the ms timestamp the budget refills.
+ */
+class RateLimitError extends Error {
+  constructor(reset) {
+    super(`GitHub rate limit budget spent until ${new Date(reset).toISOString()}`);
+    this.name = 'RateLimitError';
+    this.reset = reset;
+  }
+}
+
+class GitHubClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiUrl - GitHub API base URL
+   * @param {string} [options.token] - Personal access token, defaults to GITHUB_TOKEN
+   * @param {number} [options.retryAttempts=3] - Retries for failed or rate-limited requests
+   * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+   * @param {number} [options.rateLimit=5000] - Hourly request budget until GitHub reports one
+   * @param {Object} [options.http=axios] - HTTP client exposing get(url, config)
+   * @param {Function} [options.sleep] - Delay function, injectable for tests
+   * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+   * @param {Object} [options.cache] - Cache from src/cache.js; stale entries are revalidated with ETags
+   */
+  constructor({
+    apiUrl,
+    token = process.env.GITHUB_TOKEN,
+    retryAttempts = 3,
+    timeout = 10000,
+    rateLimit = 5000,
+    http = axios,
+    sleep: delay = sleep,
+    now = Date.now,
+    cache = null
+  }) {
+    this.apiUrl = apiUrl.replace(/\/$/, '');
+    this.token = token;
+    this.retryAttempts = retryAttempts;
+    this.timeout = timeout;
+    this.http = http;
+    this.sleep = delay;
+    this.now = now;
+    this.cache = cache;
+    this.rateLimit = { limit: rateLimit, remaining: rateLimit, reset: null };
+  }
+
+  headers() {
+    const headers = {
+      Accept: 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28'
+    };
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+    return headers;
+  }
+
+  /**
+   * Record the rate-limit state reported by GitHub.
+   * @param {Object} [headers] - Response headers
+   */
+  updateRateLimit(headers = {}) {
+    const limit = parseInt(headers['x-ratelimit-limit'], 10);
+    const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    const reset = parseInt(headers['x-ratelimit-reset'], 10);
+    if (!Number.isNaN(limit)) this.rateLimit.limit = limit;
+    if (!Number.isNaN(remaining)) this.rateLimit.remaining = remaining;
+    if (!Number.isNaN(reset)) this.rateLimit.reset = reset * 1000;
+  }
+
+  /**
+   * Milliseconds to wait before retrying a rate-limited response.
+   * Honors Retry-After first, then the x-ratelimit-reset timestamp.
+   * @param {Object} [headers] - Response headers
+   * @param {number} attempt - Zero-based attempt number
+   * @returns {number} Delay in milliseconds
+   */
+  rateLimitDelay(headers = {}, attempt) {
+    const retryAfter = parseInt(headers['retry-after'], 10);
+    if (!Number.isNaN(retryAfter)) return retryAfter * 1000;
+
+    const reset = parseInt(headers['x-ratelimit-reset'], 10);
+    if (!Number.isNaN(reset)) return Math.max(reset * 1000 - this.now(), 0) + 1000;
+
+    return 1000 * 2 ** attempt;
+  }
+
+  /**
+   * Wait for the rate-limit window to reset once the budget is spent.
+   * Until GitHub reports its own limits, the configured hourly budget applies.
+   * @param {Object} [options]
+   * @param {boolean} [options.wait=true] - Throw a RateLimitError instead of waiting
+   */
+  async waitForBudget({ wait = true } = {}) {
+    if (this.rateLimit.reset === null || this.rateLimit.reset <= this.now()) {
+      if (this.rateLimit.reset !== null) this.rateLimit.remaining = this.rateLimit.limit;
+      this.rateLimit.reset = this.now() + RATE_LIMIT_WINDOW;
+    }
+    if (this.rateLimit.remaining <= 0) {
+      if (!wait) throw new RateLimitError(this.rateLimit.reset);
+      await this.sleep(this.rateLimit.reset - this.now());
+      this.rateLimit.remaining = this.rateLimit.limit;
+      this.rateLimit.reset = this.now() + RATE_LIMIT_WINDOW;
+    }
+  }
+
+  isRateLimited(response) {
+    if (response.status === 429) return true;
+    if (response.status !== 403) return false;
+    const headers = response.headers || {};
+    return headers['x-ratelimit-remaining'] === '0' || headers['retry-after'] !== undefined;
+  }
+
+  /**
+   * GET a URL, retrying network errors, 5xx responses and rate limits.
+   *
+   * With a cache, fresh entries are returned without a request and stale
+   * ones are revalidated with If-None-Match; GitHub does not count 304
+   * responses against the rate limit.
+   *
+   * @param {string} url - Absolute URL or path relative to apiUrl
+   * @param {Object} [params] - Query parameters
+   * @param {Object} [options]
+   * @param {boolean} [options.revalidate=false] - Revalidate cached entries even while they are fresh
+   * @param {boolean} [options.wait=true] - Wait for a spent rate limit to reset; when false, throw a
+   *   RateLimitError instead, for lookups that can be skipped
+   * @returns {Promise<Object>} Axios-style response
+   */
+  async request(url, params, { revalidate = false, wait = true } = {}) {
+    const fullUrl = url.startsWith('http') ? url : `${this.apiUrl}${url}`;
+    const cacheKey = `github:${fullUrl}?${new URLSearchParams(params || {})}`;
+    const cached = this.cache ? await this.cache.peek(cacheKey) : null;
+    if (cached && !revalidate && cached.expiresAt > this.now()) return cached.value;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForBudget({ wait });
+
+      const headers = this.headers();
+      if (cached && cached.meta && cached.meta.etag) headers['If-None-Match'] = cached.meta.etag;
+
+      try {
+        const response = await this.http.get(fullUrl, {
+          params,
+          headers,
+          timeout: this.timeout,
+          validateStatus: status => (status >= 200 && status < 300) || status === 304
+        });
+
+        if (response.status === 304) {
+          this.updateRateLimit(response.headers);
+          await this.cache.set(cacheKey, cached.value, { meta: cached.meta });
+          return cached.value;
+        }
+
+        this.rateLimit.remaining -= 1;
+        this.updateRateLimit(response.headers);
+        if (this.cache) await this.store(cacheKey, response);
+        return response;
+      } catch (error) {
+        const response = error.response;
+        if (response) this.updateRateLimit(response.headers);
+
+        const rateLimited = response && this.isRateLimited(response);
+        const retryable = rateLimited ||
+          (response ? response.status >= 500 : TRANSIENT_ERROR_CODES.includes(error.code));
+        if (rateLimited && !wait) throw new RateLimitError(this.rateLimit.reset);
+        if (!retryable || attempt >= this.retryAttempts) {
+          if (rateLimited) error.message = `GitHub rate limit exceeded: ${error.message}`;
+          throw error;
+        }
+
+        await this.sleep(rateLimited
+          ? this.rateLimitDelay(response.headers, attempt)
+          : 1000 * 2 ** attempt);
+      }
+    }
+  }
+
+  /**
+   * Cache the parts of a response pagination and revalidation need.
+   * @param {string} key - Cache key
+   * @param {Object} response - Axios-style response
+   */
+  async store(key, response) {
+    const headers = response.headers || {};
+    const value = {
+      status: response.status,
+      data: response.data,
+      headers: { link: headers.link, etag: headers.etag }
+    };
+    await this.cache.set(key, value, { meta: headers.etag ? { etag: headers.etag } : undefined });
+  }
+
+  /**
+   * GET every page of a list endpoint by following `Link: rel="next"`.
+   * @param {string} path - Endpoint path
+   * @param {Object} [params] - Query parameters for the first page
+   * @param {Object} [options]
+   * @param {boolean} [options.revalidate=false] - Revalidate cached pages, see request
+   * @param {Function} [options.until] - Stop at the first item this returns true for, leaving it out
+   * @returns {Promise<Object[]>} Items from all pages
+   */
+  async paginate(path, params = {}, { revalidate = false, until } = {}) {
+    const items = [];
+    let url = path;
+    let query = { per_page: EVENTS_PER_PAGE, ...params };
+
+    while (url) {
+      const response = await this.request(url, query, { revalidate });
+      const page = response.data || [];
+      const stop = until ? page.findIndex(until) : -1;
+      items.push(...(stop === -1 ? page : page.slice(0, stop)));
+      if (stop !== -1) break;
+      url = parseLinkHeader((response.headers || {}).link).next;
+      query = undefined;
+    }
+    return items;
+  }
+
+  /**
+   * Fetch all public events for a user, newest first.
+   * @param {string} username - GitHub username
+   * @returns {Promise<GitHubEvent[]>} Events across all pages
+   */
+  async getUserEvents(username) {
+    if (!username) throw new Error('GitHub username is required');
+    return this.paginate(`/users/${encodeURIComponent(username)}/events`);
+  }
+
+  /**
+   * Fetch the public events a user created after the one last seen, newest
+   * first. Pages are always revalidated, and paging stops at the last seen
+   * event, so polling an unchanged feed costs one uncounted 304.
+   * @param {string} username - GitHub username
+   * @param {?string} lastSeenId - ID of the newest event already seen, null for all events
+   * @returns {Promise<GitHubEvent[]>} Events newer than lastSeenId
+   */
+  async getUserEventsSince(username, lastSeenId) {
+    if (!username) throw new Error('GitHub username is required');
+    const lastSeen = lastSeenId ? BigInt(lastSeenId) : null;
+    return this.paginate(`/users/${encodeURIComponent(username)}/events`, {}, {
+      revalidate: true,
+      until: lastSeen === null ? undefined : event => BigInt(event.id) <= lastSeen
+    });
+  }
+
+  /**
+   * Fetch a repository, including its topics and description.
+   * @param {string} fullName - "owner/name"
+   * @returns {Promise<Object>} Repository
+   */
+  async getRepository(fullName) {
+    const response = await this.request(repoPath(fullName));
+    return response.data;
+  }
+
+  /**
+   * Fetch a commit with its stats and changed files.
+   * @param {string} fullName - "owner/name"
+   * @param {string} sha - Commit SHA
+   * @param {Object} [options] - Request options, e.g. { wait: false }, see request
+   * @returns {Promise<Object>} Commit
+   */
+  async getCommit(fullName, sha, options) {
+    const response = await this.request(`${repoPath(fullName)}/commits/${encodeURIComponent(sha)}`, undefined, options);
+    return response.data;
+  }
+
+  /**
+   * Fetch a pull request with its merge state and line counts.
+   * @param {string} fullName - "owner/name"
+   * @param {number} number - Pull request number
+   * @param {Object} [options] - Request options, e.g. { wait: false }, see request
+   * @returns {Promise<Object>} Pull request
+   */
+  async getPullRequest(fullName, number, options) {
+    const response = await this.request(`${repoPath(fullName)}/pulls/${encodeURIComponent(number)}`, undefined, options);
+    return response.data;
+  }
+
+  /**
+   * Fetch a gist with its files.
+   * @param {string} id - Gist ID
+   * @returns {Promise<Object>} Gist
+   */
+  async getGist(id) {
+    if (!id) throw new Error('Gist ID is required');
+    const response = await this.request(`/gists/${encodeURIComponent(id)}`);
+    return response.data;
+  }
+
+  /**
+   * Fetch the text of a file in a repository.
+   * @param {string} fullName - "owner/name"
+   * @param {string} filePath - Path inside the repository
+   * @param {string} [ref] - Branch, tag or commit, defaults to the default branch
+   * @returns {Promise<string>} File contents
+   */
+  async getFileContent(fullName, filePath, ref) {
+    const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+    const response = await this.request(`${repoPath(fullName)}/contents/${encodedPath}`, ref ? { ref } : undefined);
+    const { content = '', encoding } = response.data;
+    return encoding === 'base64' ? Buffer.from(content, 'base64').toString('utf8') : content;
+  }
+}
+
+module.exports = GitHubClient;
+module.exports.parseLinkHeader = parseLinkHeader;
+module.exports.RateLimitError = RateLimitError;
@@ -0,0 +1,272 @@
+/**
+ * Score History Store
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Append-only JSON-lines log of every calculated score, newly fetched
+ * GitHub events and contract scan, with queries for time series, week-over-week
+ * deltas and personal bests. One record per line keeps appends atomic and
+ * lets a truncated last line be skipped instead of corrupting the store.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const eventKey = event => event.id || `${event.type}:${event.created_at}`;
+
+/**
+ * @typedef {Object} HistoryRecord
+ * @property {string} kind - 'score', 'github' or 'contracts'
+ * @property {string} recordedAt - ISO-8601 timestamp
+ * @property {string} [username] - GitHub username (score and github records)
+ * @property {string} [address] - Base address, lowercased (score and contracts records)
+ */
+
+/**
+ * Start of the UTC period containing a time, as YYYY-MM-DD.
+ * Weeks start on Monday, matching ISO-8601.
+ * @param {string|Date} time - Timestamp
+ * @param {string} interval - 'day' or 'week'
+ * @returns {string} Period label
+ */
+function periodOf(time, interval) {
+  const date = new Date(time);
+  date.setUTCHours(0, 0, 0, 0);
+  if (interval === 'week') date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+class HistoryStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - JSON-lines file, created on first write
+   * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+   */
+  constructor({ file, now = Date.now }) {
+    this.file = file;
+    this.now = now;
+    // username -> Promise<Set> of the event keys already in the file
+    this.eventKeys = new Map();
+  }
+
+  /**
+   * Append a record, stamping it with recordedAt.
+   * @param {Object} record - Record with at least a `kind`
+   * @returns {Promise<HistoryRecord>} Stored record
+   */
+  async append(record) {
+    const stored = { recordedAt: new Date(this.now()).toISOString(), ...record };
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.appendFile(this.file, `${JSON.stringify(stored)}\n`);
+    return stored;
+  }
+
+  /**
+   * Snapshot a calculated score.
+   * @param {string} username - GitHub username
+   * @param {Object} score - Result of calculateBuilderScore
+   * @param {Object} [options]
+   * @param {string} [options.address] - Base address that was scored
+   */
+  recordScore(username, score, { address } = {}) {
+    return this.append({
+      kind: 'score',
+      username,
+      address: address ? address.toLowerCase() : undefined,
+      totalScore: score.totalScore,
+      breakdown: score.breakdown,
+      failures: score.failures
+    });
+  }
+
+  /**
+   * Snapshot the events of a fetched GitHub event set that no earlier
+   * snapshot holds, so polling the same feed does not grow the file.
+   * Payloads are dropped to keep lines small.
+   * @param {string} username - GitHub username
+   * @param {Object} github - Result of trackGitHubActivity
+   * @returns {Promise<?HistoryRecord>} Stored record, or null when every event was already recorded
+   */
+  async recordGitHubActivity(username, github) {
+    if (!this.eventKeys.has(username)) {
+      this.eventKeys.set(username, this.read({ kind: 'github', username })
+        .then(snapshots => new Set(snapshots.flatMap(snapshot => snapshot.events.map(eventKey)))));
+    }
+    let known;
+    try {
+      known = await this.eventKeys.get(username);
+    } catch (error) {
+      this.eventKeys.delete(username);
+      throw error;
+    }
+
+    const events = github.events.filter(event => !known.has(eventKey(event)));
+    if (events.length === 0) return null;
+    events.forEach(event => known.add(eventKey(event)));
+    return this.append({
+      kind: 'github',
+      username,
+      totalEvents: github.totalEvents,
+      events: events.map(event => ({
+        id: event.id,
+        type: event.type,
+        repo: event.repo ? event.repo.name : undefined,
+        created_at: event.created_at
+      }))
+    });
+  }
+
+  /**
+   * Snapshot a contract scan. Bytecode is dropped; the classification is kept.
+   * @param {string} address - Deployer address
+   * @param {Object} scan - Result of checkBaseContracts
+   */
+  recordContracts(address, scan) {
+    return this.append({
+      kind: 'contracts',
+      address: address.toLowerCase(),
+      totalContracts: scan.totalContracts,
+      complete: scan.complete,
+      contractTypes: scan.contractTypes,
+      contracts: scan.recentContracts.map(contract => ({
+        address: contract.address,
+        blockNumber: contract.blockNumber,
+        created_at: contract.created_at,
+        type: contract.classification ? contract.classification.type : undefined
+      }))
+    });
+  }
+
+  /**
+   * Read records in the order they were written.
+   * @param {Object} [filter]
+   * @param {string} [filter.kind] - Only this kind
+   * @param {string} [filter.username] - Only this username
+   * @param {string} [filter.address] - Only this address
+   * @param {Date} [filter.since] - Recorded at or after (inclusive)
+   * @param {Date} [filter.until] - Recorded before (exclusive)
+   * @returns {Promise<HistoryRecord[]>} Matching records
+   */
+  async read({ kind, username, address, since, until } = {}) {
+    if (!fs.existsSync(this.file)) return [];
+
+    const records = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(this.file), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        continue; // A crash mid-append can leave a partial last line
+      }
+      const recorded = new Date(record.recordedAt);
+      if (kind && record.kind !== kind) continue;
+      if (username && record.username !== username) continue;
+      if (address && record.address !== address.toLowerCase()) continue;
+      if (since && recorded < since) continue;
+      if (until && recorded >= until) continue;
+      records.push(record);
+    }
+    return records;
+  }
+
+  /**
+   * Score per day or week: the last score recorded in each period, the best
+   * in that period and the change from the previous period.
+   * @param {string} username - GitHub username
+   * @param {Object} [options]
+   * @param {string} [options.interval='day'] - 'day' or 'week'
+   * @param {Date} [options.since] - First snapshot to include
+   * @param {Date} [options.until] - Include snapshots before this time
+   * @returns {Promise<Object[]>} [{ period, totalScore, best, runs, delta }] oldest first
+   */
+  async timeSeries(username, { interval = 'day', since, until } = {}) {
+    if (!['day', 'week'].includes(interval)) throw new Error(`Unknown history interval: ${interval}`);
+    const snapshots = await this.read({ kind: 'score', username, since, until });
+
+    const periods = new Map();
+    snapshots.forEach(snapshot => {
+      const period = periodOf(snapshot.recordedAt, interval);
+      const entry = periods.get(period) || { period, totalScore: 0, best: -Infinity, runs: 0 };
+      entry.totalScore = snapshot.totalScore;
+      entry.best = Math.max(entry.best, snapshot.totalScore);
+      entry.runs += 1;
+      periods.set(period, entry);
+    });
+
+    const series = [...periods.values()].sort((a, b) => a.period.localeCompare(b.period));
+    return series.map((entry, i) => ({
+      ...entry,
+      delta: i > 0 ? entry.totalScore - series[i - 1].totalScore : null
+    }));
+  }
+
+  /**
+   * Compare this week's latest score with last week's.
+   * @param {string} username - GitHub username
+   * @returns {Promise<Object>} { week, totalScore, previousWeek, previousScore, delta, percent }
+   *   with nulls where a week has no snapshots
+   */
+  async weekOverWeek(username) {
+    const week = periodOf(this.now(), 'week');
+    const previousWeek = periodOf(new Date(Date.parse(week) - 7 * DAY_MS), 'week');
+    const series = await this.timeSeries(username, {
+      interval: 'week',
+      since: new Date(previousWeek),
+      until: new Date(Date.parse(week) + 7 * DAY_MS)
+    });
+
+    const current = series.find(entry => entry.period === week);
+    const previous = series.find(entry => entry.period === previousWeek);
+    const delta = current && previous ? current.totalScore - previous.totalScore : null;
+    return {
+      week,
+      totalScore: current ? current.totalScore : null,
+      previousWeek,
+      previousScore: previous ? previous.totalScore : null,
+      delta,
+      percent: delta !== null && previous.totalScore > 0
+        ? Math.round((delta / previous.totalScore) * 1000) / 10
+        : null
+    };
+  }
+
+  /**
+   * Highest total, GitHub and Base scores ever recorded for a user.
+   * @param {string} username - GitHub username
+   * @returns {Promise<Object>} { totalScore, github, base } each { value, recordedAt }, or null when unscored
+   */
+  async personalBests(username) {
+    const snapshots = await this.read({ kind: 'score', username });
+    const best = pick => snapshots.reduce((top, snapshot) => {
+      const value = pick(snapshot);
+      return value !== undefined && (!top || value > top.value) ? { value, recordedAt: snapshot.recordedAt } : top;
+    }, null);
+
+    return {
+      totalScore: best(snapshot => snapshot.totalScore),
+      github: best(snapshot => snapshot.breakdown && snapshot.breakdown.github.subtotal),
+      base: best(snapshot => snapshot.breakdown && snapshot.breakdown.base.subtotal)
+    };
+  }
+}
+
+/**
+ * Build the store described by the `history` config section.
+ * @param {Object} [historyConfig] - `history` section of the config
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock, injectable for tests
+ * @returns {HistoryStore} Store
+ */
+function createHistoryStore({ file = '.history/score-history.jsonl' } = {}, { now } = {}) {
+  return new HistoryStore({ file: path.resolve(file), now });
+}
+
+module.exports = {
+  HistoryStore,
+  createHistoryStore,
+  periodOf
+};
@@ -0,0 +1,267 @@
+/**
+ * Identity Linker
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Ties a GitHub username to a Base address. The tracker issues a challenge
+ * naming both. The wallet signs it (EIP-191 personal message or EIP-712
+ * typed data), and the GitHub account publishes the signature in a gist
+ * or a file in one of its repositories. A link is stored only once both
+ * sides check out, so either identity can be resolved to the other.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const SCHEMES = ['eip191', 'eip712'];
+
+const TYPED_DATA_TYPES = {
+  IdentityLink: [
+    { name: 'github', type: 'string' },
+    { name: 'wallet', type: 'address' },
+    { name: 'nonce', type: 'string' },
+    { name: 'issuedAt', type: 'string' },
+    { name: 'expiresAt', type: 'string' }
+  ]
+};
+
+class LinkError extends Error {}
+
+const isAddress = value => typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+const sameLogin = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+/**
+ * Create a link challenge for a username and address.
+ * @param {string} username - GitHub username
+ * @param {string} address - Base address
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Issue time
+ * @param {number} [options.chainId=8453] - Chain ID for the EIP-712 domain
+ * @param {number} [options.ttlMinutes=60] - Minutes until the challenge expires
+ * @returns {Object} { username, address, nonce, issuedAt, expiresAt, message, typedData }
+ * @throws {LinkError} When the address is not a valid address
+ */
+function createChallenge(username, address, { now = Date.now(), chainId = 8453, ttlMinutes = 60 } = {}) {
+  if (!username) throw new LinkError('GitHub username is required');
+  if (!isAddress(address)) throw new LinkError(`Invalid address: ${address}`);
+
+  const wallet = ethers.getAddress(address.toLowerCase());
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = new Date(now).toISOString();
+  const expiresAt = new Date(now + ttlMinutes * 60 * 1000).toISOString();
+
+  return {
+    username,
+    address: wallet,
+    nonce,
+    issuedAt,
+    expiresAt,
+    message: [
+      'Link GitHub account to Base address for the Builder Score tracker',
+      '',
+      `GitHub: ${username}`,
+      `Address: ${wallet}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt}`,
+      `Expires At: ${expiresAt}`
+    ].join('\n'),
+    typedData: {
+      domain: { name: 'Base Builder Score', version: '1', chainId },
+      types: TYPED_DATA_TYPES,
+      value: { github: username, wallet, nonce, issuedAt, expiresAt }
+    }
+  };
+}
+
+/**
+ * Check that the challenge's address signed it.
+ * @param {Object} challenge - Result of createChallenge
+ * @param {string} signature - Hex signature
+ * @param {string} [scheme='eip191'] - 'eip191' for the message, 'eip712' for the typed data
+ * @returns {string} Recovered address
+ * @throws {LinkError} When the signature is malformed or from another address
+ */
+function verifySignature(challenge, signature, scheme = 'eip191') {
+  if (!SCHEMES.includes(scheme)) throw new LinkError(`Unknown signature scheme: ${scheme}`);
+
+  let signer;
+  try {
+    const { domain, types, value } = challenge.typedData;
+    signer = scheme === 'eip712'
+      ? ethers.verifyTypedData(domain, types, value, signature)
+      : ethers.verifyMessage(challenge.message, signature);
+  } catch (error) {
+    throw new LinkError(`Invalid ${scheme} signature: ${error.shortMessage || error.message}`);
+  }
+
+  if (signer.toLowerCase() !== challenge.address.toLowerCase()) {
+    throw new LinkError(`Signature is from ${signer}, not ${challenge.address}`);
+  }
+  return signer;
+}
+
+/**
+ * Parse a proof URL: a gist, or a file in a repository. Gist URLs may
+ * point at a revision or a raw file (<user>/<id>/raw/<rev>/<file>), on
+ * gist.github.com or gist.githubusercontent.com.
+ * @param {string} url - https://gist.github.com/<user>/<id> or https://github.com/<owner>/<repo>/blob/<ref>/<path>
+ * @returns {Object} { type: 'gist', id } or { type: 'file', repo, ref, path }
+ * @throws {LinkError} For any other URL
+ */
+function parseProofUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new LinkError(`Invalid proof URL: ${url}`);
+  }
+  const parts = parsed.pathname.split('/').filter(Boolean);
+
+  if (['gist.github.com', 'gist.githubusercontent.com'].includes(parsed.hostname) && parts.length >= 1) {
+    // The ID follows the user; anonymous gists have no user part
+    return { type: 'gist', id: parts.length >= 2 ? parts[1] : parts[0] };
+  }
+  if (parsed.hostname === 'github.com' && parts.length >= 5 && parts[2] === 'blob') {
+    return { type: 'file', repo: `${parts[0]}/${parts[1]}`, ref: parts[3], path: parts.slice(4).join('/') };
+  }
+  throw new LinkError(`Proof must be a gist or a github.com/<owner>/<repo>/blob/... file URL, got ${url}`);
+}
+
+/**
+ * Confirm that the GitHub account published the signature.
+ * @param {string} url - Proof URL, see parseProofUrl
+ * @param {Object} options
+ * @param {string} options.username - GitHub username that must own the proof
+ * @param {string} options.signature - Signature the proof must contain
+ * @param {Object} options.github - GitHubClient
+ * @returns {Promise<Object>} Parsed proof
+ * @throws {LinkError} When the proof is owned by someone else or lacks the signature
+ */
+async function verifyProof(url, { username, signature, github }) {
+  const proof = parseProofUrl(url);
+  let owner;
+  let contents;
+
+  if (proof.type === 'gist') {
+    const gist = await github.getGist(proof.id);
+    owner = gist.owner ? gist.owner.login : null;
+    contents = Object.values(gist.files || {}).map(file => file.content || '');
+  } else {
+    owner = proof.repo.split('/')[0];
+    contents = [await github.getFileContent(proof.repo, proof.path, proof.ref)];
+  }
+
+  if (!sameLogin(owner, username)) throw new LinkError(`Proof at ${url} belongs to ${owner}, not ${username}`);
+  if (!contents.some(content => content.includes(signature))) {
+    throw new LinkError(`Proof at ${url} does not contain the signature`);
+  }
+  return proof;
+}
+
+class IdentityStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - JSON file holding challenges and links, created on first write
+   * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+   */
+  constructor({ file, now = Date.now }) {
+    this.file = file;
+    this.now = now;
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+      return { challenges: data.challenges || {}, links: data.links || [] };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { challenges: {}, links: [] };
+      throw error;
+    }
+  }
+
+  // Write to a temporary file first so a crash never leaves half a store
+  async save(data) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.writeFile(temp, `${JSON.stringify(data, null, 2)}\n`);
+    await fs.promises.rename(temp, this.file);
+  }
+
+  /**
+   * Keep a challenge until it is verified, replacing any earlier one for the username.
+   * @param {Object} challenge - Result of createChallenge
+   */
+  async saveChallenge(challenge) {
+    const data = await this.load();
+    data.challenges[challenge.username.toLowerCase()] = challenge;
+    await this.save(data);
+  }
+
+  /**
+   * Pending challenge for a username.
+   * @param {string} username - GitHub username
+   * @returns {Promise<?Object>} Challenge, or null when none is pending
+   * @throws {LinkError} When the challenge has expired
+   */
+  async getChallenge(username) {
+    const { challenges } = await this.load();
+    const challenge = challenges[username.toLowerCase()] || null;
+    if (challenge && Date.parse(challenge.expiresAt) < this.now()) {
+      throw new LinkError(`The link challenge for ${username} expired at ${challenge.expiresAt}`);
+    }
+    return challenge;
+  }
+
+  /**
+   * Store a verified link and drop its challenge. A username or address
+   * links to one identity at a time, so older links for either are replaced.
+   * @param {Object} link - { username, address, scheme, signature, proof }
+   * @returns {Promise<Object>} Stored link with verifiedAt
+   */
+  async addLink(link) {
+    const data = await this.load();
+    const stored = { ...link, address: link.address.toLowerCase(), verifiedAt: new Date(this.now()).toISOString() };
+    data.links = data.links.filter(existing =>
+      !sameLogin(existing.username, link.username) && existing.address !== stored.address);
+    data.links.push(stored);
+    delete data.challenges[link.username.toLowerCase()];
+    await this.save(data);
+    return stored;
+  }
+
+  /**
+   * Find the link for a username or an address.
+   * @param {string} identity - GitHub username or 0x address
+   * @returns {Promise<?Object>} Link, or null when the identity is not linked
+   */
+  async resolve(identity) {
+    const { links } = await this.load();
+    return isAddress(identity)
+      ? links.find(link => link.address === identity.toLowerCase()) || null
+      : links.find(link => sameLogin(link.username, identity)) || null;
+  }
+}
+
+/**
+ * Build an identity store from the `identity` config section.
+ * @param {Object} [identityConfig] - { file }
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock
+ * @returns {IdentityStore} Store
+ */
+function createIdentityStore({ file = '.identity/links.json' } = {}, { now } = {}) {
+  return new IdentityStore({ file, now });
+}
+
+module.exports = {
+  IdentityStore,
+  LinkError,
+  createIdentityStore,
+  createChallenge,
+  verifySignature,
+  verifyProof,
+  parseProofUrl,
+  isAddress,
+  SCHEMES
+};
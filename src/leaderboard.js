@@ -0,0 +1,169 @@
+/**
+ * Builder Leaderboard
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Scores a roster of builders with bounded parallelism and ranks them,
+ * reporting movement since the previous run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { mapSettled } = require('./concurrency');
+
+/**
+ * @typedef {Object} RosterEntry
+ * @property {string} [username] - GitHub username
+ * @property {string} [address] - Base address whose deployments count
+ * @property {string} [name] - Display name
+ *
+ * Either side may be left out when the builder has linked their GitHub
+ * account and address; it is resolved from the identity links when scoring.
+ */
+
+/**
+ * Load a roster file: a JSON array (or `{ builders: [...] }`) of usernames
+ * or RosterEntry objects.
+ * @param {string} rosterPath - Path to the roster JSON file
+ * @returns {RosterEntry[]} Normalized roster
+ */
+function loadRoster(rosterPath) {
+  const data = JSON.parse(fs.readFileSync(rosterPath, 'utf8'));
+  const builders = Array.isArray(data) ? data : data.builders;
+  if (!Array.isArray(builders)) {
+    throw new Error(`Roster ${rosterPath} must be an array or { "builders": [...] }`);
+  }
+
+  const seen = new Set();
+  return builders.map((entry, i) => {
+    const builder = typeof entry === 'string' ? { username: entry } : { ...entry };
+    const key = builder.username || builder.address;
+    if (!key) throw new Error(`Roster entry ${i} needs a username or an address`);
+    if (seen.has(key)) throw new Error(`Duplicate roster entry: ${key}`);
+    seen.add(key);
+    return builder;
+  });
+}
+
+/**
+ * Read the previous leaderboard run, if any.
+ * @param {string} statePath - Path to the saved leaderboard
+ * @returns {?Object} Saved leaderboard or null
+ */
+function loadPreviousRun(statePath) {
+  if (!statePath || !fs.existsSync(statePath)) return null;
+  return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+}
+
+function saveRun(statePath, leaderboard) {
+  fs.mkdirSync(path.dirname(path.resolve(statePath)), { recursive: true });
+  fs.writeFileSync(statePath, `${JSON.stringify(leaderboard, null, 2)}\n`);
+}
+
+/**
+ * Rank scored builders, sharing ranks on ties (1, 2, 2, 4), and compute
+ * deltas against the previous run. Failed builders are listed unranked.
+ * @param {Object[]} results - { username, address, totalScore } or { username, error }
+ * @param {?Object} [previous] - Previous leaderboard from rankBuilders
+ * @returns {Object[]} Leaderboard entries
+ */
+function rankBuilders(results, previous = null) {
+  const before = new Map((previous ? previous.entries : [])
+    .filter(entry => entry.rank !== null)
+    .map(entry => [entry.username, entry]));
+
+  const scored = results.filter(result => !result.error)
+    .sort((a, b) => b.totalScore - a.totalScore || a.username.localeCompare(b.username));
+  const failed = results.filter(result => result.error);
+
+  const ranked = scored.map((result, i) => {
+    const rank = i > 0 && result.totalScore === scored[i - 1].totalScore ? null : i + 1;
+    return { ...result, rank };
+  });
+  ranked.forEach((entry, i) => {
+    if (entry.rank === null) entry.rank = ranked[i - 1].rank;
+  });
+
+  return [
+    ...ranked.map(entry => {
+      const prior = before.get(entry.username);
+      return {
+        ...entry,
+        delta: prior
+          ? { score: entry.totalScore - prior.totalScore, rank: prior.rank - entry.rank }
+          : null
+      };
+    }),
+    ...failed.map(entry => ({ ...entry, rank: null, totalScore: null, delta: null }))
+  ];
+}
+
+/**
+ * Score every builder in a roster and rank them.
+ * @param {Object} tracker - BuilderScoreTracker instance
+ * @param {RosterEntry[]} roster - Builders to score
+ * @param {Object} [options]
+ * @param {Object} [options.performance] - `performance` config section, defaults to tracker.config
+ * @param {?Object} [options.previous] - Previous leaderboard for deltas
+ * @param {Object} [options.scoreOptions] - Extra options for calculateBuilderScore (e.g. since/until)
+ * @param {Function} [options.sleep] - Delay function, injectable for tests
+ * @returns {Promise<Object>} { generatedAt, entries, failures }
+ */
+async function buildLeaderboard(tracker, roster, {
+  performance = tracker.config.performance,
+  previous = null,
+  scoreOptions = {},
+  sleep
+} = {}) {
+  const settled = await mapSettled(roster, async builder => {
+    const identity = await tracker.resolveIdentity(builder);
+    if (!identity.username) throw new Error(`No GitHub account linked to ${builder.address}`);
+
+    const score = await tracker.calculateBuilderScore(identity.username, {
+      ...scoreOptions,
+      address: identity.address
+    });
+    if (score.failures && score.failures.includes('github')) {
+      throw new Error('GitHub activity unavailable');
+    }
+    const primaryName = identity.address ? await tracker.lookupName(identity.address) : null;
+    return { identity, primaryName, score };
+  }, {
+    concurrency: performance.concurrency,
+    batchSize: performance.batchSize,
+    requestDelay: performance.requestDelay,
+    sleep
+  });
+
+  const results = roster.map((builder, i) => {
+    const outcome = settled[i];
+    const base = { username: builder.username || builder.address, name: builder.name, address: builder.address };
+    if (outcome.status === 'rejected') {
+      tracker.logger.warn('Builder could not be scored', { username: base.username, error: outcome.reason });
+      return { ...base, error: outcome.reason.message };
+    }
+    const { identity, primaryName, score } = outcome.value;
+    return {
+      ...base,
+      username: identity.username,
+      address: identity.address,
+      primaryName,
+      totalScore: score.totalScore,
+      failures: score.failures
+    };
+  });
+
+  const entries = rankBuilders(results, previous);
+  return {
+    generatedAt: new Date().toISOString(),
+    entries,
+    failures: entries.filter(entry => entry.error).length
+  };
+}
+
+module.exports = {
+  loadRoster,
+  loadPreviousRun,
+  saveRun,
+  rankBuilders,
+  buildLeaderboard
+};
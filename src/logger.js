@@ -0,0 +1,257 @@
+/**
+ * Structured Logger
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Implements the `logging` config section: level filtering, JSON or
+ * pretty records, console and file destinations and size-based file
+ * rotation. Records carry context fields (username, address, blockNumber,
+ * durationMs, ...) instead of interpolating them into the message.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+};
+
+const SIZE_UNITS = {
+  B: 1,
+  KB: 1024,
+  MB: 1024 ** 2,
+  GB: 1024 ** 3
+};
+
+/**
+ * Parse a size such as '10MB' into bytes. Plain numbers are bytes.
+ * @param {string|number} size - Size with an optional B/KB/MB/GB unit
+ * @returns {number} Bytes
+ */
+function parseSize(size) {
+  if (typeof size === 'number') return size;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?\s*$/i.exec(String(size));
+  if (!match) throw new Error(`Invalid size: ${size}`);
+  return Math.floor(Number(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()]);
+}
+
+// Errors don't survive JSON.stringify, so keep their message and code
+function serializeValue(value) {
+  if (value instanceof Error) {
+    return value.code ? { message: value.message, code: value.code } : { message: value.message };
+  }
+  if (typeof value === 'bigint') return value.toString();
+  return value;
+}
+
+function formatJson(record) {
+  return JSON.stringify(record, (key, value) => serializeValue(value));
+}
+
+function formatPrettyValue(value) {
+  const serialized = serializeValue(value);
+  if (serialized && typeof serialized === 'object') return JSON.stringify(serialized);
+  const text = String(serialized);
+  return /\s/.test(text) ? JSON.stringify(text) : text;
+}
+
+function formatPretty({ time, level, msg, ...fields }) {
+  const context = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${formatPrettyValue(value)}`);
+  return [time, level.toUpperCase().padEnd(5), msg, ...context].join(' ');
+}
+
+const FORMATTERS = {
+  json: formatJson,
+  pretty: formatPretty
+};
+
+/**
+ * Writes lines to a stream such as process.stderr.
+ */
+class StreamDestination {
+  constructor(stream) {
+    this.stream = stream;
+  }
+
+  write(line) {
+    this.stream.write(`${line}\n`);
+  }
+}
+
+/**
+ * Appends lines to a file, rotating it once it would exceed maxSize.
+ * Rotated files are renamed file.1 (newest) to file.N, keeping maxFiles
+ * files in total including the active one.
+ *
+ * Writes are synchronous so records keep their order and nothing is lost
+ * when the process exits straight after logging.
+ */
+class FileDestination {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Log file path
+   * @param {number} [options.maxSize=10MB] - Bytes per file before rotating
+   * @param {number} [options.maxFiles=5] - Files kept, including the active one
+   */
+  constructor({ file, maxSize = parseSize('10MB'), maxFiles = 5 }) {
+    this.file = file;
+    this.maxSize = maxSize;
+    this.maxFiles = maxFiles;
+    this.size = null;
+  }
+
+  currentSize() {
+    if (this.size === null) {
+      try {
+        this.size = fs.statSync(this.file).size;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.size = 0;
+      }
+    }
+    return this.size;
+  }
+
+  rotate() {
+    fs.rmSync(`${this.file}.${this.maxFiles - 1}`, { force: true });
+    for (let i = this.maxFiles - 2; i >= 1; i--) {
+      if (fs.existsSync(`${this.file}.${i}`)) fs.renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+    }
+    if (this.maxFiles > 1) fs.renameSync(this.file, `${this.file}.1`);
+    else fs.rmSync(this.file, { force: true });
+    this.size = 0;
+  }
+
+  write(line) {
+    const data = `${line}\n`;
+    const bytes = Buffer.byteLength(data);
+    const size = this.currentSize();
+    if (size > 0 && size + bytes > this.maxSize) this.rotate();
+    fs.appendFileSync(this.file, data);
+    this.size += bytes;
+  }
+}
+
+class Logger {
+  /**
+   * @param {Object} options
+   * @param {string} [options.level='info'] - Most verbose level written: error, warn, info or debug
+   * @param {string} [options.format='json'] - 'json' or 'pretty'
+   * @param {Object[]} [options.destinations=[]] - Objects with write(line)
+   * @param {Object} [options.context={}] - Fields added to every record
+   * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+   */
+  constructor({ level = 'info', format = 'json', destinations = [], context = {}, now = Date.now } = {}) {
+    if (!(level in LEVELS)) throw new Error(`Unknown log level: ${level}`);
+    if (!FORMATTERS[format]) throw new Error(`Unknown log format: ${format}`);
+    this.level = level;
+    this.format = format;
+    this.destinations = destinations;
+    this.context = context;
+    this.now = now;
+  }
+
+  /**
+   * Create a logger that adds fields to every record and shares destinations.
+   * @param {Object} fields - Context fields
+   * @returns {Logger} Child logger
+   */
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      destinations: this.destinations,
+      context: { ...this.context, ...fields },
+      now: this.now
+    });
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] <= LEVELS[this.level];
+  }
+
+  /**
+   * Write a record.
+   * @param {string} level - error, warn, info or debug
+   * @param {string} msg - Short description without interpolated values
+   * @param {Object} [fields] - Context fields for this record
+   */
+  write(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+    const record = {
+      time: new Date(this.now()).toISOString(),
+      level,
+      msg,
+      ...this.context,
+      ...fields
+    };
+    const line = FORMATTERS[this.format](record);
+    this.destinations.forEach(destination => destination.write(line));
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+}
+
+/**
+ * Build a logger from the `logging` config section.
+ * @param {Object} [loggingConfig] - `logging` section of the config
+ * @param {Object} [options]
+ * @param {Object} [options.stream=process.stderr] - Stream for the console destination
+ * @param {Function} [options.now] - Clock, injectable for tests
+ * @returns {Logger} Logger
+ */
+function createLogger(loggingConfig = {}, { stream = process.stderr, now } = {}) {
+  const {
+    level,
+    format,
+    destinations = ['console'],
+    file = 'logs/builder-score.log',
+    maxFileSize,
+    maxFiles
+  } = loggingConfig;
+
+  const sinks = destinations.map(destination => {
+    switch (destination) {
+      case 'console':
+        return new StreamDestination(stream);
+      case 'file':
+        return new FileDestination({
+          file: path.resolve(file),
+          maxSize: maxFileSize === undefined ? undefined : parseSize(maxFileSize),
+          maxFiles
+        });
+      default:
+        throw new Error(`Unknown log destination: ${destination}`);
+    }
+  });
+
+  return new Logger({ level, format, destinations: sinks, now });
+}
+
+module.exports = {
+  Logger,
+  StreamDestination,
+  FileDestination,
+  createLogger,
+  parseSize,
+  LEVELS
+};
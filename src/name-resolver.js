@@ -0,0 +1,190 @@
+/**
+ * Name Resolver
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Resolves Basenames and ENS names to addresses, and addresses back to
+ * their primary names. Lookups go to an ENS-compatible registry on the
+ * tracker's chain (the Basenames registry on Base), then to ENS on
+ * Ethereum mainnet when an RPC URL for it is configured. Lookups,
+ * misses included, are cached.
+ */
+
+const { ethers } = require('ethers');
+
+/**
+ * Basenames registries by chain ID. Reverse records live under the
+ * chain's ENSIP-19 namespace, the hex coin type 0x80000000 | chainId.
+ */
+const NAME_REGISTRIES = {
+  8453: { registry: '0xb94704422c2a1e396835a571837aa5ae53285a95', reverseNamespace: '80002105.reverse' },
+  84532: { registry: '0x1493b2567056c2181630115660963e13a8e32735', reverseNamespace: '80014a34.reverse' }
+};
+
+const REGISTRY_ABI = ['function resolver(bytes32 node) view returns (address)'];
+const RESOLVER_ABI = [
+  'function addr(bytes32 node) view returns (address)',
+  'function name(bytes32 node) view returns (string)'
+];
+
+class NameResolutionError extends Error {}
+
+/**
+ * Whether a value looks like a name ("alice.base.eth") rather than an address.
+ * @param {*} value - Value to check
+ * @returns {boolean} True for dotted names that are not hex
+ */
+const isName = value => typeof value === 'string' && !value.startsWith('0x') && /^[^\s./]+(\.[^\s./]+)+$/.test(value);
+
+// A resolver without the record, or no contract at all, reads as "no record";
+// anything else (an unreachable RPC) is a real failure
+async function readRecord(read) {
+  try {
+    return await read();
+  } catch (error) {
+    if (['CALL_EXCEPTION', 'BAD_DATA'].includes(error.code)) return null;
+    throw error;
+  }
+}
+
+class NameResolver {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - ethers provider for the registry's chain
+   * @param {?string} [options.registry] - ENS-compatible registry address, null to skip the registry
+   * @param {string} [options.reverseNamespace='addr.reverse'] - Parent name of the reverse records
+   * @param {?Object} [options.ensProvider] - Ethereum mainnet provider for names the registry does not know
+   * @param {?Object} [options.cache] - Cache for lookups
+   * @param {number} [options.ttl] - Seconds to keep lookups, defaults to the cache ttl
+   */
+  constructor({ provider, registry = null, reverseNamespace = 'addr.reverse', ensProvider = null, cache = null, ttl }) {
+    this.provider = provider;
+    this.registry = registry;
+    this.reverseNamespace = reverseNamespace;
+    this.ensProvider = ensProvider;
+    this.cache = cache;
+    this.ttl = ttl;
+  }
+
+  async cached(key, lookup) {
+    if (!this.cache) return lookup();
+    const hit = await this.cache.get(key);
+    if (hit !== undefined) return hit;
+
+    const value = await lookup();
+    await this.cache.set(key, value, { ttl: this.ttl });
+    return value;
+  }
+
+  async resolverFor(node) {
+    const registry = new ethers.Contract(this.registry, REGISTRY_ABI, this.provider);
+    const address = await readRecord(() => registry.resolver(node));
+    return address && address !== ethers.ZeroAddress ? new ethers.Contract(address, RESOLVER_ABI, this.provider) : null;
+  }
+
+  /**
+   * Resolve a name to an address.
+   * @param {string} name - Basename or ENS name
+   * @returns {Promise<?string>} Checksummed address, or null when the name has no address
+   * @throws {NameResolutionError} When the name is not a valid ENS name
+   */
+  async resolveName(name) {
+    let normalized;
+    try {
+      normalized = ethers.ensNormalize(name);
+    } catch (error) {
+      throw new NameResolutionError(`Invalid name: ${name}`);
+    }
+
+    return this.cached(`names:${this.registry}:forward:${normalized}`, async () => {
+      let address = null;
+      if (this.registry) {
+        const node = ethers.namehash(normalized);
+        const resolver = await this.resolverFor(node);
+        address = resolver ? await readRecord(() => resolver.addr(node)) : null;
+      }
+      if ((!address || address === ethers.ZeroAddress) && this.ensProvider) {
+        address = await this.ensProvider.resolveName(normalized);
+      }
+      return address && address !== ethers.ZeroAddress ? ethers.getAddress(address) : null;
+    });
+  }
+
+  /**
+   * Find the primary name of an address. A name only counts when it
+   * resolves back to the same address.
+   * @param {string} address - 0x address
+   * @returns {Promise<?string>} Name, or null when the address has none
+   */
+  async lookupAddress(address) {
+    const wallet = ethers.getAddress(address.toLowerCase());
+
+    return this.cached(`names:${this.registry}:reverse:${wallet.toLowerCase()}`, async () => {
+      let name = null;
+      if (this.registry) {
+        const node = ethers.namehash(`${wallet.slice(2).toLowerCase()}.${this.reverseNamespace}`);
+        const resolver = await this.resolverFor(node);
+        name = resolver ? await readRecord(() => resolver.name(node)) : null;
+        if (name && (await this.resolveName(name).catch(() => null)) !== wallet) name = null;
+      }
+      // ethers checks the forward record itself
+      if (!name && this.ensProvider) name = await this.ensProvider.lookupAddress(wallet);
+      return name || null;
+    });
+  }
+
+  /**
+   * Accept a name wherever an address is expected. Anything that does not
+   * look like a name is returned unchanged.
+   * @param {string} input - 0x address or name
+   * @returns {Promise<string>} Address
+   * @throws {NameResolutionError} When a name does not resolve
+   */
+  async resolveAddress(input) {
+    if (!isName(input)) return input;
+    const address = await this.resolveName(input);
+    if (!address) throw new NameResolutionError(`${input} does not resolve to an address`);
+    return address;
+  }
+
+  close() {
+    if (this.ensProvider) this.ensProvider.destroy();
+  }
+}
+
+/**
+ * Build a name resolver from the `names` config section. The registry
+ * and reverse namespace default to the Basenames ones for the chain.
+ * @param {Object} [namesConfig] - { registry, reverseNamespace, ensRpcUrl }
+ * @param {Object} options
+ * @param {Object} options.provider - ethers provider for the chain
+ * @param {number} options.chainId - Chain ID of the provider
+ * @param {Object} [options.cache] - Cache for lookups
+ * @param {number} [options.ttl] - Seconds to keep lookups
+ * @param {Function} [options.connect] - (url) => mainnet provider for ensRpcUrl
+ * @returns {NameResolver} Resolver
+ */
+function createNameResolver({ registry, reverseNamespace, ensRpcUrl } = {}, {
+  provider,
+  chainId,
+  cache,
+  ttl,
+  connect = url => new ethers.JsonRpcProvider(url, 1, { staticNetwork: true })
+}) {
+  const defaults = NAME_REGISTRIES[chainId] || {};
+  return new NameResolver({
+    provider,
+    registry: registry || defaults.registry || null,
+    reverseNamespace: reverseNamespace || defaults.reverseNamespace,
+    ensProvider: ensRpcUrl ? connect(ensRpcUrl) : null,
+    cache,
+    ttl
+  });
+}
+
+module.exports = {
+  NameResolver,
+  NameResolutionError,
+  createNameResolver,
+  isName,
+  NAME_REGISTRIES
+};
@@ -0,0 +1,387 @@
+/**
+ * Notifier
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Turns scores into notifications (thresholds met, streaks at risk, score
+ * milestones) and sends them through the channels in the `notifications`
+ * config section: a generic JSON webhook, a Slack-compatible webhook,
+ * stdout and desktop notifications. Messages come from templates with
+ * {placeholder} fields.
+ *
+ * Every notification has a key, and a key is sent once: daily
+ * notifications carry the contest day in their key. Sent keys are kept in
+ * a JSON file so reruns stay quiet. During quiet hours notifications are
+ * held and go out with the first dispatch after them.
+ */
+
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { localTime } = require('./streak-engine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_TEMPLATES = {
+  thresholdMet: {
+    title: 'Threshold met',
+    text: '{username} met {name}: {actual} of {required}'
+  },
+  streakAtRisk: {
+    title: 'Streak at risk',
+    text: '{username}: {warning}'
+  },
+  scoreMilestone: {
+    title: 'Builder Score milestone',
+    text: '{username} passed {milestone} points with a Builder Score of {totalScore}'
+  }
+};
+
+/**
+ * @typedef {Object} Notification
+ * @property {string} type - Template name: thresholdMet, streakAtRisk or scoreMilestone
+ * @property {string} key - Identity for deduplication
+ * @property {Object} data - Template fields
+ * @property {?string} [expiresAt] - ISO-8601 time after which a held notification is dropped
+ */
+
+/**
+ * Fill {field} and {nested.field} placeholders. Unknown fields are left as they are.
+ * @param {string} template - Template text
+ * @param {Object} data - Field values
+ * @returns {string} Text
+ */
+function renderTemplate(template, data) {
+  return template.replace(/\{([\w.]+)\}/g, (match, field) => {
+    const value = field.split('.').reduce((node, key) => (node == null ? undefined : node[key]), data);
+    return value == null ? match : String(value);
+  });
+}
+
+/**
+ * Notifications a score calls for. Only the highest milestone reached is
+ * included; lower ones are implied. Thresholds and milestones are keyed
+ * without a day, so one that stays met is only sent when first crossed.
+ * @param {string} username - GitHub username
+ * @param {Object} score - Result of calculateBuilderScore or scoreActivity
+ * @param {Object} [options]
+ * @param {number[]} [options.milestones=[]] - Builder Score milestones
+ * @param {number} [options.now=Date.now()] - Current time
+ * @returns {Notification[]} Notifications
+ */
+function notificationsFor(username, score, { milestones = [], now = Date.now() } = {}) {
+  const user = username.toLowerCase();
+  const notifications = [];
+
+  Object.entries(score.breakdown.thresholds || {}).forEach(([name, threshold]) => {
+    if (!threshold.met) return;
+    notifications.push({
+      type: 'thresholdMet',
+      key: `thresholdMet:${user}:${name}`,
+      data: { username, name, actual: threshold.actual, required: threshold.required }
+    });
+  });
+
+  const { streak } = score;
+  if (streak && streak.atRisk) {
+    notifications.push({
+      type: 'streakAtRisk',
+      key: `streakAtRisk:${user}:${streak.today}`,
+      data: { username, ...streak },
+      // Useless once the day is over
+      expiresAt: new Date(now + streak.hoursLeft * HOUR_MS).toISOString()
+    });
+  }
+
+  const milestone = Math.max(...milestones.filter(value => score.totalScore >= value), -Infinity);
+  if (milestone !== -Infinity) {
+    notifications.push({
+      type: 'scoreMilestone',
+      key: `scoreMilestone:${user}:${milestone}`,
+      data: { username, milestone, totalScore: score.totalScore }
+    });
+  }
+  return notifications;
+}
+
+class WebhookChannel {
+  /**
+   * POSTs { type, title, text, data } as JSON.
+   * @param {Object} options
+   * @param {string} options.url - Webhook URL
+   * @param {Object} [options.headers] - Extra request headers, e.g. an Authorization token
+   * @param {Object} [options.http=axios] - HTTP client exposing post(url, body, config)
+   * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+   */
+  constructor({ url, headers = {}, http = axios, timeout = 10000 }) {
+    this.name = 'webhook';
+    this.url = url;
+    this.headers = headers;
+    this.http = http;
+    this.timeout = timeout;
+  }
+
+  async send({ type, title, text, data }) {
+    await this.http.post(this.url, { type, title, text, data }, { headers: this.headers, timeout: this.timeout });
+  }
+}
+
+class SlackChannel {
+  /**
+   * POSTs { text } to a Slack incoming webhook, or anything accepting the same body.
+   * @param {Object} options
+   * @param {string} options.url - Incoming webhook URL
+   * @param {Object} [options.http=axios] - HTTP client exposing post(url, body, config)
+   * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+   */
+  constructor({ url, http = axios, timeout = 10000 }) {
+    this.name = 'slack';
+    this.url = url;
+    this.http = http;
+    this.timeout = timeout;
+  }
+
+  async send({ title, text }) {
+    await this.http.post(this.url, { text: `*${title}*\n${text}` }, { timeout: this.timeout });
+  }
+}
+
+class StdoutChannel {
+  /**
+   * Writes one line per notification.
+   * @param {Object} [options]
+   * @param {Object} [options.stream=process.stdout] - Writable stream
+   */
+  constructor({ stream = process.stdout } = {}) {
+    this.name = 'stdout';
+    this.stream = stream;
+  }
+
+  async send({ title, text }) {
+    this.stream.write(`🔔 ${title}: ${text}\n`);
+  }
+}
+
+class DesktopChannel {
+  /**
+   * Shows a desktop notification with notify-send (Linux) or osascript (macOS).
+   * @param {Object} [options]
+   * @param {string} [options.platform=process.platform] - Platform, injectable for tests
+   * @param {Function} [options.exec] - (file, args) => Promise, defaults to child_process.execFile
+   */
+  constructor({ platform = process.platform, exec } = {}) {
+    this.name = 'desktop';
+    this.platform = platform;
+    this.exec = exec || ((file, args) => new Promise((resolve, reject) => {
+      execFile(file, args, { timeout: 10000 }, error => (error ? reject(error) : resolve()));
+    }));
+  }
+
+  async send({ title, text }) {
+    if (this.platform === 'darwin') {
+      await this.exec('osascript', ['-e', `display notification ${JSON.stringify(text)} with title ${JSON.stringify(title)}`]);
+    } else if (this.platform === 'linux') {
+      await this.exec('notify-send', [title, text]);
+    } else {
+      throw new Error(`Desktop notifications are not supported on ${this.platform}`);
+    }
+  }
+}
+
+const CHANNEL_TYPES = {
+  webhook: WebhookChannel,
+  slack: SlackChannel,
+  stdout: StdoutChannel,
+  desktop: DesktopChannel
+};
+
+/**
+ * Build a channel from a `notifications.channels` entry.
+ * @param {Object} channelConfig - { type, url, headers } for webhooks, { type } otherwise
+ * @param {Object} [options] - Passed to the channel, e.g. http or stream
+ * @returns {Object} Channel with name and send(message)
+ */
+function createChannel({ type, ...settings }, options = {}) {
+  const Channel = CHANNEL_TYPES[type];
+  if (!Channel) throw new Error(`Unknown notification channel: ${type}`);
+  if ((type === 'webhook' || type === 'slack') && !settings.url) {
+    throw new Error(`The ${type} notification channel needs a url`);
+  }
+  return new Channel({ ...settings, ...options });
+}
+
+class Notifier {
+  /**
+   * @param {Object} options
+   * @param {Object[]} [options.channels=[]] - Channels, see createChannel
+   * @param {Object} [options.templates] - Title and text per notification type, merged over the defaults
+   * @param {?Object} [options.quietHours] - { start, end } as HH:MM; may wrap past midnight
+   * @param {string} [options.timezone='UTC'] - Timezone of the quiet hours
+   * @param {string} options.file - JSON file for sent keys and held notifications
+   * @param {number} [options.retentionDays=30] - Days to remember sent keys
+   * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+   * @param {Object} [options.logger] - Structured logger
+   */
+  constructor({ channels = [], templates = {}, quietHours = null, timezone = 'UTC', file, retentionDays = 30, now = Date.now, logger = null }) {
+    this.channels = channels;
+    this.templates = Object.fromEntries(Object.entries(DEFAULT_TEMPLATES)
+      .map(([type, template]) => [type, { ...template, ...templates[type] }]));
+    this.quietHours = quietHours;
+    this.timezone = timezone;
+    this.file = file;
+    this.retentionDays = retentionDays;
+    this.now = now;
+    this.logger = logger;
+    this.pending = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+      return { sent: data.sent || {}, held: data.held || [] };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { sent: {}, held: [] };
+      throw error;
+    }
+  }
+
+  // Write to a temporary file first so a crash never leaves half a state file
+  async save(data) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.writeFile(temp, `${JSON.stringify(data, null, 2)}\n`);
+    await fs.promises.rename(temp, this.file);
+  }
+
+  /**
+   * Whether a time falls in the quiet hours.
+   * @param {number} time - Timestamp
+   * @returns {boolean} True during quiet hours
+   */
+  isQuiet(time) {
+    if (!this.quietHours) return false;
+    const { start, end } = this.quietHours;
+    const local = localTime(time, this.timezone);
+    return start <= end ? local >= start && local < end : local >= start || local < end;
+  }
+
+  /**
+   * Fill in the title and text of a notification.
+   * @param {Notification} notification - Notification
+   * @returns {Object} { type, key, title, text, data }
+   */
+  render({ type, key, data }) {
+    const template = this.templates[type] || { title: type, text: '' };
+    return { type, key, title: renderTemplate(template.title, data), text: renderTemplate(template.text, data), data };
+  }
+
+  /**
+   * Send through every channel. A failing channel does not stop the others.
+   * @param {Object} message - Rendered notification
+   * @returns {Promise<boolean>} Whether at least one channel accepted it
+   */
+  async deliver(message) {
+    const settled = await Promise.allSettled(this.channels.map(channel => channel.send(message)));
+    settled.forEach(({ status, reason }, i) => {
+      if (status === 'rejected' && this.logger) {
+        this.logger.warn('Notification not sent', { channel: this.channels[i].name, key: message.key, error: reason });
+      }
+    });
+    return settled.some(({ status }) => status === 'fulfilled');
+  }
+
+  /**
+   * Send the notifications not sent before. Dispatches run one at a time.
+   * Notifications no channel accepted are not remembered, so the next
+   * dispatch that calls for them tries again.
+   * @param {Notification[]} notifications - Notifications
+   * @returns {Promise<Object[]>} Rendered notifications that were delivered
+   */
+  dispatch(notifications) {
+    if (this.channels.length === 0) return Promise.resolve([]);
+    const run = this.pending.then(() => this.dispatchNow(notifications));
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  async dispatchNow(notifications) {
+    const now = this.now();
+    const state = await this.load();
+    const cutoff = now - this.retentionDays * DAY_MS;
+    state.sent = Object.fromEntries(Object.entries(state.sent).filter(([, sentAt]) => Date.parse(sentAt) >= cutoff));
+
+    const seen = new Set([...Object.keys(state.sent), ...state.held.map(notification => notification.key)]);
+    const fresh = notifications.filter(notification => {
+      if (seen.has(notification.key)) return false;
+      seen.add(notification.key);
+      return true;
+    });
+
+    if (this.isQuiet(now)) {
+      state.held.push(...fresh);
+      await this.save(state);
+      if (fresh.length > 0 && this.logger) {
+        this.logger.info('Notifications held for quiet hours', { count: fresh.length, until: this.quietHours.end });
+      }
+      return [];
+    }
+
+    const due = [...state.held, ...fresh].filter(notification =>
+      !notification.expiresAt || Date.parse(notification.expiresAt) > now);
+    state.held = [];
+    const delivered = [];
+    for (const notification of due) {
+      const message = this.render(notification);
+      if (await this.deliver(message)) {
+        state.sent[notification.key] = new Date(now).toISOString();
+        delivered.push(message);
+      }
+    }
+    await this.save(state);
+    return delivered;
+  }
+}
+
+/**
+ * Build a notifier from the `notifications` config section.
+ * @param {Object} [notificationsConfig] - { channels, templates, quietHours, file, retentionDays }
+ * @param {Object} [options]
+ * @param {string} [options.timezone] - `contest.timezone`
+ * @param {Function} [options.now] - Clock
+ * @param {Object} [options.logger] - Structured logger
+ * @param {Object} [options.channelOptions] - Passed to every channel, e.g. http or stream
+ * @returns {Notifier} Notifier
+ */
+function createNotifier({
+  channels = [],
+  templates,
+  quietHours,
+  file = '.notifications/state.json',
+  retentionDays
+} = {}, { timezone, now, logger, channelOptions } = {}) {
+  return new Notifier({
+    channels: channels.map(channel => createChannel(channel, channelOptions)),
+    templates,
+    quietHours,
+    timezone,
+    file,
+    retentionDays,
+    now,
+    logger
+  });
+}
+
+module.exports = {
+  Notifier,
+  WebhookChannel,
+  SlackChannel,
+  StdoutChannel,
+  DesktopChannel,
+  createChannel,
+  createNotifier,
+  notificationsFor,
+  renderTemplate,
+  DEFAULT_TEMPLATES
+};
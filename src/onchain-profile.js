@@ -0,0 +1,87 @@
+/**
+ * On-chain Profile
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Summarizes what a builder's address has done on Base: transactions sent,
+ * gas spent, contracts interacted with, when it was active and which of
+ * its deployments are still live. The transactions and deployments come
+ * from a ContractScanner pass over a block range, so apart from the
+ * all-time transaction count the profile covers that range only; this
+ * adds the provider lookups on top.
+ */
+
+const { ethers } = require('ethers');
+
+class OnchainProfiler {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - ethers provider
+   */
+  constructor({ provider }) {
+    this.provider = provider;
+  }
+
+  async hasCode(address) {
+    const code = await this.provider.getCode(address);
+    return Boolean(code) && code !== '0x';
+  }
+
+  /**
+   * Build the profile of an address from a contract scan.
+   *
+   * `transactionCount` is the account nonce and covers all time. Every
+   * other field covers only the scanned blocks, listed under `window`:
+   * gas, contracts used, `firstActivityInWindow` and
+   * `lastActivityInWindow` are those of the transactions in that range.
+   *
+   * "Verified" here means deployed and still live: the creation succeeded,
+   * the scanned address sent it, and code is still present at the contract
+   * address. It is not source verification on a block explorer, and holds
+   * for every successful deployment that has not self-destructed. Each
+   * deployment gets a `verified` flag in place, which scoring uses to
+   * decide what earns the `baseContracts` weight.
+   *
+   * @param {string} address - Builder address
+   * @param {Object} scan - Contract scan result
+   * @param {Object[]} scan.contracts - Deployed contracts, see ContractScanner
+   * @param {Object[]} [scan.transactions] - Transactions sent by the address, see ContractScanner
+   * @param {Object} [scan.cursor] - Scan cursor, for the scanned block range
+   * @returns {Promise<Object>} { address, window: { fromBlock, toBlock }, transactionCount, scannedTransactions,
+   *   failedTransactions, gasUsed, gasSpentWei, gasSpent, uniqueContracts, contractsInteracted,
+   *   firstActivityInWindow, lastActivityInWindow, deployments, verifiedDeployments }
+   */
+  async profile(address, { contracts, transactions = [], cursor = {} }) {
+    const recipients = [...new Set(transactions.filter(tx => tx.success && tx.to).map(tx => tx.to))];
+    const [transactionCount, recipientCode, deploymentCode] = await Promise.all([
+      this.provider.getTransactionCount(address),
+      Promise.all(recipients.map(to => this.hasCode(to))),
+      Promise.all(contracts.map(contract => this.hasCode(contract.address)))
+    ]);
+
+    contracts.forEach((contract, i) => {
+      contract.verified = deploymentCode[i];
+    });
+    const gasUsed = transactions.reduce((sum, tx) => sum + BigInt(tx.gasUsed), 0n);
+    const gasSpentWei = transactions.reduce((sum, tx) => sum + BigInt(tx.fee), 0n);
+    const times = transactions.map(tx => tx.created_at).sort();
+
+    return {
+      address: address.toLowerCase(),
+      window: { fromBlock: cursor.fromBlock ?? null, toBlock: cursor.toBlock ?? null },
+      transactionCount,
+      scannedTransactions: transactions.length,
+      failedTransactions: transactions.filter(tx => !tx.success).length,
+      gasUsed: gasUsed.toString(),
+      gasSpentWei: gasSpentWei.toString(),
+      gasSpent: ethers.formatEther(gasSpentWei),
+      uniqueContracts: recipients.filter((to, i) => recipientCode[i]).length,
+      contractsInteracted: recipients.filter((to, i) => recipientCode[i]),
+      firstActivityInWindow: times.length > 0 ? times[0] : null,
+      lastActivityInWindow: times.length > 0 ? times[times.length - 1] : null,
+      deployments: contracts.length,
+      verifiedDeployments: contracts.filter(contract => contract.verified).map(contract => contract.address)
+    };
+  }
+}
+
+module.exports = OnchainProfiler;
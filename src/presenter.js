@@ -0,0 +1,105 @@
+/**
+ * Console Presenter
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Human-facing text for `npm start`. The tracker only returns data and
+ * writes structured log records; everything meant to be read by a person
+ * at a terminal is formatted here.
+ */
+
+const { summarizeCategories } = require('./repository-classifier');
+
+const FAILURE_MESSAGES = {
+  github: '❌ GitHub activity could not be fetched',
+  network: '❌ Base network could not be reached',
+  contracts: '❌ Base contracts could not be scanned'
+};
+
+/**
+ * Format the optimization tips as a numbered list, best first.
+ * @param {string[]} tips - Tips from BuilderScoreTracker#getOptimizationTips
+ * @returns {string} Text block
+ */
+function formatTips(tips) {
+  if (tips.length === 0) return '🎯 No actions left to plan in the contest window';
+  return ['🎯 Next best actions:', ...tips.map((tip, i) => `${i + 1}. ${tip}`)].join('\n');
+}
+
+/**
+ * Format the contest countdown.
+ * @param {Object} countdown - Result of BuilderScoreTracker#getCountdown
+ * @returns {string} One line
+ */
+function formatCountdown(countdown) {
+  if (countdown.status === 'ended') return `🏁 Contest ended ${countdown.endDate}`;
+  if (countdown.status === 'upcoming') return `📅 Contest starts in ${countdown.remaining}`;
+  if (countdown.finalSprint) return `⚡ Final sprint! ${countdown.remaining} left, priority activities earn the sprint multiplier`;
+  return `⏳ Time remaining: ${countdown.remaining}`;
+}
+
+function formatCategories(categories) {
+  const summary = summarizeCategories(categories || {});
+  if (summary.length === 0) return [];
+  return [`🧭 Focus: ${summary.map(({ category, share, events }) => `${category} ${share}% (${events} events)`).join(', ')}`];
+}
+
+function formatQuality(github) {
+  if (!github.counts.lowQuality) return [];
+  return [`🧹 Low-value activity: ${github.counts.lowQuality} events discounted (-${github.qualityDiscount} points)`];
+}
+
+function formatOnchain(onchain) {
+  if (!onchain) return [];
+  const label = onchain.primaryName ? ` (${onchain.primaryName})` : '';
+  const { fromBlock = null, toBlock = null } = onchain.window || {};
+  const range = fromBlock === null ? '' : ` ${fromBlock}-${toBlock}`;
+  // The nonce counts every transaction; the rest comes from the scanned blocks only
+  return [`⛓️ On-chain${label}: ${onchain.transactionCount} transactions in total; in blocks${range}: ` +
+    `${onchain.gasSpent} ETH gas, ${onchain.uniqueContracts} contracts used, ` +
+    `${onchain.verifiedDeployments.length}/${onchain.deployments} deployments live`];
+}
+
+function formatStreak(streak) {
+  if (!streak) return [];
+  const lines = [`🔥 Streak: ${streak.currentStreak} days (longest ${streak.longestStreak})`];
+  if (streak.warning) lines.push(`${streak.urgent ? '🚨' : '⚠️'} ${streak.warning}`);
+  return lines;
+}
+
+/**
+ * Format the result of BuilderScoreTracker#run.
+ * @param {Object} summary
+ * @param {string} summary.username - GitHub username
+ * @param {Object} summary.score - Result of calculateBuilderScore
+ * @param {Object} summary.countdown - Result of getCountdown
+ * @param {string[]} summary.tips - Optimization tips
+ * @returns {string} Text block
+ */
+function formatRunSummary({ username, score, countdown, tips }) {
+  const { github, base } = score.breakdown;
+  return [
+    '🏆 Base Summer League 2024 - Builder Rewards Tracker',
+    '='.repeat(50),
+    formatCountdown(countdown),
+    ...score.failures.map(source => FAILURE_MESSAGES[source]),
+    `📊 GitHub score: ${github.subtotal}`,
+    ...formatCategories(github.categories),
+    ...formatQuality(github),
+    `🔗 Base score: ${base.subtotal}`,
+    ...formatOnchain(score.onchain),
+    `🏅 Builder Score for ${username}: ${score.totalScore}`,
+    ...formatStreak(score.streak),
+    '',
+    formatTips(tips),
+    '',
+    score.failures.length > 0
+      ? `❌ Tracking incomplete: ${score.failures.join(', ')} unavailable, the score above is partial`
+      : '✅ Tracking complete! Keep building! 🚀'
+  ].join('\n');
+}
+
+module.exports = {
+  formatCountdown,
+  formatTips,
+  formatRunSummary
+};
@@ -0,0 +1,255 @@
+/**
+ * Contribution Quality Analyzer
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Rates each contribution from its commit and pull request details so
+ * low-value activity (empty or whitespace-only commits, one-line tweaks,
+ * the same commit pushed again and again, pull requests closed without
+ * merging) can be discounted by the `builderScore.quality` settings.
+ */
+
+const DEFAULT_QUALITY = {
+  minLines: 3,
+  maxCommitsPerPush: 5,
+  maxRequests: 200,
+  discounts: {
+    empty: 0,
+    whitespaceOnly: 0,
+    trivial: 0.25,
+    repetitive: 0.25,
+    docsOnly: 0.8,
+    closedUnmerged: 0.5
+  }
+};
+
+// Flag -> key in quality.discounts
+const FLAG_DISCOUNTS = {
+  empty: 'empty',
+  whitespace_only: 'whitespaceOnly',
+  trivial: 'trivial',
+  repetitive: 'repetitive',
+  docs_only: 'docsOnly',
+  closed_unmerged: 'closedUnmerged'
+};
+
+const DOCS_PATTERNS = [
+  /(^|\/)(docs?|documentation)\//i,
+  /\.(md|mdx|rst|txt|adoc)$/i,
+  /(^|\/)(readme|changelog|license|contributing)[^/]*$/i
+];
+
+/**
+ * Merge `builderScore.quality` over the defaults.
+ * @param {Object} [quality] - `builderScore.quality` section of the config
+ * @returns {Object} Complete quality settings
+ */
+function qualitySettings(quality = {}) {
+  return {
+    ...DEFAULT_QUALITY,
+    ...quality,
+    discounts: { ...DEFAULT_QUALITY.discounts, ...quality.discounts }
+  };
+}
+
+const isDocsFile = filename => DOCS_PATTERNS.some(pattern => pattern.test(filename));
+
+// Changed lines of a unified diff, without the +/- marker
+function changedLines(patch, marker) {
+  return patch.split('\n')
+    .filter(line => line.startsWith(marker) && !line.startsWith(marker.repeat(3)))
+    .map(line => line.slice(1));
+}
+
+/**
+ * Whether a file's patch only changes whitespace: the removed and added
+ * lines are the same once all whitespace is stripped.
+ * @param {Object} file - Entry of a commit's `files`
+ * @returns {boolean} True for whitespace-only changes
+ */
+function isWhitespaceOnly(file) {
+  if (typeof file.patch !== 'string') return false;
+  const strip = lines => lines.map(line => line.replace(/\s+/g, '')).filter(Boolean).sort();
+  const removed = strip(changedLines(file.patch, '-'));
+  const added = strip(changedLines(file.patch, '+'));
+  return removed.length === added.length && removed.every((line, i) => line === added[i]);
+}
+
+// First line of a commit message with numbers and punctuation dropped, so
+// "Update README 3" and "update readme (4)" count as the same message
+function messageKey(message) {
+  return (message || '').split('\n')[0].toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+}
+
+function qualityScore(flags, discounts) {
+  return flags.reduce((score, flag) => score * discounts[FLAG_DISCOUNTS[flag]], 1);
+}
+
+/**
+ * Analyze one commit from the GitHub commits API.
+ * @param {Object} commit - Commit with `stats` and `files`
+ * @param {Object} settings - Result of qualitySettings
+ * @param {Set<string>} [seen] - Message and diff keys of earlier commits, updated in place. A commit
+ *   repeats an earlier one when both its message and its diff match: a common subject such as "fix" on
+ *   a new change, or a message of only numbers and punctuation, is not a repeat.
+ * @returns {Object} { sha, message, files, additions, deletions, flags, score }
+ */
+function analyzeCommit(commit, settings, seen = new Set()) {
+  const files = commit.files || [];
+  const stats = commit.stats || {};
+  const additions = stats.additions ?? files.reduce((sum, file) => sum + (file.additions || 0), 0);
+  const deletions = stats.deletions ?? files.reduce((sum, file) => sum + (file.deletions || 0), 0);
+  const message = commit.commit ? commit.commit.message : commit.message;
+
+  const flags = [];
+  if (files.length === 0 || additions + deletions === 0) {
+    flags.push('empty');
+  } else if (files.every(isWhitespaceOnly)) {
+    flags.push('whitespace_only');
+  } else {
+    if (additions + deletions < settings.minLines) flags.push('trivial');
+    if (files.every(file => isDocsFile(file.filename))) flags.push('docs_only');
+  }
+
+  const subject = messageKey(message);
+  if (subject) {
+    const key = `${subject}:${files.map(file => `${file.filename}+${file.additions}-${file.deletions}`).sort().join(',')}`;
+    if (seen.has(key)) flags.push('repetitive');
+    seen.add(key);
+  }
+
+  return {
+    sha: commit.sha,
+    message: (message || '').split('\n')[0],
+    files: files.length,
+    additions,
+    deletions,
+    flags,
+    score: qualityScore(flags, settings.discounts)
+  };
+}
+
+/**
+ * Analyze one pull request from the GitHub pulls API.
+ * @param {Object} pullRequest - Pull request with merged, state and line counts
+ * @param {Object} settings - Result of qualitySettings
+ * @returns {Object} { number, merged, state, reviewComments, additions, deletions, changedFiles, flags, score }
+ */
+function analyzePullRequest(pullRequest, settings) {
+  const additions = pullRequest.additions || 0;
+  const deletions = pullRequest.deletions || 0;
+  const flags = [];
+  if (pullRequest.state === 'closed' && !pullRequest.merged) flags.push('closed_unmerged');
+  if (additions + deletions < settings.minLines) flags.push('trivial');
+
+  return {
+    number: pullRequest.number,
+    merged: Boolean(pullRequest.merged),
+    state: pullRequest.state,
+    reviewComments: pullRequest.review_comments || 0,
+    additions,
+    deletions,
+    changedFiles: pullRequest.changed_files || 0,
+    flags,
+    score: qualityScore(flags, settings.discounts)
+  };
+}
+
+/**
+ * Key for a pull request's details: "owner/name#number".
+ * @param {Object} event - PullRequestEvent
+ * @returns {?string} Key, or null when the event has no number
+ */
+function pullRequestKey(event) {
+  const payload = event.payload || {};
+  const number = payload.number || (payload.pull_request && payload.pull_request.number);
+  return event.repo && number ? `${event.repo.name}#${number}` : null;
+}
+
+/**
+ * Commits of a PushEvent worth fetching, newest last, capped at maxCommitsPerPush.
+ * @param {Object} event - PushEvent
+ * @param {Object} settings - Result of qualitySettings
+ * @returns {Object[]} Payload commits with sha
+ */
+function pushCommits(event, settings) {
+  const commits = ((event.payload || {}).commits || []).filter(commit => commit.sha && commit.distinct !== false);
+  return commits.slice(-settings.maxCommitsPerPush);
+}
+
+/**
+ * Set `quality` on PushEvents and PullRequestEvents from fetched details.
+ * Events are analyzed oldest first so only the later copies of a repeated
+ * commit are flagged. Events without any fetched details keep no `quality`
+ * and are scored in full.
+ * @param {Object[]} events - GitHub events, modified in place
+ * @param {Object} details
+ * @param {Map<string, Object>} details.commits - sha -> commit from the commits API
+ * @param {Map<string, Object>} details.pullRequests - pullRequestKey -> pull request from the pulls API
+ * @param {Object} [quality] - `builderScore.quality` section of the config
+ * @returns {Object[]} The same events
+ */
+function analyzeContributions(events, { commits, pullRequests }, quality) {
+  const settings = qualitySettings(quality);
+  const seen = new Set();
+  const oldestFirst = [...events].sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+
+  oldestFirst.forEach(event => {
+    if (event.type === 'PushEvent') {
+      const analyzed = pushCommits(event, settings)
+        .filter(commit => commits.has(commit.sha))
+        .map(commit => analyzeCommit(commits.get(commit.sha), settings, seen));
+      if (analyzed.length === 0) return;
+      event.quality = {
+        score: analyzed.reduce((sum, commit) => sum + commit.score, 0) / analyzed.length,
+        flags: [...new Set(analyzed.flatMap(commit => commit.flags))],
+        commits: analyzed
+      };
+    } else if (event.type === 'PullRequestEvent') {
+      const key = pullRequestKey(event);
+      if (!key || !pullRequests.has(key)) return;
+      const pullRequest = analyzePullRequest(pullRequests.get(key), settings);
+      event.quality = { score: pullRequest.score, flags: pullRequest.flags, pullRequest };
+    }
+  });
+  return events;
+}
+
+/**
+ * Summarize analyzed contributions for reports.
+ * @param {Object[]} events - Events after analyzeContributions
+ * @returns {Object} { analyzed, meaningful, flagged, byFlag, flaggedEvents }
+ */
+function summarizeQuality(events) {
+  const analyzed = events.filter(event => event.quality);
+  const flagged = analyzed.filter(event => event.quality.score < 1);
+  const byFlag = {};
+  flagged.forEach(event => event.quality.flags.forEach(flag => {
+    byFlag[flag] = (byFlag[flag] || 0) + 1;
+  }));
+
+  return {
+    analyzed: analyzed.length,
+    meaningful: analyzed.length - flagged.length,
+    flagged: flagged.length,
+    byFlag,
+    flaggedEvents: flagged.map(event => ({
+      type: event.type,
+      repo: event.repo ? event.repo.name : null,
+      created_at: event.created_at,
+      score: Math.round(event.quality.score * 100) / 100,
+      flags: event.quality.flags
+    }))
+  };
+}
+
+module.exports = {
+  analyzeContributions,
+  analyzeCommit,
+  analyzePullRequest,
+  summarizeQuality,
+  qualitySettings,
+  pullRequestKey,
+  pushCommits,
+  isWhitespaceOnly,
+  DEFAULT_QUALITY
+};
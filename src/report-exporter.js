@@ -0,0 +1,394 @@
+/**
+ * Report Exporter
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Turns a calculated score into a shareable report: Markdown to paste into
+ * a README or pull request, a self-contained HTML page with inline SVG
+ * charts, and JSON or CSV for spreadsheets. buildReport collects the data
+ * once; each renderer only formats it.
+ */
+
+const { summarizeCategories } = require('./repository-classifier');
+const { formatAction } = require('./action-planner');
+
+const REPORT_FORMATS = ['markdown', 'html', 'json', 'csv'];
+
+const BREAKDOWN_ITEMS = [
+  ['github', 'commits'],
+  ['github', 'pullRequests'],
+  ['github', 'issues'],
+  ['github', 'codeReviews'],
+  ['github', 'bonusPoints'],
+  ['github', 'streakBonus'],
+  ['github', 'qualityDiscount'],
+  ['base', 'networkActivity'],
+  ['base', 'contracts']
+];
+
+/**
+ * Collect the data shown in every report format.
+ * @param {Object} data
+ * @param {string} data.username - GitHub username
+ * @param {Object} data.score - Result of calculateBuilderScore
+ * @param {Object} data.countdown - Result of getCountdown
+ * @param {Object[]} [data.history] - Score series from HistoryStore#timeSeries
+ * @param {number} [data.generatedAt=Date.now()] - Report time
+ * @returns {Object} { username, generatedAt, totalScore, subtotals, contest, breakdown, thresholds,
+ *   categories, streak, contracts, recommendations, history, failures }
+ */
+function buildReport({ username, score, countdown, history = [], generatedAt = Date.now() }) {
+  const { github, base, thresholds } = score.breakdown;
+  const { streak, onchain } = score;
+  const sources = { github, base };
+
+  return {
+    username,
+    generatedAt: new Date(generatedAt).toISOString(),
+    totalScore: score.totalScore,
+    subtotals: { github: github.subtotal, base: base.subtotal },
+    contest: {
+      status: countdown.status,
+      remaining: countdown.remaining,
+      endDate: countdown.endDate,
+      finalSprint: countdown.finalSprint
+    },
+    // The quality discount is taken off the score, so it shows as negative points
+    breakdown: BREAKDOWN_ITEMS
+      .map(([source, item]) => ({
+        source,
+        item,
+        points: item === 'qualityDiscount' ? -sources[source][item] : sources[source][item] || 0
+      }))
+      .filter(entry => entry.points !== 0),
+    thresholds: Object.entries(thresholds).map(([name, check]) => ({ name, ...check })),
+    categories: summarizeCategories(github.categories || {}),
+    streak: streak
+      ? {
+        current: streak.currentStreak,
+        longest: streak.longestStreak,
+        activeDays: streak.activeDays,
+        activeToday: streak.activeToday,
+        warning: streak.warning
+      }
+      : null,
+    contracts: onchain
+      ? {
+        address: onchain.address,
+        primaryName: onchain.primaryName || null,
+        deployments: onchain.deployments,
+        verified: onchain.verifiedDeployments.length,
+        unverified: base.counts.unverified,
+        transactions: onchain.transactionCount,
+        gasSpent: onchain.gasSpent,
+        contractsUsed: onchain.uniqueContracts,
+        types: onchain.contractTypes || {}
+      }
+      : null,
+    recommendations: (score.actions || []).map(action => ({
+      id: action.id,
+      title: action.title,
+      quantity: action.quantity,
+      points: action.points,
+      hours: action.hours,
+      pointsPerHour: action.pointsPerHour,
+      text: formatAction(action)
+    })),
+    history: history.map(({ period, totalScore, delta }) => ({ period, totalScore, delta })),
+    failures: score.failures || []
+  };
+}
+
+const signed = value => (value > 0 ? `+${value}` : String(value));
+
+function contestLine(contest) {
+  if (contest.status === 'ended') return `Contest ended ${contest.endDate.slice(0, 10)}`;
+  if (contest.status === 'upcoming') return `Contest starts in ${contest.remaining}`;
+  return `${contest.remaining} left${contest.finalSprint ? ' (final sprint)' : ''}`;
+}
+
+const describeTypes = types => Object.entries(types).map(([type, count]) => `${type} ${count}`).join(', ') || 'none';
+
+function markdownTable(headings, rows, align) {
+  const escape = cell => String(cell).replace(/\|/g, '\\|');
+  return [
+    `| ${headings.join(' | ')} |`,
+    `| ${headings.map((_, i) => (align && align[i] === 'right' ? '---:' : '---')).join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(escape).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Render a report as Markdown, headed at level 2 so it drops into a README section.
+ * @param {Object} report - Result of buildReport
+ * @returns {string} Markdown
+ */
+function renderMarkdown(report) {
+  const sections = [
+    `## 📊 Builder Score Report: ${report.username}`,
+    `_Generated ${report.generatedAt.slice(0, 16).replace('T', ' ')} UTC · ${contestLine(report.contest)}_`,
+    `**Builder Score: ${report.totalScore}** (GitHub ${report.subtotals.github} · Base ${report.subtotals.base})`
+  ];
+  if (report.failures.length > 0) {
+    sections.push(`> ⚠️ Unavailable when generated: ${report.failures.join(', ')}`);
+  }
+
+  sections.push('### Breakdown', report.breakdown.length > 0
+    ? markdownTable(['Source', 'Item', 'Points'],
+      report.breakdown.map(entry => [entry.source, entry.item, entry.points]), [null, null, 'right'])
+    : 'No points yet.');
+
+  sections.push('### Thresholds', markdownTable(['Threshold', 'Actual', 'Required', 'Met'],
+    report.thresholds.map(check => [check.name, check.actual, check.required, check.met ? '✅' : '❌']),
+    [null, 'right', 'right']));
+
+  if (report.categories.length > 0) {
+    sections.push('### Focus', markdownTable(['Category', 'Events', 'Points', 'Share'],
+      report.categories.map(entry => [entry.category, entry.events, entry.points, `${entry.share}%`]),
+      [null, 'right', 'right', 'right']));
+  }
+
+  if (report.streak) {
+    const lines = [
+      `- Current streak: ${report.streak.current} days (longest ${report.streak.longest})`,
+      `- Active days: ${report.streak.activeDays}${report.streak.activeToday ? ', including today' : ''}`
+    ];
+    if (report.streak.warning) lines.push(`- ⚠️ ${report.streak.warning}`);
+    sections.push('### Streak', lines.join('\n'));
+  }
+
+  if (report.contracts) {
+    const { contracts } = report;
+    const address = contracts.primaryName ? `${contracts.primaryName} (\`${contracts.address}\`)` : `\`${contracts.address}\``;
+    sections.push('### Contracts', [
+      `- Address: ${address}`,
+      `- Deployments: ${contracts.deployments} (${contracts.verified} verified)`,
+      `- Types: ${describeTypes(contracts.types)}`,
+      `- Transactions: ${contracts.transactions} in total; ${contracts.gasSpent} ETH gas and ${contracts.contractsUsed} contracts used in the scanned blocks`
+    ].join('\n'));
+  }
+
+  sections.push('### Recommendations', report.recommendations.length > 0
+    ? report.recommendations.map((action, i) => `${i + 1}. ${action.text}`).join('\n')
+    : 'No actions left to plan in the contest window.');
+
+  if (report.history.length > 0) {
+    sections.push('### History', markdownTable(['Period', 'Score', 'Change'],
+      report.history.map(entry => [entry.period, entry.totalScore, entry.delta === null ? '' : signed(entry.delta)]),
+      [null, 'right', 'right']));
+  }
+
+  return `${sections.join('\n\n')}\n`;
+}
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Horizontal bar chart as inline SVG. Negative values are drawn in red.
+ * @param {Array<{label: string, value: number}>} bars - Bars, top first
+ * @returns {string} SVG markup
+ */
+function barChart(bars) {
+  const rowHeight = 26;
+  const labelWidth = 160;
+  const barWidth = 320;
+  const max = Math.max(...bars.map(bar => Math.abs(bar.value)), 1);
+
+  const rows = bars.map((bar, i) => {
+    const y = i * rowHeight;
+    const width = Math.max(Math.round((Math.abs(bar.value) / max) * barWidth), 1);
+    return [
+      `<text x="0" y="${y + 17}">${escapeHtml(bar.label)}</text>`,
+      `<rect x="${labelWidth}" y="${y + 4}" width="${width}" height="18" class="${bar.value < 0 ? 'negative' : 'bar'}"/>`,
+      `<text x="${labelWidth + width + 6}" y="${y + 17}">${escapeHtml(bar.value)}</text>`
+    ].join('');
+  });
+  const width = labelWidth + barWidth + 60;
+  return `<svg viewBox="0 0 ${width} ${bars.length * rowHeight}" width="${width}" role="img">${rows.join('')}</svg>`;
+}
+
+/**
+ * Column chart of the score history as inline SVG.
+ * @param {Object[]} history - report.history
+ * @returns {string} SVG markup
+ */
+function historyChart(history) {
+  const columnWidth = 36;
+  const height = 160;
+  const max = Math.max(...history.map(entry => entry.totalScore), 1);
+
+  const columns = history.map((entry, i) => {
+    const x = i * columnWidth;
+    const columnHeight = Math.max(Math.round((entry.totalScore / max) * (height - 40)), 1);
+    const y = height - 20 - columnHeight;
+    return [
+      `<rect x="${x + 4}" y="${y}" width="${columnWidth - 8}" height="${columnHeight}" class="bar">`,
+      `<title>${escapeHtml(entry.period)}: ${entry.totalScore}</title></rect>`,
+      `<text x="${x + columnWidth / 2}" y="${y - 4}" text-anchor="middle">${entry.totalScore}</text>`,
+      `<text x="${x + columnWidth / 2}" y="${height - 4}" text-anchor="middle" class="muted">${escapeHtml(entry.period.slice(5))}</text>`
+    ].join('');
+  });
+  const width = Math.max(history.length * columnWidth, columnWidth);
+  return `<svg viewBox="0 0 ${width} ${height}" width="${width}" role="img">${columns.join('')}</svg>`;
+}
+
+function htmlTable(headings, rows) {
+  const head = headings.map(heading => `<th>${escapeHtml(heading)}</th>`).join('');
+  const body = rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+const HTML_STYLE = `
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 56rem; padding: 0 1rem; color: #111; }
+h1 { font-size: 1.6rem; } h2 { font-size: 1.2rem; margin-top: 2rem; border-bottom: 1px solid #ddd; }
+.score { font-size: 2.5rem; font-weight: 700; color: #0052ff; }
+.muted { color: #666; fill: #666; }
+.warning { color: #b45309; }
+table { border-collapse: collapse; } th, td { padding: 0.25rem 0.75rem; border-bottom: 1px solid #eee; text-align: left; }
+svg text { font-size: 12px; fill: #111; } svg .bar { fill: #0052ff; } svg .negative { fill: #dc2626; }
+`;
+
+/**
+ * Render a report as a self-contained HTML page. Charts are inline SVG, so
+ * the page needs no scripts or network access.
+ * @param {Object} report - Result of buildReport
+ * @returns {string} HTML document
+ */
+function renderHtml(report) {
+  const title = `Builder Score Report: ${report.username}`;
+  const body = [
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p class="muted">Generated ${escapeHtml(report.generatedAt)} · ${escapeHtml(contestLine(report.contest))}</p>`,
+    `<p><span class="score">${report.totalScore}</span> GitHub ${report.subtotals.github} · Base ${report.subtotals.base}</p>`
+  ];
+  if (report.failures.length > 0) {
+    body.push(`<p class="warning">Unavailable when generated: ${escapeHtml(report.failures.join(', '))}</p>`);
+  }
+
+  body.push('<h2>Breakdown</h2>', report.breakdown.length > 0
+    ? barChart(report.breakdown.map(entry => ({ label: `${entry.source} ${entry.item}`, value: entry.points })))
+    : '<p>No points yet.</p>');
+
+  body.push('<h2>Thresholds</h2>', htmlTable(['Threshold', 'Actual', 'Required', 'Met'],
+    report.thresholds.map(check => [check.name, check.actual, check.required, check.met ? 'yes' : 'no'])));
+
+  if (report.categories.length > 0) {
+    body.push('<h2>Focus</h2>',
+      barChart(report.categories.map(entry => ({ label: `${entry.category} (${entry.share}%)`, value: entry.points }))));
+  }
+
+  if (report.streak) {
+    body.push('<h2>Streak</h2>',
+      `<p>${report.streak.current} days (longest ${report.streak.longest}), ${report.streak.activeDays} active days</p>`);
+    if (report.streak.warning) body.push(`<p class="warning">${escapeHtml(report.streak.warning)}</p>`);
+  }
+
+  if (report.contracts) {
+    const { contracts } = report;
+    body.push('<h2>Contracts</h2>', htmlTable(['Metric', 'Value'], [
+      ['Address', contracts.primaryName ? `${contracts.primaryName} (${contracts.address})` : contracts.address],
+      ['Deployments', `${contracts.deployments} (${contracts.verified} verified)`],
+      ['Types', describeTypes(contracts.types)],
+      ['Transactions', contracts.transactions],
+      ['Gas spent', `${contracts.gasSpent} ETH`],
+      ['Contracts used', contracts.contractsUsed]
+    ]));
+  }
+
+  body.push('<h2>Recommendations</h2>', report.recommendations.length > 0
+    ? `<ol>${report.recommendations.map(action => `<li>${escapeHtml(action.text)}</li>`).join('')}</ol>`
+    : '<p>No actions left to plan in the contest window.</p>');
+
+  if (report.history.length > 0) body.push('<h2>History</h2>', historyChart(report.history));
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    ...body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a report as CSV with one metric per row, for spreadsheets.
+ * @param {Object} report - Result of buildReport
+ * @returns {string} CSV with the columns section, item, value, detail
+ */
+function renderCsv(report) {
+  const rows = [
+    ['summary', 'username', report.username, ''],
+    ['summary', 'generatedAt', report.generatedAt, ''],
+    ['summary', 'totalScore', report.totalScore, ''],
+    ['summary', 'github', report.subtotals.github, ''],
+    ['summary', 'base', report.subtotals.base, ''],
+    ['contest', report.contest.status, report.contest.remaining, report.contest.finalSprint ? 'final sprint' : ''],
+    ...report.breakdown.map(entry => ['breakdown', `${entry.source}.${entry.item}`, entry.points, '']),
+    ...report.thresholds.map(check => ['threshold', check.name, check.actual,
+      `required ${check.required}${check.met ? '' : ', not met'}`]),
+    ...report.categories.map(entry => ['category', entry.category, entry.points, `${entry.events} events, ${entry.share}%`])
+  ];
+  if (report.streak) {
+    rows.push(['streak', 'current', report.streak.current, ''], ['streak', 'longest', report.streak.longest, '']);
+  }
+  if (report.contracts) {
+    const { contracts } = report;
+    rows.push(
+      ['contracts', 'address', contracts.address, contracts.primaryName || ''],
+      ['contracts', 'deployments', contracts.deployments, `${contracts.verified} verified`],
+      ...Object.entries(contracts.types).map(([type, count]) => ['contracts', `type.${type}`, count, '']),
+      ['contracts', 'transactions', contracts.transactions, `${contracts.gasSpent} ETH gas`]
+    );
+  }
+  rows.push(
+    ...report.recommendations.map((action, i) => ['recommendation', i + 1, action.points, action.text]),
+    ...report.history.map(entry => ['history', entry.period, entry.totalScore, entry.delta === null ? '' : signed(entry.delta)]),
+    ...report.failures.map(source => ['failure', source, '', ''])
+  );
+
+  return `${[['section', 'item', 'value', 'detail'], ...rows].map(row => row.map(csvCell).join(',')).join('\n')}\n`;
+}
+
+const RENDERERS = {
+  markdown: renderMarkdown,
+  html: renderHtml,
+  json: report => `${JSON.stringify(report, null, 2)}\n`,
+  csv: renderCsv
+};
+
+/**
+ * Render a report in one of REPORT_FORMATS.
+ * @param {Object} report - Result of buildReport
+ * @param {string} [format='markdown'] - markdown, html, json or csv
+ * @returns {string} Rendered report
+ * @throws {Error} For unknown formats
+ */
+function renderReport(report, format = 'markdown') {
+  const render = RENDERERS[format];
+  if (!render) throw new Error(`Unknown report format: ${format}, expected one of ${REPORT_FORMATS.join(', ')}`);
+  return render(report);
+}
+
+module.exports = {
+  buildReport,
+  renderReport,
+  renderMarkdown,
+  renderHtml,
+  renderCsv,
+  REPORT_FORMATS
+};
@@ -0,0 +1,89 @@
+/**
+ * Repository Classifier
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Sorts the repositories a builder contributes to into the
+ * `github.repositoryTypes` categories by matching their keywords against
+ * the repository name, topics and description.
+ */
+
+// Where a keyword matched, and how much that counts towards a category
+const FIELD_WEIGHTS = {
+  topics: 3,
+  name: 2,
+  description: 1
+};
+
+const UNCATEGORIZED = 'other';
+
+function words(text) {
+  return (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// Keywords match whole words, allowing a plural ("nfts" matches "nft")
+function matches(keyword, tokens) {
+  const wanted = keyword.toLowerCase();
+  return tokens.some(token => token === wanted || token === `${wanted}s`);
+}
+
+/**
+ * Classify a repository.
+ * @param {Object} repo - Repository, as returned by the GitHub repos API or an event's `repo`
+ * @param {string} repo.name - "owner/name" or "name"
+ * @param {string[]} [repo.topics] - Repository topics
+ * @param {string} [repo.description] - Repository description
+ * @param {Object} [repositoryTypes={}] - `github.repositoryTypes` section of the config
+ * @returns {Object} { category, scoreMultiplier, matched }; category is 'other' when nothing matches
+ */
+function classifyRepository(repo, repositoryTypes = {}) {
+  const fullName = repo.full_name || repo.name || '';
+  const fields = {
+    topics: (repo.topics || []).flatMap(words),
+    // The owner counts too: Uniswap/v3-core is a Uniswap project
+    name: words(fullName),
+    description: words(repo.description)
+  };
+
+  let best = null;
+  Object.entries(repositoryTypes).forEach(([category, { keywords, scoreMultiplier = 1 }]) => {
+    const matched = [];
+    let weight = 0;
+    keywords.forEach(keyword => {
+      Object.entries(fields).forEach(([field, tokens]) => {
+        if (matches(keyword, tokens)) {
+          weight += FIELD_WEIGHTS[field];
+          matched.push(`${field}:${keyword}`);
+        }
+      });
+    });
+    if (weight > 0 && (!best || weight > best.weight)) {
+      best = { category, scoreMultiplier, matched, weight };
+    }
+  });
+
+  if (!best) return { category: UNCATEGORIZED, scoreMultiplier: 1, matched: [] };
+  return { category: best.category, scoreMultiplier: best.scoreMultiplier, matched: best.matched };
+}
+
+/**
+ * Summarize GitHub points per repository category.
+ * @param {Object<string, Object>} categories - Category to { events, points }, see scoreGitHubEvents
+ * @returns {Object[]} { category, events, points, share } sorted by points, share in percent of all points
+ */
+function summarizeCategories(categories) {
+  const total = Object.values(categories).reduce((sum, { points }) => sum + points, 0);
+  return Object.entries(categories)
+    .map(([category, { events, points }]) => ({
+      category,
+      events,
+      points,
+      share: total > 0 ? Math.round((points / total) * 100) : 0
+    }))
+    .sort((a, b) => b.points - a.points || b.events - a.events);
+}
+
+module.exports = {
+  classifyRepository,
+  summarizeCategories,
+  UNCATEGORIZED
+};
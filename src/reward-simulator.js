@@ -0,0 +1,410 @@
+/**
+ * Reward Simulator
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Replays YieldFarmingStrategy's reward accounting off chain, to forecast
+ * rewards before changing rewardPerBlock or a pool's allocPoint. The math
+ * is the contract's, in bigint with the same rounding: updatePool adds
+ * (blocks * rewardPerBlock * allocPoint / totalAllocPoint) * PRECISION /
+ * totalStaked to accRewardPerShare, a position is owed amount *
+ * accRewardPerShare / PRECISION - rewardDebt, and payouts are capped at the
+ * contract's reward token balance (safeRewardTransfer). Calls the contract
+ * would revert throw a YieldFarmingError with the contract's message.
+ *
+ * A scenario script lists pools, funding and actions by block:
+ *   {
+ *     "rewardPerBlock": "1", "blockTime": 2, "startBlock": 0, "endBlock": 1000,
+ *     "pools": [{ "stakingToken": "LP", "rewardToken": "RWD", "allocPoint": 100, "minLockPeriod": 0 }],
+ *     "funding": { "RWD": "500" },
+ *     "actions": [{ "block": 10, "type": "deposit", "user": "alice", "pid": 0, "amount": "100" }],
+ *     "prices": { "LP": 2, "RWD": 0.5 }
+ *   }
+ * Amounts in scripts are token amounts with `decimals` (default 18) decimals.
+ */
+
+const { ethers } = require('ethers');
+const { YieldFarmingError } = require('./yield-farming-client');
+
+const PRECISION = 10n ** 12n;
+const FEE_DENOMINATOR = 10000n;
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+const ensure = (condition, reason, method) => {
+  if (!condition) throw new YieldFarmingError(reason, method);
+};
+
+class RewardSimulator {
+  /**
+   * @param {Object} [options]
+   * @param {bigint} [options.rewardPerBlock=10n ** 18n] - Rewards per block across all pools, in base units
+   * @param {bigint} [options.emergencyWithdrawFee=500n] - Emergency withdraw fee in basis points
+   * @param {number} [options.startBlock=0] - Block the farm starts at
+   * @param {number} [options.startTime=0] - Unix time of startBlock
+   * @param {number} [options.blockTime=2] - Seconds per block, for timestamps not given explicitly
+   */
+  constructor({ rewardPerBlock = 10n ** 18n, emergencyWithdrawFee = 500n, startBlock = 0, startTime = 0, blockTime = 2 } = {}) {
+    this.rewardPerBlock = BigInt(rewardPerBlock);
+    this.emergencyWithdrawFee = BigInt(emergencyWithdrawFee);
+    this.totalAllocPoint = 0n;
+    this.blockTime = blockTime;
+    this.startBlock = startBlock;
+    this.startTime = startTime;
+    this.blockNumber = startBlock;
+    this.timestamp = startTime;
+    this.pools = [];
+    this.positions = new Map();
+    // Tokens held by the contract, which cap reward payouts
+    this.balances = new Map();
+  }
+
+  /**
+   * Move to a later block. Actions run in the block the simulator is at.
+   * @param {number} blockNumber - Block
+   * @param {number} [timestamp] - Its Unix time, defaults to blockTime seconds per block since startBlock
+   */
+  advanceTo(blockNumber, timestamp) {
+    if (blockNumber < this.blockNumber) throw new Error(`Block ${blockNumber} is before block ${this.blockNumber}`);
+    this.blockNumber = blockNumber;
+    this.timestamp = timestamp ?? this.startTime + (blockNumber - this.startBlock) * this.blockTime;
+  }
+
+  balanceOf(token) {
+    return this.balances.get(token) || 0n;
+  }
+
+  transfer(token, amount) {
+    this.balances.set(token, this.balanceOf(token) + amount);
+  }
+
+  /**
+   * Send tokens to the contract, e.g. reward tokens for payouts.
+   * @param {string} token - Token
+   * @param {bigint} amount - Base units
+   */
+  fund(token, amount) {
+    this.transfer(token, BigInt(amount));
+  }
+
+  /**
+   * @param {number} pid - Pool ID
+   * @param {string} user - User
+   * @returns {Object} { amount, rewardDebt, lockEndTime, isActive, claimed, unpaid, stakeBlocks, since }
+   */
+  position(pid, user) {
+    const key = `${pid}:${user}`;
+    if (!this.positions.has(key)) {
+      this.positions.set(key, {
+        pid,
+        user,
+        amount: 0n,
+        lastRewardBlock: 0n,
+        rewardDebt: 0n,
+        lockEndTime: 0n,
+        isActive: false,
+        // Not in the contract: what was paid, what the balance cap withheld, and stake * blocks for APR
+        claimed: 0n,
+        unpaid: 0n,
+        stakeBlocks: 0n,
+        since: this.blockNumber
+      });
+    }
+    return this.positions.get(key);
+  }
+
+  // Stake held since the last change, in token-blocks
+  accrue(position) {
+    position.stakeBlocks += position.amount * BigInt(this.blockNumber - position.since);
+    position.since = this.blockNumber;
+  }
+
+  pool(pid, method) {
+    ensure(Number.isInteger(pid) && pid >= 0 && pid < this.pools.length, 'Invalid pool ID', method);
+    return this.pools[pid];
+  }
+
+  poolReward(pool) {
+    return (BigInt(this.blockNumber) - pool.lastRewardBlock) * this.rewardPerBlock * pool.allocPoint / this.totalAllocPoint;
+  }
+
+  updatePool(pid) {
+    const pool = this.pool(pid, 'updatePool');
+    if (BigInt(this.blockNumber) <= pool.lastRewardBlock) return;
+    if (pool.totalStaked === 0n) {
+      pool.lastRewardBlock = BigInt(this.blockNumber);
+      return;
+    }
+    pool.accRewardPerShare += this.poolReward(pool) * PRECISION / pool.totalStaked;
+    pool.lastRewardBlock = BigInt(this.blockNumber);
+  }
+
+  massUpdatePools() {
+    this.pools.forEach((_, pid) => this.updatePool(pid));
+  }
+
+  safeRewardTransfer(pool, position, amount) {
+    const paid = amount > this.balanceOf(pool.rewardToken) ? this.balanceOf(pool.rewardToken) : amount;
+    this.transfer(pool.rewardToken, -paid);
+    position.claimed += paid;
+    position.unpaid += amount - paid;
+  }
+
+  claim(pool, position) {
+    const pending = position.amount * pool.accRewardPerShare / PRECISION - position.rewardDebt;
+    if (pending > 0n) this.safeRewardTransfer(pool, position, pending);
+  }
+
+  /**
+   * @param {Object} pool
+   * @param {string} pool.stakingToken - Token to deposit
+   * @param {string} pool.rewardToken - Token rewards are paid in
+   * @param {bigint} pool.allocPoint - Share of rewardPerBlock
+   * @param {bigint} [pool.minLockPeriod=0n] - Seconds deposits stay locked
+   * @returns {number} Pool ID
+   */
+  addPool({ stakingToken, rewardToken, allocPoint, minLockPeriod = 0n }) {
+    ensure(stakingToken, 'Invalid staking token', 'addPool');
+    ensure(rewardToken, 'Invalid reward token', 'addPool');
+    this.massUpdatePools();
+    this.totalAllocPoint += BigInt(allocPoint);
+    this.pools.push({
+      stakingToken,
+      rewardToken,
+      allocPoint: BigInt(allocPoint),
+      lastRewardBlock: BigInt(this.blockNumber),
+      accRewardPerShare: 0n,
+      totalStaked: 0n,
+      minLockPeriod: BigInt(minLockPeriod),
+      isEmergencyWithdrawEnabled: false
+    });
+    return this.pools.length - 1;
+  }
+
+  deposit(user, pid, amount) {
+    const pool = this.pool(pid, 'deposit');
+    ensure(BigInt(amount) > 0n, 'Amount must be greater than 0', 'deposit');
+    const position = this.position(pid, user);
+
+    this.updatePool(pid);
+    if (position.amount > 0n) this.claim(pool, position);
+
+    this.accrue(position);
+    this.transfer(pool.stakingToken, BigInt(amount));
+    position.amount += BigInt(amount);
+    position.lastRewardBlock = BigInt(this.blockNumber);
+    position.rewardDebt = position.amount * pool.accRewardPerShare / PRECISION;
+    position.lockEndTime = BigInt(this.timestamp) + pool.minLockPeriod;
+    position.isActive = true;
+    pool.totalStaked += BigInt(amount);
+  }
+
+  withdraw(user, pid, amount) {
+    const pool = this.pool(pid, 'withdraw');
+    const position = this.position(pid, user);
+    ensure(position.amount >= BigInt(amount), 'Insufficient balance', 'withdraw');
+    ensure(BigInt(this.timestamp) >= position.lockEndTime, 'Position still locked', 'withdraw');
+
+    this.updatePool(pid);
+    this.claim(pool, position);
+
+    this.accrue(position);
+    position.amount -= BigInt(amount);
+    position.rewardDebt = position.amount * pool.accRewardPerShare / PRECISION;
+    if (position.amount === 0n) position.isActive = false;
+    pool.totalStaked -= BigInt(amount);
+    this.transfer(pool.stakingToken, -BigInt(amount));
+  }
+
+  // Like the contract, this skips updatePool: the pool's unaccounted blocks are later split over what is left
+  emergencyWithdraw(user, pid) {
+    const pool = this.pool(pid, 'emergencyWithdraw');
+    const position = this.position(pid, user);
+    ensure(position.amount > 0n, 'No position to withdraw', 'emergencyWithdraw');
+    ensure(pool.isEmergencyWithdrawEnabled, 'Emergency withdraw not enabled', 'emergencyWithdraw');
+
+    const amount = position.amount;
+    const fee = amount * this.emergencyWithdrawFee / FEE_DENOMINATOR;
+    this.accrue(position);
+    position.amount = 0n;
+    position.rewardDebt = 0n;
+    position.isActive = false;
+    pool.totalStaked -= amount;
+    this.transfer(pool.stakingToken, -(amount - fee));
+  }
+
+  setRewardPerBlock(rewardPerBlock) {
+    this.massUpdatePools();
+    this.rewardPerBlock = BigInt(rewardPerBlock);
+  }
+
+  setEmergencyWithdrawFee(fee) {
+    ensure(BigInt(fee) <= 1000n, 'Fee too high', 'setEmergencyWithdrawFee');
+    this.emergencyWithdrawFee = BigInt(fee);
+  }
+
+  toggleEmergencyWithdraw(pid, enabled) {
+    this.pool(pid, 'toggleEmergencyWithdraw').isEmergencyWithdrawEnabled = enabled;
+  }
+
+  /**
+   * Change a pool's allocPoint. The contract has no function for this
+   * (allocPoint is fixed by addPool), so this forecasts a redeployment or
+   * upgrade; it updates every pool first, as setRewardPerBlock does.
+   * @param {number} pid - Pool ID
+   * @param {bigint} allocPoint - New allocation points
+   */
+  setAllocPoint(pid, allocPoint) {
+    const pool = this.pool(pid, 'setAllocPoint');
+    this.massUpdatePools();
+    this.totalAllocPoint = this.totalAllocPoint - pool.allocPoint + BigInt(allocPoint);
+    pool.allocPoint = BigInt(allocPoint);
+  }
+
+  /**
+   * Rewards the contract's pendingReward(pid, user) returns at the current block.
+   * @param {number} pid - Pool ID
+   * @param {string} user - User
+   * @returns {bigint} Base units
+   */
+  pendingReward(pid, user) {
+    const pool = this.pool(pid, 'pendingReward');
+    const position = this.position(pid, user);
+    let { accRewardPerShare } = pool;
+    if (BigInt(this.blockNumber) > pool.lastRewardBlock && pool.totalStaked !== 0n) {
+      accRewardPerShare += this.poolReward(pool) * PRECISION / pool.totalStaked;
+    }
+    return position.amount * accRewardPerShare / PRECISION - position.rewardDebt;
+  }
+}
+
+/**
+ * Run a scenario script to its end block.
+ * @param {Object} scenario - See the module comment
+ * @returns {Object} { endBlock, pools, users, rewards } with token amounts as decimal strings and APR in percent
+ * @throws {YieldFarmingError} When an action would revert; the error carries the action's `block`
+ */
+function simulateRewards(scenario) {
+  const {
+    decimals = 18,
+    rewardPerBlock = '1',
+    emergencyWithdrawFee = 500,
+    blockTime = 2,
+    startBlock = 0,
+    startTime = 0,
+    pools = [],
+    funding = {},
+    actions = [],
+    prices = {}
+  } = scenario;
+  const units = value => ethers.parseUnits(String(value), decimals);
+  const tokens = value => ethers.formatUnits(value, decimals);
+  const priceOf = token => prices[token] ?? 1;
+
+  const simulator = new RewardSimulator({
+    rewardPerBlock: units(rewardPerBlock),
+    emergencyWithdrawFee: BigInt(emergencyWithdrawFee),
+    startBlock,
+    startTime,
+    blockTime
+  });
+  pools.forEach(pool => simulator.addPool({ ...pool, minLockPeriod: BigInt(pool.minLockPeriod ?? 0) }));
+  Object.entries(funding).forEach(([token, amount]) => simulator.fund(token, units(amount)));
+
+  const ordered = actions.map((action, i) => ({ ...action, i })).sort((a, b) => a.block - b.block || a.i - b.i);
+  const endBlock = scenario.endBlock ?? (ordered.length > 0 ? ordered[ordered.length - 1].block : startBlock);
+  ordered.forEach(action => {
+    simulator.advanceTo(action.block, action.timestamp);
+    try {
+      switch (action.type) {
+        case 'deposit': return simulator.deposit(action.user, action.pid, units(action.amount));
+        case 'withdraw': return simulator.withdraw(action.user, action.pid, units(action.amount));
+        case 'emergencyWithdraw': return simulator.emergencyWithdraw(action.user, action.pid);
+        case 'fund': return simulator.fund(action.token, units(action.amount));
+        case 'setRewardPerBlock': return simulator.setRewardPerBlock(units(action.rewardPerBlock));
+        case 'setAllocPoint': return simulator.setAllocPoint(action.pid, BigInt(action.allocPoint));
+        case 'setEmergencyWithdrawFee': return simulator.setEmergencyWithdrawFee(BigInt(action.fee));
+        case 'toggleEmergencyWithdraw': return simulator.toggleEmergencyWithdraw(action.pid, action.enabled);
+        case 'addPool': return simulator.addPool({ ...action, allocPoint: BigInt(action.allocPoint), minLockPeriod: BigInt(action.minLockPeriod ?? 0) });
+        default: throw new Error(`Unknown action type at block ${action.block}: ${action.type}`);
+      }
+    } catch (error) {
+      error.block = action.block;
+      throw error;
+    }
+  });
+  simulator.advanceTo(endBlock);
+
+  const blocksPerYear = SECONDS_PER_YEAR / blockTime;
+  // Reward value per staked value, annualized, in percent
+  const apr = (rewards, rewardToken, stakeBlocks, stakingToken) => (stakeBlocks === 0n
+    ? null
+    : Math.round(Number(rewards) * priceOf(rewardToken) / (Number(stakeBlocks) * priceOf(stakingToken)) * blocksPerYear * 10000) / 100);
+
+  return {
+    endBlock,
+    rewardPerBlock: tokens(simulator.rewardPerBlock),
+    pools: simulator.pools.map((pool, pid) => {
+      const perBlock = simulator.totalAllocPoint === 0n ? 0n : simulator.rewardPerBlock * pool.allocPoint / simulator.totalAllocPoint;
+      return {
+        pid,
+        stakingToken: pool.stakingToken,
+        rewardToken: pool.rewardToken,
+        allocPoint: Number(pool.allocPoint),
+        rewardPerBlock: tokens(perBlock),
+        totalStaked: tokens(pool.totalStaked),
+        // What a new deposit would earn at the current rate
+        apr: apr(perBlock, pool.rewardToken, pool.totalStaked, pool.stakingToken)
+      };
+    }),
+    users: [...simulator.positions.values()].map(position => {
+      const pool = simulator.pools[position.pid];
+      simulator.accrue(position);
+      const pending = simulator.pendingReward(position.pid, position.user);
+      // A claim at endBlock pays out no more than the contract holds
+      const balance = simulator.balanceOf(pool.rewardToken);
+      const payable = pending > balance ? balance : pending;
+      const projected = position.claimed + payable;
+      return {
+        user: position.user,
+        pid: position.pid,
+        staked: tokens(position.amount),
+        claimed: tokens(position.claimed),
+        pending: tokens(pending),
+        unpaid: tokens(position.unpaid),
+        projected: tokens(projected),
+        shortfall: tokens(pending - payable),
+        apr: apr(projected, pool.rewardToken, position.stakeBlocks, pool.stakingToken)
+      };
+    }),
+    rewards: rewardTokens(simulator, tokens)
+  };
+}
+
+/**
+ * Reward token balances against the rewards pending on them. Each user's
+ * projection assumes they claim first; the shortfall here is what the
+ * balance cannot cover once everyone has claimed.
+ * @param {RewardSimulator} simulator - Simulator at endBlock
+ * @param {Function} tokens - Formats a bigint amount
+ * @returns {Object} { [token]: { balance, pending, shortfall } }
+ */
+function rewardTokens(simulator, tokens) {
+  const pending = new Map();
+  simulator.positions.forEach(position => {
+    const { rewardToken } = simulator.pools[position.pid];
+    pending.set(rewardToken, (pending.get(rewardToken) || 0n) + simulator.pendingReward(position.pid, position.user));
+  });
+  return Object.fromEntries([...pending].map(([token, owed]) => {
+    const balance = simulator.balanceOf(token);
+    return [token, {
+      balance: tokens(balance),
+      pending: tokens(owed),
+      shortfall: tokens(owed > balance ? owed - balance : 0n)
+    }];
+  }));
+}
+
+module.exports = {
+  RewardSimulator,
+  simulateRewards,
+  PRECISION
+};
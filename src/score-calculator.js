@@ -0,0 +1,272 @@
+/**
+ * Builder Score Calculator
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Maps GitHub events and Base on-chain activity onto the
+ * `builderScore` weights, thresholds and bonuses from the network config.
+ */
+
+const { isWeekend } = require('./streak-engine');
+const { UNCATEGORIZED } = require('./repository-classifier');
+
+// A push with at least this many commits counts as a major contribution
+const MAJOR_PUSH_COMMITS = 10;
+
+// A merged pull request touching at least this many lines counts as major
+const MAJOR_PR_LINES = 500;
+
+/**
+ * Number of commits carried by a GitHub event.
+ * PushEvents report their size in the payload; every other event counts once.
+ * @param {Object} event - GitHub event
+ * @returns {number} Commit-equivalent count
+ */
+function commitCount(event) {
+  if (event.type === 'PushEvent' && event.payload) {
+    const size = event.payload.distinct_size ?? event.payload.size;
+    if (Number.isInteger(size)) return size;
+  }
+  return 1;
+}
+
+/**
+ * Detect whether an event qualifies for the majorContribution bonus.
+ * @param {Object} event - GitHub event
+ * @returns {boolean} True for large pushes and large merged pull requests
+ */
+function isMajorContribution(event) {
+  const payload = event.payload || {};
+  if (event.type === 'PushEvent') {
+    return commitCount(event) >= MAJOR_PUSH_COMMITS;
+  }
+  if (event.type === 'PullRequestEvent' && payload.pull_request) {
+    const pr = payload.pull_request;
+    const lines = (pr.additions || 0) + (pr.deletions || 0);
+    return Boolean(pr.merged) && lines >= MAJOR_PR_LINES;
+  }
+  return false;
+}
+
+/**
+ * Detect whether an event was made as a first-time contributor to the repo.
+ * @param {Object} event - GitHub event
+ * @returns {boolean} True when GitHub flags the author as first-time
+ */
+function isFirstTimeContribution(event) {
+  const payload = event.payload || {};
+  const item = payload.pull_request || payload.issue || payload.review || {};
+  return item.author_association === 'FIRST_TIME_CONTRIBUTOR' ||
+    item.author_association === 'FIRST_TIMER';
+}
+
+/**
+ * Score a list of GitHub events.
+ *
+ * Every event earns base activity points at the `githubCommits` weight per
+ * commit it carries (pushes count their commits, other events count once).
+ * Pull requests, issues and reviews earn their own weight on top of that.
+ * Major, first-time, weekend and final-sprint priority contributions
+ * multiply that event's points, as does the `scoreMultiplier` of the
+ * repository category the event was classified into. Points per category
+ * are reported under `categories`. Events rated by the quality analyzer
+ * keep only their quality score's share of those points; the rest is
+ * reported as `qualityDiscount`. A current streak of at least
+ * `streaks.minDays` multiplies the base points of the whole window by the
+ * `consecutiveDays` bonus. With a contest window, timestamped events
+ * outside the contest are not scored.
+ *
+ * @param {Object[]} events - GitHub events to score
+ * @param {Object} builderScore - `builderScore` section of the config
+ * @param {Object} [options]
+ * @param {string} [options.timezone='UTC'] - `contest.timezone`, decides which events fall on weekends
+ * @param {?Object} [options.streak] - Result of analyzeStreaks
+ * @param {?ContestWindow} [options.contestWindow] - Contest window for filtering and the final sprint
+ * @returns {Object} GitHub breakdown with points per category
+ */
+function scoreGitHubEvents(events, builderScore, { timezone = 'UTC', streak = null, contestWindow = null } = {}) {
+  const { weights, bonuses } = builderScore;
+  const scored = contestWindow
+    ? events.filter(event => !event.created_at || contestWindow.contains(event.created_at))
+    : events;
+  const breakdown = {
+    commits: 0,
+    pullRequests: 0,
+    issues: 0,
+    codeReviews: 0,
+    bonusPoints: 0,
+    streakBonus: 0,
+    qualityDiscount: 0,
+    counts: {
+      commits: 0,
+      pullRequests: 0,
+      issues: 0,
+      codeReviews: 0,
+      weekendEvents: 0,
+      sprintEvents: 0,
+      lowQuality: 0,
+      outsideContest: events.length - scored.length,
+      events: scored.length
+    },
+    categories: {}
+  };
+
+  scored.forEach(event => {
+    const commits = commitCount(event);
+    const points = { commits: commits * weights.githubCommits };
+    breakdown.counts.commits += commits;
+
+    switch (event.type) {
+      case 'PullRequestEvent':
+        points.pullRequests = weights.pullRequests;
+        breakdown.counts.pullRequests += 1;
+        break;
+      case 'IssuesEvent':
+        points.issues = weights.issueCreation;
+        breakdown.counts.issues += 1;
+        break;
+      case 'PullRequestReviewEvent':
+      case 'PullRequestReviewCommentEvent':
+        points.codeReviews = weights.codeReviews;
+        breakdown.counts.codeReviews += 1;
+        break;
+      default:
+        break;
+    }
+
+    let multiplier = 1;
+    if (isMajorContribution(event)) multiplier *= bonuses.majorContribution;
+    if (isFirstTimeContribution(event)) multiplier *= bonuses.firstTimeContributor;
+    if (event.created_at && isWeekend(event.created_at, timezone)) {
+      multiplier *= bonuses.weekendActivity;
+      breakdown.counts.weekendEvents += 1;
+    }
+    const sprint = contestWindow ? contestWindow.eventMultiplier(event) : 1;
+    if (sprint !== 1) {
+      multiplier *= sprint;
+      breakdown.counts.sprintEvents += 1;
+    }
+    if (event.classification) multiplier *= event.classification.scoreMultiplier;
+    // Low-quality contributions give back part of what they earned
+    const quality = event.quality ? event.quality.score : 1;
+    if (quality < 1) breakdown.counts.lowQuality += 1;
+
+    let eventPoints = 0;
+    Object.entries(points).forEach(([category, value]) => {
+      breakdown[category] += value;
+      breakdown.bonusPoints += value * (multiplier - 1);
+      breakdown.qualityDiscount += value * multiplier * (1 - quality);
+      eventPoints += value * multiplier * quality;
+    });
+
+    const category = event.classification ? event.classification.category : UNCATEGORIZED;
+    const totals = breakdown.categories[category] || (breakdown.categories[category] = { events: 0, points: 0 });
+    totals.events += 1;
+    totals.points += eventPoints;
+  });
+  Object.values(breakdown.categories).forEach(totals => {
+    totals.points = Math.round(totals.points);
+  });
+
+  const earned = breakdown.commits + breakdown.pullRequests + breakdown.issues + breakdown.codeReviews;
+  const minDays = builderScore.streaks ? builderScore.streaks.minDays : 2;
+  if (streak && streak.currentStreak >= minDays) {
+    breakdown.streakBonus = Math.round(earned * (bonuses.consecutiveDays - 1));
+  }
+
+  breakdown.bonusPoints = Math.round(breakdown.bonusPoints);
+  breakdown.qualityDiscount = Math.round(breakdown.qualityDiscount);
+  breakdown.subtotal = earned + breakdown.bonusPoints + breakdown.streakBonus - breakdown.qualityDiscount;
+  return breakdown;
+}
+
+/**
+ * Score Base on-chain activity.
+ * Each recent deployment earns the `baseContracts` weight, scaled by the
+ * `scoreMultiplier` of its classified contract category and, during the
+ * final sprint, the sprint multiplier. Deployments outside the contest
+ * window, and deployments the on-chain profile could not verify, are not
+ * scored.
+ * @param {Object} base - On-chain inputs
+ * @param {?number} base.blockNumber - Latest block seen, null when unreachable
+ * @param {?Object} base.contracts - Result of checkBaseContracts, if an address was given
+ * @param {Object} builderScore - `builderScore` section of the config
+ * @param {Object} [options]
+ * @param {?ContestWindow} [options.contestWindow] - Contest window for filtering and the final sprint
+ * @returns {Object} Base breakdown with points per category
+ */
+function scoreBaseActivity({ blockNumber, contracts }, builderScore, { contestWindow = null } = {}) {
+  const { weights } = builderScore;
+  const inWindow = (contracts ? contracts.recentContracts : [])
+    .filter(contract => !contestWindow || !contract.created_at || contestWindow.contains(contract.created_at));
+  const recent = inWindow.filter(contract => contract.verified !== false);
+  const deployed = recent.length;
+  const contractPoints = recent.reduce((sum, contract) => {
+    let multiplier = contract.classification ? contract.classification.scoreMultiplier : 1;
+    if (contestWindow) multiplier *= contestWindow.deploymentMultiplier(contract);
+    return sum + weights.baseContracts * multiplier;
+  }, 0);
+  const breakdown = {
+    networkActivity: blockNumber !== null && blockNumber !== undefined ? weights.baseNetworkActivity : 0,
+    contracts: Math.round(contractPoints),
+    counts: { contracts: deployed, unverified: inWindow.length - deployed }
+  };
+  breakdown.subtotal = breakdown.networkActivity + breakdown.contracts;
+  return breakdown;
+}
+
+/**
+ * Check activity counts against `builderScore.thresholds`.
+ * @param {Object} github - GitHub breakdown
+ * @param {Object} base - Base breakdown
+ * @param {Object} thresholds - `builderScore.thresholds` section of the config
+ * @returns {Object} Threshold name to { actual, required, met }
+ */
+function checkThresholds(github, base, thresholds) {
+  const check = (actual, required) => ({ actual, required, met: actual >= required });
+  return {
+    dailyCommits: check(github.counts.commits, thresholds.dailyCommits),
+    weeklyPullRequests: check(github.counts.pullRequests, thresholds.weeklyPullRequests),
+    monthlyContracts: check(base.counts.contracts, thresholds.monthlyContracts)
+  };
+}
+
+/**
+ * Calculate a Builder Score from collected activity.
+ * @param {Object} activity - Collected activity
+ * @param {Object[]} activity.events - GitHub events in the scoring window
+ * @param {?number} activity.blockNumber - Latest Base block, null when unreachable
+ * @param {?Object} [activity.contracts] - Result of checkBaseContracts
+ * @param {?Object} [activity.streak] - Result of analyzeStreaks
+ * @param {Object} builderScore - `builderScore` section of the config
+ * @param {Object} [options]
+ * @param {string} [options.timezone='UTC'] - `contest.timezone`
+ * @param {?ContestWindow} [options.contestWindow] - Only score activity inside the contest
+ * @returns {Object} { totalScore, breakdown: { github, base, thresholds } }
+ */
+function calculateScore(
+  { events = [], blockNumber = null, contracts = null, streak = null },
+  builderScore,
+  { timezone, contestWindow } = {}
+) {
+  const github = scoreGitHubEvents(events, builderScore, { timezone, streak, contestWindow });
+  const base = scoreBaseActivity({ blockNumber, contracts }, builderScore, { contestWindow });
+
+  return {
+    totalScore: github.subtotal + base.subtotal,
+    breakdown: {
+      github,
+      base,
+      thresholds: checkThresholds(github, base, builderScore.thresholds)
+    }
+  };
+}
+
+module.exports = {
+  calculateScore,
+  scoreGitHubEvents,
+  scoreBaseActivity,
+  checkThresholds,
+  commitCount,
+  isMajorContribution,
+  isFirstTimeContribution
+};
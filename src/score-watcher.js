@@ -0,0 +1,333 @@
+/**
+ * Score Watcher
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Keeps a builder's score up to date while it runs: new Base blocks arrive
+ * through the provider's `block` subscription and are scanned for the
+ * builder's transactions and deployments, GitHub events are polled
+ * incrementally from the newest one seen, and the score is recalculated
+ * after every change. Updates run one at a time; blocks that arrive while
+ * one is running are picked up together by the next.
+ *
+ * Where it left off (the newest event ID, the contract scan cursor, the
+ * last score and which thresholds were met) is saved to a JSON file after
+ * each update and on stop, so a restarted watcher catches up from there
+ * instead of reporting everything again.
+ *
+ * Events:
+ *   scoreChanged     { previous, current, delta, reason, score }
+ *   contractDeployed { contract }
+ *   githubActivity   { events }
+ *   streakAtRisk     { streak }
+ *   thresholdMet     { name, actual, required }
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {Object} WatchCursor
+ * @property {string} username - GitHub username the cursor belongs to
+ * @property {?string} address - Base address, lowercased
+ * @property {?string} lastEventId - Newest GitHub event seen
+ * @property {?Object} scan - ContractScanner cursor, see ContractScanner#scan
+ * @property {?number} totalScore - Score after the last update
+ * @property {Object<string, boolean>} thresholds - Whether each threshold was met after the last update
+ * @property {?string} streakWarnedOn - Contest day streakAtRisk was last emitted for
+ * @property {?string} updatedAt - ISO-8601 time of the last save
+ */
+
+const emptyCursor = (username, address) => ({
+  username,
+  address,
+  lastEventId: null,
+  scan: null,
+  totalScore: null,
+  thresholds: {},
+  streakWarnedOn: null,
+  updatedAt: null
+});
+
+class ScoreWatcher extends EventEmitter {
+  /**
+   * @param {Object} tracker - BuilderScoreTracker
+   * @param {Object} options
+   * @param {string} options.username - GitHub username
+   * @param {string} [options.address] - Base address or name
+   * @param {string} options.file - JSON file for the cursor, created on first save
+   * @param {number} [options.pollInterval=60] - Seconds between GitHub polls
+   */
+  constructor(tracker, { username, address = null, file, pollInterval = 60 }) {
+    super();
+    this.tracker = tracker;
+    this.username = username;
+    this.input = address;
+    this.address = null;
+    this.file = file;
+    this.pollInterval = pollInterval;
+    this.cursor = null;
+    this.github = null;
+    this.blockNumber = null;
+    this.profile = null;
+    this.head = null;
+    this.blockPending = false;
+    this.timer = null;
+    this.queue = Promise.resolve();
+    this.running = false;
+    this.onBlock = blockNumber => this.handleBlock(blockNumber);
+  }
+
+  async load() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write to a temporary file first so a crash never leaves half a cursor
+  async save() {
+    this.cursor.updatedAt = new Date(this.tracker.now()).toISOString();
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.writeFile(temp, `${JSON.stringify(this.cursor, null, 2)}\n`);
+    await fs.promises.rename(temp, this.file);
+  }
+
+  /**
+   * Collect everything once, catching up from the saved cursor, then
+   * subscribe to new blocks and start polling GitHub.
+   * @returns {Promise<Object>} Score after the initial update
+   * @throws {NameResolutionError} When the address is a name that does not resolve
+   */
+  async start() {
+    this.address = this.input ? (await this.tracker.resolveAddress(this.input)).toLowerCase() : null;
+    const saved = await this.load();
+    // A cursor for another builder would report their activity as ours
+    this.cursor = saved && saved.username === this.username && saved.address === this.address
+      ? { ...emptyCursor(this.username, this.address), ...saved }
+      : emptyCursor(this.username, this.address);
+
+    const [github, blockNumber] = await Promise.all([
+      this.tracker.trackGitHubActivity(this.username),
+      this.tracker.checkBaseNetwork()
+    ]);
+    this.github = github;
+    this.blockNumber = blockNumber;
+    if (github) this.reportEvents(github.events);
+    if (this.address) await this.refreshContracts(blockNumber);
+    const score = await this.rescore('start');
+
+    this.running = true;
+    await this.tracker.provider.on('block', this.onBlock);
+    this.schedulePoll();
+    this.tracker.logger.info('Watching builder score', {
+      username: this.username,
+      address: this.address,
+      resumed: Boolean(saved),
+      pollInterval: this.pollInterval
+    });
+    return score;
+  }
+
+  /**
+   * Unsubscribe, let the running update finish and save the cursor.
+   */
+  async stop() {
+    if (!this.running) return;
+    this.running = false;
+    clearTimeout(this.timer);
+    await this.tracker.provider.off('block', this.onBlock);
+    await this.queue;
+    await this.save();
+    this.tracker.logger.info('Stopped watching builder score', { username: this.username });
+  }
+
+  /**
+   * Run an update after the ones already queued. Failures are logged so
+   * one bad update does not stop the watcher.
+   * @param {Function} update - async () => void
+   * @returns {Promise<void>} Resolves once the update has run
+   */
+  enqueue(update) {
+    this.queue = this.queue.then(async () => {
+      if (!this.running) return;
+      try {
+        await update();
+        await this.save();
+      } catch (error) {
+        this.tracker.logger.error('Watch update failed', { username: this.username, error });
+      }
+    });
+    return this.queue;
+  }
+
+  schedulePoll() {
+    this.timer = setTimeout(async () => {
+      await this.enqueue(() => this.pollGitHub());
+      if (this.running) this.schedulePoll();
+    }, this.pollInterval * 1000);
+  }
+
+  /**
+   * Note a new block. Blocks arriving while an update runs are handled by one update.
+   * @param {number} blockNumber - New head
+   * @returns {Promise<void>} Resolves once the block has been handled
+   */
+  handleBlock(blockNumber) {
+    this.head = Math.max(this.head ?? 0, blockNumber);
+    if (this.blockPending) return this.queue;
+    this.blockPending = true;
+    return this.enqueue(async () => {
+      this.blockPending = false;
+      const reconnected = this.blockNumber === null;
+      this.blockNumber = this.head;
+      const found = this.address ? await this.refreshContracts(this.head) : false;
+      if (found || reconnected) await this.rescore('block');
+    });
+  }
+
+  /**
+   * Fetch GitHub events created since the newest one seen and rescore.
+   * The score is recalculated even without new events: "today" and
+   * streaks move with the clock.
+   */
+  async pollGitHub() {
+    const github = this.github
+      ? await this.tracker.updateGitHubActivity(this.username, this.github)
+      : await this.tracker.trackGitHubActivity(this.username);
+    if (github) {
+      this.github = github;
+      this.reportEvents(github.newEvents || github.events);
+    }
+    await this.rescore('github');
+  }
+
+  // Emit githubActivity for events newer than the cursor; the first run only sets the cursor
+  reportEvents(events) {
+    if (events.length === 0) return;
+    const { lastEventId } = this.cursor;
+    if (lastEventId !== null) {
+      const fresh = events.filter(event => BigInt(event.id) > BigInt(lastEventId));
+      if (fresh.length > 0) this.emit('githubActivity', { events: fresh });
+    }
+    const newest = events.reduce((max, event) => (BigInt(event.id) > BigInt(max) ? event.id : max), events[0].id);
+    if (lastEventId === null || BigInt(newest) > BigInt(lastEventId)) this.cursor.lastEventId = newest;
+  }
+
+  /**
+   * Scan the blocks up to the head and rebuild the on-chain profile when the
+   * builder sent or deployed anything in them.
+   * @param {?number} head - Latest block, null when unknown
+   * @returns {Promise<boolean>} Whether the profile changed
+   */
+  async refreshContracts(head) {
+    const previous = this.cursor.scan;
+    let scan = previous;
+    if (previous && head !== null && head > previous.toBlock) {
+      try {
+        ({ cursor: scan } = await this.tracker.contractScanner.scan(this.address, {
+          cursor: { ...previous, toBlock: head }
+        }));
+      } catch (error) {
+        this.tracker.logger.warn('Block scan interrupted', { address: this.address, error });
+        scan = error.cursor || previous;
+      }
+    }
+    const found = !previous || scan.contracts.length > previous.contracts.length ||
+      scan.transactions.length > previous.transactions.length;
+    if (this.profile && !found) {
+      this.cursor.scan = scan;
+      return false;
+    }
+
+    const profile = await this.tracker.getOnchainProfile(this.address, scan ? { cursor: scan } : {});
+    if (!profile) {
+      this.cursor.scan = scan;
+      return false;
+    }
+    this.profile = profile;
+    this.cursor.scan = profile.contracts.cursor;
+
+    // Without a saved scan every contract is old news
+    if (previous) {
+      const known = new Set(previous.contracts.map(contract => contract.address.toLowerCase()));
+      profile.contracts.contracts
+        .filter(contract => !known.has(contract.address.toLowerCase()))
+        .forEach(contract => this.emit('contractDeployed', { contract }));
+    }
+    return true;
+  }
+
+  /**
+   * Recalculate the score from what has been collected, emit what changed
+   * and send the notifications it calls for.
+   * @param {string} reason - What triggered the update: 'start', 'block' or 'github'
+   * @returns {Promise<Object>} Score, see BuilderScoreTracker#scoreActivity
+   */
+  async rescore(reason) {
+    const { tracker, username, address, cursor } = this;
+    const score = await tracker.scoreActivity(username, {
+      github: this.github,
+      blockNumber: this.blockNumber,
+      profile: this.profile,
+      address
+    });
+
+    const previous = cursor.totalScore;
+    if (score.totalScore !== previous) {
+      cursor.totalScore = score.totalScore;
+      await tracker.snapshot('score', () => tracker.history.recordScore(username, score, { address }));
+      this.emit('scoreChanged', {
+        previous,
+        current: score.totalScore,
+        delta: previous === null ? null : score.totalScore - previous,
+        reason,
+        score
+      });
+    }
+
+    Object.entries(score.breakdown.thresholds).forEach(([name, threshold]) => {
+      if (threshold.met && !cursor.thresholds[name]) {
+        this.emit('thresholdMet', { name, actual: threshold.actual, required: threshold.required });
+      }
+      cursor.thresholds[name] = threshold.met;
+    });
+
+    const { streak } = score;
+    if (streak && streak.atRisk && cursor.streakWarnedOn !== streak.today) {
+      cursor.streakWarnedOn = streak.today;
+      this.emit('streakAtRisk', { streak });
+    }
+    await tracker.notify(username, score);
+    return score;
+  }
+}
+
+/**
+ * Build a score watcher from the `watch` config section. The cursor file
+ * defaults to one per username in watch.dir.
+ * @param {Object} tracker - BuilderScoreTracker
+ * @param {Object} options
+ * @param {string} options.username - GitHub username
+ * @param {string} [options.address] - Base address or name
+ * @param {string} [options.file] - Cursor file
+ * @returns {ScoreWatcher} Watcher
+ */
+function createScoreWatcher(tracker, { username, address, file }) {
+  const { pollInterval, dir = '.watch' } = tracker.config.watch || {};
+  return new ScoreWatcher(tracker, {
+    username,
+    address,
+    file: file || path.join(dir, `${username.toLowerCase()}.json`),
+    pollInterval
+  });
+}
+
+module.exports = {
+  ScoreWatcher,
+  createScoreWatcher
+};
@@ -0,0 +1,153 @@
+/**
+ * Contribution Streak Engine
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Works out daily contribution streaks and weekend activity in the contest
+ * timezone, feeding the `consecutiveDays` and `weekendActivity` bonuses.
+ * Days are YYYY-MM-DD strings in that timezone, so a commit at 23:30 in
+ * New York counts for that day even though it is the next day in UTC.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function formatterFor(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+function partsOf(time, timezone) {
+  const parts = {};
+  formatterFor(timezone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return parts;
+}
+
+/**
+ * Calendar day of a time in a timezone.
+ * @param {string|number|Date} time - Timestamp
+ * @param {string} [timezone='UTC'] - IANA timezone
+ * @returns {string} YYYY-MM-DD
+ */
+function localDate(time, timezone = 'UTC') {
+  const { year, month, day } = partsOf(time, timezone);
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Wall-clock time of a time in a timezone.
+ * @param {string|number|Date} time - Timestamp
+ * @param {string} [timezone='UTC'] - IANA timezone
+ * @returns {string} HH:MM, 24-hour
+ */
+function localTime(time, timezone = 'UTC') {
+  const { hour, minute } = partsOf(time, timezone);
+  return `${hour}:${minute}`;
+}
+
+/**
+ * Whether a time falls on a Saturday or Sunday in a timezone.
+ * @param {string|number|Date} time - Timestamp
+ * @param {string} [timezone='UTC'] - IANA timezone
+ * @returns {boolean} True on weekends
+ */
+function isWeekend(time, timezone = 'UTC') {
+  const { weekday } = partsOf(time, timezone);
+  return weekday === 'Sat' || weekday === 'Sun';
+}
+
+/**
+ * Hours left before the local day ends in a timezone.
+ * @param {string|number|Date} time - Timestamp
+ * @param {string} [timezone='UTC'] - IANA timezone
+ * @returns {number} Hours, rounded down to one decimal
+ */
+function hoursUntilMidnight(time, timezone = 'UTC') {
+  const { hour, minute, second } = partsOf(time, timezone);
+  const elapsedMs = ((Number(hour) * 60 + Number(minute)) * 60 + Number(second)) * 1000;
+  return Math.floor(((24 * HOUR_MS - elapsedMs) / HOUR_MS) * 10) / 10;
+}
+
+function addDays(day, count) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + count);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Analyze contribution streaks from a full event history.
+ *
+ * The current streak stays alive through today until local midnight, so a
+ * builder active yesterday but not yet today is "at risk" rather than broken.
+ *
+ * @param {Object[]} events - GitHub events with created_at
+ * @param {Object} [options]
+ * @param {string} [options.timezone='UTC'] - `contest.timezone`
+ * @param {number|Date} [options.now=Date.now()] - Current time
+ * @param {number} [options.atRiskHours=6] - Hours before midnight at which an at-risk streak becomes urgent
+ * @returns {Object} { timezone, today, activeDays, currentStreak, longestStreak, lastActiveDay,
+ *   activeToday, weekendDays, atRisk, urgent, hoursLeft, warning }
+ */
+function analyzeStreaks(events, { timezone = 'UTC', now = Date.now(), atRiskHours = 6 } = {}) {
+  const today = localDate(now, timezone);
+  const days = [...new Set(events
+    .filter(event => event.created_at)
+    .map(event => localDate(event.created_at, timezone)))]
+    .filter(day => day <= today)
+    .sort();
+
+  let longestStreak = 0;
+  let run = 0;
+  days.forEach((day, i) => {
+    run = i > 0 && addDays(days[i - 1], 1) === day ? run + 1 : 1;
+    longestStreak = Math.max(longestStreak, run);
+  });
+
+  const lastActiveDay = days.length > 0 ? days[days.length - 1] : null;
+  const activeToday = lastActiveDay === today;
+  const alive = activeToday || lastActiveDay === addDays(today, -1);
+  const currentStreak = alive ? run : 0;
+
+  const hoursLeft = hoursUntilMidnight(now, timezone);
+  const atRisk = alive && !activeToday;
+  const urgent = atRisk && hoursLeft <= atRiskHours;
+
+  return {
+    timezone,
+    today,
+    activeDays: days.length,
+    currentStreak,
+    longestStreak,
+    lastActiveDay,
+    activeToday,
+    weekendDays: days.filter(day => isWeekend(`${day}T12:00:00Z`, 'UTC')).length,
+    atRisk,
+    urgent,
+    hoursLeft,
+    warning: atRisk
+      ? `${currentStreak}-day streak ends in ${hoursLeft}h (${timezone} midnight) without a contribution today`
+      : null
+  };
+}
+
+module.exports = {
+  analyzeStreaks,
+  localDate,
+  localTime,
+  isWeekend,
+  hoursUntilMidnight
+};
@@ -0,0 +1,424 @@
+/**
+ * Yield Farming Client
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * ethers client for contracts/YieldFarmingStrategy.sol. Reads come back as
+ * plain objects with bigint amounts. Before a transaction is sent, the
+ * contract's require() checks are run against current chain state, so a
+ * call that would revert fails early with the contract's own message and
+ * costs no gas. Deposits approve the staking token first when the allowance
+ * is short. Every transaction resolves to its receipt and the contract
+ * events it emitted.
+ */
+
+const { ethers } = require('ethers');
+
+const YIELD_FARMING_ABI = [
+  'function PRECISION() view returns (uint256)',
+  'function MAX_FEE() view returns (uint256)',
+  'function owner() view returns (address)',
+  'function paused() view returns (bool)',
+  'function rewardPerBlock() view returns (uint256)',
+  'function totalAllocPoint() view returns (uint256)',
+  'function emergencyWithdrawFee() view returns (uint256)',
+  'function authorizedRebalancers(address account) view returns (bool)',
+  'function poolLength() view returns (uint256)',
+  'function poolInfo(uint256 pid) view returns (address stakingToken, address rewardToken, uint256 allocPoint, ' +
+    'uint256 lastRewardBlock, uint256 accRewardPerShare, uint256 totalStaked, uint256 minLockPeriod, bool isEmergencyWithdrawEnabled)',
+  'function getUserPosition(uint256 pid, address user) view returns (tuple(uint256 amount, uint256 lastRewardBlock, ' +
+    'uint256 rewardDebt, uint256 lockEndTime, bool isActive))',
+  'function pendingReward(uint256 pid, address user) view returns (uint256)',
+  'function addPool(address stakingToken, address rewardToken, uint256 allocPoint, uint256 minLockPeriod)',
+  'function deposit(uint256 pid, uint256 amount)',
+  'function withdraw(uint256 pid, uint256 amount)',
+  'function emergencyWithdraw(uint256 pid)',
+  'function massUpdatePools()',
+  'function updatePool(uint256 pid)',
+  'function setRewardPerBlock(uint256 rewardPerBlock)',
+  'function setEmergencyWithdrawFee(uint256 fee)',
+  'function toggleEmergencyWithdraw(uint256 pid, bool enabled)',
+  'function setAuthorizedRebalancer(address rebalancer, bool authorized)',
+  'function pause()',
+  'function unpause()',
+  'event Deposit(address indexed user, uint256 indexed pid, uint256 amount)',
+  'event Withdraw(address indexed user, uint256 indexed pid, uint256 amount)',
+  'event EmergencyWithdraw(address indexed user, uint256 indexed pid, uint256 amount)',
+  'event RewardClaimed(address indexed user, uint256 indexed pid, uint256 amount)',
+  'event PoolAdded(uint256 indexed pid, address stakingToken, address rewardToken)',
+  'event PositionRebalanced(address indexed user, uint256 indexed pid, uint256 newAmount)'
+];
+
+const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function balanceOf(address account) view returns (uint256)'
+];
+
+/**
+ * @typedef {Object} PoolInfo
+ * @property {number} pid - Pool ID
+ * @property {string} stakingToken - Token deposited into the pool
+ * @property {string} rewardToken - Token rewards are paid in
+ * @property {bigint} allocPoint - Share of rewardPerBlock, out of totalAllocPoint
+ * @property {bigint} lastRewardBlock - Block the pool was last updated at
+ * @property {bigint} accRewardPerShare - Rewards per staked token, scaled by PRECISION
+ * @property {bigint} totalStaked - Tokens deposited
+ * @property {bigint} minLockPeriod - Seconds a deposit stays locked
+ * @property {boolean} isEmergencyWithdrawEnabled - Whether emergencyWithdraw is allowed
+ */
+
+/**
+ * @typedef {Object} Position
+ * @property {bigint} amount - Tokens deposited
+ * @property {bigint} lastRewardBlock - Block of the last deposit
+ * @property {bigint} rewardDebt - Rewards already accounted for, see pendingReward
+ * @property {bigint} lockEndTime - Unix time withdrawals unlock
+ * @property {boolean} isActive - Whether the position holds tokens
+ */
+
+/**
+ * @typedef {Object} FarmEvent
+ * @property {string} name - Deposit, Withdraw, EmergencyWithdraw, RewardClaimed, PoolAdded or PositionRebalanced
+ * @property {Object} args - Event arguments by name; amounts are bigints
+ * @property {number} logIndex - Position of the log in the block
+ */
+
+/**
+ * @typedef {Object} FarmTransaction
+ * @property {string} hash - Transaction hash
+ * @property {number} blockNumber - Block the transaction was mined in
+ * @property {FarmEvent[]} events - Contract events it emitted
+ * @property {?Object} approval - Receipt of the ERC20 approval sent first, deposits only
+ * @property {Object} receipt - ethers TransactionReceipt
+ */
+
+/**
+ * A call the contract would revert, caught before sending. The message is
+ * the contract's revert reason.
+ */
+class YieldFarmingError extends Error {
+  constructor(reason, method) {
+    super(reason);
+    this.reason = reason;
+    this.method = method;
+  }
+}
+
+const ensure = (condition, reason, method) => {
+  if (!condition) throw new YieldFarmingError(reason, method);
+};
+
+const toPool = (pid, pool) => ({
+  pid,
+  stakingToken: pool.stakingToken,
+  rewardToken: pool.rewardToken,
+  allocPoint: pool.allocPoint,
+  lastRewardBlock: pool.lastRewardBlock,
+  accRewardPerShare: pool.accRewardPerShare,
+  totalStaked: pool.totalStaked,
+  minLockPeriod: pool.minLockPeriod,
+  isEmergencyWithdrawEnabled: pool.isEmergencyWithdrawEnabled
+});
+
+const toPosition = position => ({
+  amount: position.amount,
+  lastRewardBlock: position.lastRewardBlock,
+  rewardDebt: position.rewardDebt,
+  lockEndTime: position.lockEndTime,
+  isActive: position.isActive
+});
+
+class YieldFarmingClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.address - YieldFarmingStrategy address
+   * @param {Object} options.runner - ethers signer to send transactions, or provider for reads only
+   */
+  constructor({ address, runner }) {
+    this.address = address;
+    this.runner = runner;
+    this.provider = runner.provider || runner;
+    this.contract = new ethers.Contract(address, YIELD_FARMING_ABI, runner);
+  }
+
+  async sender() {
+    if (typeof this.runner.sendTransaction !== 'function') throw new Error('Sending transactions needs a signer');
+    return this.runner.getAddress();
+  }
+
+  /**
+   * Decode the contract's events from a receipt. Logs of other contracts,
+   * such as ERC20 transfers, are left out.
+   * @param {Object} receipt - ethers TransactionReceipt
+   * @returns {FarmEvent[]} Events in log order
+   */
+  decodeEvents(receipt) {
+    return receipt.logs
+      .filter(log => log.address.toLowerCase() === this.address.toLowerCase())
+      .map(log => {
+        const parsed = this.contract.interface.parseLog(log);
+        if (!parsed) return null;
+        const args = Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name, parsed.args[i]]));
+        if ('pid' in args) args.pid = Number(args.pid);
+        return { name: parsed.name, args, logIndex: log.index };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Send a contract call and wait for it to be mined.
+   * @param {string} method - Contract function
+   * @param {Array} args - Function arguments
+   * @returns {Promise<FarmTransaction>} Mined transaction
+   */
+  async send(method, args) {
+    const tx = await this.runner.sendTransaction(await this.contract[method].populateTransaction(...args));
+    const receipt = await tx.wait();
+    return {
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      events: this.decodeEvents(receipt),
+      approval: null,
+      receipt
+    };
+  }
+
+  // Views
+
+  /**
+   * @returns {Promise<number>} Number of pools
+   */
+  async poolLength() {
+    return Number(await this.contract.poolLength());
+  }
+
+  /**
+   * @param {number} pid - Pool ID
+   * @returns {Promise<PoolInfo>} Pool
+   * @throws {YieldFarmingError} When the pool does not exist
+   */
+  async getPool(pid) {
+    await this.checkPool(pid, 'getPool');
+    return toPool(Number(pid), await this.contract.poolInfo(pid));
+  }
+
+  /**
+   * @returns {Promise<PoolInfo[]>} Every pool, by ID
+   */
+  async getPools() {
+    const length = await this.poolLength();
+    return Promise.all(Array.from({ length }, (_, pid) => this.contract.poolInfo(pid).then(pool => toPool(pid, pool))));
+  }
+
+  /**
+   * @param {number} pid - Pool ID
+   * @param {string} user - User address
+   * @returns {Promise<Position>} The user's position, all zero when they never deposited
+   */
+  async getUserPosition(pid, user) {
+    return toPosition(await this.contract.getUserPosition(pid, user));
+  }
+
+  /**
+   * @param {number} pid - Pool ID
+   * @param {string} user - User address
+   * @returns {Promise<bigint>} Rewards claimable by the next deposit or withdrawal
+   */
+  async pendingReward(pid, user) {
+    return this.contract.pendingReward(pid, user);
+  }
+
+  /**
+   * @returns {Promise<Object>} { owner, paused, rewardPerBlock, totalAllocPoint, emergencyWithdrawFee, precision, maxFee }
+   */
+  async getSettings() {
+    const [owner, paused, rewardPerBlock, totalAllocPoint, emergencyWithdrawFee, precision, maxFee] = await Promise.all([
+      this.contract.owner(),
+      this.contract.paused(),
+      this.contract.rewardPerBlock(),
+      this.contract.totalAllocPoint(),
+      this.contract.emergencyWithdrawFee(),
+      this.contract.PRECISION(),
+      this.contract.MAX_FEE()
+    ]);
+    return { owner, paused, rewardPerBlock, totalAllocPoint, emergencyWithdrawFee, precision, maxFee };
+  }
+
+  // Checks, in the order the contract's require() statements run
+
+  async checkPool(pid, method) {
+    ensure(BigInt(pid) >= 0n && BigInt(pid) < BigInt(await this.poolLength()), 'Invalid pool ID', method);
+  }
+
+  async checkOwner(method) {
+    const [owner, sender] = await Promise.all([this.contract.owner(), this.sender()]);
+    ensure(owner.toLowerCase() === sender.toLowerCase(), 'Ownable: caller is not the owner', method);
+  }
+
+  // Withdrawals run in a later block, so the latest block's time is the earliest they can see
+  async latestTimestamp() {
+    const block = await this.provider.getBlock('latest');
+    return BigInt(block.timestamp);
+  }
+
+  // Transactions
+
+  /**
+   * Add a pool. Owner only.
+   * @param {Object} pool
+   * @param {string} pool.stakingToken - Token to deposit
+   * @param {string} pool.rewardToken - Token to pay rewards in
+   * @param {ethers.BigNumberish} pool.allocPoint - Share of rewardPerBlock
+   * @param {ethers.BigNumberish} [pool.minLockPeriod=0] - Seconds deposits stay locked
+   * @returns {Promise<FarmTransaction>} Transaction; its PoolAdded event carries the new pool ID
+   * @throws {YieldFarmingError} When the contract would revert
+   */
+  async addPool({ stakingToken, rewardToken, allocPoint, minLockPeriod = 0 }) {
+    await this.checkOwner('addPool');
+    ensure(stakingToken && stakingToken !== ethers.ZeroAddress, 'Invalid staking token', 'addPool');
+    ensure(rewardToken && rewardToken !== ethers.ZeroAddress, 'Invalid reward token', 'addPool');
+    return this.send('addPool', [stakingToken, rewardToken, allocPoint, minLockPeriod]);
+  }
+
+  /**
+   * Deposit staking tokens, claiming pending rewards. Approves the pool's
+   * staking token for the amount first unless the allowance covers it.
+   * @param {number} pid - Pool ID
+   * @param {ethers.BigNumberish} amount - Tokens to deposit, in base units
+   * @param {Object} [options]
+   * @param {boolean} [options.approve=true] - Send the ERC20 approval when the allowance is short
+   * @returns {Promise<FarmTransaction>} Transaction, with the approval receipt when one was sent
+   * @throws {YieldFarmingError} When the contract would revert
+   */
+  async deposit(pid, amount, { approve = true } = {}) {
+    const sender = await this.sender();
+    ensure(!(await this.contract.paused()), 'Pausable: paused', 'deposit');
+    await this.checkPool(pid, 'deposit');
+    ensure(BigInt(amount) > 0n, 'Amount must be greater than 0', 'deposit');
+
+    const { stakingToken } = await this.contract.poolInfo(pid);
+    const token = new ethers.Contract(stakingToken, ERC20_ABI, this.runner);
+    const [balance, allowance] = await Promise.all([token.balanceOf(sender), token.allowance(sender, this.address)]);
+    // OpenZeppelin ERC20 checks the allowance before the balance
+    ensure(approve || allowance >= BigInt(amount), 'ERC20: insufficient allowance', 'deposit');
+    ensure(balance >= BigInt(amount), 'ERC20: transfer amount exceeds balance', 'deposit');
+
+    let approval = null;
+    if (allowance < BigInt(amount)) {
+      const tx = await this.runner.sendTransaction(await token.approve.populateTransaction(this.address, amount));
+      approval = await tx.wait();
+    }
+    return { ...(await this.send('deposit', [pid, amount])), approval };
+  }
+
+  /**
+   * Withdraw staking tokens, claiming pending rewards.
+   * @param {number} pid - Pool ID
+   * @param {ethers.BigNumberish} amount - Tokens to withdraw, in base units
+   * @returns {Promise<FarmTransaction>} Transaction
+   * @throws {YieldFarmingError} When the contract would revert, e.g. "Position still locked"
+   */
+  async withdraw(pid, amount) {
+    const sender = await this.sender();
+    await this.checkPool(pid, 'withdraw');
+    const [position, now] = await Promise.all([this.contract.getUserPosition(pid, sender), this.latestTimestamp()]);
+    ensure(position.amount >= BigInt(amount), 'Insufficient balance', 'withdraw');
+    ensure(now >= position.lockEndTime, 'Position still locked', 'withdraw');
+    return this.send('withdraw', [pid, amount]);
+  }
+
+  /**
+   * Withdraw the whole position without rewards, minus emergencyWithdrawFee.
+   * @param {number} pid - Pool ID
+   * @returns {Promise<FarmTransaction>} Transaction
+   * @throws {YieldFarmingError} When the contract would revert, e.g. "Emergency withdraw not enabled"
+   */
+  async emergencyWithdraw(pid) {
+    const sender = await this.sender();
+    await this.checkPool(pid, 'emergencyWithdraw');
+    const [position, pool] = await Promise.all([this.contract.getUserPosition(pid, sender), this.contract.poolInfo(pid)]);
+    ensure(position.amount > 0n, 'No position to withdraw', 'emergencyWithdraw');
+    ensure(pool.isEmergencyWithdrawEnabled, 'Emergency withdraw not enabled', 'emergencyWithdraw');
+    return this.send('emergencyWithdraw', [pid]);
+  }
+
+  // Admin, owner only
+
+  /**
+   * @param {ethers.BigNumberish} rewardPerBlock - Rewards per block across all pools, in base units
+   * @returns {Promise<FarmTransaction>} Transaction
+   */
+  async setRewardPerBlock(rewardPerBlock) {
+    await this.checkOwner('setRewardPerBlock');
+    return this.send('setRewardPerBlock', [rewardPerBlock]);
+  }
+
+  /**
+   * @param {ethers.BigNumberish} fee - Emergency withdraw fee in basis points, at most MAX_FEE
+   * @returns {Promise<FarmTransaction>} Transaction
+   */
+  async setEmergencyWithdrawFee(fee) {
+    await this.checkOwner('setEmergencyWithdrawFee');
+    ensure(BigInt(fee) <= await this.contract.MAX_FEE(), 'Fee too high', 'setEmergencyWithdrawFee');
+    return this.send('setEmergencyWithdrawFee', [fee]);
+  }
+
+  /**
+   * @param {number} pid - Pool ID
+   * @param {boolean} enabled - Whether emergencyWithdraw is allowed
+   * @returns {Promise<FarmTransaction>} Transaction
+   */
+  async toggleEmergencyWithdraw(pid, enabled) {
+    await this.checkOwner('toggleEmergencyWithdraw');
+    await this.checkPool(pid, 'toggleEmergencyWithdraw');
+    return this.send('toggleEmergencyWithdraw', [pid, enabled]);
+  }
+
+  /**
+   * @param {string} rebalancer - Address
+   * @param {boolean} authorized - Whether it may call rebalancePosition
+   * @returns {Promise<FarmTransaction>} Transaction
+   */
+  async setAuthorizedRebalancer(rebalancer, authorized) {
+    await this.checkOwner('setAuthorizedRebalancer');
+    return this.send('setAuthorizedRebalancer', [rebalancer, authorized]);
+  }
+
+  /**
+   * Stop deposits.
+   * @returns {Promise<FarmTransaction>} Transaction
+   */
+  async pause() {
+    await this.checkOwner('pause');
+    ensure(!(await this.contract.paused()), 'Pausable: paused', 'pause');
+    return this.send('pause', []);
+  }
+
+  /**
+   * Allow deposits again.
+   * @returns {Promise<FarmTransaction>} Transaction
+   */
+  async unpause() {
+    await this.checkOwner('unpause');
+    ensure(await this.contract.paused(), 'Pausable: not paused', 'unpause');
+    return this.send('unpause', []);
+  }
+}
+
+/**
+ * Client for a deployed YieldFarmingStrategy.
+ * @param {string} address - Contract address
+ * @param {Object} runner - ethers signer, or provider for reads only
+ * @returns {YieldFarmingClient} Client
+ */
+function createYieldFarmingClient(address, runner) {
+  return new YieldFarmingClient({ address, runner });
+}
+
+module.exports = {
+  YieldFarmingClient,
+  YieldFarmingError,
+  createYieldFarmingClient,
+  YIELD_FARMING_ABI,
+  ERC20_ABI
+};
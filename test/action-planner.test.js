@@ -0,0 +1,89 @@
+/**
+ * Test suite for the action planner
+ * Base Summer League 2024 - Builder Rewards Contest
+ */
+
+const { expect } = require('chai');
+const config = require('./config/base-network.config');
+const { planActions, formatAction, countActivity } = require('../src/action-planner');
+const { ContestWindow } = require('../src/contest-window');
+
+describe('Action planner', () => {
+  const { builderScore } = config;
+  // Wednesday
+  const now = Date.parse('2024-08-14T12:00:00Z');
+  const contest = { ...config.contest, endDate: '2024-08-31T23:59:59Z' };
+  const contestWindow = new ContestWindow(contest, { now: () => now });
+  const plan = (activity, options = {}) => planActions(activity, builderScore, { now, contestWindow, ...options });
+  const byId = actions => Object.fromEntries(actions.map(action => [action.id, action]));
+
+  it('should count activity towards each threshold', () => {
+    const counts = countActivity({
+      events: [
+        { type: 'PushEvent', payload: { size: 2 }, created_at: '2024-08-14T09:00:00Z' },
+        { type: 'PushEvent', payload: { size: 5 }, created_at: '2024-08-13T09:00:00Z' },
+        { type: 'PullRequestEvent', created_at: '2024-08-10T09:00:00Z' },
+        { type: 'PullRequestEvent', created_at: '2024-08-01T09:00:00Z' }
+      ],
+      contracts: { recentContracts: [{ created_at: '2024-08-12T09:00:00Z' }] }
+    }, { timezone: 'UTC', now, contestWindow });
+
+    expect(counts).to.deep.equal({ dailyCommits: 2, weeklyPullRequests: 1, monthlyContracts: 1 });
+  });
+
+  it('should rank actions by points per hour', () => {
+    const actions = plan({ events: [] });
+
+    expect(actions.map(action => action.id)).to.deep.equal([
+      'issue', 'codeReview', 'commit', 'contract', 'pullRequest', 'documentation'
+    ]);
+    expect(actions[0]).to.include({ points: 25, hours: 0.5, pointsPerHour: 50 });
+  });
+
+  it('should plan enough actions to close a threshold gap', () => {
+    const { commit, pullRequest, contract } = byId(plan({
+      events: [{ type: 'PushEvent', payload: { size: 1 }, created_at: '2024-08-14T08:00:00Z' }]
+    }));
+
+    expect(commit).to.include({ quantity: 2, points: 20, hours: 1 });
+    expect(commit.threshold).to.deep.equal({ name: 'dailyCommits', actual: 1, required: 3, met: false });
+    expect(commit.reasons).to.include('1 of 3 dailyCommits');
+    expect(pullRequest.quantity).to.equal(2);
+    expect(contract.quantity).to.equal(1);
+  });
+
+  it('should price in the streak, weekend and final-sprint bonuses', () => {
+    const streak = { currentStreak: 4, activeToday: false };
+    expect(byId(plan({ events: [], streak })).commit).to.include({ pointsPerHour: 24 });
+    expect(byId(plan({ events: [], streak })).commit.reasons).to.include('extends your 4-day streak');
+
+    const saturday = Date.parse('2024-08-17T12:00:00Z');
+    expect(byId(plan({ events: [] }, { now: saturday })).issue.reasons).to.include('weekend bonus');
+
+    // Friday in the last 24 hours of a contest ending on Saturday
+    const sprintWindow = new ContestWindow({ ...contest, endDate: '2024-08-31T00:00:00Z' });
+    const sprint = byId(plan({ events: [] }, { now: Date.parse('2024-08-30T12:00:00Z'), contestWindow: sprintWindow }));
+    expect(sprint.contract).to.include({ points: 75 });
+    expect(sprint.commit.reasons).to.not.include('final-sprint priority');
+  });
+
+  it('should drop actions that cannot finish before the contest ends', () => {
+    const actions = plan({ events: [] }, { now: Date.parse('2024-08-31T22:00:00Z') });
+
+    expect(actions.map(action => action.id)).to.have.members(['commit', 'issue', 'codeReview']);
+    expect(plan({ events: [] }, { now: Date.parse('2024-09-02T00:00:00Z') })).to.deep.equal([]);
+  });
+
+  it('should format an action as a tip', () => {
+    const tip = formatAction({
+      title: 'Push a meaningful commit',
+      quantity: 2,
+      points: 24,
+      hours: 1,
+      pointsPerHour: 24,
+      reasons: ['1 of 3 dailyCommits']
+    });
+
+    expect(tip).to.equal('Push a meaningful commit x2: +24 points in ~1h (24/h; 1 of 3 dailyCommits)');
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Test suite for the Builder Score HTTP API
+ * Base Summer League 2024 - Builder Rewards Contest
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const axios = require('axios');
+const config = require('./config/base-network.config');
+const { createApiServer, RateLimiter } = require('../src/api-server');
+const { NameResolutionError } = require('../src/name-resolver');
+
+describe('API Server', () => {
+  let server;
+  let baseUrl;
+  let tracker;
+
+  const start = (overrides = {}, options = {}) => {
+    const security = { ...config.security, ...overrides };
+    server = createApiServer(tracker, { ...config, security }, options);
+    return new Promise(resolve => {
+      server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    });
+  };
+
+  const get = (path, headers = {}) => axios.get(`${baseUrl}${path}`, {
+    headers,
+    validateStatus: () => true
+  });
+
+  beforeEach(() => {
+    tracker = {
+      logger: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+      calculateBuilderScore: sinon.stub().callsFake(async username => ({
+        totalScore: username === 'alice' ? 120 : 80,
+        breakdown: {}
+      })),
+      trackGitHubActivity: sinon.stub().resolves(null),
+      selectEvents: sinon.stub(),
+      checkBaseContracts: sinon.stub().resolves({ totalContracts: 1, recentContracts: [], contractTypes: {} }),
+      resolveAddress: sinon.stub().callsFake(async input => {
+        if (input === 'alice.base.eth') return '0xa11ce';
+        if (input.endsWith('.eth')) throw new NameResolutionError(`${input} does not resolve to an address`);
+        return input;
+      })
+    };
+  });
+
+  afterEach(done => {
+    sinon.restore();
+    if (!server) return done();
+    server.close(done);
+    server = null;
+  });
+
+  it('should serve builder scores as JSON', async () => {
+    await start();
+
+    const response = await get('/api/v1/builder-score?username=alice&since=2024-08-01');
+
+    expect(response.status).to.equal(200);
+    expect(response.data).to.deep.include({ username: 'alice', totalScore: 120 });
+    expect(tracker.calculateBuilderScore.firstCall.args[1].since.toISOString()).to.equal('2024-08-01T00:00:00.000Z');
+    // API clients must not write the score history or send notifications
+    expect(tracker.calculateBuilderScore.firstCall.args[1].save).to.be.false;
+  });
+
+  it('should rank scored builders on the leaderboard', async () => {
+    await start();
+    await get('/api/v1/builder-score?username=bob');
+    await get('/api/v1/builder-score?username=alice');
+
+    const response = await get('/api/v1/leaderboard');
+
+    expect(response.data.leaderboard.map(entry => [entry.rank, entry.username])).to.deep.equal([
+      [1, 'alice'],
+      [2, 'bob']
+    ]);
+  });
+
+  it('should serve contract scans', async () => {
+    await start();
+
+    const response = await get('/api/v1/base/contracts?address=0xabc&fromBlock=10');
+
+    expect(response.status).to.equal(200);
+    expect(response.data.totalContracts).to.equal(1);
+    expect(tracker.checkBaseContracts.firstCall.args[1]).to.deep.equal({ fromBlock: 10, toBlock: undefined });
+  });
+
+  it('should resolve names given as addresses', async () => {
+    await start();
+
+    const response = await get('/api/v1/base/contracts?address=alice.base.eth');
+    expect(response.status).to.equal(200);
+    expect(response.data.address).to.equal('0xa11ce');
+    expect(tracker.checkBaseContracts.firstCall.args[0]).to.equal('0xa11ce');
+
+    const unknown = await get('/api/v1/builder-score?username=alice&address=ghost.base.eth');
+    expect(unknown.status).to.equal(400);
+    expect(unknown.data.error).to.equal('ghost.base.eth does not resolve to an address');
+  });
+
+  it('should return 400, 404 and 502 errors as JSON', async () => {
+    await start();
+
+    expect((await get('/api/v1/builder-score')).status).to.equal(400);
+    expect((await get('/api/v1/base/contracts?address=0xabc&fromBlock=abc')).status).to.equal(400);
+    expect((await get('/api/v1/unknown')).status).to.equal(404);
+
+    const failed = await get('/api/v1/github/activity?username=ghost');
+    expect(failed.status).to.equal(502);
+    expect(failed.data.error).to.match(/ghost/);
+  });
+
+  it('should only allow configured CORS origins', async () => {
+    await start();
+
+    const allowed = await get('/api/v1/leaderboard', { Origin: 'https://base.org' });
+    expect(allowed.headers['access-control-allow-origin']).to.equal('https://base.org');
+
+    const denied = await get('/api/v1/leaderboard', { Origin: 'https://evil.example' });
+    expect(denied.status).to.equal(403);
+    expect(denied.headers['access-control-allow-origin']).to.be.undefined;
+  });
+
+  it('should require an API key when configured', async () => {
+    await start({ apiKeyRequired: true }, { apiKey: 'secret' });
+
+    expect((await get('/api/v1/leaderboard')).status).to.equal(401);
+    expect((await get('/api/v1/leaderboard', { 'X-API-Key': 'wrong' })).status).to.equal(401);
+    expect((await get('/api/v1/leaderboard', { 'X-API-Key': 'secret' })).status).to.equal(200);
+    expect((await get('/api/v1/leaderboard', { Authorization: 'Bearer secret' })).status).to.equal(200);
+  });
+
+  it('should refuse to start without a key when one is required', () => {
+    expect(() => createApiServer(tracker, {
+      ...config,
+      security: { ...config.security, apiKeyRequired: true }
+    }, { apiKey: '' })).to.throw(/API_KEY/);
+  });
+
+  it('should rate limit each client', async () => {
+    await start({ rateLimit: { windowMs: 60000, maxRequests: 2 } });
+
+    await get('/api/v1/leaderboard');
+    const last = await get('/api/v1/leaderboard');
+    const limited = await get('/api/v1/leaderboard');
+
+    expect(last.headers['x-ratelimit-remaining']).to.equal('0');
+    expect(limited.status).to.equal(429);
+    expect(limited.headers['retry-after']).to.equal('60');
+  });
+
+  it('should not start a new rate limit window for each made-up API key', async () => {
+    await start({ rateLimit: { windowMs: 60000, maxRequests: 2 } });
+
+    await get('/api/v1/leaderboard', { 'X-API-Key': 'a' });
+    await get('/api/v1/leaderboard', { 'X-API-Key': 'b' });
+    const limited = await get('/api/v1/leaderboard', { 'X-API-Key': 'c' });
+
+    expect(limited.status).to.equal(429);
+  });
+
+  it('should rate limit API key guesses', async () => {
+    await start({ apiKeyRequired: true, rateLimit: { windowMs: 60000, maxRequests: 2 } }, { apiKey: 'secret' });
+
+    expect((await get('/api/v1/leaderboard', { 'X-API-Key': 'guess-1' })).status).to.equal(401);
+    expect((await get('/api/v1/leaderboard', { 'X-API-Key': 'guess-2' })).status).to.equal(401);
+    // Even the right key waits for the window once the guesses used it up
+    expect((await get('/api/v1/leaderboard', { 'X-API-Key': 'secret' })).status).to.equal(429);
+  });
+
+  describe('RateLimiter', () => {
+    it('should reset counts after the window', () => {
+      let now = 0;
+      const limiter = new RateLimiter({ windowMs: 1000, maxRequests: 1, now: () => now });
+
+      expect(limiter.hit('a').allowed).to.be.true;
+      expect(limiter.hit('a').allowed).to.be.false;
+      expect(limiter.hit('b').allowed).to.be.true;
+
+      now = 1000;
+      expect(limiter.hit('a').allowed).to.be.true;
+    });
+  });
+});
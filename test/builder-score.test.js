@@ -5,17 +5,74 @@
  * Comprehensive tests for GitHub activity tracking and Base network integration
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { expect } = require('chai');
 const sinon = require('sinon');
 const axios = require('axios');
+const { ethers } = require('ethers');
 const BuilderScoreTracker = require('../index');
+const { selectorOf } = require('../src/contract-classifier');
+const { IdentityStore } = require('../src/identity-linker');
+const { loadConfig } = require('../src/config-loader');
+const { RateLimitError } = require('../src/github-client');
+
+// Runtime bytecode whose dispatcher pushes the given function selectors
+const bytecodeFor = signatures =>
+  '0x' + signatures.map(signature => '63' + selectorOf(signature).slice(2)).join('');
+
+const ERC20_BYTECODE = bytecodeFor([
+  'totalSupply()', 'balanceOf(address)', 'transfer(address,uint256)',
+  'transferFrom(address,address,uint256)', 'approve(address,uint256)', 'allowance(address,address)'
+]);
+const ERC721_BYTECODE = bytecodeFor([
+  'balanceOf(address)', 'ownerOf(uint256)', 'safeTransferFrom(address,address,uint256)',
+  'safeTransferFrom(address,address,uint256,bytes)', 'transferFrom(address,address,uint256)',
+  'approve(address,uint256)', 'setApprovalForAll(address,bool)', 'getApproved(uint256)',
+  'isApprovedForAll(address,address)', 'tokenURI(uint256)'
+]);
+const POOL_BYTECODE = bytecodeFor([
+  'getReserves()', 'token0()', 'token1()', 'swap(uint256,uint256,address,bytes)',
+  'mint(address)', 'burn(address)', 'sync()', 'skim(address)'
+]);
+
+const baseConfig = require('./config/base-network.config');
+
+// Log, history, identity links and notification state of each test go to a
+// fresh temporary directory, so no test reads what an earlier run wrote
+let stateDir;
+
+beforeEach(() => {
+  stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'builder-score-'));
+});
+
+afterEach(() => {
+  fs.rmSync(stateDir, { recursive: true, force: true });
+});
+
+const testConfig = (overrides = {}) => ({
+  ...baseConfig,
+  logging: { ...baseConfig.logging, file: path.join(stateDir, 'builder-score.log') },
+  history: { file: path.join(stateDir, 'score-history.jsonl') },
+  identity: { ...baseConfig.identity, file: path.join(stateDir, 'links.json') },
+  notifications: { ...baseConfig.notifications, file: path.join(stateDir, 'notifications.json') },
+  ...overrides
+});
+
+const createTestTracker = (overrides, options) => new BuilderScoreTracker(testConfig(overrides), options);
+
+// Answers GitHub and Base RPC requests from the responses in test/fixtures
+const createReplayTracker = () => createTestTracker({
+  fixtures: { mode: 'replay', dir: path.join(__dirname, 'fixtures') }
+}, { now: () => Date.parse('2024-08-20T12:00:00Z') });
 
 describe('BuilderScoreTracker', () => {
   let tracker;
   let axiosStub;
 
   beforeEach(() => {
-    tracker = new BuilderScoreTracker();
+    tracker = createTestTracker();
     axiosStub = sinon.stub(axios, 'get');
   });
 
@@ -25,54 +82,156 @@ describe('BuilderScoreTracker', () => {
 
   describe('GitHub Activity Tracking', () => {
     it('should track GitHub activity for valid username', async () => {
-      const mockResponse = {
+      const result = await createReplayTracker().trackGitHubActivity('testuser');
+
+      expect(result).to.have.property('totalEvents', 2);
+      expect(result.todayEvents.map(event => event.type)).to.deep.equal(['PushEvent', 'IssuesEvent']);
+      expect(result.todayEvents[0].quality.flags).to.deep.equal([]);
+    });
+
+    it('should merge events polled since the newest one seen', async () => {
+      const today = new Date().toISOString();
+      axiosStub.resolves({
+        status: 200,
+        headers: {},
         data: [
-          { type: 'PushEvent', created_at: new Date().toISOString() },
-          { type: 'PullRequestEvent', created_at: new Date().toISOString() }
+          { id: '12', type: 'PushEvent', created_at: today, payload: {} },
+          { id: '11', type: 'IssuesEvent', created_at: today }
         ]
-      };
-      
-      axiosStub.resolves(mockResponse);
-      
-      const result = await tracker.trackGitHubActivity('testuser');
-      
-      expect(result).to.have.property('totalEvents');
-      expect(result).to.have.property('todayEvents');
-      expect(result.todayEvents).to.be.an('array');
+      });
+      const earlier = { totalEvents: 1, todayEvents: [], events: [{ id: '11', type: 'IssuesEvent', created_at: today }] };
+
+      const result = await tracker.updateGitHubActivity('testuser', earlier);
+
+      expect(result.newEvents.map(event => event.id)).to.deep.equal(['12']);
+      expect(result.totalEvents).to.equal(2);
+      expect(result.todayEvents).to.have.length(2);
+    });
+
+    it('should only rate events in the scoring window and stop when the rate limit is spent', async () => {
+      const push = (id, created_at, shas) => ({
+        id, type: 'PushEvent', created_at, repo: { name: 'builder/app' }, payload: { commits: shas.map(sha => ({ sha })) }
+      });
+      sinon.stub(tracker.github, 'getUserEvents').resolves([
+        push('3', new Date().toISOString(), ['c3', 'c4']),
+        push('2', '2024-08-01T10:00:00Z', ['c2']),
+        push('1', '2024-06-01T10:00:00Z', ['c1'])
+      ]);
+      sinon.stub(tracker.github, 'getRepository').rejects(new Error('Not Found'));
+      const getCommit = sinon.stub(tracker.github, 'getCommit');
+      getCommit.withArgs('builder/app', 'c4').resolves({ stats: { additions: 20, deletions: 0 }, files: [{ filename: 'app.js' }] });
+      getCommit.rejects(new RateLimitError(Date.now() + 3600000));
+
+      const today = await tracker.trackGitHubActivity('builder');
+      const august = await tracker.trackGitHubActivity('builder', { since: new Date('2024-08-01'), until: new Date('2024-09-01') });
+
+      expect(getCommit.args.map(([, sha, options]) => [sha, options])).to.deep.equal([
+        ['c3', { wait: false }], ['c4', { wait: false }], ['c2', { wait: false }]
+      ]);
+      expect(today.todayEvents).to.have.length(1);
+      expect(august.events[1]).to.not.have.property('quality');
     });
 
     it('should handle GitHub API errors gracefully', async () => {
-      axiosStub.rejects(new Error('API Error'));
-      
-      const result = await tracker.trackGitHubActivity('invaliduser');
-      
+      const result = await createReplayTracker().trackGitHubActivity('invaliduser');
+
       expect(result).to.be.null;
     });
   });
 
   describe('Base Network Integration', () => {
     it('should check Base network connectivity', async () => {
-      const mockResponse = { data: { result: '0x12345' } };
-      axiosStub.resolves(mockResponse);
-      
-      const result = await tracker.checkBaseNetwork();
-      
-      expect(result).to.be.a('string');
-      expect(result).to.match(/^0x/);
+      const result = await createReplayTracker().checkBaseNetwork();
+
+      expect(result).to.equal(18750000);
+    });
+
+    it('should verify the chain ID of the configured network', async () => {
+      sinon.stub(tracker.provider, 'send').resolves('0x2105');
+
+      expect(await tracker.verifyNetwork()).to.equal(8453);
+    });
+
+    it('should reject an RPC endpoint serving another chain', async () => {
+      const sepolia = createTestTracker(undefined, { network: 'base-sepolia' });
+      sinon.stub(sepolia.provider, 'send').resolves('0x2105');
+
+      let error;
+      try {
+        await sepolia.verifyNetwork();
+      } catch (err) {
+        error = err;
+      }
+
+      expect(sepolia.baseRpcUrl).to.equal('https://sepolia.base.org');
+      expect(error.message).to.include('serves chain ID 8453, but the Base Sepolia network expects 84532');
+    });
+
+    it('should continue default contract scans from where the last one stopped', async () => {
+      const getBlock = sinon.stub(tracker.provider, 'getBlock').resolves(null);
+      const getBlockNumber = sinon.stub(tracker.provider, 'getBlockNumber').resolves(100000);
+      const address = '0x1111111111111111111111111111111111111111';
+
+      const first = await tracker.checkBaseContracts(address);
+      getBlockNumber.resolves(100010);
+      const second = await tracker.checkBaseContracts(address);
+
+      expect(first.cursor).to.include({ nextBlock: 100001, toBlock: 100000 });
+      expect(second.cursor).to.include({ nextBlock: 100011, toBlock: 100010 });
+      // The default window once, then only the new blocks
+      expect(getBlock.callCount).to.equal(1801 + 10);
+      expect(getBlock.lastCall.args[0]).to.equal(100010);
+    });
+
+    it('should drop what earlier default scans found before the window', async () => {
+      sinon.stub(tracker.provider, 'getBlock').resolves(null);
+      sinon.stub(tracker.provider, 'getBlockNumber').resolves(101000);
+      const address = '0x1111111111111111111111111111111111111111';
+      const found = blockNumber => ({ address: `0x${blockNumber}`, blockNumber });
+      await tracker.cache.set(`rpc:${tracker.baseRpcUrl}:scanCursor:${address}`, {
+        address,
+        nextBlock: 100001,
+        toBlock: 100000,
+        contracts: [found(99000), found(99990)],
+        transactions: [found(99100), found(99995)]
+      });
+
+      const scan = await tracker.scanRecentContracts(address);
+
+      // The window is blocks 99200 to 101000, as on a first scan
+      expect(scan.contracts.map(contract => contract.blockNumber)).to.deep.equal([99990]);
+      expect(scan.transactions.map(transaction => transaction.blockNumber)).to.deep.equal([99995]);
+      expect(scan.cursor).to.include({ fromBlock: 99200, nextBlock: 101001, toBlock: 101000 });
+    });
+
+    it('should keep the network of a config loaded with --network', () => {
+      const config = loadConfig(testConfig(), { network: 'local', env: {} });
+      const previous = process.env.BASE_NETWORK;
+      process.env.BASE_NETWORK = 'base';
+      try {
+        const local = new BuilderScoreTracker(config);
+
+        expect(local.baseRpcUrl).to.equal('http://127.0.0.1:8545');
+        expect(local.config.baseNetwork.chainId).to.equal(31337);
+        local.close();
+      } finally {
+        if (previous === undefined) delete process.env.BASE_NETWORK;
+        else process.env.BASE_NETWORK = previous;
+      }
     });
 
     it('should analyze contract types correctly', () => {
       const mockContracts = [
-        { bytecode: 'transfer balanceOf approve' },
-        { bytecode: 'tokenURI ownerOf safeTransferFrom' },
-        { bytecode: 'swap liquidity addLiquidity' }
+        { bytecode: ERC20_BYTECODE },
+        { bytecode: ERC721_BYTECODE },
+        { bytecode: POOL_BYTECODE }
       ];
       
       const result = tracker.analyzeContractTypes(mockContracts);
       
       expect(result).to.have.property('ERC20', 1);
       expect(result).to.have.property('ERC721', 1);
-      expect(result).to.have.property('DeFi', 1);
+      expect(result).to.have.property('UniswapV2Pool', 1);
     });
   });
 
@@ -119,9 +278,60 @@ describe('BuilderScoreTracker', () => {
     });
   });
 
+  describe('Notifications', () => {
+    it('should dispatch the notifications a calculated score calls for', async () => {
+      const notifier = { dispatch: sinon.stub().resolves([]) };
+      tracker = createTestTracker(undefined, { notifier });
+      sinon.stub(tracker, 'trackGitHubActivity').resolves({
+        totalEvents: 6,
+        todayEvents: [1, 2, 3, 4, 5, 6].map(() => ({ type: 'PullRequestEvent' }))
+      });
+      sinon.stub(tracker, 'checkBaseNetwork').resolves(123);
+
+      const score = await tracker.calculateBuilderScore('testuser');
+
+      const keys = notifier.dispatch.firstCall.args[0].map(notification => notification.key);
+      expect(score.totalScore).to.be.at.least(100);
+      expect(keys).to.include('scoreMilestone:testuser:100');
+      expect(keys).to.include('thresholdMet:testuser:weeklyPullRequests');
+    });
+
+    it('should save and notify only scores of the default window', async () => {
+      const notifier = { dispatch: sinon.stub().resolves([]) };
+      tracker = createTestTracker(undefined, { notifier });
+      sinon.stub(tracker, 'trackGitHubActivity').resolves({ totalEvents: 0, events: [], todayEvents: [] });
+      sinon.stub(tracker, 'checkBaseNetwork').resolves(123);
+      const recordScore = sinon.spy(tracker.history, 'recordScore');
+
+      await tracker.calculateBuilderScore('testuser', { since: new Date('2024-08-01'), until: new Date('2024-08-02') });
+      await tracker.calculateBuilderScore('testuser', { save: false });
+      expect(recordScore.called).to.be.false;
+      expect(notifier.dispatch.called).to.be.false;
+
+      await tracker.calculateBuilderScore('testuser');
+      expect(recordScore.calledOnce).to.be.true;
+      expect(notifier.dispatch.calledOnce).to.be.true;
+    });
+
+    it('should write stdout channel notifications to the given stream', () => {
+      const stream = { write: sinon.stub() };
+      tracker = createTestTracker({
+        notifications: { channels: [{ type: 'stdout' }] }
+      }, { notificationStream: stream });
+
+      expect(tracker.notifier.channels[0].stream).to.equal(stream);
+    });
+
+    it('should not fail scoring when dispatch fails', async () => {
+      tracker = createTestTracker(undefined, { notifier: { dispatch: sinon.stub().rejects(new Error('disk full')) } });
+
+      expect(await tracker.notify('testuser', { totalScore: 0, breakdown: { thresholds: {} } })).to.deep.equal([]);
+    });
+  });
+
   describe('Contract Analysis', () => {
     it('should detect ERC20 contracts', () => {
-      const contract = { bytecode: 'function transfer(address to, uint256 amount) function balanceOf(address account)' };
+      const contract = { bytecode: ERC20_BYTECODE };
       
       const result = tracker.detectContractType(contract);
       
@@ -129,7 +339,7 @@ describe('BuilderScoreTracker', () => {
     });
 
     it('should detect ERC721 contracts', () => {
-      const contract = { bytecode: 'function tokenURI(uint256 tokenId) function ownerOf(uint256 tokenId)' };
+      const contract = { bytecode: ERC721_BYTECODE };
       
       const result = tracker.detectContractType(contract);
       
@@ -137,15 +347,15 @@ describe('BuilderScoreTracker', () => {
     });
 
     it('should detect DeFi contracts', () => {
-      const contract = { bytecode: 'function swap(uint256 amount) function liquidity() function addLiquidity()' };
+      const contract = { bytecode: POOL_BYTECODE };
       
       const result = tracker.detectContractType(contract);
       
-      expect(result).to.equal('DeFi');
+      expect(result).to.equal('UniswapV2Pool');
     });
 
     it('should default to Other for unknown contracts', () => {
-      const contract = { bytecode: 'function unknownFunction()' };
+      const contract = { bytecode: bytecodeFor(['unknownFunction()']) };
       
       const result = tracker.detectContractType(contract);
       
@@ -153,6 +363,51 @@ describe('BuilderScoreTracker', () => {
     });
   });
 
+  describe('Identity Linking', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'identity-'));
+      tracker = createTestTracker(undefined, {
+        identities: new IdentityStore({ file: path.join(dir, 'links.json'), now: Date.now })
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should link a GitHub account to the address that signed its challenge', async () => {
+      const wallet = ethers.Wallet.createRandom();
+      const challenge = await tracker.startIdentityLink('builder', wallet.address);
+      const signature = await wallet.signMessage(challenge.message);
+      sinon.stub(tracker.github, 'getGist').resolves({
+        owner: { login: 'builder' },
+        files: { 'base.txt': { content: signature } }
+      });
+
+      await tracker.completeIdentityLink('builder', { signature, proofUrl: 'https://gist.github.com/builder/1' });
+
+      expect(await tracker.resolveIdentity({ username: 'builder' })).to.deep.equal({
+        username: 'builder',
+        address: wallet.address.toLowerCase(),
+        linked: true
+      });
+      expect((await tracker.resolveIdentity({ address: wallet.address })).username).to.equal('builder');
+    });
+
+    it('should refuse to link without a pending challenge', async () => {
+      let error;
+      try {
+        await tracker.completeIdentityLink('builder', { signature: '0x', proofUrl: 'https://gist.github.com/builder/1' });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).to.equal('No pending link challenge for builder');
+    });
+  });
+
   describe('Performance and Edge Cases', () => {
     it('should handle empty GitHub activity', async () => {
       axiosStub.resolves({ data: [] });
@@ -164,7 +419,7 @@ describe('BuilderScoreTracker', () => {
     });
 
     it('should handle network timeouts gracefully', async () => {
-      axiosStub.rejects(new Error('ETIMEDOUT'));
+      sinon.stub(tracker.provider, 'getBlockNumber').rejects(new Error('ETIMEDOUT'));
       
       const result = await tracker.checkBaseNetwork();
       
@@ -179,23 +434,21 @@ describe('BuilderScoreTracker', () => {
   });
 });
 
-// Integration tests for real Base network (optional, for development)
+// Integration tests for the Base network, replayed from test/fixtures.
+// Re-record them against the live APIs with the CLI's --record option.
 describe('Integration Tests (Base Network)', () => {
   let tracker;
 
-  before(() => {
-    tracker = new BuilderScoreTracker();
+  beforeEach(() => {
+    tracker = createReplayTracker();
   });
 
-  it('should connect to actual Base network', async function() {
-    this.timeout(10000); // Increase timeout for network calls
-    
+  it('should connect to actual Base network', async () => {
+    expect(await tracker.verifyNetwork()).to.equal(8453);
+
     const result = await tracker.checkBaseNetwork();
-    
-    // Only run if network is available
-    if (result) {
-      expect(result).to.be.a('string');
-      expect(result).to.match(/^0x[0-9a-fA-F]+$/);
-    }
+
+    expect(result).to.be.a('number');
+    expect(result).to.be.greaterThan(0);
   });
 });
@@ -0,0 +1,183 @@
+/**
+ * Test suite for the cache layer
+ * Base Summer League 2024 - Builder Rewards Contest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { MemoryCache, FileCache, createCache, memoize } = require('../src/cache');
+
+describe('Cache', () => {
+  let now;
+  const clock = () => now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+  });
+
+  describe('MemoryCache', () => {
+    it('should expire entries after their ttl but keep them for peek', async () => {
+      const cache = new MemoryCache({ ttl: 10, now: clock });
+      await cache.set('a', 1, { meta: { etag: '"v1"' } });
+
+      expect(await cache.get('a')).to.equal(1);
+      now += 10000;
+      expect(await cache.get('a')).to.be.undefined;
+      expect(await cache.peek('a')).to.deep.include({ value: 1, meta: { etag: '"v1"' } });
+    });
+
+    it('should evict the least recently used entry', async () => {
+      const cache = new MemoryCache({ maxSize: 2, now: clock });
+      await cache.set('a', 1);
+      await cache.set('b', 2);
+      await cache.get('a');
+      await cache.set('c', 3);
+
+      expect(await cache.get('a')).to.equal(1);
+      expect(await cache.get('b')).to.be.undefined;
+      expect(await cache.get('c')).to.equal(3);
+    });
+
+    it('should evict in insertion order with the fifo strategy', async () => {
+      const cache = new MemoryCache({ maxSize: 2, strategy: 'fifo', now: clock });
+      await cache.set('a', 1);
+      await cache.set('b', 2);
+      await cache.get('a');
+      await cache.set('c', 3);
+
+      expect(await cache.get('a')).to.be.undefined;
+      expect(await cache.get('b')).to.equal(2);
+    });
+
+    it('should reject unknown strategies', () => {
+      expect(() => new MemoryCache({ strategy: 'random' })).to.throw(/Unknown cache strategy/);
+    });
+  });
+
+  describe('FileCache', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should survive a restart', async () => {
+      await new FileCache({ dir, now: clock }).set('github:events', { data: [1, 2] });
+
+      const restarted = new FileCache({ dir, now: clock });
+
+      expect(await restarted.get('github:events')).to.deep.equal({ data: [1, 2] });
+      now += 300000;
+      expect(await restarted.get('github:events')).to.be.undefined;
+    });
+
+    it('should evict the least recently used files beyond maxSize', async () => {
+      const cache = new FileCache({ dir, maxSize: 2, now: clock });
+      await cache.set('a', 1);
+      now += 1000;
+      await cache.set('b', 2);
+      now += 1000;
+      await cache.get('a');
+      now += 1000;
+      await cache.set('c', 3);
+
+      expect(fs.readdirSync(dir)).to.have.length(2);
+      expect(await cache.get('a')).to.equal(1);
+      expect(await cache.get('b')).to.be.undefined;
+    });
+
+    it('should scan the directory only when it may be full', async () => {
+      const cache = new FileCache({ dir, maxSize: 10, now: clock });
+      const readdir = sinon.spy(fs.promises, 'readdir');
+      try {
+        for (const key of ['a', 'b', 'c', 'd']) await cache.set(key, 1);
+        expect(readdir.callCount).to.equal(1);
+
+        // The eleventh file scans once and frees a tenth of maxSize
+        for (const key of ['e', 'f', 'g', 'h', 'i', 'j', 'k']) await cache.set(key, 1);
+        expect(readdir.callCount).to.equal(2);
+        expect(fs.readdirSync(dir)).to.have.length(9);
+      } finally {
+        readdir.restore();
+      }
+    });
+
+    it('should evict while other writers remove files', async () => {
+      const cache = new FileCache({ dir, maxSize: 2, now: clock });
+      await cache.set('a', 1);
+      await cache.set('b', 2);
+      // Another evict removes the first file between this one's readdir and stat
+      const realStat = fs.promises.stat;
+      const stat = sinon.stub(fs.promises, 'stat').callThrough();
+      stat.onFirstCall().callsFake(file => {
+        fs.rmSync(file);
+        return realStat(file);
+      });
+      try {
+        await cache.set('c', 3);
+      } finally {
+        stat.restore();
+      }
+
+      expect(fs.readdirSync(dir)).to.have.length(2);
+    });
+
+    it('should allow concurrent sets beyond maxSize', async () => {
+      const cache = new FileCache({ dir, maxSize: 5, now: clock });
+
+      await Promise.all(Array.from({ length: 40 }, (_, i) => cache.set(`key${i}`, i)));
+
+      expect(fs.readdirSync(dir).length).to.be.at.most(5);
+    });
+
+    it('should allow concurrent sets of one key', async () => {
+      const cache = new FileCache({ dir, now: clock });
+
+      await Promise.all([cache.set('a', 1), cache.set('a', 2), cache.set('a', 3)]);
+
+      expect([1, 2, 3]).to.include(await cache.get('a'));
+      expect(fs.readdirSync(dir)).to.have.length(1);
+    });
+
+    it('should delete and clear entries', async () => {
+      const cache = new FileCache({ dir, now: clock });
+      await cache.set('a', 1);
+      await cache.set('b', 2);
+
+      await cache.delete('a');
+      expect(await cache.peek('a')).to.be.null;
+
+      await cache.clear();
+      expect(await cache.peek('b')).to.be.null;
+    });
+  });
+
+  describe('createCache', () => {
+    it('should build the configured backend', () => {
+      expect(createCache({ ttl: 1, maxSize: 1, strategy: 'lru' })).to.be.instanceOf(MemoryCache);
+      expect(createCache({ backend: 'file', dir: os.tmpdir() })).to.be.instanceOf(FileCache);
+      expect(() => createCache({ backend: 'redis' })).to.throw(/Unknown cache backend/);
+    });
+  });
+
+  describe('memoize', () => {
+    it('should compute once while fresh and never cache null', async () => {
+      const cache = new MemoryCache({ now: clock });
+      const compute = sinon.stub();
+      compute.onFirstCall().resolves(null);
+      compute.resolves(42);
+
+      expect(await memoize(cache, 'k', compute)).to.be.null;
+      expect(await memoize(cache, 'k', compute)).to.equal(42);
+      expect(await memoize(cache, 'k', compute)).to.equal(42);
+      expect(compute.callCount).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,418 @@
+/**
+ * Test suite for the Builder Score CLI
+ * Base Summer League 2024 - Builder Rewards Contest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { main, parseCommandLine, formatTable, EXIT_CODES } = require('../src/cli');
+const { HistoryStore } = require('../src/history-store');
+
+function createStream() {
+  return {
+    output: '',
+    write(chunk) {
+      this.output += chunk;
+    }
+  };
+}
+
+describe('CLI', () => {
+  let stdout;
+  let stderr;
+  let tracker;
+
+  const run = argv => main(argv, { stdout, stderr, createTracker: () => tracker });
+
+  beforeEach(() => {
+    stdout = createStream();
+    stderr = createStream();
+    tracker = {
+      baseRpcUrl: 'http://localhost:8545',
+      calculateBuilderScore: sinon.stub().resolves({ totalScore: 45, breakdown: { github: { commits: 30 } } }),
+      trackGitHubActivity: sinon.stub().resolves({
+        totalEvents: 2,
+        todayEvents: [{ type: 'PushEvent' }],
+        events: [{ type: 'PushEvent' }, { type: 'IssuesEvent' }]
+      }),
+      selectEvents: sinon.stub().callsFake(github => github.events),
+      verifyNetwork: sinon.stub().resolves(8453),
+      checkBaseNetwork: sinon.stub().resolves(123),
+      checkBaseContracts: sinon.stub().resolves(null),
+      getOptimizationTips: sinon.stub().returns(['Ship it']),
+      getCountdown: sinon.stub().returns({ status: 'active', remaining: '1 day 1 hour', finalSprint: false }),
+      resolveIdentity: async builder => ({ ...builder, linked: false }),
+      resolveAddress: async input => (input === 'builder.base.eth' ? '0xa11ce' : input),
+      lookupName: async () => null,
+      close: sinon.stub()
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('parseCommandLine', () => {
+    it('should parse commands, arguments and options', () => {
+      const { command, args, options } = parseCommandLine([
+        'score', 'builder', '--since', '2024-08-01', '--until', '2024-08-31', '--min-score', '40', '--format', 'json'
+      ]);
+
+      expect(command).to.equal('score');
+      expect(args).to.deep.equal(['builder']);
+      expect(options.format).to.equal('json');
+      expect(options.minScore).to.equal(40);
+      expect(options.since.toISOString()).to.equal('2024-08-01T00:00:00.000Z');
+      expect(options.until.toISOString()).to.equal('2024-09-01T00:00:00.000Z');
+    });
+
+    it('should reject invalid dates and formats', () => {
+      expect(() => parseCommandLine(['score', 'x', '--since', 'yesterday'])).to.throw(/Invalid --since/);
+      expect(() => parseCommandLine(['score', 'x', '--format', 'xml'])).to.throw(/Unknown --format/);
+      expect(() => parseCommandLine(['verify-link', 'x', '--scheme', 'personal'])).to.throw(/Unknown --scheme/);
+    });
+  });
+
+  describe('formatTable', () => {
+    it('should flatten nested objects and arrays into aligned rows', () => {
+      const table = formatTable({ score: 10, breakdown: { github: { commits: 5 } }, tips: ['a', 'b'] });
+
+      expect(table.split('\n')).to.deep.equal([
+        'score                     10',
+        'breakdown.github.commits  5',
+        'tips.1                    a',
+        'tips.2                    b'
+      ]);
+    });
+  });
+
+  describe('main', () => {
+    it('should print the score as JSON on stdout', async () => {
+      const exitCode = await run(['score', 'builder', '--format', 'json']);
+
+      expect(exitCode).to.equal(EXIT_CODES.OK);
+      expect(JSON.parse(stdout.output)).to.deep.include({ username: 'builder', totalScore: 45 });
+      expect(tracker.close.calledOnce).to.be.true;
+    });
+
+    it('should exit with BELOW_MIN_SCORE when the score is too low', async () => {
+      const exitCode = await run(['score', 'builder', '--min-score', '50']);
+
+      expect(exitCode).to.equal(EXIT_CODES.BELOW_MIN_SCORE);
+      expect(stdout.output).to.include('totalScore');
+    });
+
+    it('should not report an outage as a low score', async () => {
+      tracker.calculateBuilderScore.resolves({ totalScore: 0, breakdown: {}, failures: ['github', 'network'] });
+      expect(await run(['score', 'builder', '--min-score', '50'])).to.equal(EXIT_CODES.FAILURE);
+
+      stdout = createStream();
+      tracker.calculateBuilderScore.resolves({ totalScore: 20, breakdown: {}, failures: ['network'] });
+      expect(await run(['score', 'builder', '--min-score', '50', '--format', 'json'])).to.equal(EXIT_CODES.PARTIAL_FAILURE);
+      expect(JSON.parse(stdout.output)).to.deep.include({ totalScore: 20, failures: ['network'] });
+    });
+
+    it('should summarize GitHub activity by type', async () => {
+      const exitCode = await run(['github', 'builder']);
+
+      expect(exitCode).to.equal(EXIT_CODES.OK);
+      expect(stdout.output).to.match(/byType\.IssuesEvent\s+1/);
+      expect(stdout.output).to.match(/byCategory\.other\s+2/);
+      expect(stdout.output).to.match(/quality\.analyzed\s+0/);
+    });
+
+    it('should report streaks without checking the chain', async () => {
+      tracker.trackStreaks = sinon.stub().resolves({ currentStreak: 3, longestStreak: 5, atRisk: true });
+
+      const exitCode = await run(['streak', 'builder', '--format', 'json']);
+
+      expect(exitCode).to.equal(EXIT_CODES.OK);
+      expect(JSON.parse(stdout.output)).to.deep.equal({ username: 'builder', currentStreak: 3, longestStreak: 5, atRisk: true });
+      expect(tracker.verifyNetwork.called).to.be.false;
+    });
+
+    it('should print the on-chain profile of an address', async () => {
+      tracker.getOnchainProfile = sinon.stub().resolves({
+        address: '0x1111111111111111111111111111111111111111',
+        transactionCount: 12,
+        verifiedDeployments: ['0xc1'],
+        contracts: { contractTypes: { ERC20: 1 } }
+      });
+
+      const exitCode = await run(['onchain', '0x1111111111111111111111111111111111111111', '--format', 'json']);
+
+      expect(exitCode).to.equal(EXIT_CODES.OK);
+      expect(JSON.parse(stdout.output)).to.deep.include({ transactionCount: 12, contractTypes: { ERC20: 1 } });
+      expect(tracker.verifyNetwork.calledOnce).to.be.true;
+    });
+
+    it('should exit with FAILURE when a lookup fails', async () => {
+      const exitCode = await run(['contracts', '0x1111111111111111111111111111111111111111']);
+
+      expect(exitCode).to.equal(EXIT_CODES.FAILURE);
+      expect(stdout.output).to.equal('');
+    });
+
+    it('should stop before scoring when the RPC serves another chain', async () => {
+      tracker.verifyNetwork.rejects(new Error('http://localhost:8545 serves chain ID 1, but the Base network expects 8453'));
+
+      const exitCode = await run(['score', 'builder']);
+
+      expect(exitCode).to.equal(EXIT_CODES.FAILURE);
+      expect(stderr.output).to.include('serves chain ID 1');
+      expect(tracker.calculateBuilderScore.called).to.be.false;
+    });
+
+    it('should skip the chain check for offline commands', async () => {
+      await run(['countdown']);
+
+      expect(tracker.verifyNetwork.called).to.be.false;
+    });
+
+    it('should send stdout channel notifications to stderr', async () => {
+      const createTracker = sinon.stub().returns(tracker);
+
+      await main(['score', 'builder', '--format', 'json'], { stdout, stderr, createTracker });
+
+      expect(createTracker.firstCall.args[1].notificationStream).to.equal(stderr);
+    });
+
+    it('should switch fixtures to replay with --offline and to record with --record', async () => {
+      const createTracker = sinon.stub().returns(tracker);
+
+      await main(['score', 'builder', '--offline'], { stdout, stderr, createTracker });
+      await main(['score', 'builder', '--record'], { stdout, stderr, createTracker });
+
+      expect(createTracker.firstCall.args[0].fixtures.mode).to.equal('replay');
+      expect(createTracker.secondCall.args[0].fixtures.mode).to.equal('record');
+      expect(await run(['score', 'builder', '--record', '--offline'])).to.equal(EXIT_CODES.USAGE);
+      expect(stderr.output).to.include('--record and --offline cannot be combined');
+    });
+
+    it('should exit with USAGE for unknown commands and missing arguments', async () => {
+      expect(await run(['deploy'])).to.equal(EXIT_CODES.USAGE);
+      expect(stderr.output).to.include('Unknown command: deploy');
+
+      expect(await run(['score'])).to.equal(EXIT_CODES.USAGE);
+      expect(stderr.output).to.include('Missing <username> argument');
+    });
+
+    it('should rank a roster and save the run for the next deltas', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+      const roster = path.join(dir, 'roster.json');
+      fs.writeFileSync(roster, JSON.stringify(['alice', 'bob']));
+      tracker.config = { performance: { concurrency: 2, batchSize: 10, requestDelay: 0 } };
+      tracker.calculateBuilderScore.callsFake(async username => ({
+        totalScore: username === 'alice' ? 30 : 60,
+        failures: []
+      }));
+
+      try {
+        const exitCode = await run(['leaderboard', roster]);
+
+        expect(exitCode).to.equal(EXIT_CODES.OK);
+        expect(stdout.output.split('\n')[0]).to.match(/^Rank\s+Move\s+Builder\s+Score\s+Change\s+Status$/);
+        expect(stdout.output).to.match(/1\s+new\s+bob\s+60/);
+
+        const saved = JSON.parse(fs.readFileSync(path.join(dir, 'roster.last.json'), 'utf8'));
+        expect(saved.entries.map(entry => entry.username)).to.deep.equal(['bob', 'alice']);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should combine everything in report', async () => {
+      const exitCode = await run(['report', 'builder', '--format', 'json']);
+      const report = JSON.parse(stdout.output);
+
+      expect(exitCode).to.equal(EXIT_CODES.OK);
+      expect(report.network.blockNumber).to.equal(123);
+      expect(report.totalScore).to.equal(45);
+      expect(report.tips).to.deep.equal(['Ship it']);
+      expect(report.contest.remaining).to.equal('1 day 1 hour');
+      // Read-only: the score is not saved to the history
+      expect(tracker.calculateBuilderScore.firstCall.args[1].save).to.be.false;
+    });
+
+    it('should list the planned actions as tips', async () => {
+      const exitCode = await run(['tips', 'builder', '--format', 'json']);
+
+      expect(exitCode).to.equal(EXIT_CODES.OK);
+      expect(JSON.parse(stdout.output)).to.deep.equal({ username: 'builder', tips: ['Ship it'] });
+      expect(tracker.getOptimizationTips.firstCall.args[0].totalScore).to.equal(45);
+      expect(tracker.calculateBuilderScore.firstCall.args[1].save).to.be.false;
+    });
+
+    it('should print the contest countdown', async () => {
+      const exitCode = await run(['countdown']);
+
+      expect(exitCode).to.equal(EXIT_CODES.OK);
+      expect(stdout.output).to.match(/remaining\s+1 day 1 hour/);
+    });
+
+    it('should show the score history with week-over-week change', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+      let now = Date.parse('2024-08-02T09:00:00Z');
+      tracker.history = new HistoryStore({ file: path.join(dir, 'history.jsonl'), now: () => now });
+      await tracker.history.recordScore('builder', { totalScore: 40, breakdown: { github: { subtotal: 40 }, base: { subtotal: 0 } } });
+      now = Date.parse('2024-08-06T09:00:00Z');
+      await tracker.history.recordScore('builder', { totalScore: 50, breakdown: { github: { subtotal: 30 }, base: { subtotal: 20 } } });
+
+      try {
+        const exitCode = await run(['history', 'builder', '--interval', 'week']);
+
+        expect(exitCode).to.equal(EXIT_CODES.OK);
+        expect(stdout.output).to.match(/weekOverWeek\s+\+10 \(\+25%\)/);
+        expect(stdout.output).to.match(/bestBase\s+20 \(2024-08-06\)/);
+        expect(stdout.output).to.match(/2024-08-05\s+50\s+50\s+\+10\s+1/);
+        expect(tracker.verifyNetwork.called).to.be.false;
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should start and verify an identity link without checking the chain', async () => {
+      tracker.startIdentityLink = sinon.stub().resolves({
+        username: 'builder',
+        address: '0xA11cE00000000000000000000000000000000000',
+        expiresAt: '2024-08-01T13:00:00.000Z',
+        message: 'Link GitHub account to Base address',
+        typedData: {}
+      });
+      tracker.completeIdentityLink = sinon.stub().resolves({ username: 'builder', address: '0xa11ce00000000000000000000000000000000000' });
+
+      expect(await run(['link', 'builder', '0xa11ce00000000000000000000000000000000000'])).to.equal(EXIT_CODES.OK);
+      expect(stdout.output).to.include('Link GitHub account to Base address');
+      expect(stdout.output).to.include('verify-link builder --signature <hex> --proof <url>');
+
+      expect(await run(['verify-link', 'builder', '--signature', '0xsig'])).to.equal(EXIT_CODES.USAGE);
+      expect(stderr.output).to.include('Missing --proof option');
+
+      const exitCode = await run([
+        'verify-link', 'builder', '--signature', '0xsig', '--proof', 'https://gist.github.com/builder/1', '--scheme', 'eip712'
+      ]);
+      expect(exitCode).to.equal(EXIT_CODES.OK);
+      expect(tracker.completeIdentityLink.firstCall.args).to.deep.equal(['builder', {
+        signature: '0xsig',
+        proofUrl: 'https://gist.github.com/builder/1',
+        scheme: 'eip712'
+      }]);
+      expect(tracker.verifyNetwork.called).to.be.false;
+    });
+
+    it('should look up linked identities', async () => {
+      tracker.identities = { resolve: sinon.stub().callsFake(async id => (id === 'builder' ? { address: '0xa11ce' } : null)) };
+
+      expect(await run(['whois', 'builder'])).to.equal(EXIT_CODES.OK);
+      expect(stdout.output).to.match(/address\s+0xa11ce/);
+
+      tracker.identities.resolve.withArgs('0xa11ce').resolves({ username: 'builder' });
+      expect(await run(['whois', 'builder.base.eth'])).to.equal(EXIT_CODES.OK);
+      expect(stdout.output).to.match(/username\s+builder/);
+      expect(stdout.output).to.match(/address\s+0xa11ce/);
+
+      expect(await run(['whois', 'stranger'])).to.equal(EXIT_CODES.FAILURE);
+      expect(stderr.output).to.include('No verified link for stranger');
+    });
+
+    it('should simulate farming rewards from a scenario file', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+      const file = path.join(dir, 'scenario.json');
+      const scenario = {
+        rewardPerBlock: '1',
+        endBlock: 10,
+        pools: [{ stakingToken: 'LP', rewardToken: 'RWD', allocPoint: 100 }],
+        funding: { RWD: '100' },
+        actions: [{ block: 0, type: 'deposit', user: 'alice', pid: 0, amount: '10' }]
+      };
+
+      try {
+        fs.writeFileSync(file, JSON.stringify(scenario));
+        expect(await run(['simulate', file])).to.equal(EXIT_CODES.OK);
+        expect(stdout.output.split('\n').slice(0, 4)).to.deep.equal([
+          'Block 10, 1.0 rewards per block',
+          '',
+          'User   Pool  Staked  Claimed  Pending  Unpaid  Projected  Shortfall  APR',
+          'alice  0     10.0    0.0      10.0     0.0     10.0       0.0        157680000%'
+        ]);
+        expect(tracker.verifyNetwork.called).to.be.false;
+
+        fs.writeFileSync(file, JSON.stringify({ ...scenario, actions: [{ block: 3, type: 'withdraw', user: 'alice', pid: 0, amount: '1' }] }));
+        expect(await run(['simulate', file])).to.equal(EXIT_CODES.FAILURE);
+        expect(stderr.output).to.include('Block 3: Insufficient balance');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should export a report to stdout or a file', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+      tracker.generateReport = sinon.stub().resolves({
+        username: 'builder',
+        generatedAt: '2024-08-20T09:30:00.000Z',
+        totalScore: 45,
+        subtotals: { github: 45, base: 0 },
+        contest: { status: 'active', remaining: '1 day', finalSprint: false },
+        breakdown: [{ source: 'github', item: 'commits', points: 45 }],
+        thresholds: [],
+        categories: [],
+        streak: null,
+        contracts: null,
+        recommendations: [],
+        history: [],
+        failures: []
+      });
+
+      try {
+        expect(await run(['export', 'builder', '--format', 'json'])).to.equal(EXIT_CODES.OK);
+        expect(stdout.output).to.match(/^## 📊 Builder Score Report: builder\n/);
+
+        const file = path.join(dir, 'report.csv');
+        expect(await run(['export', 'builder', '--type', 'csv', '--output', file, '--interval', 'week'])).to.equal(EXIT_CODES.OK);
+        expect(fs.readFileSync(file, 'utf8')).to.include('breakdown,github.commits,45,');
+        expect(stdout.output).to.match(/output\s+.*report\.csv/);
+        expect(tracker.generateReport.secondCall.args[1].interval).to.equal('week');
+
+        expect(await run(['export', 'builder', '--type', 'pdf'])).to.equal(EXIT_CODES.USAGE);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should print watch events until interrupted', async () => {
+      const EventEmitter = require('events');
+      const watcher = new EventEmitter();
+      watcher.start = async () => {
+        watcher.emit('scoreChanged', { previous: null, current: 40, delta: null, reason: 'start', score: {} });
+        watcher.emit('scoreChanged', { previous: 40, current: 65, delta: 25, reason: 'block', score: {} });
+        watcher.emit('contractDeployed', {
+          contract: { address: '0xc1', blockNumber: 120, bytecode: '0x6080', classification: { type: 'ERC20' } }
+        });
+        watcher.emit('thresholdMet', { name: 'dailyCommits', actual: 3, required: 3 });
+        setImmediate(() => process.emit('SIGINT'));
+      };
+      watcher.stop = sinon.stub().resolves();
+      tracker.createWatcher = sinon.stub().returns(watcher);
+
+      expect(await run(['watch', 'builder', '--address', '0xa11ce', '--state', 'cursor.json'])).to.equal(EXIT_CODES.OK);
+      expect(tracker.createWatcher.firstCall.args).to.deep.equal(['builder', { address: '0xa11ce', file: 'cursor.json' }]);
+      expect(watcher.stop.calledOnce).to.equal(true);
+      expect(stdout.output.split('\n')).to.deep.equal([
+        'Score 40',
+        'Score 40 -> 65 (+25, block)',
+        'Contract deployed: ERC20 0xc1 in block 120',
+        'Threshold met: dailyCommits (3/3)',
+        ''
+      ]);
+
+      stdout = createStream();
+      expect(await run(['watch', 'builder', '--format', 'json'])).to.equal(EXIT_CODES.OK);
+      const lines = stdout.output.trim().split('\n').map(line => JSON.parse(line));
+      expect(lines[1]).to.deep.equal({ event: 'scoreChanged', previous: 40, current: 65, delta: 25, reason: 'block' });
+      expect(lines[2].contract).to.not.have.property('bytecode');
+    });
+  });
+});
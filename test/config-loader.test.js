@@ -0,0 +1,154 @@
+/**
+ * Test suite for the config loader
+ * Base Summer League 2024 - Builder Rewards Contest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const defaultConfig = require('./config/base-network.config');
+const { loadConfig, validateConfig, ConfigError } = require('../src/config-loader');
+
+describe('Config loader', () => {
+  const load = (source = defaultConfig, options = {}) => loadConfig(source, { env: {}, ...options });
+
+  function loadError(...args) {
+    try {
+      load(...args);
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected loadConfig to throw');
+  }
+
+  it('should accept the bundled config', () => {
+    expect(validateConfig(defaultConfig)).to.deep.equal([]);
+    expect(load().baseNetwork).to.include({ profile: 'base', chainId: 8453, rpcUrl: 'https://mainnet.base.org' });
+  });
+
+  it('should load a config file without mutating the module', () => {
+    const config = loadConfig(path.join(__dirname, 'config', 'base-network.config.js'), {
+      network: 'base-sepolia',
+      env: {}
+    });
+
+    expect(config.baseNetwork).to.include({ chainId: 84532, rpcUrl: 'https://sepolia.base.org' });
+    expect(defaultConfig.baseNetwork.chainId).to.equal(8453);
+  });
+
+  it('should select profiles from options, then BASE_NETWORK', () => {
+    expect(load(defaultConfig, { env: { BASE_NETWORK: 'local' } }).baseNetwork.chainId).to.equal(31337);
+    expect(load(defaultConfig, { network: 'base-sepolia', env: { BASE_NETWORK: 'local' } }).baseNetwork.chainId)
+      .to.equal(84532);
+    expect(loadError(defaultConfig, { network: 'optimism' }).message).to.include('unknown network "optimism"');
+  });
+
+  it('should keep network fields the config sets over its own profile', () => {
+    const config = JSON.parse(JSON.stringify(defaultConfig));
+    config.baseNetwork.rpcUrl = 'https://base.example.org';
+
+    expect(load(config).baseNetwork).to.include({ profile: 'base', rpcUrl: 'https://base.example.org', chainId: 8453 });
+    expect(load(config, { network: 'local' }).baseNetwork).to.include({ rpcUrl: 'http://127.0.0.1:8545', chainId: 31337 });
+  });
+
+  it('should default the sections older configs leave out', () => {
+    const config = JSON.parse(JSON.stringify(defaultConfig));
+    delete config.baseNetwork.contractScan;
+    config.cache.ttlOverrides = { names: 60 };
+
+    const loaded = load(config);
+
+    expect(loaded.baseNetwork.contractScan).to.deep.equal({ lookbackBlocks: 1800 });
+    expect(loaded.cache.ttlOverrides).to.deep.equal({ blockNumber: 2, names: 60, scanCursor: 86400 });
+    expect(loadError({ ...config, cache: { ...config.cache, ttlOverrides: 60 } }).errors)
+      .to.deep.equal(['cache.ttlOverrides: expected an object, got number 60']);
+  });
+
+  it('should load repository types given as keyword arrays', () => {
+    const config = JSON.parse(JSON.stringify(defaultConfig));
+    config.github.repositoryTypes = { defi: ['uniswap', 'swap'], nft: { keywords: ['nft'], scoreMultiplier: 1.2 } };
+
+    expect(load(config).github.repositoryTypes).to.deep.equal({
+      defi: { keywords: ['uniswap', 'swap'], scoreMultiplier: 1 },
+      nft: { keywords: ['nft'], scoreMultiplier: 1.2 }
+    });
+  });
+
+  it('should return a loaded config unchanged when it is loaded again', () => {
+    const loaded = load(defaultConfig, { network: 'local' });
+
+    const again = loadConfig(loaded, { env: { BASE_NETWORK: 'base' } });
+
+    expect(again).to.equal(loaded);
+    expect(again.baseNetwork).to.include({ profile: 'local', chainId: 31337 });
+  });
+
+  it('should apply environment overrides after the profile', () => {
+    const config = load(defaultConfig, {
+      network: 'local',
+      env: { BASE_RPC_URL: 'http://127.0.0.1:9545', BASE_CHAIN_ID: '1337', LOG_LEVEL: 'debug' }
+    });
+
+    expect(config.baseNetwork).to.include({ rpcUrl: 'http://127.0.0.1:9545', chainId: 1337 });
+    expect(config.logging.level).to.equal('debug');
+  });
+
+  it('should report every problem with its path', () => {
+    const config = JSON.parse(JSON.stringify(defaultConfig));
+    delete config.baseNetwork.profile;
+    config.baseNetwork.chainId = '8453';
+    config.cache.strategy = 'random';
+    config.contractTypes.defi.scoreMultiplier = -1;
+    delete config.github.apiUrl;
+    config.contest.endDate = '2024-07-01T00:00:00Z';
+    config.contest.timezone = 'Mars/Olympus';
+
+    const error = loadError(config);
+
+    expect(error).to.be.instanceOf(ConfigError);
+    expect(error.errors).to.have.members([
+      'baseNetwork.chainId: expected an integer, got "8453"',
+      'github.apiUrl: is required',
+      'contractTypes.defi.scoreMultiplier: must be at least 0, got -1',
+      'cache.strategy: expected one of lru, fifo, got "random"',
+      'contest.timezone: expected an IANA timezone such as "UTC" or "America/New_York", got "Mars/Olympus"',
+      'contest.endDate: must be after contest.startDate'
+    ]);
+  });
+
+  it('should name the environment variable behind an invalid value', () => {
+    const error = loadError(defaultConfig, { env: { BASE_RPC_URL: 'mainnet.base.org' } });
+
+    expect(error.errors).to.deep.equal(['baseNetwork.rpcUrl: expected a URL, got "mainnet.base.org" (from BASE_RPC_URL)']);
+  });
+
+  it('should take a name registry from NAME_REGISTRY', () => {
+    const registry = '0x00000000000000000000000000000000000000e1';
+    expect(load(defaultConfig, { env: { NAME_REGISTRY: registry } }).names.registry).to.equal(registry);
+
+    const error = loadError(defaultConfig, { env: { NAME_REGISTRY: 'registry.eth' } });
+    expect(error.errors).to.deep.equal(['names.registry: expected a 0x address, got "registry.eth" (from NAME_REGISTRY)']);
+  });
+
+  it('should take the fixtures mode from FIXTURES_MODE', () => {
+    expect(load(defaultConfig, { env: { FIXTURES_MODE: 'replay' } }).fixtures).to.deep.equal({ mode: 'replay', dir: 'test/fixtures' });
+
+    const error = loadError(defaultConfig, { env: { FIXTURES_MODE: 'live' } });
+    expect(error.errors).to.deep.equal(['fixtures.mode: expected one of off, record, replay, got "live" (from FIXTURES_MODE)']);
+  });
+
+  it('should name the file in errors', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    const file = path.join(dir, 'broken.config.js');
+    fs.writeFileSync(file, 'module.exports = { baseNetwork: { rpcUrl: "https://mainnet.base.org" } };');
+
+    try {
+      const error = loadError(file);
+      expect(error.message).to.include(`Invalid config in ${file}`);
+      expect(error.errors).to.include('baseNetwork.chainId: is required');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -8,6 +8,7 @@
 module.exports = {
   // Base Network Configuration
   baseNetwork: {
+    profile: 'base', // or 'base-sepolia', 'local'; BASE_NETWORK overrides
     chainId: 8453,
     name: 'Base',
     rpcUrl: 'https://mainnet.base.org',
@@ -16,6 +17,13 @@ module.exports = {
       name: 'Ethereum',
       symbol: 'ETH',
       decimals: 18
+    },
+
+    // Block range scanned for a wallet's deployments. Each block is one RPC
+    // call, so later scans continue from where the last one stopped; use
+    // --from-block for a longer one-off scan
+    contractScan: {
+      lookbackBlocks: 1800 // ~1 hour of 2s blocks
     }
   },
 
@@ -27,6 +35,7 @@ module.exports = {
       issueCreation: 15,
       codeReviews: 20,
       baseContracts: 50,
+      baseNetworkActivity: 20,
       communityEngagement: 30
     },
     
@@ -43,6 +52,37 @@ module.exports = {
       weekendActivity: 1.1,
       majorContribution: 2.0,
       firstTimeContributor: 1.5
+    },
+
+    // Streak rules for the consecutiveDays bonus, counted in contest.timezone
+    streaks: {
+      minDays: 2, // current streak needed before the bonus applies
+      atRiskHours: 6 // warn urgently when a streak ends within this many hours
+    },
+
+    // Estimated hours per action, used to rank next actions by points per hour
+    effortHours: {
+      commit: 0.5,
+      documentation: 1,
+      pullRequest: 3,
+      issue: 0.5,
+      codeReview: 1,
+      contract: 4
+    },
+
+    // Contribution quality: share of its points a flagged contribution keeps
+    quality: {
+      minLines: 3, // fewer changed lines than this is trivial
+      maxCommitsPerPush: 5, // newest commits of a push that are inspected
+      maxRequests: 200, // commit and pull request lookups per run
+      discounts: {
+        empty: 0,
+        whitespaceOnly: 0,
+        trivial: 0.25,
+        repetitive: 0.25,
+        docsOnly: 0.8,
+        closedUnmerged: 0.5
+      }
     }
   },
 
@@ -53,12 +93,24 @@ module.exports = {
     retryAttempts: 3,
     timeout: 10000,
     
-    // Repository categories for scoring
+    // Repository categories for scoring, matched against repo name, topics and description
     repositoryTypes: {
-      defi: ['uniswap', 'aave', 'compound', 'curve'],
-      infrastructure: ['base', 'ethereum', 'layer2'],
-      tools: ['hardhat', 'foundry', 'truffle'],
-      nft: ['opensea', 'nft', 'erc721', 'erc1155']
+      defi: {
+        keywords: ['uniswap', 'aave', 'compound', 'curve'],
+        scoreMultiplier: 1.5
+      },
+      infrastructure: {
+        keywords: ['base', 'ethereum', 'layer2'],
+        scoreMultiplier: 1.5
+      },
+      tools: {
+        keywords: ['hardhat', 'foundry', 'truffle'],
+        scoreMultiplier: 1.2
+      },
+      nft: {
+        keywords: ['opensea', 'nft', 'erc721', 'erc1155'],
+        scoreMultiplier: 1.2
+      }
     }
   },
 
@@ -70,6 +122,7 @@ module.exports = {
     
     // Final sprint optimization (last 24 hours)
     finalSprint: {
+      durationHours: 24,
       multiplier: 1.5,
       priorityActivities: [
         'smart_contract_deployment',
@@ -100,6 +153,12 @@ module.exports = {
     }
   },
 
+  // Local API server (npm run track-score -- serve)
+  server: {
+    host: '127.0.0.1',
+    port: 3000
+  },
+
   // API Endpoints
   endpoints: {
     builderScore: '/api/v1/builder-score',
@@ -112,7 +171,14 @@ module.exports = {
   cache: {
     ttl: 300, // 5 minutes
     maxSize: 1000,
-    strategy: 'lru'
+    strategy: 'lru',
+    backend: 'memory', // or 'file' to survive restarts
+    dir: '.cache/builder-score',
+    ttlOverrides: {
+      blockNumber: 2, // one Base block
+      names: 3600,
+      scanCursor: 86400 // where the last default contract scan of an address stopped
+    }
   },
 
   // Logging Configuration
@@ -120,10 +186,53 @@ module.exports = {
     level: 'info',
     format: 'json',
     destinations: ['console', 'file'],
+    file: 'logs/builder-score.log',
     maxFileSize: '10MB',
     maxFiles: 5
   },
 
+  // Score history (npm run track-score -- history <username>)
+  history: {
+    file: '.history/score-history.jsonl'
+  },
+
+  // Basename / ENS resolution. The registry and reverse namespace default to
+  // the Basenames ones for the chain; set them for a locally deployed registry
+  names: {
+    registry: null,
+    reverseNamespace: null,
+    ensRpcUrl: null // Ethereum mainnet RPC for .eth names, e.g. from ENS_RPC_URL
+  },
+
+  // Verified GitHub-to-address links (npm run track-score -- link <username> <address>)
+  identity: {
+    file: '.identity/links.json',
+    challengeTtlMinutes: 60
+  },
+
+  // Notifications for thresholds met, streaks at risk and score milestones, each sent once.
+  // Channels: { type: 'webhook', url, headers }, { type: 'slack', url }, { type: 'stdout' }, { type: 'desktop' }
+  notifications: {
+    channels: [],
+    milestones: [50, 100, 250, 500],
+    quietHours: null, // e.g. { start: '22:00', end: '08:00' } in contest.timezone
+    file: '.notifications/state.json',
+    retentionDays: 30,
+    templates: {} // e.g. { streakAtRisk: { text: '{username}, commit something! {hoursLeft}h left' } }
+  },
+
+  // Recorded GitHub and JSON-RPC responses (--record, --offline or FIXTURES_MODE)
+  fixtures: {
+    mode: 'off', // 'record' saves every response to dir, 'replay' answers from dir without network access
+    dir: 'test/fixtures'
+  },
+
+  // Watch mode (npm run track-score -- watch <username>); cursors are saved per username in dir
+  watch: {
+    pollInterval: 60, // seconds between GitHub polls
+    dir: '.watch'
+  },
+
   // Performance Optimization
   performance: {
     batchSize: 100,
@@ -135,31 +244,12 @@ module.exports = {
   // Security Settings
   security: {
     rateLimiting: true,
+    rateLimit: {
+      windowMs: 60000,
+      maxRequests: 60 // per client per window
+    },
     apiKeyRequired: false,
     corsEnabled: true,
     allowedOrigins: ['https://builderscore.xyz', 'https://base.org']
   }
 };
-
-// Export additional utility functions
-module.exports.getOptimalStrategy = function(timeRemaining) {
-  if (timeRemaining < 3600000) { // Less than 1 hour
-    return {
-      priority: 'high_impact_commits',
-      activities: ['smart_contract_deployment', 'major_documentation'],
-      frequency: 'every_15_minutes'
-    };
-  } else if (timeRemaining < 7200000) { // Less than 2 hours
-    return {
-      priority: 'consistent_activity',
-      activities: ['code_improvements', 'test_additions', 'documentation'],
-      frequency: 'every_30_minutes'
-    };
-  }
-  
-  return {
-    priority: 'sustainable_growth',
-    activities: ['feature_development', 'community_engagement'],
-    frequency: 'hourly'
-  };
-};
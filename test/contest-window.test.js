@@ -0,0 +1,81 @@
+/**
+ * Test suite for the contest window
+ * Base Summer League 2024 - Builder Rewards Contest
+ */
+
+const { expect } = require('chai');
+const { ContestWindow, isPriorityActivity, formatDuration } = require('../src/contest-window');
+
+describe('ContestWindow', () => {
+  const contest = {
+    startDate: '2024-08-01T00:00:00Z',
+    endDate: '2024-08-31T23:59:59Z',
+    finalSprint: {
+      multiplier: 1.5,
+      priorityActivities: ['smart_contract_deployment', 'major_pull_request', 'documentation_update', 'community_contribution']
+    }
+  };
+  const at = iso => new ContestWindow(contest, { now: () => Date.parse(iso) });
+
+  it('should include both ends of the window', () => {
+    const contestWindow = at('2024-08-15T00:00:00Z');
+
+    expect(contestWindow.contains('2024-08-01T00:00:00Z')).to.be.true;
+    expect(contestWindow.contains('2024-08-31T23:59:59Z')).to.be.true;
+    expect(contestWindow.contains('2024-07-31T23:59:59Z')).to.be.false;
+    expect(contestWindow.contains('2024-09-01T00:00:00Z')).to.be.false;
+  });
+
+  it('should count down to the start, the end and the final sprint', () => {
+    expect(at('2024-07-30T12:00:00Z').countdown()).to.include({ status: 'upcoming', remaining: '1 day 12 hours' });
+    expect(at('2024-08-30T21:58:00Z').countdown()).to.include({
+      status: 'active',
+      remaining: '1 day 2 hours 1 minute',
+      finalSprint: false
+    });
+    expect(at('2024-08-31T22:59:00Z').countdown()).to.include({
+      status: 'active',
+      remaining: '1 hour',
+      finalSprint: true,
+      sprintStartsAt: '2024-08-30T23:59:59.000Z'
+    });
+    expect(at('2024-09-02T00:00:00Z').countdown()).to.include({ status: 'ended', remaining: 'contest ended', remainingMs: 0 });
+  });
+
+  it('should honor a custom sprint length', () => {
+    const contestWindow = new ContestWindow({ ...contest, finalSprint: { ...contest.finalSprint, durationHours: 48 } });
+
+    expect(contestWindow.inFinalSprint('2024-08-30T00:00:00Z')).to.be.true;
+    expect(contestWindow.inFinalSprint('2024-08-29T23:00:00Z')).to.be.false;
+  });
+
+  it('should multiply priority activities in the sprint only', () => {
+    const contestWindow = at('2024-08-31T12:00:00Z');
+    const review = { type: 'PullRequestReviewEvent', created_at: '2024-08-31T10:00:00Z' };
+
+    expect(contestWindow.eventMultiplier(review)).to.equal(1.5);
+    expect(contestWindow.eventMultiplier({ ...review, created_at: '2024-08-29T10:00:00Z' })).to.equal(1);
+    expect(contestWindow.eventMultiplier({ type: 'WatchEvent', created_at: '2024-08-31T10:00:00Z' })).to.equal(1);
+    expect(contestWindow.deploymentMultiplier({ created_at: '2024-08-31T10:00:00Z' })).to.equal(1.5);
+  });
+
+  it('should recognize each priority activity', () => {
+    const all = contest.finalSprint.priorityActivities;
+    const docsPush = { type: 'PushEvent', payload: { commits: [{ message: 'Update README with CLI usage' }] } };
+    const featurePush = { type: 'PushEvent', payload: { commits: [{ message: 'Add countdown' }] } };
+    const majorPr = { type: 'PullRequestEvent', payload: { pull_request: { merged: true, additions: 600, deletions: 0 } } };
+    const outsidePr = { type: 'PullRequestEvent', actor: { login: 'alice' }, repo: { name: 'base-org/node' }, payload: {} };
+    const ownPr = { ...outsidePr, repo: { name: 'alice/app' } };
+
+    expect(isPriorityActivity(docsPush, ['documentation_update'])).to.be.true;
+    expect(isPriorityActivity(featurePush, all)).to.be.false;
+    expect(isPriorityActivity(majorPr, ['major_pull_request'])).to.be.true;
+    expect(isPriorityActivity(outsidePr, ['community_contribution'])).to.be.true;
+    expect(isPriorityActivity(ownPr, ['community_contribution'])).to.be.false;
+  });
+
+  it('should format durations', () => {
+    expect(formatDuration(0)).to.equal('less than a minute');
+    expect(formatDuration(25 * 60 * 60 * 1000)).to.equal('1 day 1 hour');
+  });
+});
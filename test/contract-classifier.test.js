@@ -0,0 +1,127 @@
+/**
+ * Test suite for the selector-based contract classifier
+ * Base Summer League 2024 - Builder Rewards Contest
+ */
+
+const { expect } = require('chai');
+const config = require('./config/base-network.config');
+const {
+  classifyBytecode,
+  extractSelectors,
+  selectorOf,
+  INTERFACES
+} = require('../src/contract-classifier');
+
+// Runtime bytecode whose dispatcher pushes the given function selectors
+const bytecodeFor = signatures =>
+  '0x' + signatures.map(signature => '63' + selectorOf(signature).slice(2)).join('');
+
+const signaturesOf = name => INTERFACES.find(iface => iface.name === name).signatures;
+
+describe('Contract Classifier', () => {
+  describe('extractSelectors', () => {
+    it('should collect PUSH4 values', () => {
+      const { selectors } = extractSelectors('0x63a9059cbb146370a08231');
+
+      expect([...selectors]).to.deep.equal(['0xa9059cbb', '0x70a08231']);
+    });
+
+    it('should pad PUSH3 values with a leading zero byte', () => {
+      const { selectors } = extractSelectors('0x62fdd58e');
+
+      expect(selectors.has('0x00fdd58e')).to.be.true;
+    });
+
+    it('should skip PUSH data when walking opcodes', () => {
+      // PUSH2 whose data contains a PUSH4 opcode byte
+      const { selectors } = extractSelectors('0x616311');
+
+      expect(selectors.size).to.equal(0);
+    });
+
+    it('should ignore non-hex input', () => {
+      expect(extractSelectors('transfer balanceOf').selectors.size).to.equal(0);
+      expect(extractSelectors(undefined).selectors.size).to.equal(0);
+    });
+  });
+
+  describe('classifyBytecode', () => {
+    it('should classify ERC20 with full confidence', () => {
+      const result = classifyBytecode(bytecodeFor(signaturesOf('ERC20')), config.contractTypes);
+
+      expect(result.type).to.equal('ERC20');
+      expect(result.confidence).to.equal(1);
+      expect(result.matchedSelectors).to.deep.include({
+        selector: '0xa9059cbb',
+        signature: 'transfer(address,uint256)'
+      });
+      expect(result.scoreMultiplier).to.equal(1);
+    });
+
+    it('should prefer ERC4626 over the ERC20 it extends', () => {
+      const bytecode = bytecodeFor([...signaturesOf('ERC20'), ...signaturesOf('ERC4626')]);
+
+      const result = classifyBytecode(bytecode, config.contractTypes);
+
+      expect(result.type).to.equal('ERC4626');
+      expect(result.interfaces.map(iface => iface.name)).to.include('ERC20');
+      expect(result.category).to.equal('defi');
+      expect(result.scoreMultiplier).to.equal(2.0);
+    });
+
+    it('should classify ERC1155 and Governor contracts', () => {
+      expect(classifyBytecode(bytecodeFor(signaturesOf('ERC1155'))).type).to.equal('ERC1155');
+
+      const governor = classifyBytecode(bytecodeFor(signaturesOf('Governor')), config.contractTypes);
+      expect(governor.type).to.equal('Governor');
+      expect(governor.scoreMultiplier).to.equal(1.8);
+    });
+
+    it('should report partial matches with their confidence', () => {
+      const partial = signaturesOf('UniswapV2Pool').slice(0, 6);
+
+      const result = classifyBytecode(bytecodeFor(partial));
+
+      expect(result.type).to.equal('UniswapV2Pool');
+      expect(result.confidence).to.equal(0.75);
+    });
+
+    it('should detect EIP-1967 proxies', () => {
+      const slot = '360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+      const result = classifyBytecode(`0x7f${slot}54`, config.contractTypes);
+
+      expect(result.type).to.equal('Proxy');
+      expect(result.proxy).to.deep.equal({ standard: 'EIP-1967', slots: ['implementation'] });
+      expect(result.scoreMultiplier).to.equal(2.2);
+    });
+
+    it('should detect EIP-1167 minimal proxies', () => {
+      const implementation = 'bebebebebebebebebebebebebebebebebebebebe';
+      const bytecode = `0x363d3d373d3d3d363d73${implementation}5af43d82803e903d91602b57fd5bf3`;
+
+      const result = classifyBytecode(bytecode);
+
+      expect(result.type).to.equal('Proxy');
+      expect(result.proxy.standard).to.equal('EIP-1167');
+      expect(result.proxy.implementation.toLowerCase()).to.equal(`0x${implementation}`);
+    });
+
+    it('should fall back to config keyword categories', () => {
+      const bytecode = bytecodeFor(['delegate(address)', 'getVotes(address)', 'name()']);
+
+      const result = classifyBytecode(bytecode, config.contractTypes);
+
+      expect(result.type).to.equal('Other');
+      expect(result.category).to.equal('dao');
+      expect(result.scoreMultiplier).to.equal(1.8);
+    });
+
+    it('should default to Other with no category', () => {
+      const result = classifyBytecode(bytecodeFor(['unknownFunction()']), config.contractTypes);
+
+      expect(result).to.include({ type: 'Other', confidence: 0, category: null, scoreMultiplier: 1 });
+      expect(result.matchedSelectors).to.have.length(0);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Test suite for the contract scanner
+ * Base Summer League 2024 - Builder Rewards Contest
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const ContractScanner = require('../src/contract-scanner');
+
+const DEPLOYER = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x2222222222222222222222222222222222222222';
+
+// Init code that deploys a runtime returning 42
+const DEPLOY_CODE = '0x600a600c600039600a6000f3602a60005260206000f3';
+const RUNTIME_CODE = '0x602a60005260206000f3';
+
+/**
+ * In-memory provider exposing the subset of the ethers API the scanner uses
+ */
+function createFakeProvider(blocks) {
+  const receipts = {};
+  const codes = {};
+  const calls = { getBlock: [] };
+
+  Object.values(blocks).forEach(block => {
+    block.prefetchedTransactions.forEach(tx => {
+      receipts[tx.hash] = {
+        contractAddress: tx.contractAddress || null,
+        status: tx.status ?? 1,
+        gasUsed: 21000n,
+        gasPrice: 1000000000n
+      };
+      if (tx.contractAddress) codes[tx.contractAddress] = RUNTIME_CODE;
+    });
+  });
+
+  return {
+    calls,
+    getBlockNumber: async () => Math.max(...Object.keys(blocks).map(Number)),
+    getBlock: async number => {
+      calls.getBlock.push(number);
+      if (blocks[number] && blocks[number].fail) throw new Error('RPC unavailable');
+      return blocks[number] || null;
+    },
+    getTransactionReceipt: async hash => receipts[hash] || null,
+    getCode: async address => codes[address] || '0x'
+  };
+}
+
+function block(number, transactions = []) {
+  return { number, timestamp: 1700000000 + number * 2, prefetchedTransactions: transactions };
+}
+
+describe('ContractScanner', () => {
+  let blocks;
+
+  beforeEach(() => {
+    blocks = {
+      1: block(1, [{ hash: '0xa', from: DEPLOYER, to: null, contractAddress: '0xc1' }]),
+      2: block(2, [{ hash: '0xb', from: DEPLOYER, to: OTHER }]),
+      3: block(3, [{ hash: '0xc', from: OTHER, to: null, contractAddress: '0xc2' }]),
+      4: block(4, [{ hash: '0xd', from: DEPLOYER.toUpperCase().replace('0X', '0x'), to: null, contractAddress: '0xc3' }]),
+      5: block(5, [{ hash: '0xe', from: DEPLOYER, to: null, contractAddress: '0xc4', status: 0 }])
+    };
+  });
+
+  it('should find contracts created by the address', async () => {
+    const scanner = new ContractScanner({ provider: createFakeProvider(blocks), batchSize: 2 });
+
+    const result = await scanner.scan(DEPLOYER, { fromBlock: 1, toBlock: 5 });
+
+    expect(result.complete).to.be.true;
+    expect(result.contracts.map(c => c.address)).to.deep.equal(['0xc1', '0xc3']);
+    expect(result.contracts[0]).to.include({
+      transactionHash: '0xa',
+      blockNumber: 1,
+      bytecode: RUNTIME_CODE,
+      created_at: new Date(1700000002 * 1000).toISOString()
+    });
+  });
+
+  it('should record every transaction the address sent with its fee', async () => {
+    const scanner = new ContractScanner({ provider: createFakeProvider(blocks) });
+
+    const { transactions } = await scanner.scan(DEPLOYER, { fromBlock: 1, toBlock: 5 });
+
+    expect(transactions.map(tx => tx.hash)).to.deep.equal(['0xa', '0xb', '0xd', '0xe']);
+    expect(transactions[1]).to.deep.equal({
+      hash: '0xb',
+      to: OTHER,
+      blockNumber: 2,
+      created_at: new Date(1700000004 * 1000).toISOString(),
+      success: true,
+      gasUsed: '21000',
+      fee: '21000000000000'
+    });
+    expect(transactions[3].success).to.be.false;
+  });
+
+  it('should default to the lookback window ending at the latest block', async () => {
+    const provider = createFakeProvider(blocks);
+    const scanner = new ContractScanner({ provider, lookbackBlocks: 2 });
+
+    const result = await scanner.scan(DEPLOYER);
+
+    expect(provider.calls.getBlock).to.deep.equal([3, 4, 5]);
+    expect(result.contracts.map(c => c.address)).to.deep.equal(['0xc3']);
+  });
+
+  it('should resume from a cursor', async () => {
+    const provider = createFakeProvider(blocks);
+    const scanner = new ContractScanner({ provider, batchSize: 1 });
+
+    const first = await scanner.scan(DEPLOYER, { fromBlock: 1, toBlock: 5, maxBlocks: 2 });
+    expect(first.complete).to.be.false;
+    expect(first.cursor.nextBlock).to.equal(3);
+
+    const second = await scanner.scan(DEPLOYER, { cursor: JSON.parse(JSON.stringify(first.cursor)) });
+
+    expect(second.complete).to.be.true;
+    expect(second.cursor).to.include({ fromBlock: 1, toBlock: 5 });
+    expect(second.contracts.map(c => c.address)).to.deep.equal(['0xc1', '0xc3']);
+    expect(provider.calls.getBlock).to.deep.equal([1, 2, 3, 4, 5]);
+  });
+
+  it('should attach the cursor to errors so the scan can resume', async () => {
+    blocks[3].fail = true;
+    const scanner = new ContractScanner({ provider: createFakeProvider(blocks), batchSize: 2 });
+
+    let error;
+    try {
+      await scanner.scan(DEPLOYER, { fromBlock: 1, toBlock: 5 });
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error.message).to.equal('RPC unavailable');
+    expect(error.cursor.nextBlock).to.equal(3);
+    expect(error.cursor.contracts).to.have.length(1);
+  });
+
+  it('should reject a cursor for a different address', async () => {
+    const scanner = new ContractScanner({ provider: createFakeProvider(blocks) });
+    const { cursor } = await scanner.scan(DEPLOYER, { fromBlock: 1, toBlock: 1 });
+
+    let error;
+    try {
+      await scanner.scan(OTHER, { cursor });
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error.message).to.match(/Scan cursor belongs to/);
+  });
+});
+
+// Runs against a local Hardhat or Anvil node when LOCAL_RPC_URL is set
+const describeLocal = process.env.LOCAL_RPC_URL ? describe : describe.skip;
+
+describeLocal('ContractScanner (local node)', () => {
+  // First default Hardhat/Anvil development account
+  const DEV_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+  it('should discover a freshly deployed contract', async () => {
+    const provider = new ethers.JsonRpcProvider(process.env.LOCAL_RPC_URL);
+    const wallet = new ethers.Wallet(DEV_PRIVATE_KEY, provider);
+
+    const fromBlock = await provider.getBlockNumber();
+    const tx = await wallet.sendTransaction({ data: DEPLOY_CODE });
+    const receipt = await tx.wait();
+
+    const scanner = new ContractScanner({ provider });
+    const result = await scanner.scan(wallet.address, { fromBlock, toBlock: receipt.blockNumber });
+
+    expect(result.contracts.map(c => c.address)).to.include(receipt.contractAddress);
+    expect(result.contracts.find(c => c.address === receipt.contractAddress).bytecode).to.equal(RUNTIME_CODE);
+    provider.destroy();
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Test suite for record/replay fixtures
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Records from local GitHub-like and JSON-RPC servers, then replays with
+ * the servers closed
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const GitHubClient = require('../src/github-client');
+const {
+  FixtureStore,
+  FixtureMissingError,
+  createFixtureHttp,
+  createFixtureStore,
+  createRpcProvider
+} = require('../src/fixtures');
+
+const listen = handler => new Promise(resolve => {
+  const server = http.createServer(handler);
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+const urlOf = server => `http://127.0.0.1:${server.address().port}`;
+const close = server => new Promise(resolve => server.close(resolve));
+
+describe('Fixtures', () => {
+  let dir;
+  let github;
+  let rpc;
+  let requests;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    requests = [];
+
+    github = await listen((req, res) => {
+      requests.push({ url: req.url, headers: req.headers });
+      const { pathname, searchParams } = new URL(req.url, urlOf(github));
+      if (pathname === '/users/testuser/events') {
+        const page = Number(searchParams.get('page') || 1);
+        const headers = { 'Content-Type': 'application/json', ETag: `"page-${page}"`, 'X-RateLimit-Remaining': '4999', 'Set-Cookie': 'session=1' };
+        if (page === 1) headers.Link = `<${urlOf(github)}/users/testuser/events?per_page=100&page=2>; rel="next"`;
+        res.writeHead(200, headers);
+        res.end(JSON.stringify([{ id: String(10 - page), type: 'PushEvent', created_at: '2024-08-20T10:00:00Z' }]));
+        return;
+      }
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: 'Not Found' }));
+    });
+
+    rpc = await listen((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const payload = JSON.parse(body);
+        const answer = ({ id, method }) => (method === 'eth_blockNumber'
+          ? { jsonrpc: '2.0', id, result: '0x11e1a30' }
+          : { jsonrpc: '2.0', id, error: { code: -32601, message: `${method} not supported` } });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+      });
+    });
+  });
+
+  afterEach(async () => {
+    if (github.listening) await close(github);
+    if (rpc.listening) await close(rpc);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const clientFor = (mode, apiUrl = urlOf(github)) => new GitHubClient({
+    apiUrl,
+    token: 'ghp_secret',
+    retryAttempts: 0,
+    http: createFixtureHttp(new FixtureStore({ dir, mode }))
+  });
+
+  it('should replay recorded GitHub pages without the server', async () => {
+    const recorded = await clientFor('record').getUserEvents('testuser');
+    await close(github);
+
+    // Recordings do not depend on the API host
+    const replayed = await clientFor('replay', 'https://api.github.com').getUserEvents('testuser');
+
+    expect(recorded.map(event => event.id)).to.deep.equal(['9', '8']);
+    expect(replayed).to.deep.equal(recorded);
+    expect(requests).to.have.length(2);
+  });
+
+  it('should save only the response headers the client reads', async () => {
+    await clientFor('record').getUserEvents('testuser');
+
+    const saved = fs.readdirSync(path.join(dir, 'http'))
+      .map(name => fs.readFileSync(path.join(dir, 'http', name), 'utf8'));
+    const first = saved.map(file => JSON.parse(file)).find(file => file.request.url === '/users/testuser/events?per_page=100');
+    expect(saved.join('\n')).not.to.include('ghp_secret');
+    expect(first.response.headers).to.deep.equal({
+      etag: '"page-1"',
+      link: `<${urlOf(github)}/users/testuser/events?per_page=100&page=2>; rel="next"`,
+      'x-ratelimit-remaining': '4999'
+    });
+  });
+
+  it('should replay recorded error responses as errors', async () => {
+    let recorded;
+    try {
+      await clientFor('record').getRepository('testuser/missing');
+    } catch (error) {
+      recorded = error;
+    }
+    await close(github);
+
+    let replayed;
+    try {
+      await clientFor('replay', 'https://api.github.com').getRepository('testuser/missing');
+    } catch (error) {
+      replayed = error;
+    }
+
+    expect(recorded.response.status).to.equal(404);
+    expect(replayed.message).to.equal('Request failed with status code 404');
+    expect(replayed.response).to.deep.include({ status: 404, data: { message: 'Not Found' } });
+  });
+
+  it('should fail replay for requests that were never recorded', async () => {
+    let error;
+    try {
+      await clientFor('replay').getUserEvents('nobody');
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).to.be.instanceOf(FixtureMissingError);
+    expect(error.message).to.include('/users/nobody/events');
+    expect(error.message).to.include('record one with --record');
+    expect(requests).to.have.length(0);
+  });
+
+  it('should replay JSON-RPC calls, batched or not, without the server', async () => {
+    const rpcUrl = urlOf(rpc);
+    const recorder = createRpcProvider(rpcUrl, 8453, new FixtureStore({ dir, mode: 'record' }));
+    const [blockNumber, failure] = await Promise.allSettled([
+      recorder.getBlockNumber(),
+      recorder.send('eth_gasPrice', [])
+    ]);
+    recorder.destroy();
+    await close(rpc);
+
+    const replayer = createRpcProvider(rpcUrl, 8453, new FixtureStore({ dir, mode: 'replay' }));
+    expect(blockNumber.value).to.equal(18750000);
+    expect(await replayer.getBlockNumber()).to.equal(18750000);
+    expect(await replayer.send('eth_blockNumber', [])).to.equal('0x11e1a30');
+    expect(failure.reason.message).to.include('eth_gasPrice not supported');
+
+    let error;
+    try {
+      await replayer.send('eth_gasPrice', []);
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.include('eth_gasPrice not supported');
+    replayer.destroy();
+  });
+
+  it('should key JSON-RPC fixtures by chain', async () => {
+    const store = new FixtureStore({ dir, mode: 'replay' });
+    await store.write('rpc', { chainId: 8453, method: 'eth_blockNumber', params: [] }, { result: '0x1' });
+
+    const sepolia = createRpcProvider(urlOf(rpc), 84532, store);
+    let error;
+    try {
+      await sepolia.getBlockNumber();
+    } catch (err) {
+      error = err;
+    }
+    sepolia.destroy();
+
+    expect(error.message).to.include('No rpc fixture');
+  });
+
+  it('should leave clients untouched when off and reject unknown modes', () => {
+    const axiosLike = { get: async () => ({}) };
+
+    expect(createFixtureHttp(createFixtureStore(), axiosLike)).to.equal(axiosLike);
+    expect(createFixtureStore({ mode: 'replay' }).dir).to.equal('test/fixtures');
+    expect(() => createFixtureStore({ mode: 'live' })).to.throw('Unknown fixtures mode: live');
+  });
+});
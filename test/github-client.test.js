@@ -0,0 +1,284 @@
+/**
+ * Test suite for the GitHub API client
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Runs the client against a local mock GitHub server
+ */
+
+const http = require('http');
+const { expect } = require('chai');
+const GitHubClient = require('../src/github-client');
+const { parseLinkHeader, RateLimitError } = require('../src/github-client');
+const { MemoryCache } = require('../src/cache');
+
+function makeEvents(count, offset = 0) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: String(offset + i),
+    type: 'PushEvent',
+    created_at: new Date().toISOString(),
+    repo: { id: 1, name: 'wearedood/base-summer-league-2024' },
+    payload: { size: 1 }
+  }));
+}
+
+describe('GitHubClient', () => {
+  let server;
+  let baseUrl;
+  let handler;
+  let requests;
+  let sleeps;
+
+  const createClient = (options = {}) => new GitHubClient({
+    apiUrl: baseUrl,
+    token: 'test-token',
+    retryAttempts: 2,
+    timeout: 2000,
+    sleep: async ms => { sleeps.push(ms); },
+    ...options
+  });
+
+  beforeEach(done => {
+    requests = [];
+    sleeps = [];
+    server = http.createServer((req, res) => {
+      requests.push(req);
+      handler(req, res);
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach(done => {
+    server.close(done);
+  });
+
+  const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  it('should parse Link headers', () => {
+    const links = parseLinkHeader('<https://api.github.com/x?page=2>; rel="next", <https://api.github.com/x?page=3>; rel="last"');
+
+    expect(links).to.deep.equal({
+      next: 'https://api.github.com/x?page=2',
+      last: 'https://api.github.com/x?page=3'
+    });
+  });
+
+  it('should follow pagination and send the token', async () => {
+    handler = (req, res) => {
+      const page = new URL(req.url, baseUrl).searchParams.get('page') || '1';
+      if (page === '1') {
+        sendJson(res, 200, makeEvents(100), { Link: `<${baseUrl}/users/builder/events?per_page=100&page=2>; rel="next"` });
+      } else {
+        sendJson(res, 200, makeEvents(20, 100));
+      }
+    };
+
+    const events = await createClient().getUserEvents('builder');
+
+    expect(events).to.have.length(120);
+    expect(events[119].id).to.equal('119');
+    expect(requests).to.have.length(2);
+    expect(requests[0].url).to.equal('/users/builder/events?per_page=100');
+    expect(requests[0].headers.authorization).to.equal('Bearer test-token');
+  });
+
+  it('should back off until the rate-limit reset on 403', async () => {
+    const now = 1700000000000;
+    handler = (req, res) => {
+      if (requests.length === 1) {
+        sendJson(res, 403, { message: 'API rate limit exceeded' }, {
+          'x-ratelimit-limit': '60',
+          'x-ratelimit-remaining': '0',
+          'x-ratelimit-reset': String(now / 1000 + 30)
+        });
+      } else {
+        sendJson(res, 200, makeEvents(1), { 'x-ratelimit-remaining': '59' });
+      }
+    };
+
+    const client = createClient({ now: () => now });
+    const events = await client.getUserEvents('builder');
+
+    expect(events).to.have.length(1);
+    expect(sleeps).to.include(31000);
+    expect(client.rateLimit.remaining).to.equal(59);
+  });
+
+  it('should honor Retry-After on 429', async () => {
+    handler = (req, res) => {
+      if (requests.length === 1) {
+        sendJson(res, 429, { message: 'slow down' }, { 'retry-after': '5' });
+      } else {
+        sendJson(res, 200, makeEvents(2));
+      }
+    };
+
+    const events = await createClient().getUserEvents('builder');
+
+    expect(events).to.have.length(2);
+    expect(sleeps).to.deep.equal([5000]);
+  });
+
+  it('should give up after retryAttempts server errors', async () => {
+    handler = (req, res) => sendJson(res, 502, { message: 'bad gateway' });
+
+    let error;
+    try {
+      await createClient().getUserEvents('builder');
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error.response.status).to.equal(502);
+    expect(requests).to.have.length(3);
+  });
+
+  it('should not retry client errors', async () => {
+    handler = (req, res) => sendJson(res, 404, { message: 'Not Found' });
+
+    let error;
+    try {
+      await createClient().getUserEvents('ghost');
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error.response.status).to.equal(404);
+    expect(requests).to.have.length(1);
+  });
+
+  it('should wait when the configured budget is spent', async () => {
+    let now = 0;
+    handler = (req, res) => sendJson(res, 200, makeEvents(1));
+
+    const client = createClient({ rateLimit: 1, now: () => now });
+    await client.getUserEvents('builder');
+    now = 1000;
+    await client.getUserEvents('builder');
+
+    expect(sleeps).to.deep.equal([3599000]);
+  });
+
+  it('should serve fresh responses from the cache and revalidate stale ones with ETags', async () => {
+    let now = 1700000000000;
+    handler = (req, res) => {
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304, { ETag: '"v1"' });
+        res.end();
+      } else {
+        sendJson(res, 200, makeEvents(3), { ETag: '"v1"' });
+      }
+    };
+
+    const cache = new MemoryCache({ ttl: 60, now: () => now });
+    const client = createClient({ cache, now: () => now });
+
+    expect(await client.getUserEvents('builder')).to.have.length(3);
+    expect(await client.getUserEvents('builder')).to.have.length(3);
+    expect(requests).to.have.length(1);
+
+    now += 61000;
+    const budget = client.rateLimit.remaining;
+    expect(await client.getUserEvents('builder')).to.have.length(3);
+    expect(requests).to.have.length(2);
+    expect(requests[1].headers['if-none-match']).to.equal('"v1"');
+    expect(client.rateLimit.remaining).to.equal(budget);
+
+    expect(await client.getUserEvents('builder')).to.have.length(3);
+    expect(requests).to.have.length(2);
+  });
+
+  it('should fetch only events newer than the last seen one, revalidating fresh pages', async () => {
+    let events = makeEvents(100, 200).reverse();
+    handler = (req, res) => {
+      const page = new URL(req.url, baseUrl).searchParams.get('page') || '1';
+      if (page !== '1') return sendJson(res, 200, makeEvents(100, 100).reverse());
+      if (req.headers['if-none-match'] === `"${events[0].id}"`) {
+        res.writeHead(304, { ETag: `"${events[0].id}"` });
+        return res.end();
+      }
+      return sendJson(res, 200, events, {
+        ETag: `"${events[0].id}"`,
+        Link: `<${baseUrl}/users/builder/events?per_page=100&page=2>; rel="next"`
+      });
+    };
+
+    const client = createClient({ cache: new MemoryCache({ ttl: 60 }) });
+    expect(await client.getUserEventsSince('builder', '297')).to.deep.equal(events.slice(0, 2));
+    expect(await client.getUserEventsSince('builder', '299')).to.deep.equal([]);
+    expect(requests).to.have.length(2);
+    expect(requests[1].headers['if-none-match']).to.equal('"299"');
+
+    events = [...makeEvents(1, 300), ...events];
+    const fresh = await client.getUserEventsSince('builder', '299');
+    expect(fresh.map(event => event.id)).to.deep.equal(['300']);
+    expect(await client.getUserEventsSince('builder', null)).to.have.length(201);
+  });
+
+  it('should require a username', async () => {
+    let error;
+    try {
+      await createClient().getUserEvents('');
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error.message).to.equal('GitHub username is required');
+    expect(requests).to.have.length(0);
+  });
+
+  it('should fetch a repository with its topics', async () => {
+    handler = (req, res) => sendJson(res, 200, { full_name: 'base-org/node', topics: ['base', 'layer2'] });
+
+    const repo = await createClient().getRepository('base-org/node');
+
+    expect(repo.topics).to.deep.equal(['base', 'layer2']);
+    expect(requests[0].url).to.equal('/repos/base-org/node');
+  });
+
+  it('should fail instead of waiting when asked not to wait', async () => {
+    let now = 0;
+    handler = (req, res) => {
+      if (req.url.includes('/pulls/')) {
+        sendJson(res, 403, { message: 'API rate limit exceeded' }, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '3600' });
+      } else {
+        sendJson(res, 200, { url: req.url });
+      }
+    };
+    const client = createClient({ now: () => now });
+
+    const rejection = async promise => promise.then(() => null, error => error);
+    expect(await rejection(client.getPullRequest('base-org/node', 42, { wait: false }))).to.be.instanceOf(RateLimitError);
+    now = 1000;
+    const spent = await rejection(client.getCommit('base-org/node', 'abc123', { wait: false }));
+
+    expect(spent).to.be.instanceOf(RateLimitError);
+    expect(spent.reset).to.equal(3600000);
+    expect(requests).to.have.length(1);
+    expect(sleeps).to.deep.equal([]);
+  });
+
+  it('should fetch commit and pull request details', async () => {
+    handler = (req, res) => sendJson(res, 200, { url: req.url });
+    const client = createClient();
+
+    expect(await client.getCommit('base-org/node', 'abc123')).to.deep.equal({ url: '/repos/base-org/node/commits/abc123' });
+    expect(await client.getPullRequest('base-org/node', 42)).to.deep.equal({ url: '/repos/base-org/node/pulls/42' });
+  });
+
+  it('should fetch gists and decode repository file contents', async () => {
+    handler = (req, res) => (req.url.startsWith('/gists/')
+      ? sendJson(res, 200, { owner: { login: 'alice' }, files: {} })
+      : sendJson(res, 200, { content: Buffer.from('0xsig\n').toString('base64'), encoding: 'base64' }));
+    const client = createClient();
+
+    expect((await client.getGist('abc')).owner.login).to.equal('alice');
+    expect(await client.getFileContent('alice/proofs', 'base/link.txt', 'main')).to.equal('0xsig\n');
+    expect(requests[1].url).to.equal('/repos/alice/proofs/contents/base/link.txt?ref=main');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Test suite for the score history store
+ * Base Summer League 2024 - Builder Rewards Contest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { HistoryStore, periodOf } = require('../src/history-store');
+
+const score = (totalScore, github = totalScore, base = 0) => ({
+  totalScore,
+  breakdown: { github: { subtotal: github }, base: { subtotal: base } },
+  failures: []
+});
+
+describe('HistoryStore', () => {
+  let dir;
+  let now;
+  let store;
+
+  const at = iso => {
+    now = Date.parse(iso);
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    store = new HistoryStore({ file: path.join(dir, 'nested', 'history.jsonl'), now: () => now });
+    at('2024-08-01T12:00:00Z');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should bucket days and ISO weeks in UTC', () => {
+    expect(periodOf('2024-08-04T23:59:59Z', 'day')).to.equal('2024-08-04');
+    expect(periodOf('2024-08-04T23:59:59Z', 'week')).to.equal('2024-07-29');
+    expect(periodOf('2024-08-05T00:00:00Z', 'week')).to.equal('2024-08-05');
+  });
+
+  it('should persist snapshots of scores, event sets and scans', async () => {
+    await store.recordScore('alice', score(45), { address: '0xA11CE' });
+    await store.recordGitHubActivity('alice', {
+      totalEvents: 1,
+      events: [{ id: '1', type: 'PushEvent', repo: { name: 'alice/app' }, created_at: '2024-08-01T10:00:00Z', payload: {} }]
+    });
+    await store.recordContracts('0xA11CE', {
+      totalContracts: 1,
+      complete: true,
+      contractTypes: { ERC20: 1 },
+      recentContracts: [{ address: '0xc0de', blockNumber: 5, created_at: '2024-08-01T09:00:00Z', bytecode: '0x60', classification: { type: 'ERC20' } }]
+    });
+
+    const reopened = new HistoryStore({ file: store.file });
+
+    expect((await reopened.read()).map(record => record.kind)).to.deep.equal(['score', 'github', 'contracts']);
+    expect(await reopened.read({ kind: 'score', address: '0xa11ce' })).to.have.length(1);
+    expect((await reopened.read({ kind: 'github' }))[0].events[0]).to.deep.equal({
+      id: '1', type: 'PushEvent', repo: 'alice/app', created_at: '2024-08-01T10:00:00Z'
+    });
+    expect((await reopened.read({ kind: 'contracts' }))[0].contracts[0]).to.not.have.property('bytecode');
+  });
+
+  it('should only record GitHub events no earlier snapshot holds', async () => {
+    const push = { id: '1', type: 'PushEvent', created_at: '2024-08-01T10:00:00Z' };
+    const issue = { id: '2', type: 'IssuesEvent', created_at: '2024-08-01T11:00:00Z' };
+    await store.recordGitHubActivity('alice', { totalEvents: 1, events: [push] });
+
+    const reopened = new HistoryStore({ file: store.file, now: () => now });
+    expect(await reopened.recordGitHubActivity('alice', { totalEvents: 1, events: [push] })).to.be.null;
+    await reopened.recordGitHubActivity('alice', { totalEvents: 2, events: [issue, push] });
+    await reopened.recordGitHubActivity('bob', { totalEvents: 1, events: [push] });
+
+    const snapshots = await reopened.read({ kind: 'github' });
+    expect(snapshots.map(snapshot => [snapshot.username, snapshot.events.map(event => event.id)])).to.deep.equal([
+      ['alice', ['1']],
+      ['alice', ['2']],
+      ['bob', ['1']]
+    ]);
+  });
+
+  it('should skip a truncated last line', async () => {
+    await store.recordScore('alice', score(10));
+    fs.appendFileSync(store.file, '{"kind":"score","userna');
+
+    expect(await store.read()).to.have.length(1);
+  });
+
+  it('should build daily and weekly series with deltas', async () => {
+    at('2024-08-01T09:00:00Z');
+    await store.recordScore('alice', score(10));
+    at('2024-08-01T18:00:00Z');
+    await store.recordScore('alice', score(30));
+    at('2024-08-02T09:00:00Z');
+    await store.recordScore('alice', score(20));
+    await store.recordScore('bob', score(99));
+    at('2024-08-06T09:00:00Z');
+    await store.recordScore('alice', score(50));
+
+    expect(await store.timeSeries('alice')).to.deep.equal([
+      { period: '2024-08-01', totalScore: 30, best: 30, runs: 2, delta: null },
+      { period: '2024-08-02', totalScore: 20, best: 20, runs: 1, delta: -10 },
+      { period: '2024-08-06', totalScore: 50, best: 50, runs: 1, delta: 30 }
+    ]);
+    expect(await store.timeSeries('alice', { interval: 'week' })).to.deep.equal([
+      { period: '2024-07-29', totalScore: 20, best: 30, runs: 3, delta: null },
+      { period: '2024-08-05', totalScore: 50, best: 50, runs: 1, delta: 30 }
+    ]);
+    expect(await store.timeSeries('alice', { since: new Date('2024-08-02T00:00:00Z') })).to.have.length(2);
+  });
+
+  it('should compare this week with last week', async () => {
+    at('2024-08-02T09:00:00Z');
+    await store.recordScore('alice', score(40));
+    at('2024-08-07T09:00:00Z');
+    await store.recordScore('alice', score(50));
+
+    expect(await store.weekOverWeek('alice')).to.deep.equal({
+      week: '2024-08-05',
+      totalScore: 50,
+      previousWeek: '2024-07-29',
+      previousScore: 40,
+      delta: 10,
+      percent: 25
+    });
+    expect((await store.weekOverWeek('bob')).delta).to.be.null;
+  });
+
+  it('should track personal bests per component', async () => {
+    at('2024-08-01T09:00:00Z');
+    await store.recordScore('alice', score(60, 60, 0));
+    at('2024-08-02T09:00:00Z');
+    await store.recordScore('alice', score(55, 5, 50));
+
+    expect(await store.personalBests('alice')).to.deep.equal({
+      totalScore: { value: 60, recordedAt: '2024-08-01T09:00:00.000Z' },
+      github: { value: 60, recordedAt: '2024-08-01T09:00:00.000Z' },
+      base: { value: 50, recordedAt: '2024-08-02T09:00:00.000Z' }
+    });
+    expect((await store.personalBests('nobody')).totalScore).to.be.null;
+  });
+});
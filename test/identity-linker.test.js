@@ -0,0 +1,191 @@
+/**
+ * Test suite for GitHub-to-address identity linking
+ * Base Summer League 2024 - Builder Rewards Contest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const {
+  IdentityStore,
+  LinkError,
+  createChallenge,
+  verifySignature,
+  verifyProof,
+  parseProofUrl
+} = require('../src/identity-linker');
+
+// Well-known development keys, never used on a real network
+const wallet = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const stranger = new ethers.Wallet('0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a');
+
+const NOW = Date.parse('2024-08-01T12:00:00Z');
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected a rejection');
+}
+
+describe('Identity linker', () => {
+  describe('createChallenge', () => {
+    it('should name both identities in the message and the typed data', () => {
+      const challenge = createChallenge('alice', wallet.address.toLowerCase(), { now: NOW, chainId: 84532, ttlMinutes: 30 });
+
+      expect(challenge.address).to.equal(wallet.address);
+      expect(challenge.expiresAt).to.equal('2024-08-01T12:30:00.000Z');
+      expect(challenge.message).to.include('GitHub: alice');
+      expect(challenge.message).to.include(`Address: ${wallet.address}`);
+      expect(challenge.message).to.include(`Nonce: ${challenge.nonce}`);
+      expect(challenge.typedData.domain.chainId).to.equal(84532);
+      expect(challenge.typedData.value).to.include({ github: 'alice', wallet: wallet.address, nonce: challenge.nonce });
+    });
+
+    it('should reject invalid addresses', () => {
+      expect(() => createChallenge('alice', '0x1234')).to.throw(LinkError, 'Invalid address: 0x1234');
+    });
+  });
+
+  describe('verifySignature', () => {
+    const challenge = createChallenge('alice', wallet.address, { now: NOW });
+
+    it('should accept an EIP-191 signature of the message', async () => {
+      const signature = await wallet.signMessage(challenge.message);
+      expect(verifySignature(challenge, signature)).to.equal(wallet.address);
+    });
+
+    it('should accept an EIP-712 signature of the typed data', async () => {
+      const { domain, types, value } = challenge.typedData;
+      const signature = await wallet.signTypedData(domain, types, value);
+      expect(verifySignature(challenge, signature, 'eip712')).to.equal(wallet.address);
+    });
+
+    it('should reject signatures from another address or the wrong scheme', async () => {
+      const signature = await stranger.signMessage(challenge.message);
+      expect(() => verifySignature(challenge, signature)).to.throw(LinkError, `Signature is from ${stranger.address}`);
+
+      const own = await wallet.signMessage(challenge.message);
+      expect(() => verifySignature(challenge, own, 'eip712')).to.throw(LinkError, 'Signature is from');
+      expect(() => verifySignature(challenge, '0x1234')).to.throw(LinkError, 'Invalid eip191 signature');
+      expect(() => verifySignature(challenge, own, 'personal')).to.throw(LinkError, 'Unknown signature scheme');
+    });
+  });
+
+  describe('parseProofUrl', () => {
+    it('should parse gists and repository files', () => {
+      expect(parseProofUrl('https://gist.github.com/alice/0123abcd')).to.deep.equal({ type: 'gist', id: '0123abcd' });
+      expect(parseProofUrl('https://github.com/alice/proofs/blob/main/base/link.txt')).to.deep.equal({
+        type: 'file',
+        repo: 'alice/proofs',
+        ref: 'main',
+        path: 'base/link.txt'
+      });
+    });
+
+    it('should take the gist ID from revision and raw URLs', () => {
+      [
+        'https://gist.github.com/0123abcd',
+        'https://gist.github.com/alice/0123abcd/f00dfeed',
+        'https://gist.github.com/alice/0123abcd/raw/f00dfeed/link.txt',
+        'https://gist.githubusercontent.com/alice/0123abcd/raw/f00dfeed/link.txt'
+      ].forEach(url => expect(parseProofUrl(url)).to.deep.equal({ type: 'gist', id: '0123abcd' }));
+    });
+
+    it('should reject other URLs', () => {
+      expect(() => parseProofUrl('https://example.com/alice')).to.throw(LinkError, 'Proof must be a gist');
+      expect(() => parseProofUrl('https://github.com/alice/proofs')).to.throw(LinkError, 'Proof must be a gist');
+      expect(() => parseProofUrl('not a url')).to.throw(LinkError, 'Invalid proof URL');
+    });
+  });
+
+  describe('verifyProof', () => {
+    const github = {
+      getGist: async id => ({ owner: { login: 'Alice' }, files: { 'link.txt': { content: `sig: 0xabc (${id})` } } }),
+      getFileContent: async (repo, file, ref) => `${repo}/${file}@${ref}: 0xabc`
+    };
+
+    it('should accept a gist or file owned by the user that contains the signature', async () => {
+      const gist = await verifyProof('https://gist.github.com/alice/g1', { username: 'alice', signature: '0xabc', github });
+      const file = await verifyProof('https://github.com/alice/proofs/blob/main/link.txt', {
+        username: 'alice',
+        signature: '0xabc',
+        github
+      });
+
+      expect(gist.type).to.equal('gist');
+      expect(file.type).to.equal('file');
+    });
+
+    it('should reject proofs owned by someone else or without the signature', async () => {
+      const foreign = await rejection(verifyProof('https://github.com/bob/proofs/blob/main/link.txt', {
+        username: 'alice',
+        signature: '0xabc',
+        github
+      }));
+      const missing = await rejection(verifyProof('https://gist.github.com/alice/g1', {
+        username: 'alice',
+        signature: '0xdef',
+        github
+      }));
+
+      expect(foreign).to.be.instanceOf(LinkError);
+      expect(foreign.message).to.include('belongs to bob, not alice');
+      expect(missing.message).to.include('does not contain the signature');
+    });
+  });
+
+  describe('IdentityStore', () => {
+    let dir;
+    let now;
+    let store;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'identity-'));
+      now = NOW;
+      store = new IdentityStore({ file: path.join(dir, 'nested', 'links.json'), now: () => now });
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should keep challenges until they expire', async () => {
+      const challenge = createChallenge('Alice', wallet.address, { now: NOW, ttlMinutes: 60 });
+      await store.saveChallenge(challenge);
+
+      expect(await store.getChallenge('alice')).to.deep.equal(challenge);
+      expect(await store.getChallenge('bob')).to.equal(null);
+
+      now = NOW + 61 * 60 * 1000;
+      const error = await rejection(store.getChallenge('alice'));
+      expect(error).to.be.instanceOf(LinkError);
+      expect(error.message).to.include('expired');
+    });
+
+    it('should resolve links by username or address and drop the challenge', async () => {
+      await store.saveChallenge(createChallenge('alice', wallet.address, { now: NOW }));
+      const link = await store.addLink({ username: 'alice', address: wallet.address, scheme: 'eip191' });
+
+      expect(link).to.include({ address: wallet.address.toLowerCase(), verifiedAt: '2024-08-01T12:00:00.000Z' });
+      expect(await store.resolve('ALICE')).to.deep.equal(link);
+      expect(await store.resolve(wallet.address)).to.deep.equal(link);
+      expect(await store.resolve(stranger.address)).to.equal(null);
+      expect(await store.getChallenge('alice')).to.equal(null);
+    });
+
+    it('should replace older links for the same username or address', async () => {
+      await store.addLink({ username: 'alice', address: wallet.address });
+      await store.addLink({ username: 'alice', address: stranger.address });
+      await store.addLink({ username: 'bob', address: stranger.address });
+
+      expect(await store.resolve('alice')).to.equal(null);
+      expect(await store.resolve(wallet.address)).to.equal(null);
+      expect((await store.resolve(stranger.address)).username).to.equal('bob');
+    });
+  });
+});
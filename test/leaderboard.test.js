@@ -0,0 +1,186 @@
+/**
+ * Test suite for the builder leaderboard
+ * Base Summer League 2024 - Builder Rewards Contest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { mapSettled } = require('../src/concurrency');
+const { loadRoster, rankBuilders, buildLeaderboard } = require('../src/leaderboard');
+
+describe('Leaderboard', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('mapSettled', () => {
+    it('should never exceed the concurrency limit', async () => {
+      let active = 0;
+      let peak = 0;
+      const results = await mapSettled([1, 2, 3, 4, 5, 6, 7], async item => {
+        active += 1;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setImmediate(resolve));
+        active -= 1;
+        return item * 2;
+      }, { concurrency: 3, batchSize: 5 });
+
+      expect(peak).to.equal(3);
+      expect(results.map(result => result.value)).to.deep.equal([2, 4, 6, 8, 10, 12, 14]);
+    });
+
+    it('should settle failures without stopping other items', async () => {
+      const results = await mapSettled(['a', 'b', 'c'], async item => {
+        if (item === 'b') throw new Error('boom');
+        return item;
+      }, { concurrency: 2 });
+
+      expect(results[0]).to.deep.equal({ status: 'fulfilled', value: 'a' });
+      expect(results[1].status).to.equal('rejected');
+      expect(results[1].reason.message).to.equal('boom');
+      expect(results[2]).to.deep.equal({ status: 'fulfilled', value: 'c' });
+    });
+
+    it('should wait requestDelay between calls on a worker', async () => {
+      const sleep = sinon.stub().resolves();
+
+      await mapSettled([1, 2, 3], async item => item, { concurrency: 1, requestDelay: 100, sleep });
+
+      expect(sleep.callCount).to.equal(2);
+      expect(sleep.alwaysCalledWith(100)).to.be.true;
+    });
+  });
+
+  describe('loadRoster', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should accept usernames and builder objects', () => {
+      const file = path.join(dir, 'roster.json');
+      fs.writeFileSync(file, JSON.stringify({ builders: ['alice', { username: 'bob', address: '0xb0b' }] }));
+
+      expect(loadRoster(file)).to.deep.equal([
+        { username: 'alice' },
+        { username: 'bob', address: '0xb0b' }
+      ]);
+    });
+
+    it('should reject duplicate and incomplete entries', () => {
+      const file = path.join(dir, 'roster.json');
+
+      fs.writeFileSync(file, JSON.stringify(['alice', 'alice']));
+      expect(() => loadRoster(file)).to.throw(/Duplicate roster entry: alice/);
+
+      fs.writeFileSync(file, JSON.stringify([{ name: 'Anonymous' }]));
+      expect(() => loadRoster(file)).to.throw(/needs a username or an address/);
+
+      fs.writeFileSync(file, JSON.stringify([{ address: '0x1' }]));
+      expect(loadRoster(file)).to.deep.equal([{ address: '0x1' }]);
+    });
+  });
+
+  describe('rankBuilders', () => {
+    it('should share ranks on ties and list failures last', () => {
+      const entries = rankBuilders([
+        { username: 'carol', totalScore: 50 },
+        { username: 'dave', error: 'GitHub activity unavailable' },
+        { username: 'alice', totalScore: 90 },
+        { username: 'bob', totalScore: 50 },
+        { username: 'erin', totalScore: 10 }
+      ]);
+
+      expect(entries.map(entry => [entry.username, entry.rank])).to.deep.equal([
+        ['alice', 1],
+        ['bob', 2],
+        ['carol', 2],
+        ['erin', 4],
+        ['dave', null]
+      ]);
+    });
+
+    it('should compute deltas from the previous run', () => {
+      const previous = {
+        entries: [
+          { username: 'alice', rank: 2, totalScore: 40 },
+          { username: 'bob', rank: 1, totalScore: 60 }
+        ]
+      };
+
+      const entries = rankBuilders([
+        { username: 'alice', totalScore: 90 },
+        { username: 'bob', totalScore: 70 },
+        { username: 'carol', totalScore: 5 }
+      ], previous);
+
+      expect(entries[0].delta).to.deep.equal({ score: 50, rank: 1 });
+      expect(entries[1].delta).to.deep.equal({ score: 10, rank: -1 });
+      expect(entries[2].delta).to.be.null;
+    });
+  });
+
+  describe('buildLeaderboard', () => {
+    it('should score the roster and report failures without aborting', async () => {
+      const tracker = {
+        config: { performance: { concurrency: 2, batchSize: 10, requestDelay: 0 } },
+        logger: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        resolveIdentity: async builder => ({ username: builder.username, address: builder.address, linked: false }),
+        lookupName: async () => null,
+        calculateBuilderScore: sinon.stub().callsFake(async username => {
+          if (username === 'offline') return { totalScore: 0, failures: ['github'] };
+          if (username === 'broken') throw new Error('unexpected');
+          return { totalScore: username.length * 10, failures: [] };
+        })
+      };
+
+      const leaderboard = await buildLeaderboard(tracker, [
+        { username: 'alice', address: '0xa11ce' },
+        { username: 'offline' },
+        { username: 'broken' },
+        { username: 'bo' }
+      ]);
+
+      expect(leaderboard.failures).to.equal(2);
+      expect(leaderboard.entries.map(entry => [entry.username, entry.rank, entry.totalScore])).to.deep.equal([
+        ['alice', 1, 50],
+        ['bo', 2, 20],
+        ['offline', null, null],
+        ['broken', null, null]
+      ]);
+      expect(leaderboard.entries[2].error).to.equal('GitHub activity unavailable');
+      expect(tracker.calculateBuilderScore.firstCall.args[1]).to.deep.equal({ address: '0xa11ce' });
+    });
+
+    it('should score address-only entries through their linked GitHub account', async () => {
+      const links = { '0xa11ce': 'alice' };
+      const tracker = {
+        config: { performance: { concurrency: 1, batchSize: 10, requestDelay: 0 } },
+        logger: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        resolveIdentity: async ({ username, address }) => (links[address]
+          ? { username: links[address], address, linked: true }
+          : { username, address, linked: false }),
+        lookupName: async address => (address === '0xa11ce' ? 'alice.base.eth' : null),
+        calculateBuilderScore: sinon.stub().resolves({ totalScore: 70, failures: [] })
+      };
+
+      const leaderboard = await buildLeaderboard(tracker, [{ address: '0xa11ce' }, { address: '0xb0b' }]);
+
+      expect(leaderboard.entries.map(entry => [entry.username, entry.address, entry.totalScore])).to.deep.equal([
+        ['alice', '0xa11ce', 70],
+        ['0xb0b', '0xb0b', null]
+      ]);
+      expect(leaderboard.entries[1].error).to.equal('No GitHub account linked to 0xb0b');
+      expect(leaderboard.entries[0].primaryName).to.equal('alice.base.eth');
+      expect(tracker.calculateBuilderScore.calledOnceWith('alice', { address: '0xa11ce' })).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Test suite for the structured logger
+ * Base Summer League 2024 - Builder Rewards Contest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { Logger, FileDestination, createLogger, parseSize } = require('../src/logger');
+
+function createStream() {
+  return {
+    lines: [],
+    write(chunk) {
+      this.lines.push(chunk.replace(/\n$/, ''));
+    }
+  };
+}
+
+describe('Logger', () => {
+  const now = () => Date.parse('2024-08-01T12:00:00.000Z');
+  let stream;
+
+  beforeEach(() => {
+    stream = createStream();
+  });
+
+  it('should write JSON records with context fields', () => {
+    const logger = createLogger({ level: 'info', format: 'json', destinations: ['console'] }, { stream, now });
+
+    logger.child({ username: 'builder' }).info('Builder score calculated', { totalScore: 45, durationMs: 12 });
+
+    expect(JSON.parse(stream.lines[0])).to.deep.equal({
+      time: '2024-08-01T12:00:00.000Z',
+      level: 'info',
+      msg: 'Builder score calculated',
+      username: 'builder',
+      totalScore: 45,
+      durationMs: 12
+    });
+  });
+
+  it('should drop records above the configured level', () => {
+    const logger = createLogger({ level: 'warn', destinations: ['console'] }, { stream, now });
+
+    logger.info('Base network reachable');
+    logger.debug('Cache hit');
+    logger.warn('Builder could not be scored');
+    logger.error('Base network unreachable');
+
+    expect(stream.lines.map(line => JSON.parse(line).level)).to.deep.equal(['warn', 'error']);
+  });
+
+  it('should serialize errors and format pretty records', () => {
+    const logger = createLogger({ format: 'pretty', destinations: ['console'] }, { stream, now });
+    const error = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+    logger.error('Base network unreachable', { rpcUrl: 'http://localhost:8545', blockNumber: undefined, error });
+
+    expect(stream.lines[0]).to.equal('2024-08-01T12:00:00.000Z ERROR Base network unreachable ' +
+      'rpcUrl=http://localhost:8545 error={"message":"connect ECONNREFUSED","code":"ECONNREFUSED"}');
+  });
+
+  it('should reject unknown levels, formats and destinations', () => {
+    expect(() => new Logger({ level: 'verbose' })).to.throw(/Unknown log level/);
+    expect(() => new Logger({ format: 'xml' })).to.throw(/Unknown log format/);
+    expect(() => createLogger({ destinations: ['syslog'] })).to.throw(/Unknown log destination/);
+  });
+
+  it('should parse sizes', () => {
+    expect(parseSize('10MB')).to.equal(10 * 1024 * 1024);
+    expect(parseSize('512kb')).to.equal(512 * 1024);
+    expect(parseSize(100)).to.equal(100);
+    expect(() => parseSize('ten')).to.throw(/Invalid size/);
+  });
+
+  describe('FileDestination', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should rotate by size and keep maxFiles files', () => {
+      const file = path.join(dir, 'nested', 'builder-score.log');
+      const destination = new FileDestination({ file, maxSize: 10, maxFiles: 3 });
+
+      ['line-1', 'line-2', 'line-3', 'line-4'].forEach(line => destination.write(line));
+
+      expect(fs.readdirSync(path.dirname(file)).sort()).to.deep.equal([
+        'builder-score.log',
+        'builder-score.log.1',
+        'builder-score.log.2'
+      ]);
+      expect(fs.readFileSync(file, 'utf8')).to.equal('line-4\n');
+      expect(fs.readFileSync(`${file}.1`, 'utf8')).to.equal('line-3\n');
+      expect(fs.readFileSync(`${file}.2`, 'utf8')).to.equal('line-2\n');
+    });
+
+    it('should pick up the size of an existing file', () => {
+      const file = path.join(dir, 'builder-score.log');
+      fs.writeFileSync(file, '123456789\n');
+
+      new FileDestination({ file, maxSize: 12, maxFiles: 2 }).write('next');
+
+      expect(fs.readFileSync(`${file}.1`, 'utf8')).to.equal('123456789\n');
+      expect(fs.readFileSync(file, 'utf8')).to.equal('next\n');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Test suite for Basename and ENS resolution
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Runs the resolver against an in-memory registry that answers eth_call
+ * the way a deployed ENS registry and resolver would
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { MemoryCache } = require('../src/cache');
+const { NameResolver, NameResolutionError, createNameResolver, isName } = require('../src/name-resolver');
+
+const REGISTRY = '0x00000000000000000000000000000000000000e1';
+const RESOLVER = '0x00000000000000000000000000000000000000e2';
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+
+const registryInterface = new ethers.Interface(['function resolver(bytes32 node) view returns (address)']);
+const resolverInterface = new ethers.Interface([
+  'function addr(bytes32 node) view returns (address)',
+  'function name(bytes32 node) view returns (string)'
+]);
+
+const reverseNode = (address, namespace) => ethers.namehash(`${address.slice(2).toLowerCase()}.${namespace}`);
+
+/**
+ * Provider serving one registry and one resolver.
+ * @param {Object} records
+ * @param {Object<string, string>} records.addresses - Name to address
+ * @param {Object<string, string>} records.names - Address to primary name
+ * @param {string} namespace - Reverse namespace
+ */
+function createRegistryProvider({ addresses, names }, namespace) {
+  const forward = new Map(Object.entries(addresses).map(([name, address]) => [ethers.namehash(name), address]));
+  const reverse = new Map(Object.entries(names).map(([address, name]) => [reverseNode(address, namespace), name]));
+
+  return {
+    calls: 0,
+    async call({ to, data }) {
+      this.calls += 1;
+      if (to.toLowerCase() === REGISTRY) {
+        const [node] = registryInterface.decodeFunctionData('resolver', data);
+        const known = forward.has(node) || reverse.has(node);
+        return registryInterface.encodeFunctionResult('resolver', [known ? RESOLVER : ethers.ZeroAddress]);
+      }
+      if (to.toLowerCase() === RESOLVER) {
+        const { name, args: [node] } = resolverInterface.parseTransaction({ data });
+        const value = name === 'addr' ? forward.get(node) || ethers.ZeroAddress : reverse.get(node) || '';
+        return resolverInterface.encodeFunctionResult(name, [value]);
+      }
+      // No contract at the address
+      return '0x';
+    }
+  };
+}
+
+describe('NameResolver', () => {
+  let provider;
+  let cache;
+  let resolver;
+
+  beforeEach(() => {
+    provider = createRegistryProvider({
+      addresses: { 'alice.base.eth': ALICE, 'bob.base.eth': BOB },
+      // Bob's reverse record points at a name he does not own
+      names: { [ALICE]: 'alice.base.eth', [BOB]: 'alice.base.eth' }
+    }, 'addr.reverse');
+    cache = new MemoryCache({ ttl: 60 });
+    resolver = new NameResolver({ provider, registry: REGISTRY, cache, ttl: 3600 });
+  });
+
+  it('should tell names from addresses', () => {
+    expect(isName('alice.base.eth')).to.be.true;
+    expect(isName('vitalik.eth')).to.be.true;
+    expect(isName(ALICE)).to.be.false;
+    expect(isName('alice')).to.be.false;
+    expect(isName('https://alice.base.eth/')).to.be.false;
+  });
+
+  it('should resolve names through the registry and cache the result', async () => {
+    expect(await resolver.resolveName('Alice.base.eth')).to.equal(ethers.getAddress(ALICE));
+    const calls = provider.calls;
+
+    expect(await resolver.resolveName('alice.base.eth')).to.equal(ethers.getAddress(ALICE));
+    expect(provider.calls).to.equal(calls);
+    expect(await resolver.resolveName('ghost.base.eth')).to.equal(null);
+  });
+
+  it('should accept names wherever an address is expected', async () => {
+    expect(await resolver.resolveAddress('bob.base.eth')).to.equal(ethers.getAddress(BOB));
+    expect(await resolver.resolveAddress(ALICE)).to.equal(ALICE);
+
+    let error;
+    try {
+      await resolver.resolveAddress('ghost.base.eth');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.instanceOf(NameResolutionError);
+    expect(error.message).to.equal('ghost.base.eth does not resolve to an address');
+  });
+
+  it('should only return primary names that resolve back to the address', async () => {
+    expect(await resolver.lookupAddress(ALICE)).to.equal('alice.base.eth');
+    expect(await resolver.lookupAddress(BOB)).to.equal(null);
+    expect(await resolver.lookupAddress('0x3333333333333333333333333333333333333333')).to.equal(null);
+  });
+
+  it('should fall back to ENS on mainnet for names the registry does not know', async () => {
+    const ensProvider = {
+      resolveName: async name => (name === 'carol.eth' ? '0x4444444444444444444444444444444444444444' : null),
+      lookupAddress: async address => (address.endsWith('4444') ? 'carol.eth' : null)
+    };
+    resolver = new NameResolver({ provider, registry: REGISTRY, ensProvider });
+
+    expect(await resolver.resolveName('carol.eth')).to.equal('0x4444444444444444444444444444444444444444');
+    expect(await resolver.lookupAddress('0x4444444444444444444444444444444444444444')).to.equal('carol.eth');
+    expect(await resolver.lookupAddress(ALICE)).to.equal('alice.base.eth');
+  });
+
+  it('should treat a registry without code as having no records', async () => {
+    resolver = new NameResolver({ provider, registry: '0x00000000000000000000000000000000000000ff' });
+
+    expect(await resolver.resolveName('alice.base.eth')).to.equal(null);
+    expect(await resolver.lookupAddress(ALICE)).to.equal(null);
+  });
+
+  it('should default to the Basenames registry of the chain unless one is configured', () => {
+    const base = createNameResolver({}, { provider, chainId: 8453 });
+    expect(base.registry).to.equal('0xb94704422c2a1e396835a571837aa5ae53285a95');
+    expect(base.reverseNamespace).to.equal('80002105.reverse');
+
+    const local = createNameResolver({ registry: REGISTRY }, { provider, chainId: 31337 });
+    expect(local.registry).to.equal(REGISTRY);
+    expect(local.reverseNamespace).to.equal('addr.reverse');
+    expect(createNameResolver({}, { provider, chainId: 31337 }).registry).to.equal(null);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Test suite for notification dispatch
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Webhook channels post to a local HTTP sink
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+  Notifier,
+  DesktopChannel,
+  createChannel,
+  createNotifier,
+  notificationsFor,
+  renderTemplate
+} = require('../src/notifier');
+
+const NOW = Date.parse('2024-08-20T15:00:00Z');
+
+const score = (totalScore, { atRisk = false } = {}) => ({
+  totalScore,
+  breakdown: {
+    thresholds: {
+      dailyCommits: { actual: 3, required: 3, met: true },
+      weeklyPullRequests: { actual: 1, required: 2, met: false }
+    }
+  },
+  streak: {
+    today: '2024-08-20',
+    currentStreak: 4,
+    atRisk,
+    hoursLeft: 9,
+    warning: atRisk ? '4-day streak ends in 9h (UTC midnight) without a contribution today' : null
+  }
+});
+
+function createStream() {
+  return {
+    output: '',
+    write(chunk) {
+      this.output += chunk;
+    }
+  };
+}
+
+describe('Notifier', () => {
+  let dir;
+  let server;
+  let baseUrl;
+  let received;
+  let status;
+
+  beforeEach(done => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-'));
+    received = [];
+    status = 200;
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(status);
+        res.end();
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach(done => {
+    sinon.restore();
+    fs.rmSync(dir, { recursive: true, force: true });
+    server.close(done);
+  });
+
+  const createTestNotifier = (config = {}, options = {}) => createNotifier({
+    channels: [
+      { type: 'webhook', url: `${baseUrl}/hooks/builder`, headers: { Authorization: 'Bearer secret' } },
+      { type: 'slack', url: `${baseUrl}/slack` }
+    ],
+    file: path.join(dir, 'state.json'),
+    ...config
+  }, { timezone: 'UTC', now: () => NOW, ...options });
+
+  it('should fill template placeholders and leave unknown ones', () => {
+    expect(renderTemplate('{username} met {name} ({streak.currentStreak}d) {missing}', {
+      username: 'alice',
+      name: 'dailyCommits',
+      streak: { currentStreak: 4 }
+    })).to.equal('alice met dailyCommits (4d) {missing}');
+  });
+
+  it('should derive keyed notifications from a score', () => {
+    const notifications = notificationsFor('Alice', score(130, { atRisk: true }), {
+      milestones: [50, 100, 250],
+      now: NOW
+    });
+
+    expect(notifications.map(n => n.key)).to.deep.equal([
+      'thresholdMet:alice:dailyCommits',
+      'streakAtRisk:alice:2024-08-20',
+      'scoreMilestone:alice:100'
+    ]);
+    expect(notifications[1].expiresAt).to.equal('2024-08-21T00:00:00.000Z');
+    expect(notificationsFor('alice', score(40), { milestones: [50] }).map(n => n.type)).to.deep.equal(['thresholdMet']);
+  });
+
+  it('should post to webhook and Slack channels once per key', async () => {
+    const notifier = createTestNotifier();
+    const notifications = notificationsFor('alice', score(130), { milestones: [100], now: NOW });
+
+    const delivered = await notifier.dispatch(notifications);
+    expect(delivered.map(message => message.text)).to.deep.equal([
+      'alice met dailyCommits: 3 of 3',
+      'alice passed 100 points with a Builder Score of 130'
+    ]);
+    expect(received).to.have.length(4);
+
+    const webhook = received.find(request => request.url === '/hooks/builder');
+    expect(webhook.headers.authorization).to.equal('Bearer secret');
+    expect(webhook.body).to.deep.include({ type: 'thresholdMet', title: 'Threshold met' });
+    expect(webhook.body.data).to.include({ name: 'dailyCommits', actual: 3 });
+    expect(received.find(request => request.url === '/slack').body).to.deep.equal({
+      text: '*Threshold met*\nalice met dailyCommits: 3 of 3'
+    });
+
+    // A rerun, even from a new process, stays quiet
+    expect(await createTestNotifier().dispatch(notifications)).to.deep.equal([]);
+    expect(received).to.have.length(4);
+
+    // So does a threshold that is still met the next day
+    const tomorrow = notificationsFor('alice', score(130), { milestones: [100], now: NOW + 24 * 60 * 60 * 1000 });
+    expect(await createTestNotifier({}, { now: () => NOW + 24 * 60 * 60 * 1000 }).dispatch(tomorrow)).to.deep.equal([]);
+  });
+
+  it('should use configured templates', async () => {
+    const stream = createStream();
+    const notifier = createNotifier({
+      channels: [{ type: 'stdout' }],
+      file: path.join(dir, 'state.json'),
+      templates: { streakAtRisk: { text: '{username}, {hoursLeft}h left to keep the streak' } }
+    }, { now: () => NOW, channelOptions: { stream } });
+
+    await notifier.dispatch(notificationsFor('alice', score(10, { atRisk: true }), { now: NOW }).slice(1));
+    expect(stream.output).to.equal('🔔 Streak at risk: alice, 9h left to keep the streak\n');
+  });
+
+  it('should hold notifications during quiet hours and send them afterwards', async () => {
+    let now = Date.parse('2024-08-20T23:00:00Z');
+    const quietHours = { start: '22:00', end: '08:00' };
+    const notifier = createTestNotifier({ quietHours }, { now: () => now });
+    const notifications = notificationsFor('alice', score(130, { atRisk: true }), { milestones: [100], now });
+
+    expect(await notifier.dispatch(notifications)).to.deep.equal([]);
+    expect(received).to.have.length(0);
+
+    // The streak warning expired at midnight; the rest go out once quiet hours end
+    now = Date.parse('2024-08-21T08:00:00Z');
+    const delivered = await notifier.dispatch([]);
+    expect(delivered.map(message => message.type)).to.deep.equal(['thresholdMet', 'scoreMilestone']);
+    expect(await notifier.dispatch(notifications)).to.deep.equal([]);
+  });
+
+  it('should retry notifications that no channel accepted', async () => {
+    const logger = { warn: sinon.stub(), info: sinon.stub() };
+    const notifier = createTestNotifier({}, { logger });
+    const notifications = notificationsFor('alice', score(10), { now: NOW });
+
+    status = 500;
+    expect(await notifier.dispatch(notifications)).to.deep.equal([]);
+    expect(logger.warn.calledWith('Notification not sent')).to.equal(true);
+
+    status = 200;
+    expect(await notifier.dispatch(notifications)).to.have.length(1);
+  });
+
+  it('should forget sent keys after the retention period', async () => {
+    let now = NOW;
+    const notifier = createTestNotifier({ retentionDays: 1 }, { now: () => now });
+    const notifications = notificationsFor('alice', score(130), { milestones: [100], now: NOW });
+
+    await notifier.dispatch(notifications);
+    now += 2 * 24 * 60 * 60 * 1000;
+    expect(await notifier.dispatch(notifications.slice(1))).to.have.length(1);
+  });
+
+  it('should do nothing without channels', async () => {
+    const notifier = new Notifier({ file: path.join(dir, 'state.json') });
+
+    expect(await notifier.dispatch(notificationsFor('alice', score(10)))).to.deep.equal([]);
+    expect(fs.existsSync(path.join(dir, 'state.json'))).to.equal(false);
+  });
+
+  it('should show desktop notifications with the platform tool', async () => {
+    const exec = sinon.stub().resolves();
+    await new DesktopChannel({ platform: 'linux', exec }).send({ title: 'Streak at risk', text: 'Commit "now"' });
+    await new DesktopChannel({ platform: 'darwin', exec }).send({ title: 'Streak at risk', text: 'Commit "now"' });
+
+    expect(exec.firstCall.args).to.deep.equal(['notify-send', ['Streak at risk', 'Commit "now"']]);
+    expect(exec.secondCall.args).to.deep.equal([
+      'osascript',
+      ['-e', 'display notification "Commit \\"now\\"" with title "Streak at risk"']
+    ]);
+  });
+
+  it('should reject unknown channels and webhooks without a URL', () => {
+    expect(() => createChannel({ type: 'pager' })).to.throw('Unknown notification channel: pager');
+    expect(() => createChannel({ type: 'slack' })).to.throw('The slack notification channel needs a url');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Test suite for the on-chain profile
+ * Base Summer League 2024 - Builder Rewards Contest
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const OnchainProfiler = require('../src/onchain-profile');
+const ContractScanner = require('../src/contract-scanner');
+
+const BUILDER = '0x1111111111111111111111111111111111111111';
+const TOKEN = '0x3333333333333333333333333333333333333333';
+const FRIEND = '0x4444444444444444444444444444444444444444';
+
+function transaction(hash, to, created_at, { success = true, fee = '1000' } = {}) {
+  return { hash, to, blockNumber: 1, created_at, success, gasUsed: '100', fee };
+}
+
+describe('OnchainProfiler', () => {
+  const codes = { [TOKEN]: '0x6001', '0xc1': '0x6002', '0xc2': '0x' };
+  const provider = {
+    getTransactionCount: async () => 12,
+    getCode: async address => codes[address] || '0x'
+  };
+
+  it('should profile the scanned transactions and deployments', async () => {
+    const contracts = [{ address: '0xc1' }, { address: '0xc2' }];
+    const profile = await new OnchainProfiler({ provider }).profile(BUILDER, {
+      contracts,
+      cursor: { address: BUILDER, fromBlock: 100, nextBlock: 201, toBlock: 200 },
+      transactions: [
+        transaction('0xa', null, '2024-08-02T00:00:00Z'),
+        transaction('0xb', TOKEN, '2024-08-05T00:00:00Z'),
+        transaction('0xc', TOKEN, '2024-08-01T00:00:00Z'),
+        transaction('0xd', FRIEND, '2024-08-03T00:00:00Z'),
+        transaction('0xe', '0xc2', '2024-08-04T00:00:00Z', { success: false, fee: '500000000000000000' })
+      ]
+    });
+
+    expect(profile).to.deep.equal({
+      address: BUILDER,
+      window: { fromBlock: 100, toBlock: 200 },
+      transactionCount: 12,
+      scannedTransactions: 5,
+      failedTransactions: 1,
+      gasUsed: '500',
+      gasSpentWei: '500000000000004000',
+      gasSpent: '0.500000000000004',
+      uniqueContracts: 1,
+      contractsInteracted: [TOKEN],
+      firstActivityInWindow: '2024-08-01T00:00:00Z',
+      lastActivityInWindow: '2024-08-05T00:00:00Z',
+      deployments: 2,
+      verifiedDeployments: ['0xc1']
+    });
+    expect(contracts.map(contract => contract.verified)).to.deep.equal([true, false]);
+  });
+
+  it('should handle an address without activity', async () => {
+    const profile = await new OnchainProfiler({ provider }).profile(BUILDER, { contracts: [] });
+
+    expect(profile).to.include({ scannedTransactions: 0, gasSpent: '0.0', firstActivityInWindow: null, deployments: 0 });
+  });
+});
+
+// Runs against a local Hardhat or Anvil node when LOCAL_RPC_URL is set
+const describeLocal = process.env.LOCAL_RPC_URL ? describe : describe.skip;
+
+describeLocal('OnchainProfiler (local node)', () => {
+  // Second default Hardhat/Anvil development account
+  const DEV_PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+  // Init code that deploys a runtime returning 42
+  const DEPLOY_CODE = '0x600a600c600039600a6000f3602a60005260206000f3';
+
+  it('should profile a deployment and a call to it', async () => {
+    const provider = new ethers.JsonRpcProvider(process.env.LOCAL_RPC_URL);
+    const wallet = new ethers.Wallet(DEV_PRIVATE_KEY, provider);
+
+    const fromBlock = await provider.getBlockNumber() + 1;
+    const deployment = await (await wallet.sendTransaction({ data: DEPLOY_CODE })).wait();
+    const call = await (await wallet.sendTransaction({ to: deployment.contractAddress })).wait();
+
+    const scan = await new ContractScanner({ provider }).scan(wallet.address, { fromBlock, toBlock: call.blockNumber });
+    const profile = await new OnchainProfiler({ provider }).profile(wallet.address, scan);
+
+    expect(profile.scannedTransactions).to.equal(2);
+    expect(profile.transactionCount).to.equal(await provider.getTransactionCount(wallet.address));
+    expect(profile.contractsInteracted).to.deep.equal([deployment.contractAddress.toLowerCase()]);
+    expect(profile.verifiedDeployments).to.deep.equal([deployment.contractAddress]);
+    expect(BigInt(profile.gasSpentWei)).to.equal(deployment.fee + call.fee);
+    provider.destroy();
+  });
+});
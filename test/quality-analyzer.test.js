@@ -0,0 +1,130 @@
+/**
+ * Test suite for the contribution quality analyzer
+ * Base Summer League 2024 - Builder Rewards Contest
+ */
+
+const { expect } = require('chai');
+const {
+  analyzeContributions,
+  analyzeCommit,
+  analyzePullRequest,
+  summarizeQuality,
+  qualitySettings,
+  isWhitespaceOnly
+} = require('../src/quality-analyzer');
+
+function commit(sha, message, files) {
+  return {
+    sha,
+    commit: { message },
+    stats: {
+      additions: files.reduce((sum, file) => sum + file.additions, 0),
+      deletions: files.reduce((sum, file) => sum + file.deletions, 0)
+    },
+    files
+  };
+}
+
+describe('Quality analyzer', () => {
+  const settings = qualitySettings();
+  const code = { filename: 'src/vault.js', additions: 40, deletions: 5, patch: '@@ -1 +1 @@\n-a\n+b' };
+
+  it('should pass meaningful commits', () => {
+    expect(analyzeCommit(commit('a1', 'Add vault deposits', [code]), settings)).to.include({
+      sha: 'a1',
+      files: 1,
+      additions: 40,
+      deletions: 5,
+      score: 1
+    });
+  });
+
+  it('should detect whitespace-only changes', () => {
+    const file = { filename: 'src/vault.js', additions: 2, deletions: 2, patch: '@@ -1,2 +1,2 @@\n-if(a){\n-  go()\n+if (a) {\n+    go()' };
+
+    expect(isWhitespaceOnly(file)).to.be.true;
+    expect(isWhitespaceOnly({ ...file, patch: '@@ -1 +1 @@\n-go()\n+stop()' })).to.be.false;
+    expect(analyzeCommit(commit('a2', 'Format', [file]), settings)).to.deep.include({ flags: ['whitespace_only'], score: 0 });
+  });
+
+  it('should flag trivial, docs-only and empty commits', () => {
+    const typo = { filename: 'README.md', additions: 1, deletions: 1, patch: '@@ -1 +1 @@\n-teh\n+the' };
+
+    expect(analyzeCommit(commit('a3', 'Fix typo', [typo]), settings).flags).to.deep.equal(['trivial', 'docs_only']);
+    expect(analyzeCommit(commit('a4', 'Add guide', [{ ...typo, filename: 'docs/guide.html', additions: 30 }]), settings))
+      .to.deep.include({ flags: ['docs_only'], score: 0.8 });
+    expect(analyzeCommit(commit('a5', 'Empty', []), settings).flags).to.deep.equal(['empty']);
+  });
+
+  it('should flag commits that repeat an earlier message and diff', () => {
+    const seen = new Set();
+    analyzeCommit(commit('b1', 'Update stats 1', [code]), settings, seen);
+
+    expect(analyzeCommit(commit('b2', 'update stats (2)', [code]), settings, seen).flags).to.deep.equal(['repetitive']);
+    expect(analyzeCommit(commit('b3', 'Refactor vault', [code]), settings, seen).flags).to.deep.equal([]);
+  });
+
+  it('should not flag different changes that share a subject', () => {
+    const seen = new Set();
+    const vault = { filename: 'src/vault.js', additions: 120, deletions: 30, patch: '@@ -1 +1 @@\n-a\n+b' };
+    const router = { filename: 'src/router.js', additions: 95, deletions: 60, patch: '@@ -1 +1 @@\n-c\n+d' };
+    analyzeCommit(commit('d1', 'fix', [vault]), settings, seen);
+    analyzeCommit(commit('d2', '1.0.1', [vault]), settings, seen);
+
+    expect(analyzeCommit(commit('d3', 'Fix', [router]), settings, seen).flags).to.deep.equal([]);
+    // Messages of only numbers and punctuation have no subject to repeat
+    expect(analyzeCommit(commit('d4', '1.0.2', [vault]), settings, seen).flags).to.deep.equal([]);
+  });
+
+  it('should discount pull requests closed without merging', () => {
+    const pr = { number: 7, state: 'closed', merged: false, additions: 50, deletions: 2, review_comments: 3 };
+
+    expect(analyzePullRequest(pr, settings)).to.deep.include({ flags: ['closed_unmerged'], score: 0.5, reviewComments: 3 });
+    expect(analyzePullRequest({ ...pr, merged: true }, settings).score).to.equal(1);
+  });
+
+  it('should rate events from fetched details, oldest first', () => {
+    const events = [
+      {
+        type: 'PushEvent',
+        created_at: '2024-08-02T00:00:00Z',
+        repo: { name: 'alice/app' },
+        payload: { commits: [{ sha: 'c2' }] }
+      },
+      {
+        type: 'PullRequestEvent',
+        created_at: '2024-08-01T12:00:00Z',
+        repo: { name: 'base-org/node' },
+        payload: { number: 9 }
+      },
+      {
+        type: 'PushEvent',
+        created_at: '2024-08-01T00:00:00Z',
+        repo: { name: 'alice/app' },
+        payload: { commits: [{ sha: 'c1' }, { sha: 'missing' }] }
+      },
+      { type: 'IssuesEvent', created_at: '2024-08-01T00:00:00Z' }
+    ];
+    const details = {
+      commits: new Map([
+        ['c1', commit('c1', 'Bump version', [code])],
+        ['c2', commit('c2', 'Bump version', [code])]
+      ]),
+      pullRequests: new Map([['base-org/node#9', { number: 9, state: 'open', additions: 1, deletions: 0 }]])
+    };
+
+    analyzeContributions(events, details);
+
+    expect(events[2].quality).to.include({ score: 1 });
+    expect(events[0].quality).to.deep.include({ score: 0.25, flags: ['repetitive'] });
+    expect(events[1].quality).to.deep.include({ score: 0.25, flags: ['trivial'] });
+    expect(events[3]).to.not.have.property('quality');
+
+    expect(summarizeQuality(events)).to.deep.include({
+      analyzed: 3,
+      meaningful: 1,
+      flagged: 2,
+      byFlag: { repetitive: 1, trivial: 1 }
+    });
+  });
+});
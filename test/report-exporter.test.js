@@ -0,0 +1,137 @@
+/**
+ * Test suite for the report exporter
+ * Base Summer League 2024 - Builder Rewards Contest
+ */
+
+const { expect } = require('chai');
+const { buildReport, renderReport, REPORT_FORMATS } = require('../src/report-exporter');
+
+const score = () => ({
+  totalScore: 95,
+  breakdown: {
+    github: {
+      commits: 40,
+      pullRequests: 15,
+      issues: 0,
+      codeReviews: 8,
+      bonusPoints: 12,
+      streakBonus: 6,
+      qualityDiscount: 6,
+      subtotal: 75,
+      counts: { commits: 4, pullRequests: 1, lowQuality: 1 },
+      categories: { defi: { events: 3, points: 60 }, other: { events: 2, points: 15 } }
+    },
+    base: { networkActivity: 5, contracts: 15, subtotal: 20, counts: { contracts: 1, unverified: 1 } },
+    thresholds: {
+      dailyCommits: { actual: 4, required: 3, met: true },
+      weeklyPullRequests: { actual: 1, required: 2, met: false }
+    }
+  },
+  streak: { currentStreak: 4, longestStreak: 9, activeDays: 12, activeToday: true, warning: null },
+  onchain: {
+    address: '0x1111111111111111111111111111111111111111',
+    primaryName: 'alice.base.eth',
+    transactionCount: 42,
+    gasSpent: '0.0021',
+    uniqueContracts: 5,
+    deployments: 2,
+    verifiedDeployments: ['0xc1'],
+    contractTypes: { ERC20: 1, Other: 1 }
+  },
+  actions: [{
+    id: 'pullRequest',
+    title: 'Open a pull request to another Base ecosystem repository',
+    quantity: 1,
+    points: 25,
+    hours: 3,
+    pointsPerHour: 8.3,
+    reasons: ['1 of 2 weeklyPullRequests']
+  }],
+  failures: []
+});
+
+const countdown = { status: 'active', remaining: '11 days 4 hours', endDate: '2024-08-31T23:59:59.000Z', finalSprint: false };
+
+const history = [
+  { period: '2024-08-18', totalScore: 70, best: 70, runs: 1, delta: null },
+  { period: '2024-08-19', totalScore: 95, best: 95, runs: 2, delta: 25 }
+];
+
+describe('Report exporter', () => {
+  let report;
+
+  beforeEach(() => {
+    report = buildReport({ username: 'alice', score: score(), countdown, history, generatedAt: Date.parse('2024-08-20T09:30:00Z') });
+  });
+
+  it('should collect the breakdown, streak, contracts and recommendations', () => {
+    expect(report.totalScore).to.equal(95);
+    expect(report.breakdown).to.deep.include({ source: 'github', item: 'qualityDiscount', points: -6 });
+    expect(report.breakdown.map(entry => entry.item)).to.not.include('issues');
+    expect(report.thresholds[1]).to.deep.equal({ name: 'weeklyPullRequests', actual: 1, required: 2, met: false });
+    expect(report.categories[0]).to.deep.equal({ category: 'defi', events: 3, points: 60, share: 80 });
+    expect(report.streak).to.include({ current: 4, longest: 9 });
+    expect(report.contracts).to.include({ primaryName: 'alice.base.eth', deployments: 2, verified: 1, unverified: 1 });
+    expect(report.recommendations[0].text).to.equal(
+      'Open a pull request to another Base ecosystem repository: +25 points in ~3h (8.3/h; 1 of 2 weeklyPullRequests)');
+    expect(report.history).to.deep.equal([
+      { period: '2024-08-18', totalScore: 70, delta: null },
+      { period: '2024-08-19', totalScore: 95, delta: 25 }
+    ]);
+  });
+
+  it('should leave out sections without data', () => {
+    const bare = { ...score(), streak: null, onchain: null, actions: [], failures: ['contracts'] };
+    const markdown = renderReport(buildReport({ username: 'bob', score: bare, countdown }), 'markdown');
+
+    expect(markdown).to.not.include('### Streak');
+    expect(markdown).to.not.include('### Contracts');
+    expect(markdown).to.not.include('### History');
+    expect(markdown).to.include('No actions left to plan in the contest window.');
+    expect(markdown).to.include('> ⚠️ Unavailable when generated: contracts');
+  });
+
+  it('should render Markdown ready for a README section', () => {
+    const markdown = renderReport(report, 'markdown');
+
+    expect(markdown).to.match(/^## 📊 Builder Score Report: alice\n/);
+    expect(markdown).to.include('_Generated 2024-08-20 09:30 UTC · 11 days 4 hours left_');
+    expect(markdown).to.include('**Builder Score: 95** (GitHub 75 · Base 20)');
+    expect(markdown).to.include('| github | qualityDiscount | -6 |');
+    expect(markdown).to.include('| weeklyPullRequests | 1 | 2 | ❌ |');
+    expect(markdown).to.include('- Address: alice.base.eth (`0x1111111111111111111111111111111111111111`)');
+    expect(markdown).to.include('- Types: ERC20 1, Other 1');
+    expect(markdown).to.include('| 2024-08-19 | 95 | +25 |');
+  });
+
+  it('should render a self-contained HTML page with escaped content', () => {
+    report.username = '<script>alert(1)</script>';
+    const html = renderReport(report, 'html');
+
+    expect(html).to.match(/^<!DOCTYPE html>/);
+    expect(html).to.include('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).to.not.include('<script>');
+    expect(html).to.not.match(/(src|href)="https?:/);
+    expect(html.match(/<svg /g)).to.have.length(3);
+    expect(html).to.include('class="negative"');
+  });
+
+  it('should render JSON and CSV for spreadsheets', () => {
+    expect(JSON.parse(renderReport(report, 'json'))).to.deep.equal(report);
+
+    const lines = renderReport(report, 'csv').trim().split('\n');
+    expect(lines[0]).to.equal('section,item,value,detail');
+    expect(lines).to.include('summary,totalScore,95,');
+    expect(lines).to.include('threshold,weeklyPullRequests,1,"required 2, not met"');
+    expect(lines).to.include('category,defi,60,"3 events, 80%"');
+    expect(lines).to.include('contracts,type.ERC20,1,');
+    expect(lines).to.include('history,2024-08-19,95,+25');
+    expect(lines).to.include('recommendation,1,25,Open a pull request to another Base ecosystem repository: ' +
+      '+25 points in ~3h (8.3/h; 1 of 2 weeklyPullRequests)');
+  });
+
+  it('should reject unknown formats', () => {
+    expect(REPORT_FORMATS).to.deep.equal(['markdown', 'html', 'json', 'csv']);
+    expect(() => renderReport(report, 'pdf')).to.throw('Unknown report format: pdf');
+  });
+});
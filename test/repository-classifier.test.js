@@ -0,0 +1,58 @@
+/**
+ * Test suite for the repository classifier
+ * Base Summer League 2024 - Builder Rewards Contest
+ */
+
+const { expect } = require('chai');
+const config = require('./config/base-network.config');
+const { classifyRepository, summarizeCategories } = require('../src/repository-classifier');
+
+describe('Repository classifier', () => {
+  const { repositoryTypes } = config.github;
+
+  it('should categorize by repository name', () => {
+    expect(classifyRepository({ name: 'Uniswap/v3-core' }, repositoryTypes)).to.deep.equal({
+      category: 'defi',
+      scoreMultiplier: 1.5,
+      matched: ['name:uniswap']
+    });
+  });
+
+  it('should match whole words in topics and descriptions', () => {
+    const repo = {
+      full_name: 'alice/gallery',
+      topics: ['nfts', 'erc721'],
+      description: 'A database-backed gallery'
+    };
+
+    const classification = classifyRepository(repo, repositoryTypes);
+
+    expect(classification.category).to.equal('nft');
+    expect(classification.matched).to.deep.equal(['topics:nft', 'topics:erc721']);
+  });
+
+  it('should prefer topics over the description', () => {
+    const repo = {
+      full_name: 'alice/kit',
+      topics: ['foundry'],
+      description: 'Foundry helpers for Base and Ethereum'
+    };
+
+    expect(classifyRepository(repo, repositoryTypes).category).to.equal('tools');
+  });
+
+  it('should fall back to other', () => {
+    expect(classifyRepository({ name: 'alice/dotfiles' }, repositoryTypes))
+      .to.deep.equal({ category: 'other', scoreMultiplier: 1, matched: [] });
+  });
+
+  it('should summarize points per category', () => {
+    expect(summarizeCategories({
+      defi: { events: 1, points: 25 },
+      infrastructure: { events: 4, points: 75 }
+    })).to.deep.equal([
+      { category: 'infrastructure', events: 4, points: 75, share: 75 },
+      { category: 'defi', events: 1, points: 25, share: 25 }
+    ]);
+  });
+});
@@ -0,0 +1,300 @@
+/**
+ * Test suite for the reward simulator
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Expected values are worked out by hand from YieldFarmingStrategy.sol;
+ * the local-node suite compares the simulator with the deployed contract
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { RewardSimulator, simulateRewards, PRECISION } = require('../src/reward-simulator');
+const { YieldFarmingError, createYieldFarmingClient } = require('../src/yield-farming-client');
+
+const TOKEN = 10n ** 18n;
+
+describe('RewardSimulator', () => {
+  const farm = (options = {}) => {
+    const simulator = new RewardSimulator({ rewardPerBlock: TOKEN, ...options });
+    simulator.addPool({ stakingToken: 'LP', rewardToken: 'RWD', allocPoint: 100n });
+    simulator.fund('RWD', 1000n * TOKEN);
+    return simulator;
+  };
+
+  it('should accrue rewardPerBlock to a lone staker', () => {
+    const simulator = farm();
+    simulator.advanceTo(10);
+    simulator.deposit('alice', 0, 100n * TOKEN);
+    simulator.advanceTo(20);
+
+    expect(simulator.pendingReward(0, 'alice')).to.equal(10n * TOKEN);
+  });
+
+  it('should round like the contract', () => {
+    const simulator = farm({ rewardPerBlock: 1000n });
+    simulator.deposit('alice', 0, 3n);
+    simulator.advanceTo(1);
+
+    // accRewardPerShare = 1000 * 1e12 / 3 = 333333333333333, owed = 3 * that / 1e12
+    expect(simulator.pendingReward(0, 'alice')).to.equal(999n);
+    simulator.updatePool(0);
+    expect(simulator.pools[0].accRewardPerShare).to.equal(1000n * PRECISION / 3n);
+  });
+
+  it('should split rewards by allocPoint and stake', () => {
+    const simulator = farm();
+    simulator.addPool({ stakingToken: 'LP2', rewardToken: 'RWD', allocPoint: 300n });
+    simulator.deposit('alice', 0, 100n * TOKEN);
+    simulator.deposit('bob', 1, 100n * TOKEN);
+    simulator.deposit('carol', 1, 300n * TOKEN);
+    simulator.advanceTo(8);
+
+    expect(simulator.pendingReward(0, 'alice')).to.equal(2n * TOKEN);
+    expect(simulator.pendingReward(1, 'bob')).to.equal(15n * TOKEN / 10n);
+    expect(simulator.pendingReward(1, 'carol')).to.equal(45n * TOKEN / 10n);
+  });
+
+  it('should cap payouts at the contract balance', () => {
+    const simulator = new RewardSimulator({ rewardPerBlock: TOKEN });
+    simulator.addPool({ stakingToken: 'LP', rewardToken: 'RWD', allocPoint: 100n });
+    simulator.fund('RWD', 4n * TOKEN);
+    simulator.deposit('alice', 0, TOKEN);
+    simulator.advanceTo(10);
+    simulator.withdraw('alice', 0, TOKEN);
+
+    const position = simulator.position(0, 'alice');
+    expect(position.claimed).to.equal(4n * TOKEN);
+    expect(position.unpaid).to.equal(6n * TOKEN);
+    expect(simulator.balanceOf('RWD')).to.equal(0n);
+  });
+
+  it('should split the blocks an emergency withdrawal left unaccounted over the remaining stake', () => {
+    const simulator = farm();
+    simulator.deposit('alice', 0, 100n * TOKEN);
+    simulator.deposit('bob', 0, 100n * TOKEN);
+    simulator.toggleEmergencyWithdraw(0, true);
+    simulator.advanceTo(10);
+    simulator.emergencyWithdraw('bob', 0);
+    simulator.advanceTo(20);
+
+    expect(simulator.pendingReward(0, 'alice')).to.equal(20n * TOKEN);
+    // 5% of Bob's stake stays in the contract
+    expect(simulator.balanceOf('LP')).to.equal(105n * TOKEN);
+  });
+
+  it('should throw the contract revert reasons', () => {
+    const simulator = farm({ blockTime: 2 });
+    simulator.pools[0].minLockPeriod = 3600n;
+    simulator.deposit('alice', 0, TOKEN);
+    simulator.advanceTo(100);
+
+    const reason = call => {
+      try {
+        call();
+      } catch (error) {
+        expect(error).to.be.instanceOf(YieldFarmingError);
+        return error.message;
+      }
+      throw new Error('Expected a revert');
+    };
+    expect(reason(() => simulator.withdraw('alice', 0, TOKEN))).to.equal('Position still locked');
+    expect(reason(() => simulator.withdraw('alice', 0, 2n * TOKEN))).to.equal('Insufficient balance');
+    expect(reason(() => simulator.emergencyWithdraw('alice', 0))).to.equal('Emergency withdraw not enabled');
+    expect(reason(() => simulator.deposit('alice', 1, TOKEN))).to.equal('Invalid pool ID');
+    expect(reason(() => simulator.setEmergencyWithdrawFee(1001n))).to.equal('Fee too high');
+
+    simulator.advanceTo(1800);
+    simulator.withdraw('alice', 0, TOKEN);
+  });
+});
+
+describe('simulateRewards', () => {
+  const scenario = {
+    rewardPerBlock: '1',
+    startBlock: 0,
+    endBlock: 100,
+    pools: [{ stakingToken: 'LP', rewardToken: 'RWD', allocPoint: 100 }],
+    funding: { RWD: '1000' },
+    actions: [
+      { block: 0, type: 'deposit', user: 'alice', pid: 0, amount: '100' },
+      { block: 50, type: 'deposit', user: 'bob', pid: 0, amount: '100' },
+      { block: 50, type: 'setRewardPerBlock', rewardPerBlock: '2' },
+      { block: 75, type: 'withdraw', user: 'alice', pid: 0, amount: '100' }
+    ]
+  };
+
+  it('should project rewards per user from a scenario script', () => {
+    const result = simulateRewards(scenario);
+
+    // Alice: 50 alone at 1/block, then 25 blocks at 2/block shared with Bob
+    // Bob: 25 blocks at 2/block shared, then 25 alone
+    expect(result.users).to.deep.equal([
+      { user: 'alice', pid: 0, staked: '0.0', claimed: '75.0', pending: '0.0', unpaid: '0.0', projected: '75.0', shortfall: '0.0', apr: 15768000 },
+      { user: 'bob', pid: 0, staked: '100.0', claimed: '0.0', pending: '75.0', unpaid: '0.0', projected: '75.0', shortfall: '0.0', apr: 23652000 }
+    ]);
+    expect(result.pools[0]).to.deep.include({ rewardPerBlock: '2.0', totalStaked: '100.0' });
+  });
+
+  it('should cap projected payouts at the remaining reward balance', () => {
+    const result = simulateRewards({
+      rewardPerBlock: '1',
+      endBlock: 50,
+      pools: [{ stakingToken: 'LP', rewardToken: 'RWD', allocPoint: 100 }],
+      funding: { RWD: '30' },
+      actions: [
+        { block: 0, type: 'deposit', user: 'alice', pid: 0, amount: '100' },
+        { block: 0, type: 'deposit', user: 'bob', pid: 0, amount: '100' }
+      ]
+    });
+
+    // Each is owed 25 and would be paid in full claiming first, but not both
+    expect(result.users.map(({ pending, projected, shortfall }) => ({ pending, projected, shortfall }))).to.deep.equal([
+      { pending: '25.0', projected: '25.0', shortfall: '0.0' },
+      { pending: '25.0', projected: '25.0', shortfall: '0.0' }
+    ]);
+    expect(result.rewards).to.deep.equal({ RWD: { balance: '30.0', pending: '50.0', shortfall: '20.0' } });
+
+    const alone = simulateRewards({
+      rewardPerBlock: '1',
+      endBlock: 50,
+      pools: [{ stakingToken: 'LP', rewardToken: 'RWD', allocPoint: 100 }],
+      funding: { RWD: '30' },
+      actions: [{ block: 0, type: 'deposit', user: 'alice', pid: 0, amount: '100' }]
+    });
+    expect(alone.users[0]).to.deep.include({ pending: '50.0', projected: '30.0', shortfall: '20.0' });
+  });
+
+  it('should annualize rewards against the value staked', () => {
+    // 1 reward per 2-second block on 15,768,000 staked is 100% a year
+    const result = simulateRewards({
+      rewardPerBlock: '1',
+      endBlock: 10,
+      pools: [{ stakingToken: 'LP', rewardToken: 'RWD', allocPoint: 1 }],
+      funding: { RWD: '100' },
+      actions: [{ block: 0, type: 'deposit', user: 'alice', pid: 0, amount: '15768000' }],
+      prices: { LP: 2, RWD: 2 }
+    });
+
+    expect(result.users[0].apr).to.equal(100);
+    expect(result.pools[0].apr).to.equal(100);
+  });
+
+  it('should forecast a changed allocPoint', () => {
+    const result = simulateRewards({
+      ...scenario,
+      pools: [...scenario.pools, { stakingToken: 'LP2', rewardToken: 'RWD', allocPoint: 100 }],
+      actions: [
+        { block: 0, type: 'deposit', user: 'alice', pid: 0, amount: '100' },
+        { block: 40, type: 'setAllocPoint', pid: 1, allocPoint: 300 }
+      ]
+    });
+
+    // 40 blocks at half the rewards, 60 at a quarter
+    expect(result.users[0].projected).to.equal('35.0');
+  });
+
+  it('should report the block of an action the contract would revert', () => {
+    let error;
+    try {
+      simulateRewards({ ...scenario, actions: [{ block: 5, type: 'emergencyWithdraw', user: 'alice', pid: 0 }] });
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error.message).to.equal('No position to withdraw');
+    expect(error.block).to.equal(5);
+  });
+});
+
+// Runs against a local Hardhat or Anvil node when LOCAL_RPC_URL is set
+// (`npm run node`, then `npm run test:local`). Artifacts are read from
+// ARTIFACTS_DIR (default: artifacts/, where `npm run compile` writes them).
+const describeLocal = process.env.LOCAL_RPC_URL ? describe : describe.skip;
+
+describeLocal('RewardSimulator (local node)', () => {
+  // First three default Hardhat/Anvil development accounts
+  const OWNER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+  const ALICE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+  const BOB_KEY = '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a';
+
+  const artifact = (source, name) => JSON.parse(fs.readFileSync(
+    path.join(process.env.ARTIFACTS_DIR || 'artifacts', 'contracts', source, `${name}.json`),
+    'utf8'
+  ));
+
+  it('should match the deployed contract block for block', async () => {
+    const provider = new ethers.JsonRpcProvider(process.env.LOCAL_RPC_URL);
+    const [owner, alice, bob] = [OWNER_KEY, ALICE_KEY, BOB_KEY].map(key => new ethers.NonceManager(new ethers.Wallet(key, provider)));
+    try {
+      const token = artifact('mocks/MockERC20.sol', 'MockERC20');
+      const deploy = async (contract, ...args) => {
+        const deployed = await new ethers.ContractFactory(contract.abi, contract.bytecode, owner).deploy(...args);
+        await deployed.waitForDeployment();
+        return deployed;
+      };
+      const staking = await deploy(token, 'Stake', 'STK');
+      const reward = await deploy(token, 'Reward', 'RWD');
+      const strategy = await deploy(artifact('YieldFarmingStrategy.sol', 'YieldFarmingStrategy'));
+      const farmAddress = await strategy.getAddress();
+      const [stakingAddress, rewardAddress] = await Promise.all([staking.getAddress(), reward.getAddress()]);
+      await (await staking.mint(await alice.getAddress(), 1000n * TOKEN)).wait();
+      await (await staking.mint(await bob.getAddress(), 1000n * TOKEN)).wait();
+
+      const clients = {
+        owner: createYieldFarmingClient(farmAddress, owner),
+        alice: createYieldFarmingClient(farmAddress, alice),
+        bob: createYieldFarmingClient(farmAddress, bob)
+      };
+      const addresses = { alice: await alice.getAddress(), bob: await bob.getAddress() };
+      const simulator = new RewardSimulator({ rewardPerBlock: TOKEN });
+      const mine = async blocks => {
+        for (let i = 0; i < blocks; i++) await provider.send('evm_mine', []);
+      };
+      // Runs the same step on chain and, at the block it was mined in, in the simulator
+      const step = async (send, simulate) => {
+        const { blockNumber } = await send();
+        const block = await provider.getBlock(blockNumber);
+        simulator.advanceTo(blockNumber, block.timestamp);
+        simulate();
+      };
+
+      await step(
+        () => clients.owner.addPool({ stakingToken: stakingAddress, rewardToken: rewardAddress, allocPoint: 100n }),
+        () => simulator.addPool({ stakingToken: stakingAddress, rewardToken: rewardAddress, allocPoint: 100n })
+      );
+      // Less than the rewards owed, so payouts hit the balance cap
+      await step(() => reward.mint(farmAddress, 12n * TOKEN).then(tx => tx.wait()), () => simulator.fund(rewardAddress, 12n * TOKEN));
+      await step(() => clients.alice.deposit(0, 100n * TOKEN), () => simulator.deposit('alice', 0, 100n * TOKEN));
+      await step(() => clients.bob.deposit(0, 300n * TOKEN), () => simulator.deposit('bob', 0, 300n * TOKEN));
+      await mine(5);
+      await step(() => clients.owner.setRewardPerBlock(3n * TOKEN), () => simulator.setRewardPerBlock(3n * TOKEN));
+      await step(() => clients.alice.withdraw(0, 40n * TOKEN), () => simulator.withdraw('alice', 0, 40n * TOKEN));
+      await mine(3);
+      await step(() => clients.bob.deposit(0, 7n), () => simulator.deposit('bob', 0, 7n));
+      await step(() => clients.owner.toggleEmergencyWithdraw(0, true), () => simulator.toggleEmergencyWithdraw(0, true));
+      await step(() => clients.bob.emergencyWithdraw(0), () => simulator.emergencyWithdraw('bob', 0));
+      await mine(4);
+      await step(() => clients.alice.withdraw(0, 60n * TOKEN), () => simulator.withdraw('alice', 0, 60n * TOKEN));
+      await step(() => clients.alice.deposit(0, 1n * TOKEN), () => simulator.deposit('alice', 0, 1n * TOKEN));
+      await mine(2);
+
+      // Not getBlockNumber(): ethers reuses its answer for 250ms, from before the blocks just mined
+      const head = Number(await provider.send('eth_blockNumber', []));
+      simulator.advanceTo(head);
+      const pool = await strategy.poolInfo(0, { blockTag: head });
+      expect(pool.accRewardPerShare).to.equal(simulator.pools[0].accRewardPerShare);
+      expect(pool.totalStaked).to.equal(simulator.pools[0].totalStaked);
+      expect(await reward.balanceOf(farmAddress)).to.equal(simulator.balanceOf(rewardAddress));
+      expect(await staking.balanceOf(farmAddress)).to.equal(simulator.balanceOf(stakingAddress));
+      for (const user of ['alice', 'bob']) {
+        expect(await reward.balanceOf(addresses[user])).to.equal(simulator.position(0, user).claimed);
+        expect(await strategy.pendingReward(0, addresses[user], { blockTag: head })).to.equal(simulator.pendingReward(0, user));
+      }
+      expect(simulator.position(0, 'alice').unpaid > 0n).to.be.true;
+    } finally {
+      provider.destroy();
+    }
+  }, 60000);
+});
@@ -0,0 +1,214 @@
+/**
+ * Test suite for the Builder Score calculator
+ * Base Summer League 2024 - Builder Rewards Contest
+ */
+
+const { expect } = require('chai');
+const config = require('./config/base-network.config');
+const {
+  calculateScore,
+  scoreGitHubEvents,
+  commitCount,
+  isMajorContribution,
+  isFirstTimeContribution
+} = require('../src/score-calculator');
+const { ContestWindow } = require('../src/contest-window');
+
+describe('Score Calculator', () => {
+  const { builderScore } = config;
+
+  describe('commitCount', () => {
+    it('should use the push size for PushEvents', () => {
+      expect(commitCount({ type: 'PushEvent', payload: { size: 4 } })).to.equal(4);
+      expect(commitCount({ type: 'PushEvent', payload: { size: 4, distinct_size: 2 } })).to.equal(2);
+    });
+
+    it('should count other events once', () => {
+      expect(commitCount({ type: 'IssuesEvent' })).to.equal(1);
+      expect(commitCount({ type: 'PushEvent' })).to.equal(1);
+    });
+  });
+
+  describe('scoreGitHubEvents', () => {
+    it('should weight each event type from the config', () => {
+      const result = scoreGitHubEvents([
+        { type: 'PushEvent', payload: { size: 2 } },
+        { type: 'PullRequestEvent' },
+        { type: 'IssuesEvent' },
+        { type: 'PullRequestReviewEvent' }
+      ], builderScore);
+
+      expect(result.commits).to.equal(50);
+      expect(result.pullRequests).to.equal(25);
+      expect(result.issues).to.equal(15);
+      expect(result.codeReviews).to.equal(20);
+      expect(result.subtotal).to.equal(110);
+      expect(result.counts).to.include({ commits: 5, pullRequests: 1, issues: 1, codeReviews: 1 });
+    });
+
+    it('should apply the majorContribution bonus to large pushes', () => {
+      const event = { type: 'PushEvent', payload: { size: 10 } };
+      expect(isMajorContribution(event)).to.be.true;
+
+      const result = scoreGitHubEvents([event], builderScore);
+
+      expect(result.commits).to.equal(100);
+      expect(result.bonusPoints).to.equal(100);
+      expect(result.subtotal).to.equal(200);
+    });
+
+    it('should apply the firstTimeContributor bonus', () => {
+      const event = {
+        type: 'PullRequestEvent',
+        payload: { pull_request: { author_association: 'FIRST_TIME_CONTRIBUTOR' } }
+      };
+      expect(isFirstTimeContribution(event)).to.be.true;
+
+      const result = scoreGitHubEvents([event], builderScore);
+
+      expect(result.bonusPoints).to.equal(18);
+      expect(result.subtotal).to.equal(53);
+    });
+  });
+
+  describe('streak and weekend bonuses', () => {
+    const saturday = { type: 'PushEvent', payload: { size: 2 }, created_at: '2024-08-03T15:00:00Z' };
+
+    it('should apply the weekendActivity bonus in the contest timezone', () => {
+      const result = scoreGitHubEvents([saturday], builderScore);
+
+      expect(result.counts.weekendEvents).to.equal(1);
+      expect(result.bonusPoints).to.equal(2);
+      expect(result.subtotal).to.equal(22);
+
+      // 01:00 UTC Saturday is still Friday in New York
+      const friday = { ...saturday, created_at: '2024-08-03T01:00:00Z' };
+      expect(scoreGitHubEvents([friday], builderScore, { timezone: 'America/New_York' }).bonusPoints).to.equal(0);
+    });
+
+    it('should apply the consecutiveDays bonus once the streak reaches minDays', () => {
+      const event = { type: 'PullRequestEvent' };
+
+      expect(scoreGitHubEvents([event], builderScore, { streak: { currentStreak: 1 } }).streakBonus).to.equal(0);
+
+      const result = scoreGitHubEvents([event], builderScore, { streak: { currentStreak: 2 } });
+      expect(result.streakBonus).to.equal(7);
+      expect(result.subtotal).to.equal(42);
+    });
+  });
+
+  describe('repository categories', () => {
+    it('should apply the category multiplier and total points per category', () => {
+      const defi = { category: 'defi', scoreMultiplier: 1.5, matched: ['name:uniswap'] };
+      const result = scoreGitHubEvents([
+        { type: 'PullRequestEvent', classification: defi },
+        { type: 'PushEvent', payload: { size: 2 } }
+      ], builderScore);
+
+      expect(result.bonusPoints).to.equal(18);
+      expect(result.categories).to.deep.equal({
+        defi: { events: 1, points: 53 },
+        other: { events: 1, points: 20 }
+      });
+    });
+  });
+
+  describe('contribution quality', () => {
+    it('should discount low-quality contributions', () => {
+      const result = scoreGitHubEvents([
+        { type: 'PushEvent', payload: { size: 2 }, quality: { score: 0.25, flags: ['trivial'] } },
+        { type: 'PullRequestEvent', quality: { score: 1, flags: [] } }
+      ], builderScore);
+
+      expect(result.counts.lowQuality).to.equal(1);
+      expect(result.qualityDiscount).to.equal(15);
+      expect(result.subtotal).to.equal(40);
+      expect(result.categories.other.points).to.equal(40);
+    });
+  });
+
+  describe('Base deployments', () => {
+    it('should only score deployments the on-chain profile verified', () => {
+      const result = calculateScore({
+        blockNumber: null,
+        contracts: { recentContracts: [{ verified: true }, { verified: false }, {}] }
+      }, builderScore);
+
+      expect(result.breakdown.base.counts).to.deep.equal({ contracts: 2, unverified: 1 });
+      expect(result.breakdown.base.contracts).to.equal(100);
+    });
+  });
+
+  describe('contest window', () => {
+    const contestWindow = new ContestWindow({
+      startDate: '2024-08-01T00:00:00Z',
+      // Ends on a Friday so the weekend bonus stays out of the sprint numbers
+      endDate: '2024-08-30T23:59:59Z',
+      finalSprint: { multiplier: 1.5, priorityActivities: ['community_contribution', 'smart_contract_deployment'] }
+    });
+
+    it('should only score activity inside the contest', () => {
+      const result = scoreGitHubEvents([
+        { type: 'IssuesEvent', created_at: '2024-07-31T23:59:59Z' },
+        { type: 'IssuesEvent', created_at: '2024-08-05T12:00:00Z' },
+        { type: 'IssuesEvent', created_at: '2024-08-31T00:00:00Z' }
+      ], builderScore, { contestWindow });
+
+      expect(result.counts).to.include({ events: 1, outsideContest: 2, issues: 1 });
+      expect(result.subtotal).to.equal(25);
+    });
+
+    it('should apply the final-sprint multiplier to priority activities only', () => {
+      const result = scoreGitHubEvents([
+        { type: 'IssuesEvent', created_at: '2024-08-30T12:00:00Z' },
+        { type: 'PushEvent', payload: { size: 1 }, created_at: '2024-08-30T12:00:00Z' }
+      ], builderScore, { contestWindow });
+
+      expect(result.counts.sprintEvents).to.equal(1);
+      expect(result.bonusPoints).to.equal(13);
+    });
+
+    it('should apply it to deployments in the sprint', () => {
+      const result = calculateScore({
+        blockNumber: null,
+        contracts: {
+          recentContracts: [
+            { created_at: '2024-08-30T12:00:00Z' },
+            { created_at: '2024-08-20T12:00:00Z' },
+            { created_at: '2024-09-02T12:00:00Z' }
+          ]
+        }
+      }, builderScore, { contestWindow });
+
+      expect(result.breakdown.base.counts.contracts).to.equal(2);
+      expect(result.breakdown.base.contracts).to.equal(125);
+    });
+  });
+
+  describe('calculateScore', () => {
+    it('should combine GitHub and Base activity', () => {
+      const result = calculateScore({
+        events: [{ type: 'PushEvent', payload: { size: 3 } }],
+        blockNumber: 123,
+        contracts: { totalContracts: 2, recentContracts: [{}], contractTypes: {} }
+      }, builderScore);
+
+      expect(result.breakdown.github.subtotal).to.equal(30);
+      expect(result.breakdown.base.networkActivity).to.equal(20);
+      expect(result.breakdown.base.contracts).to.equal(50);
+      expect(result.totalScore).to.equal(100);
+    });
+
+    it('should report thresholds', () => {
+      const result = calculateScore({
+        events: [{ type: 'PushEvent', payload: { size: 3 } }],
+        blockNumber: null
+      }, builderScore);
+
+      expect(result.breakdown.base.networkActivity).to.equal(0);
+      expect(result.breakdown.thresholds.dailyCommits).to.deep.equal({ actual: 3, required: 3, met: true });
+      expect(result.breakdown.thresholds.weeklyPullRequests.met).to.be.false;
+      expect(result.breakdown.thresholds.monthlyContracts.met).to.be.false;
+    });
+  });
+});
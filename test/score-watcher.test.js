@@ -0,0 +1,214 @@
+/**
+ * Test suite for the score watcher
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Drives the watcher with a stub tracker whose score is 10 points per
+ * event today plus 20 per deployed contract
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ScoreWatcher, createScoreWatcher } = require('../src/score-watcher');
+
+const ADDRESS = '0xa11ce00000000000000000000000000000000001';
+
+const event = id => ({ id: String(id), type: 'PushEvent', repo: { name: 'alice/app' } });
+const contract = (address, blockNumber) => ({ address, blockNumber, created_at: '2024-08-20T10:00:00Z' });
+
+describe('ScoreWatcher', () => {
+  let dir;
+  let file;
+  let chain;
+  let feed;
+  let streak;
+  let tracker;
+  let watchers;
+
+  // Scan state as ContractScanner#scan would leave it after `toBlock`
+  const scanTo = (cursor, toBlock) => ({
+    ...cursor,
+    nextBlock: toBlock + 1,
+    toBlock,
+    contracts: chain.contracts.filter(c => c.blockNumber <= toBlock),
+    transactions: []
+  });
+
+  const record = watcher => {
+    const events = [];
+    ['scoreChanged', 'contractDeployed', 'githubActivity', 'streakAtRisk', 'thresholdMet']
+      .forEach(name => watcher.on(name, payload => events.push([name, payload])));
+    return events;
+  };
+
+  const createWatcher = (options = {}) => {
+    const watcher = new ScoreWatcher(tracker, {
+      username: 'alice',
+      address: ADDRESS,
+      file,
+      pollInterval: 3600,
+      ...options
+    });
+    watchers.push(watcher);
+    return watcher;
+  };
+
+  beforeEach(() => {
+    watchers = [];
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-'));
+    file = path.join(dir, 'nested', 'alice.json');
+    chain = { head: 100, contracts: [contract('0xc1', 90)] };
+    feed = [event(3), event(2), event(1)];
+    streak = { today: '2024-08-20', atRisk: false, warning: null };
+
+    const summarize = events => ({ totalEvents: events.length, todayEvents: events, events });
+    tracker = {
+      now: () => Date.parse('2024-08-20T12:00:00Z'),
+      logger: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(), debug: sinon.stub() },
+      provider: Object.assign(new EventEmitter(), {
+        on(name, listener) { return EventEmitter.prototype.on.call(this, name, listener); },
+        off(name, listener) { return EventEmitter.prototype.off.call(this, name, listener); }
+      }),
+      history: { recordScore: sinon.stub().resolves() },
+      resolveAddress: async input => input,
+      snapshot: async (kind, write) => write(),
+      notify: sinon.stub().resolves([]),
+      checkBaseNetwork: async () => chain.head,
+      trackGitHubActivity: sinon.stub().callsFake(async () => summarize([...feed])),
+      updateGitHubActivity: sinon.stub().callsFake(async (username, github) => {
+        const newEvents = feed.filter(e => Number(e.id) > Number(github.events[0].id));
+        return { ...summarize([...newEvents, ...github.events]), newEvents };
+      }),
+      contractScanner: {
+        scan: sinon.stub().callsFake(async (address, { cursor }) => ({ cursor: scanTo(cursor, cursor.toBlock) }))
+      },
+      getOnchainProfile: sinon.stub().callsFake(async (address, { cursor }) => {
+        const scan = cursor || scanTo({ address, nextBlock: 0 }, chain.head);
+        return { address, contracts: { contracts: scan.contracts.map(c => ({ ...c, verified: true })), cursor: scan } };
+      }),
+      scoreActivity: sinon.stub().callsFake(async (username, { github, profile }) => {
+        const totalScore = github.todayEvents.length * 10 + (profile ? profile.contracts.contracts.length * 20 : 0);
+        return {
+          totalScore,
+          breakdown: { thresholds: { dailyCommits: { actual: github.todayEvents.length, required: 4, met: github.todayEvents.length >= 4 } } },
+          streak
+        };
+      })
+    };
+  });
+
+  afterEach(async () => {
+    await Promise.all(watchers.map(watcher => watcher.stop()));
+    sinon.restore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should score on start without reporting existing activity and save the cursor', async () => {
+    const watcher = createWatcher();
+    const events = record(watcher);
+
+    const score = await watcher.start();
+    await watcher.stop();
+
+    expect(score.totalScore).to.equal(50);
+    expect(events).to.have.length(1);
+    expect(events[0][0]).to.equal('scoreChanged');
+    expect(events[0][1]).to.include({ previous: null, current: 50, delta: null, reason: 'start' });
+    expect(tracker.history.recordScore.calledOnce).to.equal(true);
+    expect(tracker.provider.listenerCount('block')).to.equal(0);
+
+    const cursor = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(cursor).to.include({ username: 'alice', address: ADDRESS, lastEventId: '3', totalScore: 50 });
+    expect(cursor.scan).to.include({ nextBlock: 101, toBlock: 100 });
+    expect(cursor.thresholds).to.deep.equal({ dailyCommits: false });
+  });
+
+  it('should scan new blocks together and report deployments', async () => {
+    const watcher = createWatcher();
+    await watcher.start();
+    const events = record(watcher);
+
+    chain.contracts.push(contract('0xc2', 102));
+    watcher.handleBlock(101);
+    await watcher.handleBlock(102);
+
+    expect(tracker.contractScanner.scan.callCount).to.equal(1);
+    expect(tracker.contractScanner.scan.firstCall.args[1].cursor).to.include({ nextBlock: 101, toBlock: 102 });
+    expect(events.map(([name]) => name)).to.deep.equal(['contractDeployed', 'scoreChanged']);
+    expect(events[0][1].contract).to.include({ address: '0xc2', verified: true });
+    expect(events[1][1]).to.include({ previous: 50, current: 70, delta: 20, reason: 'block' });
+
+    // Nothing sent or deployed: no profile lookup and no rescore
+    const profiles = tracker.getOnchainProfile.callCount;
+    await watcher.handleBlock(103);
+    expect(tracker.getOnchainProfile.callCount).to.equal(profiles);
+    expect(events).to.have.length(2);
+    await watcher.stop();
+  });
+
+  it('should poll GitHub from the newest event and emit thresholds and streak warnings once', async () => {
+    const watcher = createWatcher({ address: null });
+    await watcher.start();
+    const events = record(watcher);
+
+    feed.unshift(event(4));
+    streak = { today: '2024-08-20', atRisk: true, warning: '3-day streak ends in 4h' };
+    await watcher.enqueue(() => watcher.pollGitHub());
+    await watcher.enqueue(() => watcher.pollGitHub());
+
+    expect(tracker.updateGitHubActivity.secondCall.args[1].events[0].id).to.equal('4');
+    expect(events.map(([name]) => name)).to.deep.equal(['githubActivity', 'scoreChanged', 'thresholdMet', 'streakAtRisk']);
+    expect(events[0][1].events.map(e => e.id)).to.deep.equal(['4']);
+    expect(events[2][1]).to.deep.equal({ name: 'dailyCommits', actual: 4, required: 4 });
+    await watcher.stop();
+  });
+
+  it('should resume from the saved cursor and report only what happened since', async () => {
+    const first = createWatcher();
+    await first.start();
+    await first.stop();
+
+    feed.unshift(event(5));
+    chain.contracts.push(contract('0xc3', 110));
+    chain.head = 120;
+    const watcher = createWatcher();
+    const events = record(watcher);
+    await watcher.start();
+
+    expect(tracker.contractScanner.scan.lastCall.args[1].cursor).to.include({ nextBlock: 101, toBlock: 120 });
+    expect(events.map(([name]) => name)).to.deep.equal(['githubActivity', 'contractDeployed', 'scoreChanged', 'thresholdMet']);
+    expect(events[0][1].events.map(e => e.id)).to.deep.equal(['5']);
+    expect(events[1][1].contract.address).to.equal('0xc3');
+    expect(events[2][1]).to.include({ previous: 50, current: 80, delta: 30, reason: 'start' });
+    await watcher.stop();
+
+    // Another builder's cursor is not reused
+    const other = createWatcher({ username: 'bob' });
+    const otherEvents = record(other);
+    await other.start();
+    expect(otherEvents.map(([name]) => name)).to.deep.equal(['scoreChanged', 'thresholdMet']);
+    expect(otherEvents[0][1].previous).to.equal(null);
+    await other.stop();
+  });
+
+  it('should keep watching when an update fails', async () => {
+    const watcher = createWatcher({ address: null });
+    await watcher.start();
+    tracker.scoreActivity.rejects(new Error('boom'));
+
+    await watcher.enqueue(() => watcher.pollGitHub());
+    expect(tracker.logger.error.calledWith('Watch update failed')).to.equal(true);
+    expect(watcher.running).to.equal(true);
+    await watcher.stop();
+  });
+
+  it('should default the cursor file to one per username in watch.dir', () => {
+    const watcher = createScoreWatcher({ config: { watch: { pollInterval: 30, dir: dir } } }, { username: 'Alice' });
+
+    expect(watcher.file).to.equal(path.join(dir, 'alice.json'));
+    expect(watcher.pollInterval).to.equal(30);
+  });
+});
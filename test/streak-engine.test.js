@@ -0,0 +1,97 @@
+/**
+ * Test suite for the contribution streak engine
+ * Base Summer League 2024 - Builder Rewards Contest
+ */
+
+const { expect } = require('chai');
+const { analyzeStreaks, localDate, localTime, isWeekend, hoursUntilMidnight } = require('../src/streak-engine');
+
+const pushAt = created_at => ({ type: 'PushEvent', created_at });
+
+describe('Streak Engine', () => {
+  describe('local dates', () => {
+    it('should place events on the day of the contest timezone', () => {
+      expect(localDate('2024-08-03T02:30:00Z', 'UTC')).to.equal('2024-08-03');
+      expect(localDate('2024-08-03T02:30:00Z', 'America/New_York')).to.equal('2024-08-02');
+      expect(localDate('2024-08-02T23:30:00Z', 'Asia/Tokyo')).to.equal('2024-08-03');
+      expect(localTime('2024-08-03T02:30:00Z', 'America/New_York')).to.equal('22:30');
+    });
+
+    it('should flag weekends in the contest timezone', () => {
+      // Friday evening in New York is already Saturday in UTC
+      expect(isWeekend('2024-08-03T01:00:00Z', 'UTC')).to.be.true;
+      expect(isWeekend('2024-08-03T01:00:00Z', 'America/New_York')).to.be.false;
+    });
+
+    it('should count hours left in the local day', () => {
+      expect(hoursUntilMidnight('2024-08-05T18:00:00Z', 'UTC')).to.equal(6);
+      expect(hoursUntilMidnight('2024-08-05T18:00:00Z', 'America/New_York')).to.equal(10);
+    });
+  });
+
+  describe('analyzeStreaks', () => {
+    const now = Date.parse('2024-08-05T20:00:00Z'); // Monday
+
+    it('should find the current and longest streaks', () => {
+      const streak = analyzeStreaks([
+        pushAt('2024-07-20T10:00:00Z'),
+        pushAt('2024-07-21T10:00:00Z'),
+        pushAt('2024-07-22T10:00:00Z'),
+        pushAt('2024-07-23T10:00:00Z'),
+        pushAt('2024-08-03T10:00:00Z'),
+        pushAt('2024-08-04T10:00:00Z'),
+        pushAt('2024-08-05T09:00:00Z'),
+        pushAt('2024-08-05T11:00:00Z')
+      ], { now });
+
+      expect(streak).to.deep.include({
+        today: '2024-08-05',
+        activeDays: 7,
+        currentStreak: 3,
+        longestStreak: 4,
+        activeToday: true,
+        weekendDays: 4,
+        atRisk: false,
+        warning: null
+      });
+    });
+
+    it('should keep yesterday\'s streak alive but at risk', () => {
+      const streak = analyzeStreaks([
+        pushAt('2024-08-03T10:00:00Z'),
+        pushAt('2024-08-04T10:00:00Z')
+      ], { now, atRiskHours: 6 });
+
+      expect(streak).to.deep.include({ currentStreak: 2, atRisk: true, urgent: true, hoursLeft: 4 });
+      expect(streak.warning).to.equal('2-day streak ends in 4h (UTC midnight) without a contribution today');
+    });
+
+    it('should break the streak after a missed day', () => {
+      const streak = analyzeStreaks([pushAt('2024-08-02T10:00:00Z'), pushAt('2024-08-03T10:00:00Z')], { now });
+
+      expect(streak).to.deep.include({ currentStreak: 0, longestStreak: 2, atRisk: false });
+    });
+
+    it('should count days in the contest timezone', () => {
+      // 01:00 UTC on the 5th is still the 4th in New York, joining the 3rd and 4th
+      const events = [
+        pushAt('2024-08-03T15:00:00Z'),
+        pushAt('2024-08-05T01:00:00Z'),
+        pushAt('2024-08-05T19:00:00Z')
+      ];
+
+      expect(analyzeStreaks(events, { now, timezone: 'UTC' }).currentStreak).to.equal(1);
+      expect(analyzeStreaks(events, { now, timezone: 'America/New_York' }).currentStreak).to.equal(3);
+    });
+
+    it('should handle no activity', () => {
+      expect(analyzeStreaks([], { now })).to.deep.include({
+        activeDays: 0,
+        currentStreak: 0,
+        longestStreak: 0,
+        lastActiveDay: null,
+        atRisk: false
+      });
+    });
+  });
+});
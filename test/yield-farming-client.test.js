@@ -0,0 +1,264 @@
+/**
+ * Test suite for the YieldFarmingStrategy client
+ * Base Summer League 2024 - Builder Rewards Contest
+ *
+ * Runs the client against an in-memory farm and staking token that answer
+ * eth_call and mine transactions the way the deployed contracts would
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const {
+  YieldFarmingClient,
+  YieldFarmingError,
+  createYieldFarmingClient,
+  YIELD_FARMING_ABI,
+  ERC20_ABI
+} = require('../src/yield-farming-client');
+
+const FARM = '0x00000000000000000000000000000000000000f1';
+const STAKING_TOKEN = '0x00000000000000000000000000000000000000a1';
+const REWARD_TOKEN = '0x00000000000000000000000000000000000000b1';
+const OWNER = '0x1111111111111111111111111111111111111111';
+const ALICE = '0x2222222222222222222222222222222222222222';
+const NOW = 1724155200; // 2024-08-20T12:00:00Z
+
+const farmInterface = new ethers.Interface(YIELD_FARMING_ABI);
+const tokenInterface = new ethers.Interface(ERC20_ABI);
+
+/**
+ * Chain holding one farm and its staking token. Transactions are applied
+ * without the contracts' checks; `sent` lists the ones the client let through.
+ */
+function createChain() {
+  const chain = {
+    blockNumber: 100,
+    timestamp: NOW,
+    owner: OWNER,
+    paused: false,
+    pools: [{
+      stakingToken: STAKING_TOKEN,
+      rewardToken: REWARD_TOKEN,
+      allocPoint: 100n,
+      lastRewardBlock: 90n,
+      accRewardPerShare: 0n,
+      totalStaked: 0n,
+      minLockPeriod: 3600n,
+      isEmergencyWithdrawEnabled: false
+    }],
+    positions: {},
+    balances: { [ALICE]: 1000n, [OWNER]: 0n },
+    allowances: {},
+    pending: 7n,
+    sent: []
+  };
+
+  const position = (pid, user) => chain.positions[`${pid}:${user.toLowerCase()}`] ||
+    { amount: 0n, lastRewardBlock: 0n, rewardDebt: 0n, lockEndTime: 0n, isActive: false };
+  const setPosition = (pid, user, value) => { chain.positions[`${pid}:${user.toLowerCase()}`] = value; };
+
+  const farmViews = {
+    poolLength: () => [chain.pools.length],
+    poolInfo: ([pid]) => Object.values(chain.pools[Number(pid)]),
+    getUserPosition: ([pid, user]) => [Object.values(position(pid, user))],
+    pendingReward: () => [chain.pending],
+    owner: () => [chain.owner],
+    paused: () => [chain.paused],
+    MAX_FEE: () => [1000n],
+    PRECISION: () => [10n ** 12n],
+    rewardPerBlock: () => [10n ** 18n],
+    totalAllocPoint: () => [chain.pools.reduce((sum, pool) => sum + pool.allocPoint, 0n)],
+    emergencyWithdrawFee: () => [500n]
+  };
+  const tokenViews = {
+    balanceOf: ([account]) => [chain.balances[ethers.getAddress(account)] || 0n],
+    allowance: ([owner, spender]) => [chain.allowances[`${owner}:${spender}`.toLowerCase()] || 0n]
+  };
+
+  const log = (name, values) => ({ address: FARM, ...farmInterface.encodeEventLog(name, values) });
+
+  // Applies a transaction and returns the farm logs it emits
+  const apply = (from, to, data) => {
+    if (to.toLowerCase() === STAKING_TOKEN) {
+      const { name, args } = tokenInterface.parseTransaction({ data });
+      if (name === 'approve') chain.allowances[`${from}:${args[0]}`.toLowerCase()] = args[1];
+      return [];
+    }
+    const { name, args } = farmInterface.parseTransaction({ data });
+    const [pid, amount] = args;
+    const current = position(pid ?? 0, from);
+    switch (name) {
+      case 'addPool':
+        chain.pools.push({ ...chain.pools[0], stakingToken: args[0], rewardToken: args[1], allocPoint: args[2], minLockPeriod: args[3] });
+        return [log('PoolAdded', [chain.pools.length - 1, args[0], args[1]])];
+      case 'deposit':
+        setPosition(pid, from, { ...current, amount: current.amount + amount, lockEndTime: BigInt(chain.timestamp) + 3600n, isActive: true });
+        chain.balances[from] -= amount;
+        chain.allowances[`${from}:${FARM}`.toLowerCase()] -= amount;
+        return current.amount > 0n
+          ? [log('RewardClaimed', [from, pid, chain.pending]), log('Deposit', [from, pid, amount])]
+          : [log('Deposit', [from, pid, amount])];
+      case 'withdraw':
+        setPosition(pid, from, { ...current, amount: current.amount - amount });
+        return [log('RewardClaimed', [from, pid, chain.pending]), log('Withdraw', [from, pid, amount])];
+      case 'emergencyWithdraw':
+        setPosition(pid, from, { ...current, amount: 0n, isActive: false });
+        return [log('EmergencyWithdraw', [from, pid, current.amount * 95n / 100n])];
+      case 'toggleEmergencyWithdraw':
+        chain.pools[Number(pid)].isEmergencyWithdrawEnabled = args[1];
+        return [];
+      case 'pause':
+        chain.paused = true;
+        return [];
+      default:
+        return [];
+    }
+  };
+
+  chain.signer = from => ({
+    provider: { getBlock: async () => ({ number: chain.blockNumber, timestamp: chain.timestamp }) },
+    getAddress: async () => from,
+    async call({ to, data }) {
+      const [iface, views] = to.toLowerCase() === FARM ? [farmInterface, farmViews] : [tokenInterface, tokenViews];
+      const { name, args } = iface.parseTransaction({ data });
+      return iface.encodeFunctionResult(name, views[name](args));
+    },
+    async sendTransaction({ to, data }) {
+      const { name } = (to.toLowerCase() === FARM ? farmInterface : tokenInterface).parseTransaction({ data });
+      chain.sent.push(name);
+      chain.blockNumber += 1;
+      chain.timestamp += 2;
+      const logs = apply(from, to, data).map((entry, index) => ({ ...entry, index }));
+      const receipt = { hash: ethers.id(`${chain.sent.length}`), blockNumber: chain.blockNumber, status: 1, logs };
+      return { hash: receipt.hash, wait: async () => receipt };
+    }
+  });
+
+  return chain;
+}
+
+describe('YieldFarmingClient', () => {
+  let chain;
+  let alice;
+  let owner;
+
+  beforeEach(() => {
+    chain = createChain();
+    alice = createYieldFarmingClient(FARM, chain.signer(ALICE));
+    owner = createYieldFarmingClient(FARM, chain.signer(OWNER));
+  });
+
+  async function rejection(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected a rejection');
+  }
+
+  it('should read pools, positions and settings as plain objects', async () => {
+    expect(await alice.getPools()).to.deep.equal([{
+      pid: 0,
+      stakingToken: ethers.getAddress(STAKING_TOKEN),
+      rewardToken: ethers.getAddress(REWARD_TOKEN),
+      allocPoint: 100n,
+      lastRewardBlock: 90n,
+      accRewardPerShare: 0n,
+      totalStaked: 0n,
+      minLockPeriod: 3600n,
+      isEmergencyWithdrawEnabled: false
+    }]);
+    expect(await alice.getUserPosition(0, ALICE)).to.deep.equal({
+      amount: 0n, lastRewardBlock: 0n, rewardDebt: 0n, lockEndTime: 0n, isActive: false
+    });
+    expect(await alice.pendingReward(0, ALICE)).to.equal(7n);
+    expect(await alice.getSettings()).to.deep.include({ owner: ethers.getAddress(OWNER), paused: false, totalAllocPoint: 100n, maxFee: 1000n });
+  });
+
+  it('should approve the staking token before depositing and decode the events', async () => {
+    const first = await alice.deposit(0, 400n);
+
+    expect(chain.sent).to.deep.equal(['approve', 'deposit']);
+    expect(first.approval.status).to.equal(1);
+    expect(first.events).to.deep.equal([{ name: 'Deposit', args: { user: ethers.getAddress(ALICE), pid: 0, amount: 400n }, logIndex: 0 }]);
+
+    // The approval covered exactly the first deposit
+    const second = await alice.deposit(0, 100n);
+    expect(chain.sent).to.deep.equal(['approve', 'deposit', 'approve', 'deposit']);
+    expect(second.events.map(event => [event.name, event.args.amount])).to.deep.equal([['RewardClaimed', 7n], ['Deposit', 100n]]);
+  });
+
+  it('should skip the approval when the allowance covers the deposit', async () => {
+    chain.allowances[`${ALICE}:${FARM}`.toLowerCase()] = 10n ** 18n;
+
+    const result = await alice.deposit(0, 400n);
+
+    expect(chain.sent).to.deep.equal(['deposit']);
+    expect(result.approval).to.equal(null);
+  });
+
+  it('should fail deposits the contract or token would revert without sending', async () => {
+    expect((await rejection(alice.deposit(3, 1n))).message).to.equal('Invalid pool ID');
+    expect((await rejection(alice.deposit(0, 0n))).message).to.equal('Amount must be greater than 0');
+    expect((await rejection(alice.deposit(0, 5000n))).message).to.equal('ERC20: transfer amount exceeds balance');
+    expect((await rejection(alice.deposit(0, 1n, { approve: false }))).message).to.equal('ERC20: insufficient allowance');
+    chain.paused = true;
+    expect((await rejection(alice.deposit(0, 1n))).message).to.equal('Pausable: paused');
+    expect(chain.sent).to.deep.equal([]);
+  });
+
+  it('should refuse to withdraw a locked position until the lock ends', async () => {
+    await alice.deposit(0, 400n);
+
+    const error = await rejection(alice.withdraw(0, 100n));
+    expect(error).to.be.instanceOf(YieldFarmingError);
+    expect(error).to.include({ message: 'Position still locked', reason: 'Position still locked', method: 'withdraw' });
+    expect((await rejection(alice.withdraw(0, 500n))).message).to.equal('Insufficient balance');
+
+    chain.timestamp += 3600;
+    const result = await alice.withdraw(0, 100n);
+    expect(result.events.map(event => event.name)).to.deep.equal(['RewardClaimed', 'Withdraw']);
+    expect((await alice.getUserPosition(0, ALICE)).amount).to.equal(300n);
+  });
+
+  it('should refuse emergency withdrawals until the owner enables them', async () => {
+    expect((await rejection(alice.emergencyWithdraw(0))).message).to.equal('No position to withdraw');
+    await alice.deposit(0, 400n);
+    expect((await rejection(alice.emergencyWithdraw(0))).message).to.equal('Emergency withdraw not enabled');
+
+    await owner.toggleEmergencyWithdraw(0, true);
+    const result = await alice.emergencyWithdraw(0);
+
+    expect(result.events).to.deep.equal([{ name: 'EmergencyWithdraw', args: { user: ethers.getAddress(ALICE), pid: 0, amount: 380n }, logIndex: 0 }]);
+  });
+
+  it('should add pools and run admin setters as the owner only', async () => {
+    const result = await owner.addPool({ stakingToken: REWARD_TOKEN, rewardToken: REWARD_TOKEN, allocPoint: 50n });
+    expect(result.events).to.deep.equal([{
+      name: 'PoolAdded',
+      args: { pid: 1, stakingToken: ethers.getAddress(REWARD_TOKEN), rewardToken: ethers.getAddress(REWARD_TOKEN) },
+      logIndex: 0
+    }]);
+    expect(await owner.poolLength()).to.equal(2);
+
+    expect((await rejection(alice.addPool({ stakingToken: REWARD_TOKEN, rewardToken: REWARD_TOKEN, allocPoint: 1n }))).message)
+      .to.equal('Ownable: caller is not the owner');
+    expect((await rejection(owner.addPool({ stakingToken: ethers.ZeroAddress, rewardToken: REWARD_TOKEN, allocPoint: 1n }))).message)
+      .to.equal('Invalid staking token');
+    expect((await rejection(owner.setEmergencyWithdrawFee(1001n))).message).to.equal('Fee too high');
+    expect((await rejection(alice.setRewardPerBlock(1n))).message).to.equal('Ownable: caller is not the owner');
+    expect((await rejection(owner.unpause())).message).to.equal('Pausable: not paused');
+
+    await owner.setEmergencyWithdrawFee(1000n);
+    await owner.pause();
+    expect(chain.sent).to.deep.equal(['addPool', 'setEmergencyWithdrawFee', 'pause']);
+  });
+
+  it('should read without a signer but not send', async () => {
+    const reader = new YieldFarmingClient({ address: FARM, runner: { call: chain.signer(ALICE).call } });
+
+    expect(await reader.poolLength()).to.equal(1);
+    expect((await rejection(reader.withdraw(0, 1n))).message).to.equal('Sending transactions needs a signer');
+  });
+});